@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+/**
+ * @title DocumentAccess
+ * @dev Read access to client-side encrypted property documents. The ciphertext and a key
+ * envelope (the content key wrapped to each reader's encryption key) live on IPFS; this
+ * contract records who may read a document and which envelope is current. Documents are keyed by
+ * publisher and hash, so a copied hash published from another account can't take over the original.
+ */
+contract DocumentAccess {
+    struct Document {
+        address owner;
+        string envelopeHash;
+        address[] readers;
+    }
+
+    // Compressed secp256k1 public keys that content keys are wrapped to
+    mapping(address => bytes) internal encryptionKeys;
+
+    // keccak256(owner, documentHash) => document
+    mapping(bytes32 => Document) internal documents;
+    mapping(bytes32 => mapping(address => uint256)) internal readerIndex; // 1-based, 0 = no access
+
+    uint256 public constant ENCRYPTION_KEY_LENGTH = 33;
+
+    event EncryptionKeyRegistered(address indexed account, bytes publicKey);
+
+    event DocumentPublished(string documentHash, address indexed owner, string envelopeHash);
+
+    event AccessGranted(string documentHash, address indexed owner, address indexed reader, string envelopeHash);
+
+    event AccessRevoked(string documentHash, address indexed owner, address indexed reader, string envelopeHash);
+
+    modifier onlyDocumentOwner(string calldata documentHash) {
+        require(documents[_documentId(msg.sender, documentHash)].owner == msg.sender, "Not the document owner");
+        _;
+    }
+
+    /**
+     * @dev Register or replace the caller's encryption public key
+     */
+    function registerEncryptionKey(bytes calldata publicKey) external {
+        require(publicKey.length == ENCRYPTION_KEY_LENGTH, "Invalid public key");
+
+        encryptionKeys[msg.sender] = publicKey;
+
+        emit EncryptionKeyRegistered(msg.sender, publicKey);
+    }
+
+    /**
+     * @dev Record an encrypted document; the caller becomes its owner and only reader
+     */
+    function publishDocument(string calldata documentHash, string calldata envelopeHash) external {
+        require(bytes(documentHash).length > 0, "Document hash required");
+        require(bytes(envelopeHash).length > 0, "Envelope hash required");
+        require(encryptionKeys[msg.sender].length > 0, "Encryption key not registered");
+
+        bytes32 documentId = _documentId(msg.sender, documentHash);
+        Document storage document = documents[documentId];
+        require(document.owner == address(0), "Document already published");
+
+        document.owner = msg.sender;
+        document.envelopeHash = envelopeHash;
+        document.readers.push(msg.sender);
+        readerIndex[documentId][msg.sender] = 1;
+
+        emit DocumentPublished(documentHash, msg.sender, envelopeHash);
+    }
+
+    /**
+     * @dev Let another account read a document. The new envelope must wrap the content key
+     * to the reader's registered encryption key.
+     */
+    function grantAccess(
+        string calldata documentHash,
+        address reader,
+        string calldata envelopeHash
+    ) external onlyDocumentOwner(documentHash) {
+        require(encryptionKeys[reader].length > 0, "Reader has no encryption key");
+        require(bytes(envelopeHash).length > 0, "Envelope hash required");
+
+        bytes32 documentId = _documentId(msg.sender, documentHash);
+        require(readerIndex[documentId][reader] == 0, "Reader already has access");
+
+        Document storage document = documents[documentId];
+        document.envelopeHash = envelopeHash;
+        document.readers.push(reader);
+        readerIndex[documentId][reader] = document.readers.length;
+
+        emit AccessGranted(documentHash, msg.sender, reader, envelopeHash);
+    }
+
+    /**
+     * @dev Remove a reader. The new envelope should come from re-encrypting the document under
+     * a fresh content key, since the reader may have kept the old one.
+     */
+    function revokeAccess(
+        string calldata documentHash,
+        address reader,
+        string calldata envelopeHash
+    ) external onlyDocumentOwner(documentHash) {
+        require(reader != msg.sender, "Owner cannot revoke own access");
+        require(bytes(envelopeHash).length > 0, "Envelope hash required");
+
+        bytes32 documentId = _documentId(msg.sender, documentHash);
+        uint256 index = readerIndex[documentId][reader];
+        require(index > 0, "Reader has no access");
+
+        // Swap and pop to keep the readers array dense
+        Document storage document = documents[documentId];
+        address last = document.readers[document.readers.length - 1];
+        document.readers[index - 1] = last;
+        readerIndex[documentId][last] = index;
+        document.readers.pop();
+        delete readerIndex[documentId][reader];
+
+        document.envelopeHash = envelopeHash;
+
+        emit AccessRevoked(documentHash, msg.sender, reader, envelopeHash);
+    }
+
+    /**
+     * @dev Get an account's encryption public key (empty if none is registered)
+     */
+    function getEncryptionKey(address account) external view returns (bytes memory) {
+        return encryptionKeys[account];
+    }
+
+    /**
+     * @dev Get the owner (zero if unpublished), current key envelope and readers of a document
+     * published by `owner`
+     */
+    function getDocument(address owner, string calldata documentHash)
+        external
+        view
+        returns (address documentOwner, string memory envelopeHash, address[] memory readers)
+    {
+        Document storage document = documents[_documentId(owner, documentHash)];
+        return (document.owner, document.envelopeHash, document.readers);
+    }
+
+    /**
+     * @dev Check whether an account may read a document published by `owner`
+     */
+    function hasAccess(address owner, string calldata documentHash, address account) external view returns (bool) {
+        return readerIndex[_documentId(owner, documentHash)][account] > 0;
+    }
+
+    /**
+     * @dev Storage key for a document hash published by `owner`
+     */
+    function _documentId(address owner, string calldata documentHash) internal pure returns (bytes32) {
+        return keccak256(abi.encode(owner, documentHash));
+    }
+}
@@ -3,16 +3,18 @@ pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
-import "./PropertyRegistry.sol";
+import "./core/access/PlatformRoles.sol";
+import "./core/interfaces/IPropertyRegistry.sol";
 
 /**
  * @title FractionalOwnership
- * @dev Smart contract for fractional property ownership using ERC20 tokens
+ * @dev Smart contract for fractional property ownership using ERC20 tokens. This contract holds
+ * the registry deed for the shareholders from fractionalization until a buyout, so it must hold
+ * the registry's TRANSFER_AGENT_ROLE.
  */
-contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
-    PropertyRegistry public propertyRegistry;
+contract FractionalOwnership is ReentrancyGuard, PlatformRoles, Pausable {
+    IPropertyRegistry public propertyRegistry;
     
     struct FractionalProperty {
         uint256 propertyId;
@@ -24,16 +26,35 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         address originalOwner;
         bool isActive;
         uint256 createdAt;
-        uint256 dividendPool;
+        uint256 dividendPool;    // Distributed dividends not yet claimed
         uint256 lastDividendDistribution;
-        mapping(address => uint256) shareholderVotes;
         mapping(bytes32 => uint256) proposalVotes;
     }
     
+    // Kept apart from FractionalProperty so its public getter stays within stack limits
+    struct PropertyGovernance {
+        uint256 treasury;
+        uint256 monthlyRent;
+        uint256 salePrice;       // Asking price set by a passed Sale proposal, 0 when not listed
+        bool soldOut;            // Bought out; shares can only be redeemed
+        address buyer;
+        uint256 buyoutProceeds;  // Net sale proceeds plus treasury, shared across totalShares
+    }
+    
     struct ShareholderInfo {
         uint256 shares;
         uint256 lastDividendClaim;
         bool isActive;
+        uint256 dividendsPerSharePaid;  // Property's dividendsPerShare when last settled
+        uint256 unclaimedDividends;     // Settled but not yet claimed
+    }
+    
+    // Cumulative dividends per share, scaled by DIVIDEND_PRECISION. A holder is owed
+    // shares * (dividendsPerShare - dividendsPerSharePaid), so claims cost the same
+    // however many holders there are.
+    struct DividendLedger {
+        uint256 dividendsPerShare;
+        uint256 eligibleShares;         // Shares recorded in shareholderInfo; excludes escrowed listings
     }
     
     struct Proposal {
@@ -46,6 +67,19 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         bool executed;
         address proposer;
         ProposalType proposalType;
+        address recipient;       // Contractor paid by Maintenance and Renovation proposals
+        uint256 amount;          // Payment, new monthly rent or asking price, depending on type
+        uint256 snapshotBlock;   // Voting power is read from share checkpoints at this block
+    }
+    
+    struct ShareListing {
+        uint256 id;
+        uint256 propertyId;
+        address seller;
+        uint256 shares;          // Shares still for sale, held in escrow by this contract
+        uint256 pricePerShare;
+        bool active;
+        uint256 createdAt;
     }
     
     enum ProposalType {
@@ -57,16 +91,25 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
     }
     
     mapping(uint256 => FractionalProperty) public fractionalProperties;
-    mapping(uint256 => address[]) public propertyShareholders;
-    mapping(address => mapping(uint256 => ShareholderInfo)) public shareholderInfo;
+    mapping(uint256 => PropertyGovernance) internal propertyGovernance;
+    mapping(uint256 => DividendLedger) internal dividendLedgers;
+    mapping(uint256 => address[]) internal propertyShareholders;
+    mapping(address => mapping(uint256 => ShareholderInfo)) internal shareholderInfo;
     mapping(bytes32 => Proposal) public proposals;
     mapping(uint256 => bytes32[]) public propertyProposals;
+    mapping(bytes32 => mapping(address => bool)) public hasVoted;
+    mapping(uint256 => ShareListing) public shareListings;
+    mapping(uint256 => uint256[]) public propertyShareListings;
     
     uint256 public nextPropertyId = 1;
+    uint256 public nextListingId = 1;
     uint256 public platformFeePercent = 250; // 2.5%
     uint256 public minSharePrice = 0.01 ether;
     uint256 public maxSharesPerProperty = 10000;
     uint256 public votingPeriod = 7 days;
+    uint256 public accumulatedFees;
+    
+    uint256 public constant DIVIDEND_PRECISION = 1e18;
     
     event PropertyFractionalized(
         uint256 indexed propertyId,
@@ -101,6 +144,12 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         uint256 amount
     );
     
+    event RentDeposited(
+        uint256 indexed propertyId,
+        address indexed payer,
+        uint256 amount
+    );
+    
     event ProposalCreated(
         bytes32 indexed proposalId,
         uint256 indexed propertyId,
@@ -115,6 +164,71 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         uint256 votes
     );
     
+    event ProposalExecuted(
+        bytes32 indexed proposalId,
+        uint256 indexed propertyId,
+        ProposalType proposalType
+    );
+    
+    event TreasuryDeposit(
+        uint256 indexed propertyId,
+        address indexed from,
+        uint256 amount
+    );
+    
+    event TreasuryPayment(
+        uint256 indexed propertyId,
+        bytes32 indexed proposalId,
+        address indexed recipient,
+        uint256 amount
+    );
+    
+    event RentUpdated(
+        uint256 indexed propertyId,
+        uint256 oldRent,
+        uint256 newRent
+    );
+    
+    event PropertyListedForSale(
+        uint256 indexed propertyId,
+        uint256 price
+    );
+    
+    event PropertyBoughtOut(
+        uint256 indexed propertyId,
+        address indexed buyer,
+        uint256 price
+    );
+    
+    event SharesRedeemed(
+        uint256 indexed propertyId,
+        address indexed shareholder,
+        uint256 shares,
+        uint256 amount
+    );
+    
+    event SharesListed(
+        uint256 indexed listingId,
+        uint256 indexed propertyId,
+        address indexed seller,
+        uint256 shares,
+        uint256 pricePerShare
+    );
+    
+    event ListedSharesPurchased(
+        uint256 indexed listingId,
+        uint256 indexed propertyId,
+        address indexed buyer,
+        uint256 shares,
+        uint256 totalPrice
+    );
+    
+    event ShareListingCancelled(
+        uint256 indexed listingId,
+        uint256 indexed propertyId,
+        uint256 sharesReturned
+    );
+    
     modifier validProperty(uint256 propertyId) {
         require(fractionalProperties[propertyId].isActive, "Property not fractionalized");
         _;
@@ -125,12 +239,18 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         _;
     }
     
+    modifier notSold(uint256 propertyId) {
+        require(!propertyGovernance[propertyId].soldOut, "Property has been sold");
+        _;
+    }
+    
     constructor(address _propertyRegistry) {
-        propertyRegistry = PropertyRegistry(_propertyRegistry);
+        propertyRegistry = IPropertyRegistry(_propertyRegistry);
     }
     
     /**
-     * @dev Fractionalize a property into shares
+     * @dev Fractionalize a property into shares. The deed (and token, if tokenized) moves into
+     * this contract, which takes it off the market until shareholders vote to sell.
      */
     function fractionalizeProperty(
         uint256 propertyId,
@@ -144,16 +264,16 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         require(!fractionalProperties[propertyId].isActive, "Property already fractionalized");
         
         // Verify property ownership
-        (,,,, address owner, bool verified,,,) = propertyRegistry.getProperty(propertyId);
-        require(owner == msg.sender, "Not the property owner");
-        require(verified, "Property must be verified");
+        require(propertyRegistry.getProperty(propertyId).owner == msg.sender, "Not the property owner");
+        require(propertyRegistry.isVerificationValid(propertyId), "Property must be verified");
         
         // Deploy new ERC20 token for this property
         PropertyShareToken shareToken = new PropertyShareToken(
             tokenName,
             tokenSymbol,
             totalShares,
-            address(this)
+            address(this),
+            propertyId
         );
         
         FractionalProperty storage fracProp = fractionalProperties[propertyId];
@@ -169,6 +289,8 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         fracProp.dividendPool = 0;
         fracProp.lastDividendDistribution = block.timestamp;
         
+        propertyRegistry.transferProperty(propertyId, address(this));
+        
         emit PropertyFractionalized(propertyId, address(shareToken), totalShares, sharePrice);
     }
     
@@ -179,6 +301,7 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         external 
         payable 
         validProperty(propertyId) 
+        notSold(propertyId) 
         whenNotPaused 
         nonReentrant 
     {
@@ -189,14 +312,6 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         uint256 totalCost = shares * fracProp.sharePrice;
         require(msg.value >= totalCost, "Insufficient payment");
         
-        // Update shareholder info
-        if (shareholderInfo[msg.sender][propertyId].shares == 0) {
-            propertyShareholders[propertyId].push(msg.sender);
-            shareholderInfo[msg.sender][propertyId].isActive = true;
-            shareholderInfo[msg.sender][propertyId].lastDividendClaim = block.timestamp;
-        }
-        
-        shareholderInfo[msg.sender][propertyId].shares += shares;
         fracProp.sharesSold += shares;
         
         // Mint tokens to buyer
@@ -205,6 +320,7 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         // Transfer payment to original owner (minus platform fee)
         uint256 platformFee = (totalCost * platformFeePercent) / 10000;
         uint256 ownerPayment = totalCost - platformFee;
+        accumulatedFees += platformFee;
         
         payable(fracProp.originalOwner).transfer(ownerPayment);
         
@@ -223,26 +339,12 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         uint256 propertyId,
         address to,
         uint256 shares
-    ) external validProperty(propertyId) onlyShareholder(propertyId) {
+    ) external validProperty(propertyId) notSold(propertyId) onlyShareholder(propertyId) {
         require(to != address(0), "Invalid recipient");
         require(shares > 0, "Must transfer at least 1 share");
         require(shareholderInfo[msg.sender][propertyId].shares >= shares, "Insufficient shares");
         
-        // Update sender's shares
-        shareholderInfo[msg.sender][propertyId].shares -= shares;
-        if (shareholderInfo[msg.sender][propertyId].shares == 0) {
-            shareholderInfo[msg.sender][propertyId].isActive = false;
-        }
-        
-        // Update recipient's shares
-        if (shareholderInfo[to][propertyId].shares == 0) {
-            propertyShareholders[propertyId].push(to);
-            shareholderInfo[to][propertyId].isActive = true;
-            shareholderInfo[to][propertyId].lastDividendClaim = block.timestamp;
-        }
-        shareholderInfo[to][propertyId].shares += shares;
-        
-        // Transfer tokens
+        // Transfer tokens; the token settles the dividend ledger
         FractionalProperty storage fracProp = fractionalProperties[propertyId];
         PropertyShareToken(fracProp.tokenContract).transferFrom(msg.sender, to, shares);
         
@@ -250,7 +352,7 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Distribute dividends to shareholders
+     * @dev Distribute dividends to shareholders pro-rata to their shares
      */
     function distributeDividends(uint256 propertyId) 
         external 
@@ -259,50 +361,69 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         nonReentrant 
     {
         require(msg.value > 0, "Must send dividends");
-        
-        FractionalProperty storage fracProp = fractionalProperties[propertyId];
-        fracProp.dividendPool += msg.value;
-        fracProp.lastDividendDistribution = block.timestamp;
-        
-        uint256 dividendPerShare = msg.value / fracProp.sharesSold;
-        
-        emit DividendsDistributed(propertyId, msg.value, dividendPerShare);
+        _distributeDividends(propertyId, msg.value);
+    }
+    
+    /**
+     * @dev Deposit rent collected for a property. It is paid out to shareholders as dividends.
+     */
+    function depositRent(uint256 propertyId) 
+        external 
+        payable 
+        validProperty(propertyId) 
+        notSold(propertyId) 
+        nonReentrant 
+    {
+        require(msg.value > 0, "Must send rent");
+        _distributeDividends(propertyId, msg.value);
+        emit RentDeposited(propertyId, msg.sender, msg.value);
     }
     
     /**
-     * @dev Claim dividends for a shareholder
+     * @dev Claim all dividends owed to the caller, including those earned on shares
+     * since transferred, sold or redeemed
      */
     function claimDividends(uint256 propertyId) 
         external 
         validProperty(propertyId) 
-        onlyShareholder(propertyId) 
         nonReentrant 
     {
-        FractionalProperty storage fracProp = fractionalProperties[propertyId];
-        ShareholderInfo storage shareholder = shareholderInfo[msg.sender][propertyId];
-        
-        require(shareholder.lastDividendClaim < fracProp.lastDividendDistribution, "No dividends to claim");
+        _updateDividends(propertyId, msg.sender);
         
-        uint256 dividendPerShare = fracProp.dividendPool / fracProp.sharesSold;
-        uint256 dividendAmount = shareholder.shares * dividendPerShare;
-        
-        require(dividendAmount > 0, "No dividends available");
-        require(address(this).balance >= dividendAmount, "Insufficient contract balance");
+        ShareholderInfo storage shareholder = shareholderInfo[msg.sender][propertyId];
+        uint256 dividendAmount = shareholder.unclaimedDividends;
+        require(dividendAmount > 0, "No dividends to claim");
         
+        shareholder.unclaimedDividends = 0;
         shareholder.lastDividendClaim = block.timestamp;
+        fractionalProperties[propertyId].dividendPool -= dividendAmount;
         payable(msg.sender).transfer(dividendAmount);
         
         emit DividendsClaimed(propertyId, msg.sender, dividendAmount);
     }
     
     /**
-     * @dev Create a proposal for property management
+     * @dev Create a proposal for property management. The payload depends on the type:
+     * Maintenance and Renovation pay `amount` from the treasury to `recipient`,
+     * RentIncrease sets the monthly rent to `amount`, and Sale offers the property for buyout at `amount`.
+     * Other proposals carry no payload.
      */
     function createProposal(
         uint256 propertyId,
         string memory description,
-        ProposalType proposalType
-    ) external validProperty(propertyId) onlyShareholder(propertyId) returns (bytes32) {
+        ProposalType proposalType,
+        address recipient,
+        uint256 amount
+    ) external validProperty(propertyId) notSold(propertyId) onlyShareholder(propertyId) returns (bytes32) {
+        if (proposalType == ProposalType.Maintenance || proposalType == ProposalType.Renovation) {
+            require(recipient != address(0), "Invalid recipient");
+            require(amount > 0, "Payment must be greater than 0");
+        } else if (proposalType == ProposalType.RentIncrease) {
+            require(amount > 0, "Rent must be greater than 0");
+        } else if (proposalType == ProposalType.Sale) {
+            require(amount > 0, "Sale price must be greater than 0");
+        }
+        
         bytes32 proposalId = keccak256(abi.encodePacked(propertyId, description, block.timestamp));
         
         Proposal storage proposal = proposals[proposalId];
@@ -312,6 +433,10 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         proposal.deadline = block.timestamp + votingPeriod;
         proposal.proposer = msg.sender;
         proposal.proposalType = proposalType;
+        proposal.recipient = recipient;
+        proposal.amount = amount;
+        // Snapshot the previous block so shares moved after this point cannot vote again
+        proposal.snapshotBlock = block.number - 1;
         
         propertyProposals[propertyId].push(proposalId);
         
@@ -320,7 +445,7 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Vote on a proposal
+     * @dev Vote on a proposal with the voting power delegated to the caller at its snapshot
      */
     function vote(bytes32 proposalId, bool support) 
         external 
@@ -330,14 +455,13 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         require(proposal.deadline > block.timestamp, "Voting period ended");
         require(!proposal.executed, "Proposal already executed");
         
-        uint256 propertyId = proposal.propertyId;
-        require(shareholderInfo[msg.sender][propertyId].shares > 0, "Not a shareholder");
+        require(!hasVoted[proposalId][msg.sender], "Already voted");
         
-        FractionalProperty storage fracProp = fractionalProperties[propertyId];
-        require(fracProp.shareholderVotes[msg.sender] == 0, "Already voted");
+        FractionalProperty storage fracProp = fractionalProperties[proposal.propertyId];
+        uint256 votes = PropertyShareToken(fracProp.tokenContract).getPastVotes(msg.sender, proposal.snapshotBlock);
+        require(votes > 0, "No voting power");
         
-        uint256 votes = shareholderInfo[msg.sender][propertyId].shares;
-        fracProp.shareholderVotes[msg.sender] = votes;
+        hasVoted[proposalId][msg.sender] = true;
         
         if (support) {
             proposal.votesFor += votes;
@@ -351,27 +475,233 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
     /**
      * @dev Execute a proposal if it passes
      */
-    function executeProposal(bytes32 proposalId) external {
+    function executeProposal(bytes32 proposalId) external nonReentrant {
         Proposal storage proposal = proposals[proposalId];
+        require(proposal.deadline > 0, "Proposal does not exist");
         require(proposal.deadline <= block.timestamp, "Voting period not ended");
         require(!proposal.executed, "Proposal already executed");
         
         uint256 propertyId = proposal.propertyId;
         FractionalProperty storage fracProp = fractionalProperties[propertyId];
+        PropertyGovernance storage governance = propertyGovernance[propertyId];
+        require(!governance.soldOut, "Property has been sold");
         
         uint256 totalVotes = proposal.votesFor + proposal.votesAgainst;
-        uint256 requiredQuorum = fracProp.sharesSold / 2; // 50% quorum
+        uint256 requiredQuorum = PropertyShareToken(fracProp.tokenContract)
+            .getPastTotalSupply(proposal.snapshotBlock) / 2; // 50% quorum
         
         require(totalVotes >= requiredQuorum, "Quorum not reached");
         require(proposal.votesFor > proposal.votesAgainst, "Proposal rejected");
         
         proposal.executed = true;
         
-        // Reset votes for next proposal
-        address[] memory shareholders = propertyShareholders[propertyId];
-        for (uint i = 0; i < shareholders.length; i++) {
-            fracProp.shareholderVotes[shareholders[i]] = 0;
+        ProposalType proposalType = proposal.proposalType;
+        if (proposalType == ProposalType.Maintenance || proposalType == ProposalType.Renovation) {
+            require(governance.treasury >= proposal.amount, "Insufficient treasury balance");
+            governance.treasury -= proposal.amount;
+            payable(proposal.recipient).transfer(proposal.amount);
+            emit TreasuryPayment(propertyId, proposalId, proposal.recipient, proposal.amount);
+        } else if (proposalType == ProposalType.RentIncrease) {
+            emit RentUpdated(propertyId, governance.monthlyRent, proposal.amount);
+            governance.monthlyRent = proposal.amount;
+        } else if (proposalType == ProposalType.Sale) {
+            // Sold only through buyout, never a registry listing; a later Sale proposal replaces the price
+            governance.salePrice = proposal.amount;
+            emit PropertyListedForSale(propertyId, proposal.amount);
+        }
+        
+        emit ProposalExecuted(proposalId, propertyId, proposalType);
+    }
+    
+    /**
+     * @dev Add funds to a property's treasury, used to pay for approved work
+     */
+    function depositToTreasury(uint256 propertyId) 
+        external 
+        payable 
+        validProperty(propertyId) 
+        notSold(propertyId) 
+    {
+        require(msg.value > 0, "Must send funds");
+        propertyGovernance[propertyId].treasury += msg.value;
+        emit TreasuryDeposit(propertyId, msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev Buy out a property offered by a Sale proposal. Net proceeds and the remaining
+     * treasury are shared pro-rata across all shares; the original owner is paid for unsold
+     * shares immediately and shareholders redeem theirs with redeemShares. The deed (and
+     * token, if tokenized) goes to the buyer in the same transaction.
+     */
+    function buyout(uint256 propertyId) 
+        external 
+        payable 
+        validProperty(propertyId) 
+        notSold(propertyId) 
+        whenNotPaused 
+        nonReentrant 
+    {
+        FractionalProperty storage fracProp = fractionalProperties[propertyId];
+        PropertyGovernance storage governance = propertyGovernance[propertyId];
+        uint256 price = governance.salePrice;
+        require(price > 0, "Property not listed for sale");
+        require(propertyRegistry.isVerificationValid(propertyId), "Property not verified");
+        require(msg.value >= price, "Insufficient payment");
+        
+        uint256 platformFee = (price * platformFeePercent) / 10000;
+        accumulatedFees += platformFee;
+        
+        uint256 proceeds = price - platformFee + governance.treasury;
+        governance.treasury = 0;
+        governance.soldOut = true;
+        governance.buyer = msg.sender;
+        governance.buyoutProceeds = proceeds;
+        
+        propertyRegistry.transferProperty(propertyId, msg.sender);
+        
+        uint256 unsoldShares = fracProp.totalShares - fracProp.sharesSold;
+        if (unsoldShares > 0) {
+            payable(fracProp.originalOwner).transfer((proceeds * unsoldShares) / fracProp.totalShares);
+        }
+        
+        // Refund excess payment
+        if (msg.value > price) {
+            payable(msg.sender).transfer(msg.value - price);
         }
+        
+        emit PropertyBoughtOut(propertyId, msg.sender, price);
+    }
+    
+    /**
+     * @dev Redeem shares for their part of the buyout proceeds. The share tokens are burned.
+     */
+    function redeemShares(uint256 propertyId) 
+        external 
+        validProperty(propertyId) 
+        onlyShareholder(propertyId) 
+        nonReentrant 
+    {
+        FractionalProperty storage fracProp = fractionalProperties[propertyId];
+        PropertyGovernance storage governance = propertyGovernance[propertyId];
+        require(governance.soldOut, "Property not sold");
+        
+        ShareholderInfo storage shareholder = shareholderInfo[msg.sender][propertyId];
+        uint256 shares = shareholder.shares;
+        uint256 amount = (governance.buyoutProceeds * shares) / fracProp.totalShares;
+        
+        PropertyShareToken(fracProp.tokenContract).burnFrom(msg.sender, shares);
+        
+        payable(msg.sender).transfer(amount);
+        
+        emit SharesRedeemed(propertyId, msg.sender, shares, amount);
+    }
+    
+    /**
+     * @dev List shares for sale at a fixed price per share. The shares are held in escrow
+     * until they are bought or the listing is cancelled, so they do not vote or earn
+     * dividends while listed. The caller must approve this contract for the shares first.
+     */
+    function listShares(uint256 propertyId, uint256 shares, uint256 pricePerShare) 
+        external 
+        validProperty(propertyId) 
+        notSold(propertyId) 
+        onlyShareholder(propertyId) 
+        whenNotPaused 
+        nonReentrant 
+        returns (uint256) 
+    {
+        require(shares > 0, "Must list at least 1 share");
+        require(pricePerShare > 0, "Price must be greater than 0");
+        
+        require(shareholderInfo[msg.sender][propertyId].shares >= shares, "Insufficient shares");
+        
+        uint256 listingId = nextListingId++;
+        shareListings[listingId] = ShareListing({
+            id: listingId,
+            propertyId: propertyId,
+            seller: msg.sender,
+            shares: shares,
+            pricePerShare: pricePerShare,
+            active: true,
+            createdAt: block.timestamp
+        });
+        propertyShareListings[propertyId].push(listingId);
+        
+        PropertyShareToken(fractionalProperties[propertyId].tokenContract).transferFrom(msg.sender, address(this), shares);
+        
+        emit SharesListed(listingId, propertyId, msg.sender, shares, pricePerShare);
+        return listingId;
+    }
+    
+    /**
+     * @dev Buy some or all of the shares in a listing. The seller is paid the price minus
+     * the platform fee.
+     */
+    function buyListedShares(uint256 listingId, uint256 shares) 
+        external 
+        payable 
+        whenNotPaused 
+        nonReentrant 
+    {
+        ShareListing storage listing = shareListings[listingId];
+        require(listing.active, "Listing not active");
+        require(!propertyGovernance[listing.propertyId].soldOut, "Property has been sold");
+        require(msg.sender != listing.seller, "Cannot buy your own shares");
+        require(shares > 0, "Must purchase at least 1 share");
+        require(shares <= listing.shares, "Not enough shares listed");
+        
+        uint256 totalPrice = shares * listing.pricePerShare;
+        require(msg.value >= totalPrice, "Insufficient payment");
+        
+        listing.shares -= shares;
+        if (listing.shares == 0) {
+            listing.active = false;
+        }
+        
+        uint256 propertyId = listing.propertyId;
+        PropertyShareToken(fractionalProperties[propertyId].tokenContract).transfer(msg.sender, shares);
+        
+        uint256 platformFee = (totalPrice * platformFeePercent) / 10000;
+        accumulatedFees += platformFee;
+        payable(listing.seller).transfer(totalPrice - platformFee);
+        
+        // Refund excess payment
+        if (msg.value > totalPrice) {
+            payable(msg.sender).transfer(msg.value - totalPrice);
+        }
+        
+        emit ListedSharesPurchased(listingId, propertyId, msg.sender, shares, totalPrice);
+    }
+    
+    /**
+     * @dev Cancel a listing and return the unsold shares to the seller. Allowed after a
+     * buyout so the shares can be redeemed.
+     */
+    function cancelShareListing(uint256 listingId) external nonReentrant {
+        ShareListing storage listing = shareListings[listingId];
+        require(listing.active, "Listing not active");
+        require(listing.seller == msg.sender, "Not the seller");
+        
+        uint256 shares = listing.shares;
+        uint256 propertyId = listing.propertyId;
+        listing.shares = 0;
+        listing.active = false;
+        
+        PropertyShareToken(fractionalProperties[propertyId].tokenContract).transfer(msg.sender, shares);
+        
+        emit ShareListingCancelled(listingId, propertyId, shares);
+    }
+    
+    /**
+     * @dev Get all share listings of a property, including filled and cancelled ones
+     */
+    function getPropertyShareListings(uint256 propertyId) 
+        external 
+        view 
+        validProperty(propertyId) 
+        returns (uint256[] memory) 
+    {
+        return propertyShareListings[propertyId];
     }
     
     /**
@@ -401,6 +731,64 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         );
     }
     
+    /**
+     * @dev Delegate the caller's voting power for a property's shares, e.g. to a manager.
+     * Holders vote for themselves until they delegate.
+     */
+    function delegateVotes(uint256 propertyId, address delegatee) external validProperty(propertyId) {
+        require(delegatee != address(0), "Invalid delegatee");
+        PropertyShareToken(fractionalProperties[propertyId].tokenContract).delegateFor(msg.sender, delegatee);
+    }
+    
+    /**
+     * @dev Get an account's current voting power for a property
+     */
+    function getVotingPower(uint256 propertyId, address account) 
+        external 
+        view 
+        validProperty(propertyId) 
+        returns (uint256) 
+    {
+        return PropertyShareToken(fractionalProperties[propertyId].tokenContract).getVotes(account);
+    }
+    
+    /**
+     * @dev Get an account's voting power for a proposal, as of its snapshot
+     */
+    function getProposalVotingPower(bytes32 proposalId, address account) external view returns (uint256) {
+        Proposal storage proposal = proposals[proposalId];
+        require(proposal.deadline > 0, "Proposal does not exist");
+        return PropertyShareToken(fractionalProperties[proposal.propertyId].tokenContract)
+            .getPastVotes(account, proposal.snapshotBlock);
+    }
+    
+    /**
+     * @dev Get treasury, rent and sale state of a property
+     */
+    function getPropertyGovernance(uint256 propertyId) 
+        external 
+        view 
+        validProperty(propertyId) 
+        returns (
+            uint256 treasury,
+            uint256 monthlyRent,
+            uint256 salePrice,
+            bool soldOut,
+            address buyer,
+            uint256 buyoutProceeds
+        ) 
+    {
+        PropertyGovernance storage governance = propertyGovernance[propertyId];
+        return (
+            governance.treasury,
+            governance.monthlyRent,
+            governance.salePrice,
+            governance.soldOut,
+            governance.buyer,
+            governance.buyoutProceeds
+        );
+    }
+    
     /**
      * @dev Get shareholder information
      */
@@ -413,6 +801,16 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
         return (info.shares, info.lastDividendClaim, info.isActive);
     }
     
+    /**
+     * @dev Get the dividends an account can claim for a property
+     */
+    function getClaimableDividends(uint256 propertyId, address account) external view returns (uint256) {
+        ShareholderInfo storage info = shareholderInfo[account][propertyId];
+        uint256 dividendsPerShare = dividendLedgers[propertyId].dividendsPerShare;
+        return info.unclaimedDividends + 
+            (info.shares * (dividendsPerShare - info.dividendsPerSharePaid)) / DIVIDEND_PRECISION;
+    }
+    
     /**
      * @dev Get property shareholders
      */
@@ -438,50 +836,136 @@ contract FractionalOwnership is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Set platform fee (only owner)
+     * @dev Set platform fee (fee manager)
      */
-    function setPlatformFee(uint256 _feePercent) external onlyOwner {
+    function setPlatformFee(uint256 _feePercent) external onlyRole(FEE_MANAGER_ROLE) {
         require(_feePercent <= 1000, "Fee cannot exceed 10%");
         platformFeePercent = _feePercent;
     }
     
     /**
-     * @dev Withdraw platform fees (only owner)
+     * @dev Withdraw platform fees (fee manager). Treasuries, dividends and buyout proceeds are not fees.
      */
-    function withdrawFees() external onlyOwner {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No fees to withdraw");
-        payable(owner()).transfer(balance);
+    function withdrawFees() external onlyRole(FEE_MANAGER_ROLE) {
+        uint256 fees = accumulatedFees;
+        require(fees > 0, "No fees to withdraw");
+        accumulatedFees = 0;
+        payable(msg.sender).transfer(fees);
     }
     
     /**
-     * @dev Pause contract (only owner)
+     * @dev Pause contract (pauser)
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
-     * @dev Unpause contract (only owner)
+     * @dev Unpause contract (pauser)
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
     /**
-     * @dev Receive function to accept ETH
+     * @dev Keep the dividend ledger in step with the share token, which calls this on every mint,
+     * burn and transfer, direct ERC20 transfers included. Dividends earned so far stay with the
+     * sender; shares escrowed here for listings earn none.
      */
-    receive() external payable {}
+    function onShareTransfer(uint256 propertyId, address from, address to, uint256 shares) external {
+        require(msg.sender == fractionalProperties[propertyId].tokenContract, "Only the share token");
+        if (shares == 0) {
+            return;
+        }
+        
+        if (from != address(0) && from != address(this)) {
+            _debitShares(propertyId, from, shares);
+        }
+        if (to != address(0) && to != address(this)) {
+            _creditShares(propertyId, to, shares);
+        }
+    }
+    
+    function _distributeDividends(uint256 propertyId, uint256 amount) private {
+        DividendLedger storage ledger = dividendLedgers[propertyId];
+        require(ledger.eligibleShares > 0, "No shareholders to pay");
+        
+        ledger.dividendsPerShare += (amount * DIVIDEND_PRECISION) / ledger.eligibleShares;
+        
+        FractionalProperty storage fracProp = fractionalProperties[propertyId];
+        fracProp.dividendPool += amount;
+        fracProp.lastDividendDistribution = block.timestamp;
+        
+        emit DividendsDistributed(propertyId, amount, amount / ledger.eligibleShares);
+    }
+    
+    // Settle dividends earned on an account's current shares into unclaimedDividends.
+    // Must run before every change to the account's shares.
+    function _updateDividends(uint256 propertyId, address account) private {
+        ShareholderInfo storage shareholder = shareholderInfo[account][propertyId];
+        uint256 dividendsPerShare = dividendLedgers[propertyId].dividendsPerShare;
+        
+        shareholder.unclaimedDividends += 
+            (shareholder.shares * (dividendsPerShare - shareholder.dividendsPerSharePaid)) / DIVIDEND_PRECISION;
+        shareholder.dividendsPerSharePaid = dividendsPerShare;
+    }
+    
+    // Add shares to an account, registering it as a shareholder if it has never held any
+    function _creditShares(uint256 propertyId, address account, uint256 shares) private {
+        _updateDividends(propertyId, account);
+        dividendLedgers[propertyId].eligibleShares += shares;
+        
+        ShareholderInfo storage shareholder = shareholderInfo[account][propertyId];
+        if (shareholder.shares == 0) {
+            if (shareholder.lastDividendClaim == 0) {
+                propertyShareholders[propertyId].push(account);
+            }
+            shareholder.isActive = true;
+            shareholder.lastDividendClaim = block.timestamp;
+        }
+        shareholder.shares += shares;
+    }
+    
+    function _debitShares(uint256 propertyId, address account, uint256 shares) private {
+        _updateDividends(propertyId, account);
+        dividendLedgers[propertyId].eligibleShares -= shares;
+        
+        ShareholderInfo storage shareholder = shareholderInfo[account][propertyId];
+        shareholder.shares -= shares;
+        if (shareholder.shares == 0) {
+            shareholder.isActive = false;
+        }
+    }
+    
+    // No receive function: a property held here is only sold through buyout and never listed in
+    // the registry, so PropertyTransactions won't take a buyer's escrow for it, and any other
+    // payment reverts instead of leaving the shareholders unpaid.
 }
 
 /**
  * @title PropertyShareToken
- * @dev ERC20 token representing shares in a fractionalized property
+ * @dev ERC20 token representing shares in a fractionalized property, with ERC20Votes-style
+ * checkpointed voting power. Holders are self-delegated on first receipt so their shares
+ * vote by default. Every balance change is reported to FractionalOwnership so dividends follow
+ * the shares. Kept lean because FractionalOwnership embeds its creation code.
  */
 contract PropertyShareToken is ERC20 {
+    struct Checkpoint {
+        uint32 fromBlock;
+        uint224 votes;
+    }
+    
     address public fractionalOwnershipContract;
+    uint256 public propertyId;
     uint256 public maxSupply;
     
+    mapping(address => address) private _delegates;
+    mapping(address => Checkpoint[]) private _checkpoints;
+    Checkpoint[] private _totalSupplyCheckpoints;
+    
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event DelegateVotesChanged(address indexed delegate, uint256 previousBalance, uint256 newBalance);
+    
     modifier onlyFractionalContract() {
         require(msg.sender == fractionalOwnershipContract, "Only fractional contract can mint");
         _;
@@ -491,10 +975,12 @@ contract PropertyShareToken is ERC20 {
         string memory name,
         string memory symbol,
         uint256 _maxSupply,
-        address _fractionalContract
+        address _fractionalContract,
+        uint256 _propertyId
     ) ERC20(name, symbol) {
         maxSupply = _maxSupply;
         fractionalOwnershipContract = _fractionalContract;
+        propertyId = _propertyId;
     }
     
     function mint(address to, uint256 amount) external onlyFractionalContract {
@@ -505,4 +991,116 @@ contract PropertyShareToken is ERC20 {
     function burn(uint256 amount) external {
         _burn(msg.sender, amount);
     }
+    
+    function burnFrom(address account, uint256 amount) external onlyFractionalContract {
+        _burn(account, amount);
+    }
+    
+    /**
+     * @dev Delegate the caller's voting power
+     */
+    function delegate(address delegatee) external {
+        _delegate(msg.sender, delegatee);
+    }
+    
+    function delegateFor(address delegator, address delegatee) external onlyFractionalContract {
+        _delegate(delegator, delegatee);
+    }
+    
+    function delegates(address account) public view returns (address) {
+        return _delegates[account];
+    }
+    
+    /**
+     * @dev Current voting power of an account
+     */
+    function getVotes(address account) external view returns (uint256) {
+        return _latestVotes(_checkpoints[account]);
+    }
+    
+    /**
+     * @dev Voting power of an account at the end of a past block
+     */
+    function getPastVotes(address account, uint256 blockNumber) external view returns (uint256) {
+        require(blockNumber < block.number, "Block not yet mined");
+        return _checkpointsLookup(_checkpoints[account], blockNumber);
+    }
+    
+    /**
+     * @dev Total supply at the end of a past block
+     */
+    function getPastTotalSupply(uint256 blockNumber) external view returns (uint256) {
+        require(blockNumber < block.number, "Block not yet mined");
+        return _checkpointsLookup(_totalSupplyCheckpoints, blockNumber);
+    }
+    
+    function _afterTokenTransfer(address from, address to, uint256 amount) internal override {
+        super._afterTokenTransfer(from, to, amount);
+        
+        if (from == address(0) || to == address(0)) {
+            _writeCheckpoint(_totalSupplyCheckpoints, totalSupply());
+        }
+        
+        _moveVotingPower(_delegates[from], _delegates[to], amount);
+        
+        if (to != address(0) && _delegates[to] == address(0)) {
+            _delegate(to, to);
+        }
+        
+        FractionalOwnership(fractionalOwnershipContract).onShareTransfer(propertyId, from, to, amount);
+    }
+    
+    function _delegate(address delegator, address delegatee) internal {
+        address currentDelegate = _delegates[delegator];
+        _delegates[delegator] = delegatee;
+        
+        emit DelegateChanged(delegator, currentDelegate, delegatee);
+        
+        _moveVotingPower(currentDelegate, delegatee, balanceOf(delegator));
+    }
+    
+    function _moveVotingPower(address src, address dst, uint256 amount) private {
+        if (src == dst || amount == 0) {
+            return;
+        }
+        if (src != address(0)) {
+            uint256 oldVotes = _latestVotes(_checkpoints[src]);
+            _writeCheckpoint(_checkpoints[src], oldVotes - amount);
+            emit DelegateVotesChanged(src, oldVotes, oldVotes - amount);
+        }
+        if (dst != address(0)) {
+            uint256 oldVotes = _latestVotes(_checkpoints[dst]);
+            _writeCheckpoint(_checkpoints[dst], oldVotes + amount);
+            emit DelegateVotesChanged(dst, oldVotes, oldVotes + amount);
+        }
+    }
+    
+    // Record a new value, overwriting the last checkpoint if it is from the current block
+    function _writeCheckpoint(Checkpoint[] storage checkpoints, uint256 votes) private {
+        uint256 length = checkpoints.length;
+        if (length > 0 && checkpoints[length - 1].fromBlock == block.number) {
+            checkpoints[length - 1].votes = uint224(votes);
+        } else {
+            checkpoints.push(Checkpoint({fromBlock: uint32(block.number), votes: uint224(votes)}));
+        }
+    }
+    
+    function _latestVotes(Checkpoint[] storage checkpoints) private view returns (uint256) {
+        return checkpoints.length == 0 ? 0 : checkpoints[checkpoints.length - 1].votes;
+    }
+    
+    // Binary search for the last checkpoint at or before blockNumber
+    function _checkpointsLookup(Checkpoint[] storage checkpoints, uint256 blockNumber) private view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = checkpoints.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (checkpoints[mid].fromBlock > blockNumber) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return high == 0 ? 0 : checkpoints[high - 1].votes;
+    }
 }
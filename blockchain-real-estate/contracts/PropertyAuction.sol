@@ -2,16 +2,30 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
-import "./PropertyRegistry.sol";
+import "./core/access/PlatformRoles.sol";
+import "./core/interfaces/IPropertyRegistry.sol";
 
 /**
  * @title PropertyAuction
- * @dev Smart contract for conducting property auctions
+ * @dev Smart contract for conducting property auctions. Settlement hands the property to the
+ * winner through the registry, so this contract must hold the registry's TRANSFER_AGENT_ROLE.
  */
-contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
-    PropertyRegistry public propertyRegistry;
+contract PropertyAuction is ReentrancyGuard, PlatformRoles, Pausable {
+    IPropertyRegistry public propertyRegistry;
+    
+    enum AuctionMode {
+        English,            // Open ascending bids
+        SealedFirstPrice,   // Commit-reveal, winner pays their own bid
+        SealedSecondPrice,  // Commit-reveal, winner pays the second-highest bid (Vickrey)
+        Dutch               // Price falls from startingPrice to reservePrice; first buyer wins
+    }
+    
+    struct SealedBid {
+        bytes32 commitment;
+        uint256 deposit;
+        bool revealed;
+    }
     
     struct Auction {
         uint256 propertyId;
@@ -27,6 +41,12 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
         bool cancelled;
         mapping(address => uint256) bids;
         address[] bidders;
+        AuctionMode mode;
+        uint256 revealEndTime;
+        uint256 secondBid;
+        uint256 unrevealedDeposits;
+        mapping(address => SealedBid) sealedBids;
+        uint256 softCloseWindow; // Fixed at creation so later admin changes don't alter running auctions
     }
     
     struct AuctionInfo {
@@ -42,24 +62,32 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
         bool ended;
         bool cancelled;
         uint256 totalBidders;
+        AuctionMode mode;
+        uint256 revealEndTime;
+        uint256 softCloseWindow;
     }
     
-    mapping(uint256 => Auction) public auctions;
+    // Internal so the generated getter cannot expose reservePrice before the auction ends
+    mapping(uint256 => Auction) internal auctions;
     mapping(uint256 => uint256) public propertyToAuction; // propertyId => auctionId
     mapping(address => uint256[]) public userAuctions;
     
     uint256 public nextAuctionId = 1;
     uint256 public platformFeePercent = 250; // 2.5%
+    uint256 public accumulatedFees;
     uint256 public constant MAX_AUCTION_DURATION = 30 days;
     uint256 public constant MIN_AUCTION_DURATION = 1 hours;
     uint256 public constant MIN_BID_INCREMENT = 0.01 ether;
+    uint256 public constant MAX_SOFT_CLOSE_WINDOW = 1 hours;
+    uint256 public constant MIN_REVEAL_DURATION = 1 hours;
+    uint256 public constant MAX_REVEAL_DURATION = 7 days;
+    uint256 public softCloseWindow = 10 minutes; // Bids inside this window extend auctions created from now on
     
     event AuctionCreated(
         uint256 indexed auctionId,
         uint256 indexed propertyId,
         address indexed seller,
         uint256 startingPrice,
-        uint256 reservePrice,
         uint256 startTime,
         uint256 endTime
     );
@@ -79,12 +107,40 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
     
     event AuctionCancelled(uint256 indexed auctionId);
     
+    event AuctionExtended(
+        uint256 indexed auctionId,
+        uint256 previousEndTime,
+        uint256 newEndTime
+    );
+    
+    event BidCommitted(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 deposit
+    );
+    
+    event BidRevealed(
+        uint256 indexed auctionId,
+        address indexed bidder,
+        uint256 amount
+    );
+    
+    event DepositsForfeited(
+        uint256 indexed auctionId,
+        uint256 amount
+    );
+    
     event BidWithdrawn(
         uint256 indexed auctionId,
         address indexed bidder,
         uint256 amount
     );
     
+    event TransferFailed(
+        uint256 indexed auctionId,
+        address indexed winner
+    );
+    
     modifier validAuction(uint256 auctionId) {
         require(auctionId > 0 && auctionId < nextAuctionId, "Invalid auction ID");
         _;
@@ -96,17 +152,31 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
     }
     
     modifier onlyPropertyOwner(uint256 propertyId) {
-        (,,,, address owner,,,,) = propertyRegistry.getProperty(propertyId);
-        require(owner == msg.sender, "Not the property owner");
+        require(propertyRegistry.getProperty(propertyId).owner == msg.sender, "Not the property owner");
         _;
     }
     
     constructor(address _propertyRegistry) {
-        propertyRegistry = PropertyRegistry(_propertyRegistry);
+        propertyRegistry = IPropertyRegistry(_propertyRegistry);
+    }
+    
+    modifier onlyEnglish(uint256 auctionId) {
+        require(auctions[auctionId].mode == AuctionMode.English, "Not an open auction");
+        _;
+    }
+    
+    modifier onlySealed(uint256 auctionId) {
+        require(_isSealed(auctions[auctionId].mode), "Not a sealed-bid auction");
+        _;
+    }
+    
+    modifier onlyDutch(uint256 auctionId) {
+        require(auctions[auctionId].mode == AuctionMode.Dutch, "Not a Dutch auction");
+        _;
     }
     
     /**
-     * @dev Create a new auction for a property
+     * @dev Create a new open (English) auction for a property
      */
     function createAuction(
         uint256 propertyId,
@@ -115,17 +185,56 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
         uint256 duration,
         uint256 bidIncrement
     ) external onlyPropertyOwner(propertyId) whenNotPaused nonReentrant {
+        _createAuction(propertyId, startingPrice, reservePrice, duration, bidIncrement, AuctionMode.English, 0);
+    }
+    
+    /**
+     * @dev Create a new auction in the given mode. For sealed-bid modes, duration is the
+     * commit phase and revealDuration the reveal phase that follows it. Dutch auctions fall
+     * linearly from startingPrice to reservePrice over duration.
+     */
+    function createAuction(
+        uint256 propertyId,
+        uint256 startingPrice,
+        uint256 reservePrice,
+        uint256 duration,
+        uint256 bidIncrement,
+        AuctionMode mode,
+        uint256 revealDuration
+    ) external onlyPropertyOwner(propertyId) whenNotPaused nonReentrant {
+        if (_isSealed(mode)) {
+            require(revealDuration >= MIN_REVEAL_DURATION && revealDuration <= MAX_REVEAL_DURATION, 
+                    "Invalid reveal duration");
+        } else {
+            require(revealDuration == 0, "Reveal duration only applies to sealed bids");
+        }
+        _createAuction(propertyId, startingPrice, reservePrice, duration, bidIncrement, mode, revealDuration);
+    }
+    
+    function _createAuction(
+        uint256 propertyId,
+        uint256 startingPrice,
+        uint256 reservePrice,
+        uint256 duration,
+        uint256 bidIncrement,
+        AuctionMode mode,
+        uint256 revealDuration
+    ) internal {
         require(startingPrice > 0, "Starting price must be greater than 0");
-        require(reservePrice >= startingPrice, "Reserve price must be >= starting price");
+        if (mode == AuctionMode.Dutch) {
+            require(reservePrice > 0 && reservePrice < startingPrice, "Reserve price must be below starting price");
+        } else {
+            require(reservePrice >= startingPrice, "Reserve price must be >= starting price");
+        }
         require(duration >= MIN_AUCTION_DURATION && duration <= MAX_AUCTION_DURATION, "Invalid duration");
         require(bidIncrement >= MIN_BID_INCREMENT, "Bid increment too low");
         require(propertyToAuction[propertyId] == 0, "Property already has an active auction");
         
         // Verify property exists and is verified
-        (,,,, address owner, bool verified, bool forSale,,) = propertyRegistry.getProperty(propertyId);
-        require(verified, "Property must be verified");
-        require(forSale, "Property must be listed for sale");
-        require(owner == msg.sender, "Not the property owner");
+        IPropertyRegistry.Property memory property = propertyRegistry.getProperty(propertyId);
+        require(propertyRegistry.isVerificationValid(propertyId), "Property must be verified");
+        require(property.forSale, "Property must be listed for sale");
+        require(property.owner == msg.sender, "Not the property owner");
         
         uint256 auctionId = nextAuctionId++;
         uint256 startTime = block.timestamp;
@@ -139,6 +248,11 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
         auction.startTime = startTime;
         auction.endTime = endTime;
         auction.bidIncrement = bidIncrement;
+        auction.mode = mode;
+        auction.softCloseWindow = softCloseWindow;
+        if (_isSealed(mode)) {
+            auction.revealEndTime = endTime + revealDuration;
+        }
         
         propertyToAuction[propertyId] = auctionId;
         userAuctions[msg.sender].push(auctionId);
@@ -148,7 +262,6 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
             propertyId,
             msg.sender,
             startingPrice,
-            reservePrice,
             startTime,
             endTime
         );
@@ -162,6 +275,7 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
         payable 
         validAuction(auctionId) 
         auctionExists(auctionId) 
+        onlyEnglish(auctionId) 
         whenNotPaused 
         nonReentrant 
     {
@@ -194,14 +308,109 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
             auction.bidders.push(msg.sender);
         }
         
-        // Extend auction if bid placed in last 10 minutes
-        if (auction.endTime - block.timestamp < 10 minutes) {
-            auction.endTime = block.timestamp + 10 minutes;
+        // Soft close: a bid inside the window pushes the end out to a full window from now
+        if (auction.endTime - block.timestamp < auction.softCloseWindow) {
+            uint256 previousEndTime = auction.endTime;
+            auction.endTime = block.timestamp + auction.softCloseWindow;
+            emit AuctionExtended(auctionId, previousEndTime, auction.endTime);
         }
         
         emit BidPlaced(auctionId, msg.sender, msg.value, block.timestamp);
     }
     
+    /**
+     * @dev Commit a sealed bid. The deposit must cover the bid that will be revealed;
+     * depositing more than the bid hides its size.
+     */
+    function commitBid(uint256 auctionId, bytes32 commitment) 
+        external 
+        payable 
+        validAuction(auctionId) 
+        auctionExists(auctionId) 
+        onlySealed(auctionId) 
+        whenNotPaused 
+        nonReentrant 
+    {
+        Auction storage auction = auctions[auctionId];
+        
+        require(block.timestamp < auction.endTime, "Commit phase has ended");
+        require(!auction.cancelled, "Auction cancelled");
+        require(msg.sender != auction.seller, "Seller cannot bid");
+        require(commitment != bytes32(0), "Invalid commitment");
+        require(msg.value >= auction.startingPrice, "Deposit below starting price");
+        
+        SealedBid storage sealedBid = auction.sealedBids[msg.sender];
+        require(sealedBid.commitment == bytes32(0), "Bid already committed");
+        
+        sealedBid.commitment = commitment;
+        sealedBid.deposit = msg.value;
+        auction.unrevealedDeposits += msg.value;
+        auction.bidders.push(msg.sender);
+        
+        emit BidCommitted(auctionId, msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev Reveal a sealed bid during the reveal phase. Any deposit above the bid, and the
+     * whole bid once it is outbid or if it is below the starting price, becomes withdrawable.
+     */
+    function revealBid(uint256 auctionId, uint256 amount, bytes32 salt) 
+        external 
+        validAuction(auctionId) 
+        auctionExists(auctionId) 
+        onlySealed(auctionId) 
+        nonReentrant 
+    {
+        Auction storage auction = auctions[auctionId];
+        SealedBid storage sealedBid = auction.sealedBids[msg.sender];
+        
+        require(block.timestamp >= auction.endTime, "Commit phase still active");
+        require(block.timestamp < auction.revealEndTime, "Reveal phase has ended");
+        require(!auction.cancelled, "Auction cancelled");
+        require(sealedBid.commitment != bytes32(0), "No committed bid");
+        require(!sealedBid.revealed, "Bid already revealed");
+        require(
+            sealedBid.commitment == computeCommitment(auctionId, msg.sender, amount, salt),
+            "Commitment mismatch"
+        );
+        require(amount <= sealedBid.deposit, "Bid exceeds deposit");
+        
+        sealedBid.revealed = true;
+        auction.unrevealedDeposits -= sealedBid.deposit;
+        auction.bids[msg.sender] += sealedBid.deposit - amount;
+        
+        if (amount < auction.startingPrice) {
+            // Too low to count; the bid itself is refundable
+            auction.bids[msg.sender] += amount;
+        } else if (amount > auction.currentBid) {
+            if (auction.currentBidder != address(0)) {
+                auction.bids[auction.currentBidder] += auction.currentBid;
+            }
+            auction.secondBid = auction.currentBid;
+            auction.currentBid = amount;
+            auction.currentBidder = msg.sender;
+        } else {
+            // Ties go to the earlier reveal
+            if (amount > auction.secondBid) {
+                auction.secondBid = amount;
+            }
+            auction.bids[msg.sender] += amount;
+        }
+        
+        emit BidRevealed(auctionId, msg.sender, amount);
+    }
+    
+    /**
+     * @dev Commitment for a sealed bid, binding it to the auction and bidder
+     */
+    function computeCommitment(uint256 auctionId, address bidder, uint256 amount, bytes32 salt) 
+        public 
+        pure 
+        returns (bytes32) 
+    {
+        return keccak256(abi.encodePacked(auctionId, bidder, amount, salt));
+    }
+    
     /**
      * @dev End an auction
      */
@@ -214,23 +423,106 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
         Auction storage auction = auctions[auctionId];
         
         require(block.timestamp >= auction.endTime, "Auction still active");
+        require(!_isSealed(auction.mode) || block.timestamp >= auction.revealEndTime, "Reveal phase still active");
+        require(!auction.ended, "Auction already ended");
+        require(!auction.cancelled, "Auction cancelled");
+        
+        _settle(auctionId);
+    }
+    
+    /**
+     * @dev Buy a Dutch auction at its current price. Any excess payment is refunded.
+     */
+    function buyAtCurrentPrice(uint256 auctionId) 
+        external 
+        payable 
+        validAuction(auctionId) 
+        auctionExists(auctionId) 
+        onlyDutch(auctionId) 
+        whenNotPaused 
+        nonReentrant 
+    {
+        Auction storage auction = auctions[auctionId];
+        
+        require(block.timestamp < auction.endTime, "Auction has ended");
         require(!auction.ended, "Auction already ended");
         require(!auction.cancelled, "Auction cancelled");
+        require(msg.sender != auction.seller, "Seller cannot bid");
+        
+        uint256 price = _dutchPrice(auction);
+        require(msg.value >= price, "Payment below current price");
+        
+        auction.currentBid = price;
+        auction.currentBidder = msg.sender;
+        auction.bidders.push(msg.sender);
         
+        emit BidPlaced(auctionId, msg.sender, price, block.timestamp);
+        
+        _settle(auctionId);
+        
+        if (msg.value > price) {
+            payable(msg.sender).transfer(msg.value - price);
+        }
+    }
+    
+    /**
+     * @dev Get the current price of a Dutch auction
+     */
+    function getCurrentPrice(uint256 auctionId) 
+        external 
+        view 
+        validAuction(auctionId) 
+        onlyDutch(auctionId) 
+        returns (uint256) 
+    {
+        Auction storage auction = auctions[auctionId];
+        return auction.currentBidder != address(0) ? auction.currentBid : _dutchPrice(auction);
+    }
+    
+    // Pay out a finished auction: forfeited deposits, then the sale or refunds. A seller who no
+    // longer owns the property can't deliver it, so the sale falls through and the winner is refunded.
+    // The same happens if the registry refuses the transfer (e.g. this contract lost its transfer
+    // agent role), so bids never stay locked behind a settlement that can't complete.
+    function _settle(uint256 auctionId) internal {
+        Auction storage auction = auctions[auctionId];
         auction.ended = true;
         
-        if (auction.currentBidder != address(0) && auction.currentBid >= auction.reservePrice) {
+        // Deposits behind bids that were never revealed go to the seller
+        uint256 forfeited = auction.unrevealedDeposits;
+        if (forfeited > 0) {
+            auction.unrevealedDeposits = 0;
+            payable(auction.seller).transfer(forfeited);
+            emit DepositsForfeited(auctionId, forfeited);
+        }
+        
+        bool sold = auction.currentBidder != address(0) &&
+            auction.currentBid >= auction.reservePrice &&
+            propertyRegistry.getProperty(auction.propertyId).owner == auction.seller;
+        
+        if (sold) {
+            // Hand over the property (and its token, if tokenized) before paying anyone
+            try propertyRegistry.transferProperty(auction.propertyId, auction.currentBidder) {
+            } catch {
+                sold = false;
+                emit TransferFailed(auctionId, auction.currentBidder);
+            }
+        }
+        
+        if (sold) {
             // Successful auction
-            uint256 platformFee = (auction.currentBid * platformFeePercent) / 10000;
-            uint256 sellerAmount = auction.currentBid - platformFee;
+            uint256 salePrice = _salePrice(auction);
+            uint256 platformFee = (salePrice * platformFeePercent) / 10000;
+            uint256 sellerAmount = salePrice - platformFee;
+            accumulatedFees += platformFee;
             
-            // Transfer payment to seller
-            payable(auction.seller).transfer(sellerAmount);
+            // Vickrey winners get back the difference between their bid and the price paid
+            if (salePrice < auction.currentBid) {
+                auction.bids[auction.currentBidder] += auction.currentBid - salePrice;
+            }
             
-            // Transfer property ownership (this would need to be implemented in PropertyRegistry)
-            // propertyRegistry.transferProperty(auction.propertyId, auction.currentBidder);
+            payable(auction.seller).transfer(sellerAmount);
             
-            emit AuctionEnded(auctionId, auction.currentBidder, auction.currentBid);
+            emit AuctionEnded(auctionId, auction.currentBidder, salePrice);
         } else {
             // Auction failed - refund highest bidder
             if (auction.currentBidder != address(0)) {
@@ -258,7 +550,7 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
         Auction storage auction = auctions[auctionId];
         
         require(msg.sender == auction.seller, "Only seller can cancel");
-        require(auction.currentBidder == address(0), "Cannot cancel auction with bids");
+        require(auction.bidders.length == 0, "Cannot cancel auction with bids");
         require(!auction.ended, "Auction already ended");
         require(!auction.cancelled, "Auction already cancelled");
         
@@ -280,9 +572,17 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
         Auction storage auction = auctions[auctionId];
         uint256 amount = auction.bids[msg.sender];
         
-        require(amount > 0, "No bid to withdraw");
+        // Unrevealed deposits are only refundable if the auction was called off
+        SealedBid storage sealedBid = auction.sealedBids[msg.sender];
+        if (auction.cancelled && !sealedBid.revealed && sealedBid.deposit > 0) {
+            amount += sealedBid.deposit;
+            auction.unrevealedDeposits -= sealedBid.deposit;
+            sealedBid.deposit = 0;
+        }
+        
         require(msg.sender != auction.currentBidder || auction.ended || auction.cancelled, 
                 "Cannot withdraw current winning bid");
+        require(amount > 0, "No bid to withdraw");
         
         auction.bids[msg.sender] = 0;
         payable(msg.sender).transfer(amount);
@@ -291,7 +591,8 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Get auction information
+     * @dev Get auction information. reservePrice reads as 0 until the auction has ended
+     * or been cancelled; it is still visible in createAuction calldata and raw storage.
      */
     function getAuction(uint256 auctionId) 
         external 
@@ -305,7 +606,10 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
             propertyId: auction.propertyId,
             seller: auction.seller,
             startingPrice: auction.startingPrice,
-            reservePrice: auction.reservePrice,
+            // Dutch floors are implied by the published price curve, so there is nothing to hide
+            reservePrice: auction.ended || auction.cancelled || auction.mode == AuctionMode.Dutch 
+                ? auction.reservePrice 
+                : 0,
             currentBid: auction.currentBid,
             currentBidder: auction.currentBidder,
             startTime: auction.startTime,
@@ -313,7 +617,10 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
             bidIncrement: auction.bidIncrement,
             ended: auction.ended,
             cancelled: auction.cancelled,
-            totalBidders: auction.bidders.length
+            totalBidders: auction.bidders.length,
+            mode: auction.mode,
+            revealEndTime: auction.revealEndTime,
+            softCloseWindow: auction.softCloseWindow
         });
     }
     
@@ -348,6 +655,18 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
         return userAuctions[user];
     }
     
+    /**
+     * @dev Get a bidder's sealed bid
+     */
+    function getSealedBid(uint256 auctionId, address bidder) 
+        external 
+        view 
+        validAuction(auctionId) 
+        returns (SealedBid memory) 
+    {
+        return auctions[auctionId].sealedBids[bidder];
+    }
+    
     /**
      * @dev Check if auction is active
      */
@@ -365,42 +684,59 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Set platform fee (only owner)
+     * @dev Set platform fee (fee manager)
      */
-    function setPlatformFee(uint256 _feePercent) external onlyOwner {
+    function setPlatformFee(uint256 _feePercent) external onlyRole(FEE_MANAGER_ROLE) {
         require(_feePercent <= 1000, "Fee cannot exceed 10%"); // Max 10%
         platformFeePercent = _feePercent;
     }
     
     /**
-     * @dev Withdraw platform fees (only owner)
+     * @dev Set the soft-close window for new auctions (admin). Zero disables extensions.
+     * Running auctions keep the window they were created with.
      */
-    function withdrawFees() external onlyOwner {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No fees to withdraw");
-        payable(owner()).transfer(balance);
+    function setSoftCloseWindow(uint256 _window) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_window <= MAX_SOFT_CLOSE_WINDOW, "Window cannot exceed 1 hour");
+        softCloseWindow = _window;
     }
     
     /**
-     * @dev Pause contract (only owner)
+     * @dev Withdraw platform fees (fee manager). Bids and deposits held for bidders are not fees.
      */
-    function pause() external onlyOwner {
+    function withdrawFees() external onlyRole(FEE_MANAGER_ROLE) {
+        uint256 fees = accumulatedFees;
+        require(fees > 0, "No fees to withdraw");
+        accumulatedFees = 0;
+        payable(msg.sender).transfer(fees);
+    }
+    
+    /**
+     * @dev Pause contract (pauser)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
-     * @dev Unpause contract (only owner)
+     * @dev Unpause contract (pauser)
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
     /**
-     * @dev Emergency function to end auction (only owner)
+     * @dev Emergency function to end auction (admin). Calls the auction off without touching
+     * the registry; every bid and deposit becomes withdrawable.
      */
-    function emergencyEndAuction(uint256 auctionId) external onlyOwner {
+    function emergencyEndAuction(uint256 auctionId) 
+        external 
+        onlyRole(DEFAULT_ADMIN_ROLE) 
+        validAuction(auctionId) 
+        auctionExists(auctionId) 
+    {
         Auction storage auction = auctions[auctionId];
         require(!auction.ended, "Auction already ended");
+        require(!auction.cancelled, "Auction already cancelled");
         
         auction.ended = true;
         auction.cancelled = true;
@@ -415,4 +751,27 @@ contract PropertyAuction is ReentrancyGuard, Ownable, Pausable {
         propertyToAuction[auction.propertyId] = 0;
         emit AuctionCancelled(auctionId);
     }
-}
+    
+    function _isSealed(AuctionMode mode) internal pure returns (bool) {
+        return mode == AuctionMode.SealedFirstPrice || mode == AuctionMode.SealedSecondPrice;
+    }
+    
+    // Linear decline from startingPrice at startTime to reservePrice at endTime
+    function _dutchPrice(Auction storage auction) internal view returns (uint256) {
+        if (block.timestamp >= auction.endTime) {
+            return auction.reservePrice;
+        }
+        uint256 elapsed = block.timestamp - auction.startTime;
+        uint256 drop = ((auction.startingPrice - auction.reservePrice) * elapsed) / 
+            (auction.endTime - auction.startTime);
+        return auction.startingPrice - drop;
+    }
+    
+    // Price the winner pays; Vickrey auctions charge the runner-up bid, but never below the reserve
+    function _salePrice(Auction storage auction) internal view returns (uint256) {
+        if (auction.mode != AuctionMode.SealedSecondPrice) {
+            return auction.currentBid;
+        }
+        return auction.secondBid > auction.reservePrice ? auction.secondBid : auction.reservePrice;
+    }
+}
\ No newline at end of file
@@ -2,16 +2,21 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
-import "./PropertyRegistry.sol";
+import "./core/access/PlatformRoles.sol";
+import "./core/interfaces/IPropertyRegistry.sol";
+import "./PropertyAuction.sol";
 
 /**
  * @title PropertyFinancing
- * @dev Smart contract for property financing and mortgage management
+ * @dev Smart contract for property financing and mortgage management.
+ * Funding a loan moves the collateral into this contract until the mortgage is paid off or
+ * foreclosed, so it can't be sold from under the lender. The collateral moves through the
+ * registry, so this contract must hold the registry's TRANSFER_AGENT_ROLE.
  */
-contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
-    PropertyRegistry public propertyRegistry;
+contract PropertyFinancing is ReentrancyGuard, PlatformRoles, Pausable {
+    IPropertyRegistry public propertyRegistry;
+    PropertyAuction public propertyAuction;
     
     struct LoanApplication {
         uint256 id;
@@ -74,6 +79,13 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
         uint256 lateFee;
     }
     
+    struct Foreclosure {
+        uint256 auctionId;       // 0 when the collateral went straight to the lender
+        uint256 debt;            // Remaining balance plus unpaid late fees when foreclosure started
+        address recipient;       // Who received the collateral
+        uint256 proceeds;        // Net auction proceeds
+    }
+    
     enum LoanStatus {
         Pending,
         UnderReview,
@@ -88,7 +100,8 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
         PaidOff,
         Defaulted,
         InForeclosure,
-        Refinanced
+        Refinanced,
+        Foreclosed
     }
     
     mapping(uint256 => LoanApplication) public loanApplications;
@@ -97,14 +110,21 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
     mapping(uint256 => PaymentRecord[]) public paymentHistory;
     mapping(address => uint256[]) public borrowerLoans;
     mapping(address => uint256[]) public lenderLoans;
+    mapping(uint256 => uint256) public defaultedAt;
+    mapping(uint256 => Foreclosure) public foreclosures;
+    mapping(uint256 => uint256) public propertyToMortgage; // Collateral held for an open mortgage
     
     uint256 public nextLoanId = 1;
     uint256 public nextMortgageId = 1;
     uint256 public platformFeePercent = 100; // 1%
+    uint256 public accumulatedFees;
     uint256 public lateFeePercent = 500; // 5%
     uint256 public maxLoanToValue = 8000; // 80%
     uint256 public minCreditScore = 600;
     uint256 public gracePeriodDays = 15;
+    uint256 public foreclosureNoticeDays = 30; // Time a defaulted borrower has to catch up
+    
+    uint256 public constant RATE_PRECISION = 1e18; // Fixed-point scale for monthly rates
     
     event LoanApplicationSubmitted(
         uint256 indexed loanId,
@@ -132,6 +152,12 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
         uint256 remainingBalance
     );
     
+    event PrincipalPrepaid(
+        uint256 indexed mortgageId,
+        uint256 amount,
+        uint256 remainingBalance
+    );
+    
     event MortgagePaidOff(
         uint256 indexed mortgageId,
         address indexed borrower,
@@ -150,6 +176,24 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
         uint256 missedPayments
     );
     
+    event DefaultCured(
+        uint256 indexed mortgageId,
+        address indexed borrower
+    );
+    
+    event ForeclosureAuctionStarted(
+        uint256 indexed mortgageId,
+        uint256 indexed auctionId,
+        uint256 debt
+    );
+    
+    event MortgageForeclosed(
+        uint256 indexed mortgageId,
+        address indexed recipient,
+        uint256 debt,
+        uint256 proceeds
+    );
+    
     modifier validLoan(uint256 loanId) {
         require(loanId > 0 && loanId < nextLoanId, "Invalid loan ID");
         _;
@@ -171,22 +215,22 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
     }
     
     constructor(address _propertyRegistry) {
-        propertyRegistry = PropertyRegistry(_propertyRegistry);
+        propertyRegistry = IPropertyRegistry(_propertyRegistry);
     }
     
     /**
-     * @dev Register as a lender
+     * @dev Register as a lender. Lenders are vetted off-chain and granted LENDER_ROLE first.
      */
     function registerLender(
         string memory name,
         uint256 minLoanAmount,
         uint256 maxLoanAmount,
         uint256 minInterestRate,
-        uint256 maxLoanToValue,
+        uint256 lenderMaxLoanToValue,
         string[] memory supportedRegions
-    ) external payable whenNotPaused {
+    ) external payable onlyRole(LENDER_ROLE) whenNotPaused {
         require(msg.value > 0, "Must deposit funds");
-        require(maxLoanToValue <= 9500, "Max LTV cannot exceed 95%");
+        require(lenderMaxLoanToValue <= 9500, "Max LTV cannot exceed 95%");
         
         LenderProfile storage profile = lenderProfiles[msg.sender];
         profile.lender = msg.sender;
@@ -195,7 +239,7 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
         profile.minLoanAmount = minLoanAmount;
         profile.maxLoanAmount = maxLoanAmount;
         profile.minInterestRate = minInterestRate;
-        profile.maxLoanToValue = maxLoanToValue;
+        profile.maxLoanToValue = lenderMaxLoanToValue;
         profile.isActive = true;
         profile.supportedRegions = supportedRegions;
         
@@ -214,10 +258,10 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
         string memory employmentInfo,
         string memory incomeVerification
     ) external whenNotPaused returns (uint256) {
-        // Verify property ownership
-        (,,,, address owner, bool verified,,,) = propertyRegistry.getProperty(propertyId);
-        require(owner == msg.sender, "Not the property owner");
-        require(verified, "Property must be verified");
+        // Verify property ownership; a mortgaged property is held here until the mortgage closes
+        require(propertyToMortgage[propertyId] == 0, "Property already mortgaged");
+        require(propertyRegistry.getProperty(propertyId).owner == msg.sender, "Not the property owner");
+        require(propertyRegistry.isVerificationValid(propertyId), "Property must be verified");
         
         // Validate loan parameters
         require(loanAmount > 0, "Loan amount must be greater than 0");
@@ -246,12 +290,12 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Approve and fund loan application
+     * @dev Approve and fund loan application, taking the property into escrow as collateral
      */
     function approveLoan(
         uint256 loanId,
         uint256 interestRate
-    ) external validLoan(loanId) whenNotPaused nonReentrant {
+    ) external validLoan(loanId) onlyRole(LENDER_ROLE) whenNotPaused nonReentrant {
         LoanApplication storage application = loanApplications[loanId];
         require(application.status == LoanStatus.Pending, "Loan not pending");
         require(lenderProfiles[msg.sender].isActive, "Not an active lender");
@@ -261,12 +305,16 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
         require(application.loanAmount >= lender.minLoanAmount, "Below minimum loan amount");
         require(application.loanAmount <= lender.maxLoanAmount, "Above maximum loan amount");
         require(interestRate >= lender.minInterestRate, "Interest rate too low");
+        require(propertyToMortgage[application.propertyId] == 0, "Property already mortgaged");
+        require(
+            propertyRegistry.getProperty(application.propertyId).owner == application.borrower,
+            "Borrower no longer owns the property"
+        );
         
         // Calculate monthly payment
-        uint256 monthlyRate = interestRate / 12 / 10000; // Convert to monthly decimal
         uint256 monthlyPayment = calculateMonthlyPayment(
             application.loanAmount,
-            monthlyRate,
+            monthlyRateFromBps(interestRate),
             application.termMonths
         );
         
@@ -293,10 +341,14 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
         mortgage.nextPaymentDue = block.timestamp + 30 days;
         mortgage.status = MortgageStatus.Active;
         
+        propertyToMortgage[application.propertyId] = mortgageId;
+        propertyRegistry.transferProperty(application.propertyId, address(this));
+        
         // Transfer funds
         lender.availableFunds -= application.loanAmount;
         uint256 platformFee = (application.loanAmount * platformFeePercent) / 10000;
         uint256 borrowerAmount = application.loanAmount - platformFee;
+        accumulatedFees += platformFee;
         
         payable(application.borrower).transfer(borrowerAmount);
         
@@ -308,7 +360,10 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Make mortgage payment
+     * @dev Make mortgage payment for the oldest unpaid installment. An installment paid after
+     * its due date plus the grace period carries a late fee, which goes to the lender.
+     * A defaulted mortgage becomes active again once the borrower has caught up.
+     * The final installment settles whatever balance is left after rounding or prepayments.
      */
     function makePayment(uint256 mortgageId) 
         external 
@@ -319,22 +374,20 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
         nonReentrant 
     {
         Mortgage storage mortgage = mortgages[mortgageId];
-        require(mortgage.status == MortgageStatus.Active, "Mortgage not active");
-        require(msg.value >= mortgage.monthlyPayment, "Insufficient payment amount");
+        require(
+            mortgage.status == MortgageStatus.Active || mortgage.status == MortgageStatus.Defaulted,
+            "Mortgage not active"
+        );
         
-        // Calculate interest and principal portions
-        uint256 monthlyInterestRate = mortgage.interestRate / 12 / 10000;
-        uint256 interestPayment = (mortgage.remainingBalance * monthlyInterestRate) / 10000;
-        uint256 principalPayment = mortgage.monthlyPayment - interestPayment;
-        
-        // Handle overpayment
-        if (principalPayment > mortgage.remainingBalance) {
-            principalPayment = mortgage.remainingBalance;
-        }
+        bool isLate = _isPastGracePeriod(mortgage);
+        uint256 lateFee = isLate ? calculateLateFee(mortgage.monthlyPayment) : 0;
+        (uint256 principalPayment, uint256 interestPayment) = _nextInstallment(mortgage);
+        uint256 amountDue = principalPayment + interestPayment + lateFee;
+        require(msg.value >= amountDue, "Insufficient payment amount");
         
         // Update mortgage
         mortgage.remainingBalance -= principalPayment;
-        mortgage.totalPaid += mortgage.monthlyPayment;
+        mortgage.totalPaid += principalPayment + interestPayment;
         mortgage.totalInterestPaid += interestPayment;
         mortgage.remainingTerms--;
         mortgage.nextPaymentDue += 30 days;
@@ -342,7 +395,12 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
         // Check if paid off
         if (mortgage.remainingBalance == 0 || mortgage.remainingTerms == 0) {
             mortgage.status = MortgageStatus.PaidOff;
+            _releaseCollateral(mortgage, mortgage.borrower);
             emit MortgagePaidOff(mortgageId, msg.sender, mortgage.totalPaid);
+        } else if (mortgage.status == MortgageStatus.Defaulted && !_isPastGracePeriod(mortgage)) {
+            mortgage.status = MortgageStatus.Active;
+            defaultedAt[mortgageId] = 0;
+            emit DefaultCured(mortgageId, msg.sender);
         }
         
         // Record payment
@@ -352,25 +410,289 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
             principalPaid: principalPayment,
             interestPaid: interestPayment,
             remainingBalance: mortgage.remainingBalance,
-            isLate: block.timestamp > mortgage.nextPaymentDue + (gracePeriodDays * 1 days),
-            lateFee: 0
+            isLate: isLate,
+            lateFee: lateFee
         });
         
         paymentHistory[mortgageId].push(payment);
         
-        // Transfer payment to lender
-        payable(mortgage.lender).transfer(mortgage.monthlyPayment);
+        // Transfer payment and any late fee to lender
+        payable(mortgage.lender).transfer(amountDue);
         
         // Refund excess payment
-        if (msg.value > mortgage.monthlyPayment) {
-            payable(msg.sender).transfer(msg.value - mortgage.monthlyPayment);
+        if (msg.value > amountDue) {
+            payable(msg.sender).transfer(msg.value - amountDue);
         }
         
         emit MortgagePaymentMade(mortgageId, principalPayment, interestPayment, mortgage.remainingBalance);
     }
     
     /**
-     * @dev Calculate monthly payment using amortization formula
+     * @dev Pay down principal ahead of schedule. The monthly payment stays the same, so the
+     * loan is repaid in fewer installments. Use payOff to settle the whole balance.
+     */
+    function prepayPrincipal(uint256 mortgageId) 
+        external 
+        payable 
+        validMortgage(mortgageId) 
+        onlyBorrower(mortgageId) 
+        whenNotPaused 
+        nonReentrant 
+    {
+        Mortgage storage mortgage = mortgages[mortgageId];
+        require(mortgage.status == MortgageStatus.Active, "Mortgage not active");
+        require(msg.value > 0, "Must send prepayment");
+        require(msg.value < mortgage.remainingBalance, "Prepayment covers balance, use payOff");
+        
+        mortgage.remainingBalance -= msg.value;
+        mortgage.totalPaid += msg.value;
+        
+        paymentHistory[mortgageId].push(PaymentRecord({
+            mortgageId: mortgageId,
+            paymentDate: block.timestamp,
+            principalPaid: msg.value,
+            interestPaid: 0,
+            remainingBalance: mortgage.remainingBalance,
+            isLate: false,
+            lateFee: 0
+        }));
+        
+        payable(mortgage.lender).transfer(msg.value);
+        
+        emit PrincipalPrepaid(mortgageId, msg.value, mortgage.remainingBalance);
+    }
+    
+    /**
+     * @dev Settle the mortgage early for the amount quoted by getPayoffQuote
+     */
+    function payOff(uint256 mortgageId) 
+        external 
+        payable 
+        validMortgage(mortgageId) 
+        onlyBorrower(mortgageId) 
+        whenNotPaused 
+        nonReentrant 
+    {
+        Mortgage storage mortgage = mortgages[mortgageId];
+        require(
+            mortgage.status == MortgageStatus.Active || mortgage.status == MortgageStatus.Defaulted,
+            "Mortgage not active"
+        );
+        
+        (uint256 principal, uint256 interest, uint256 lateFees, uint256 total) = _payoffQuote(mortgage);
+        require(msg.value >= total, "Insufficient payoff amount");
+        
+        mortgage.remainingBalance = 0;
+        mortgage.remainingTerms = 0;
+        mortgage.totalPaid += principal + interest;
+        mortgage.totalInterestPaid += interest;
+        mortgage.status = MortgageStatus.PaidOff;
+        defaultedAt[mortgageId] = 0;
+        _releaseCollateral(mortgage, mortgage.borrower);
+        
+        paymentHistory[mortgageId].push(PaymentRecord({
+            mortgageId: mortgageId,
+            paymentDate: block.timestamp,
+            principalPaid: principal,
+            interestPaid: interest,
+            remainingBalance: 0,
+            isLate: lateFees > 0,
+            lateFee: lateFees
+        }));
+        
+        payable(mortgage.lender).transfer(total);
+        if (msg.value > total) {
+            payable(msg.sender).transfer(msg.value - total);
+        }
+        
+        emit MortgagePaymentMade(mortgageId, principal, interest, 0);
+        emit MortgagePaidOff(mortgageId, msg.sender, mortgage.totalPaid);
+    }
+    
+    /**
+     * @dev Put a mortgage into default once its oldest unpaid installment is more than
+     * gracePeriodDays overdue. Anyone can call this.
+     */
+    function checkDefault(uint256 mortgageId) external validMortgage(mortgageId) {
+        Mortgage storage mortgage = mortgages[mortgageId];
+        require(mortgage.status == MortgageStatus.Active, "Mortgage not active");
+        require(_isPastGracePeriod(mortgage), "Payment not past grace period");
+        
+        mortgage.status = MortgageStatus.Defaulted;
+        defaultedAt[mortgageId] = block.timestamp;
+        lenderProfiles[mortgage.lender].totalDefaulted++;
+        
+        (uint256 missedPayments, ) = _overdueInstallments(mortgage);
+        emit DefaultNotice(mortgageId, mortgage.borrower, missedPayments);
+    }
+    
+    /**
+     * @dev Foreclose on a defaulted mortgage by taking the collateral property (and its token,
+     * if tokenized) in full settlement of the debt. Allowed once foreclosureNoticeDays have
+     * passed since the default without the borrower catching up.
+     */
+    function foreclose(uint256 mortgageId) 
+        external 
+        validMortgage(mortgageId) 
+        onlyLender(mortgageId) 
+        nonReentrant 
+    {
+        Mortgage storage mortgage = mortgages[mortgageId];
+        uint256 debt = _startForeclosure(mortgageId);
+        
+        mortgage.status = MortgageStatus.Foreclosed;
+        foreclosures[mortgageId].recipient = msg.sender;
+        _releaseCollateral(mortgage, msg.sender);
+        
+        emit MortgageForeclosed(mortgageId, msg.sender, debt, 0);
+    }
+    
+    /**
+     * @dev Foreclose on a defaulted mortgage by selling the collateral in an English auction
+     * on PropertyAuction, with this contract as the seller. Settle with settleForeclosureAuction.
+     * The registry only lists verified properties, so an expired or revoked collateral has to be
+     * re-inspected first or taken with foreclose.
+     */
+    function forecloseToAuction(
+        uint256 mortgageId,
+        uint256 startingPrice,
+        uint256 reservePrice,
+        uint256 duration,
+        uint256 bidIncrement
+    ) external validMortgage(mortgageId) onlyLender(mortgageId) nonReentrant {
+        require(address(propertyAuction) != address(0), "Auction contract not set");
+        
+        Mortgage storage mortgage = mortgages[mortgageId];
+        uint256 debt = _startForeclosure(mortgageId);
+        mortgage.status = MortgageStatus.InForeclosure;
+        
+        // List the escrowed collateral so the auction contract accepts this contract as seller
+        propertyRegistry.listPropertyForSale(mortgage.propertyId, startingPrice);
+        propertyAuction.createAuction(mortgage.propertyId, startingPrice, reservePrice, duration, bidIncrement);
+        
+        uint256 auctionId = propertyAuction.propertyToAuction(mortgage.propertyId);
+        foreclosures[mortgageId].auctionId = auctionId;
+        
+        emit ForeclosureAuctionStarted(mortgageId, auctionId, debt);
+    }
+    
+    /**
+     * @dev Settle a foreclosure auction once it is over, ending it first if needed. The auction
+     * hands the property to the winner; the lender is paid up to the debt and any surplus goes to
+     * the borrower. If the auction did not sell, the property goes to the lender. Anyone can call this.
+     */
+    function settleForeclosureAuction(uint256 mortgageId) external validMortgage(mortgageId) nonReentrant {
+        Mortgage storage mortgage = mortgages[mortgageId];
+        require(mortgage.status == MortgageStatus.InForeclosure, "Mortgage not in foreclosure");
+        
+        Foreclosure storage foreclosure = foreclosures[mortgageId];
+        PropertyAuction.AuctionInfo memory auction = propertyAuction.getAuction(foreclosure.auctionId);
+        if (!auction.ended) {
+            propertyAuction.endAuction(foreclosure.auctionId);
+            auction = propertyAuction.getAuction(foreclosure.auctionId);
+        }
+        
+        mortgage.status = MortgageStatus.Foreclosed;
+        delete propertyToMortgage[mortgage.propertyId];
+        
+        if (auction.currentBidder == address(0)) {
+            foreclosure.recipient = mortgage.lender;
+            propertyRegistry.transferProperty(mortgage.propertyId, mortgage.lender);
+        } else {
+            // The auction has already paid this contract the bid minus its platform fee
+            uint256 proceeds = auction.currentBid - 
+                (auction.currentBid * propertyAuction.platformFeePercent()) / 10000;
+            uint256 lenderAmount = proceeds < foreclosure.debt ? proceeds : foreclosure.debt;
+            
+            foreclosure.recipient = auction.currentBidder;
+            foreclosure.proceeds = proceeds;
+            
+            payable(mortgage.lender).transfer(lenderAmount);
+            if (proceeds > lenderAmount) {
+                payable(mortgage.borrower).transfer(proceeds - lenderAmount);
+            }
+        }
+        
+        emit MortgageForeclosed(mortgageId, foreclosure.recipient, foreclosure.debt, foreclosure.proceeds);
+    }
+    
+    /**
+     * @dev Get installments that are past due, and the late fees owed on those past the grace period
+     */
+    function getOverdueAmount(uint256 mortgageId) 
+        external 
+        view 
+        validMortgage(mortgageId) 
+        returns (uint256 missedPayments, uint256 lateFees, uint256 totalDue) 
+    {
+        Mortgage storage mortgage = mortgages[mortgageId];
+        if (mortgage.status != MortgageStatus.Active && mortgage.status != MortgageStatus.Defaulted) {
+            return (0, 0, 0);
+        }
+        
+        uint256 latePayments;
+        (missedPayments, latePayments) = _overdueInstallments(mortgage);
+        lateFees = latePayments * calculateLateFee(mortgage.monthlyPayment);
+        totalDue = missedPayments * mortgage.monthlyPayment + lateFees;
+    }
+    
+    /**
+     * @dev Get the principal and interest of the next installment, and the late fee that
+     * makePayment would charge on it right now
+     */
+    function getNextInstallment(uint256 mortgageId) 
+        external 
+        view 
+        validMortgage(mortgageId) 
+        returns (uint256 principal, uint256 interest, uint256 lateFee, uint256 amountDue) 
+    {
+        Mortgage storage mortgage = mortgages[mortgageId];
+        if (mortgage.status != MortgageStatus.Active && mortgage.status != MortgageStatus.Defaulted) {
+            return (0, 0, 0, 0);
+        }
+        
+        (principal, interest) = _nextInstallment(mortgage);
+        if (_isPastGracePeriod(mortgage)) {
+            lateFee = calculateLateFee(mortgage.monthlyPayment);
+        }
+        amountDue = principal + interest + lateFee;
+    }
+    
+    /**
+     * @dev Get the amount needed to pay off a mortgage now: the remaining balance, interest
+     * for each missed installment (at least the current one) and late fees owed
+     */
+    function getPayoffQuote(uint256 mortgageId) 
+        external 
+        view 
+        validMortgage(mortgageId) 
+        returns (uint256 principal, uint256 interest, uint256 lateFees, uint256 total) 
+    {
+        Mortgage storage mortgage = mortgages[mortgageId];
+        if (mortgage.status != MortgageStatus.Active && mortgage.status != MortgageStatus.Defaulted) {
+            return (0, 0, 0, 0);
+        }
+        
+        return _payoffQuote(mortgage);
+    }
+    
+    /**
+     * @dev Calculate the late fee for an installment
+     */
+    function calculateLateFee(uint256 monthlyPayment) public view returns (uint256) {
+        return (monthlyPayment * lateFeePercent) / 10000;
+    }
+    
+    /**
+     * @dev Convert an annual rate in basis points to a monthly rate scaled by RATE_PRECISION
+     */
+    function monthlyRateFromBps(uint256 annualRateBps) public pure returns (uint256) {
+        return (annualRateBps * RATE_PRECISION) / 120000;
+    }
+    
+    /**
+     * @dev Calculate monthly payment using amortization formula.
+     * monthlyRate is scaled by RATE_PRECISION; see monthlyRateFromBps.
      */
     function calculateMonthlyPayment(
         uint256 principal,
@@ -381,8 +703,18 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
             return principal / termMonths;
         }
         
-        uint256 numerator = principal * monthlyRate * (1 + monthlyRate) ** termMonths;
-        uint256 denominator = (1 + monthlyRate) ** termMonths - 1;
+        // (1 + r)^n by squaring, rounding down after every multiplication
+        uint256 growth = RATE_PRECISION;
+        uint256 base = RATE_PRECISION + monthlyRate;
+        for (uint256 n = termMonths; n > 0; n >>= 1) {
+            if (n & 1 == 1) {
+                growth = (growth * base) / RATE_PRECISION;
+            }
+            base = (base * base) / RATE_PRECISION;
+        }
+        
+        uint256 numerator = principal * monthlyRate * growth;
+        uint256 denominator = (growth - RATE_PRECISION) * RATE_PRECISION;
         
         return numerator / denominator;
     }
@@ -466,36 +798,124 @@ contract PropertyFinancing is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Set platform fee (only owner)
+     * @dev Set platform fee (fee manager)
      */
-    function setPlatformFee(uint256 _feePercent) external onlyOwner {
+    function setPlatformFee(uint256 _feePercent) external onlyRole(FEE_MANAGER_ROLE) {
         require(_feePercent <= 500, "Fee cannot exceed 5%");
         platformFeePercent = _feePercent;
     }
     
     /**
-     * @dev Withdraw platform fees (only owner)
+     * @dev Withdraw platform fees (fee manager). Lender deposits held here are not fees.
      */
-    function withdrawFees() external onlyOwner {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No fees to withdraw");
-        payable(owner()).transfer(balance);
+    function withdrawFees() external onlyRole(FEE_MANAGER_ROLE) {
+        uint256 fees = accumulatedFees;
+        require(fees > 0, "No fees to withdraw");
+        accumulatedFees = 0;
+        payable(msg.sender).transfer(fees);
     }
     
     /**
-     * @dev Pause contract (only owner)
+     * @dev Set the auction contract used for foreclosure sales (admin)
      */
-    function pause() external onlyOwner {
+    function setPropertyAuction(address _propertyAuction) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        propertyAuction = PropertyAuction(_propertyAuction);
+    }
+    
+    /**
+     * @dev Pause contract (pauser)
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
-     * @dev Unpause contract (only owner)
+     * @dev Unpause contract (pauser)
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
+    function _isPastGracePeriod(Mortgage storage mortgage) internal view returns (bool) {
+        return block.timestamp > mortgage.nextPaymentDue + (gracePeriodDays * 1 days);
+    }
+    
+    // Split the next installment into principal and interest. Interest accrues on the remaining
+    // balance; the last installment, or one that would overshoot, clears the balance.
+    function _nextInstallment(Mortgage storage mortgage) 
+        internal 
+        view 
+        returns (uint256 principal, uint256 interest) 
+    {
+        interest = (mortgage.remainingBalance * monthlyRateFromBps(mortgage.interestRate)) / RATE_PRECISION;
+        principal = mortgage.monthlyPayment > interest ? mortgage.monthlyPayment - interest : 0;
+        
+        if (mortgage.remainingTerms <= 1 || principal > mortgage.remainingBalance) {
+            principal = mortgage.remainingBalance;
+        }
+    }
+    
+    function _payoffQuote(Mortgage storage mortgage) 
+        internal 
+        view 
+        returns (uint256 principal, uint256 interest, uint256 lateFees, uint256 total) 
+    {
+        (uint256 missedPayments, uint256 latePayments) = _overdueInstallments(mortgage);
+        uint256 periods = missedPayments > 0 ? missedPayments : 1;
+        
+        principal = mortgage.remainingBalance;
+        interest = (principal * monthlyRateFromBps(mortgage.interestRate) * periods) / RATE_PRECISION;
+        lateFees = latePayments * calculateLateFee(mortgage.monthlyPayment);
+        total = principal + interest + lateFees;
+    }
+    
+    // Count installments past their due date, and those also past the grace period.
+    // Installments fall due every 30 days from nextPaymentDue.
+    function _overdueInstallments(Mortgage storage mortgage) 
+        internal 
+        view 
+        returns (uint256 missedPayments, uint256 latePayments) 
+    {
+        uint256 due = mortgage.nextPaymentDue;
+        uint256 gracePeriod = gracePeriodDays * 1 days;
+        
+        if (block.timestamp > due) {
+            missedPayments = (block.timestamp - due - 1) / 30 days + 1;
+        }
+        if (block.timestamp > due + gracePeriod) {
+            latePayments = (block.timestamp - due - gracePeriod - 1) / 30 days + 1;
+        }
+        
+        if (missedPayments > mortgage.remainingTerms) {
+            missedPayments = mortgage.remainingTerms;
+        }
+        if (latePayments > mortgage.remainingTerms) {
+            latePayments = mortgage.remainingTerms;
+        }
+    }
+    
+    // Hand the escrowed collateral to its new owner once the mortgage is closed
+    function _releaseCollateral(Mortgage storage mortgage, address recipient) internal {
+        delete propertyToMortgage[mortgage.propertyId];
+        propertyRegistry.transferProperty(mortgage.propertyId, recipient);
+    }
+    
+    // Check that the lender may foreclose and record the outstanding debt
+    function _startForeclosure(uint256 mortgageId) internal returns (uint256 debt) {
+        Mortgage storage mortgage = mortgages[mortgageId];
+        require(mortgage.status == MortgageStatus.Defaulted, "Mortgage not in default");
+        require(
+            block.timestamp >= defaultedAt[mortgageId] + (foreclosureNoticeDays * 1 days),
+            "Foreclosure notice period not over"
+        );
+        
+        (, uint256 latePayments) = _overdueInstallments(mortgage);
+        debt = mortgage.remainingBalance + latePayments * calculateLateFee(mortgage.monthlyPayment);
+        
+        foreclosures[mortgageId].debt = debt;
+        mortgage.remainingBalance = 0;
+    }
+    
     /**
      * @dev Receive function to accept ETH
      */
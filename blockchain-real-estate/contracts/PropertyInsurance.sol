@@ -2,16 +2,21 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
-import "./PropertyRegistry.sol";
+import "./core/access/PlatformRoles.sol";
+import "./core/interfaces/IPropertyRegistry.sol";
 
 /**
  * @title PropertyInsurance
- * @dev Smart contract for property insurance management
+ * @dev Smart contract for property insurance management.
+ * Auto-renewing policies are renewed from the policyholder's prepaid renewal balance by
+ * anyone calling processRenewals once they reach their end date (see scripts/insurance-keeper.js).
+ * Claims of quorumClaimThreshold or more are decided by assessorQuorum independent assessments
+ * and paid out as soon as the quorum is reached; the claimant may dispute the outcome once.
+ * Both settings are fixed per claim when it is filed.
  */
-contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
-    PropertyRegistry public propertyRegistry;
+contract PropertyInsurance is ReentrancyGuard, PlatformRoles, Pausable {
+    IPropertyRegistry public propertyRegistry;
     
     enum ClaimStatus {
         Pending,
@@ -55,6 +60,14 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
         string rejectionReason;
     }
     
+    struct ClaimAssessment {
+        address assessor;
+        string reportHash; // IPFS hash of the assessor's report
+        uint256 proposedAmount; // 0 recommends rejection
+        uint256 round; // 0 for the first review, 1 after a dispute
+        uint256 submittedAt;
+    }
+    
     struct RiskAssessment {
         uint256 propertyId;
         uint256 riskScore; // 1-100 (higher = riskier)
@@ -70,14 +83,24 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
     mapping(uint256 => uint256) public propertyToPolicy; // propertyId => policyId
     mapping(address => uint256[]) public userPolicies;
     mapping(address => uint256[]) public userClaims;
-    mapping(address => bool) public authorizedAssessors;
+    mapping(address => uint256) public renewalBalances; // Prepaid premiums for auto-renewal
+    mapping(uint256 => ClaimAssessment[]) private claimAssessments;
+    mapping(uint256 => mapping(uint256 => mapping(address => bool))) public hasAssessedClaim; // claimId => round => assessor
+    mapping(uint256 => uint256) public claimQuorums; // Assessments that decide a claim, fixed at filing (0 = single assessor)
+    mapping(uint256 => uint256) public claimReviewRounds; // Current review round per claim
+    mapping(uint256 => uint256) public claimRoundVotes; // Assessments in the current round
+    mapping(uint256 => bool) public claimDisputed;
+    mapping(uint256 => uint256) public claimPayouts; // Amount paid so far per claim
     
     uint256 public nextPolicyId = 1;
     uint256 public nextClaimId = 1;
+    uint256 public totalRenewalBalances; // Held for policyholders, not withdrawable by the owner
     uint256 public basePremiumRate = 100; // 1% annually (in basis points)
     uint256 public maxCoverageMultiplier = 150; // 150% of property value
     uint256 public minDeductible = 0.1 ether;
     uint256 public claimProcessingFee = 0.01 ether;
+    uint256 public quorumClaimThreshold = 10 ether; // Claims this large need an assessor quorum
+    uint256 public assessorQuorum = 3;
     
     // Risk multipliers (in basis points)
     mapping(string => uint256) public riskMultipliers;
@@ -92,6 +115,11 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
     
     event PolicyRenewed(uint256 indexed policyId, uint256 newEndDate);
     event PolicyCancelled(uint256 indexed policyId);
+    event PolicyLapsed(uint256 indexed policyId, uint256 premiumDue, uint256 renewalBalance);
+    event PolicyOwnershipEnded(uint256 indexed policyId, address indexed policyholder, address indexed propertyOwner);
+    event AutoRenewalUpdated(uint256 indexed policyId, bool autoRenewal);
+    event RenewalFundsDeposited(address indexed policyholder, uint256 amount, uint256 balance);
+    event RenewalFundsWithdrawn(address indexed policyholder, uint256 amount, uint256 balance);
     
     event ClaimFiled(
         uint256 indexed claimId,
@@ -112,6 +140,18 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
         uint256 amount
     );
     
+    event ClaimAssessmentSubmitted(
+        uint256 indexed claimId,
+        address indexed assessor,
+        string reportHash,
+        uint256 proposedAmount,
+        uint256 round
+    );
+    
+    event ClaimQuorumReached(uint256 indexed claimId, uint256 round, uint256 approvedAmount);
+    event ClaimDisputed(uint256 indexed claimId, address indexed claimant, string reason);
+    event AssessorQuorumUpdated(uint256 quorum, uint256 claimThreshold);
+    
     event RiskAssessmentCompleted(
         uint256 indexed propertyId,
         uint256 riskScore,
@@ -134,12 +174,13 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
     }
     
     modifier onlyAuthorizedAssessor() {
-        require(authorizedAssessors[msg.sender], "Not an authorized assessor");
+        require(hasRole(ASSESSOR_ROLE, msg.sender), "Not an authorized assessor");
         _;
     }
     
     constructor(address _propertyRegistry) {
-        propertyRegistry = PropertyRegistry(_propertyRegistry);
+        propertyRegistry = IPropertyRegistry(_propertyRegistry);
+        _grantRole(ASSESSOR_ROLE, msg.sender);
         
         // Initialize default risk multipliers
         riskMultipliers["flood"] = 200; // 2x multiplier
@@ -164,9 +205,8 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
         require(propertyToPolicy[propertyId] == 0, "Property already insured");
         
         // Verify property ownership
-        (,,,, address owner, bool verified,,,) = propertyRegistry.getProperty(propertyId);
-        require(owner == msg.sender, "Not the property owner");
-        require(verified, "Property must be verified");
+        require(propertyRegistry.getProperty(propertyId).owner == msg.sender, "Not the property owner");
+        require(propertyRegistry.isVerificationValid(propertyId), "Property must be verified");
         
         // Calculate premium based on risk assessment
         uint256 premium = calculatePremium(propertyId, coverageAmount, coveredRisks);
@@ -241,6 +281,9 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
         claim.dateReported = block.timestamp;
         claim.status = ClaimStatus.Pending;
         claim.evidence = evidence;
+        if (claimAmount >= quorumClaimThreshold) {
+            claimQuorums[claimId] = assessorQuorum;
+        }
         
         userClaims[msg.sender].push(claimId);
         
@@ -261,7 +304,8 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
         uint256 approvedAmount,
         string memory rejectionReason
     ) external validClaim(claimId) nonReentrant {
-        require(msg.sender == owner() || authorizedAssessors[msg.sender], "Not authorized");
+        require(hasRole(ASSESSOR_ROLE, msg.sender), "Not authorized");
+        require(!requiresQuorum(claimId), "Claim requires assessor quorum");
         
         Claim storage claim = claims[claimId];
         require(claim.status == ClaimStatus.Pending || claim.status == ClaimStatus.UnderReview, "Claim cannot be processed");
@@ -281,25 +325,123 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Pay an approved claim
+     * @dev Pay an approved claim. Quorum claims are paid automatically; this covers them
+     * when the contract was short of funds at the time.
      */
-    function payClaim(uint256 claimId) external validClaim(claimId) onlyOwner nonReentrant {
+    function payClaim(uint256 claimId) external validClaim(claimId) onlyRole(DEFAULT_ADMIN_ROLE) nonReentrant {
         Claim storage claim = claims[claimId];
         require(claim.status == ClaimStatus.Approved, "Claim not approved");
         
-        Policy storage policy = policies[claim.policyId];
-        uint256 payoutAmount = claim.approvedAmount > policy.deductible ? 
-            claim.approvedAmount - policy.deductible : 0;
+        uint256 payoutAmount = _outstandingPayout(claimId);
         
         require(payoutAmount > 0, "Payout amount too low");
-        require(address(this).balance >= payoutAmount, "Insufficient contract balance");
+        require(address(this).balance - totalRenewalBalances >= payoutAmount, "Insufficient contract balance");
         
         claim.status = ClaimStatus.Paid;
+        claimPayouts[claimId] += payoutAmount;
         payable(claim.claimant).transfer(payoutAmount);
         
         emit ClaimPaid(claimId, claim.claimant, payoutAmount);
     }
     
+    /**
+     * @dev Record an assessor's report and proposed approved amount for a quorum claim.
+     * Each assessor reviews a claim once per round, so the first round's assessors may review a dispute.
+     */
+    function submitClaimAssessment(
+        uint256 claimId,
+        string memory reportHash,
+        uint256 proposedAmount
+    ) external validClaim(claimId) onlyAuthorizedAssessor whenNotPaused nonReentrant {
+        require(requiresQuorum(claimId), "Claim does not require quorum");
+        require(bytes(reportHash).length > 0, "Report hash required");
+        uint256 round = claimReviewRounds[claimId];
+        require(!hasAssessedClaim[claimId][round][msg.sender], "Already assessed this claim");
+        
+        Claim storage claim = claims[claimId];
+        require(claim.status == ClaimStatus.Pending || claim.status == ClaimStatus.UnderReview, "Claim not under review");
+        require(proposedAmount <= claim.claimAmount, "Invalid proposed amount");
+        
+        if (claim.status == ClaimStatus.Pending) {
+            claim.status = ClaimStatus.UnderReview;
+            emit ClaimStatusUpdated(claimId, ClaimStatus.Pending, ClaimStatus.UnderReview);
+        }
+        
+        hasAssessedClaim[claimId][round][msg.sender] = true;
+        claimAssessments[claimId].push(ClaimAssessment({
+            assessor: msg.sender,
+            reportHash: reportHash,
+            proposedAmount: proposedAmount,
+            round: round,
+            submittedAt: block.timestamp
+        }));
+        claimRoundVotes[claimId]++;
+        
+        emit ClaimAssessmentSubmitted(claimId, msg.sender, reportHash, proposedAmount, round);
+        
+        if (claimRoundVotes[claimId] >= claimQuorums[claimId]) {
+            _decideClaim(claimId);
+        }
+    }
+    
+    /**
+     * @dev Dispute a quorum decision once, sending the claim back for a new review round
+     */
+    function disputeClaim(
+        uint256 claimId,
+        string memory reason,
+        string[] memory additionalEvidence
+    ) external validClaim(claimId) whenNotPaused {
+        Claim storage claim = claims[claimId];
+        require(claim.claimant == msg.sender, "Not the claimant");
+        require(requiresQuorum(claimId), "Claim does not require quorum");
+        require(!claimDisputed[claimId], "Claim already disputed");
+        require(
+            claim.status == ClaimStatus.Approved || claim.status == ClaimStatus.Rejected || claim.status == ClaimStatus.Paid,
+            "Claim not decided"
+        );
+        require(claim.approvedAmount < claim.claimAmount, "Claim fully approved");
+        require(bytes(reason).length > 0, "Dispute reason required");
+        
+        for (uint i = 0; i < additionalEvidence.length; i++) {
+            claim.evidence.push(additionalEvidence[i]);
+        }
+        
+        ClaimStatus oldStatus = claim.status;
+        claim.status = ClaimStatus.UnderReview;
+        claimDisputed[claimId] = true;
+        claimReviewRounds[claimId]++;
+        claimRoundVotes[claimId] = 0;
+        
+        emit ClaimDisputed(claimId, msg.sender, reason);
+        emit ClaimStatusUpdated(claimId, oldStatus, ClaimStatus.UnderReview);
+    }
+    
+    /**
+     * @dev Whether a claim is decided by an assessor quorum rather than a single assessor
+     */
+    function requiresQuorum(uint256 claimId) public view returns (bool) {
+        return claimQuorums[claimId] > 0;
+    }
+    
+    /**
+     * @dev Get every assessment submitted for a claim, across review rounds
+     */
+    function getClaimAssessments(uint256 claimId) external view validClaim(claimId) returns (ClaimAssessment[] memory) {
+        return claimAssessments[claimId];
+    }
+    
+    /**
+     * @dev Set how many assessors decide a large claim and what counts as large (admin).
+     * Claims already filed keep the settings they were filed under.
+     */
+    function setAssessorQuorum(uint256 quorum, uint256 claimThreshold) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(quorum > 0, "Quorum must be greater than 0");
+        assessorQuorum = quorum;
+        quorumClaimThreshold = claimThreshold;
+        emit AssessorQuorumUpdated(quorum, claimThreshold);
+    }
+    
     /**
      * @dev Conduct risk assessment for a property
      */
@@ -331,7 +473,7 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
         string[] memory coveredRisks
     ) public view returns (uint256) {
         // Get property value for base calculation
-        (,,, uint256 propertyPrice,,,,,) = propertyRegistry.getProperty(propertyId);
+        uint256 propertyPrice = propertyRegistry.getProperty(propertyId).price;
         
         // Base premium calculation
         uint256 basePremium = (coverageAmount * basePremiumRate) / 10000;
@@ -361,6 +503,7 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
     function renewPolicy(uint256 policyId) external payable validPolicy(policyId) onlyPolicyholder(policyId) nonReentrant {
         Policy storage policy = policies[policyId];
         require(policy.status == PolicyStatus.Active || policy.status == PolicyStatus.Expired, "Cannot renew policy");
+        require(propertyRegistry.getProperty(policy.propertyId).owner == msg.sender, "Not the property owner");
         
         uint256 newPremium = calculatePremium(policy.propertyId, policy.coverageAmount, policy.coveredRisks);
         require(msg.value >= newPremium, "Insufficient premium payment");
@@ -378,6 +521,73 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
         emit PolicyRenewed(policyId, policy.endDate);
     }
     
+    /**
+     * @dev Turn automatic renewal on or off for a policy
+     */
+    function setAutoRenewal(uint256 policyId, bool autoRenewal) external validPolicy(policyId) onlyPolicyholder(policyId) {
+        policies[policyId].autoRenewal = autoRenewal;
+        emit AutoRenewalUpdated(policyId, autoRenewal);
+    }
+    
+    /**
+     * @dev Prepay premiums for auto-renewing policies
+     */
+    function depositRenewalFunds() external payable whenNotPaused {
+        require(msg.value > 0, "Must deposit funds");
+        renewalBalances[msg.sender] += msg.value;
+        totalRenewalBalances += msg.value;
+        emit RenewalFundsDeposited(msg.sender, msg.value, renewalBalances[msg.sender]);
+    }
+    
+    /**
+     * @dev Withdraw unused prepaid premiums
+     */
+    function withdrawRenewalFunds(uint256 amount) external nonReentrant {
+        require(amount > 0 && amount <= renewalBalances[msg.sender], "Insufficient renewal balance");
+        renewalBalances[msg.sender] -= amount;
+        totalRenewalBalances -= amount;
+        payable(msg.sender).transfer(amount);
+        emit RenewalFundsWithdrawn(msg.sender, amount, renewalBalances[msg.sender]);
+    }
+    
+    /**
+     * @dev Renew or lapse active policies that have reached their end date. An auto-renewing
+     * policy is renewed for another year, back to back, if the policyholder's renewal balance
+     * covers the current premium; every other due policy expires. A policyholder who no longer
+     * owns the property is never renewed, and the policy is released so the new owner can insure
+     * it. Policies that are not due are skipped, so keepers can pass a stale list. Anyone can call this.
+     */
+    function processRenewals(uint256[] calldata policyIds) 
+        external 
+        whenNotPaused 
+        nonReentrant 
+        returns (uint256 renewed, uint256 lapsed) 
+    {
+        for (uint256 i = 0; i < policyIds.length; i++) {
+            uint256 policyId = policyIds[i];
+            if (!isRenewalDue(policyId)) {
+                continue;
+            }
+            
+            if (_renewFromBalance(policyId)) {
+                renewed++;
+            } else {
+                lapsed++;
+            }
+        }
+    }
+    
+    /**
+     * @dev Whether processRenewals would renew or lapse a policy now
+     */
+    function isRenewalDue(uint256 policyId) public view returns (bool) {
+        if (policyId == 0 || policyId >= nextPolicyId) {
+            return false;
+        }
+        Policy storage policy = policies[policyId];
+        return policy.status == PolicyStatus.Active && block.timestamp >= policy.endDate;
+    }
+    
     /**
      * @dev Cancel a policy
      */
@@ -454,48 +664,151 @@ contract PropertyInsurance is ReentrancyGuard, Ownable, Pausable {
     }
     
     /**
-     * @dev Add authorized assessor (only owner)
+     * @dev Add authorized assessor; same as granting ASSESSOR_ROLE
      */
-    function addAuthorizedAssessor(address assessor) external onlyOwner {
-        authorizedAssessors[assessor] = true;
+    function addAuthorizedAssessor(address assessor) external {
+        grantRole(ASSESSOR_ROLE, assessor);
     }
     
     /**
-     * @dev Remove authorized assessor (only owner)
+     * @dev Remove authorized assessor; same as revoking ASSESSOR_ROLE
      */
-    function removeAuthorizedAssessor(address assessor) external onlyOwner {
-        authorizedAssessors[assessor] = false;
+    function removeAuthorizedAssessor(address assessor) external {
+        revokeRole(ASSESSOR_ROLE, assessor);
     }
     
     /**
-     * @dev Set risk multiplier (only owner)
+     * @dev Check if an address is an authorized assessor
      */
-    function setRiskMultiplier(string memory riskType, uint256 multiplier) external onlyOwner {
+    function authorizedAssessors(address assessor) external view returns (bool) {
+        return hasRole(ASSESSOR_ROLE, assessor);
+    }
+    
+    /**
+     * @dev Set risk multiplier (admin)
+     */
+    function setRiskMultiplier(string memory riskType, uint256 multiplier) external onlyRole(DEFAULT_ADMIN_ROLE) {
         riskMultipliers[riskType] = multiplier;
     }
     
     /**
-     * @dev Withdraw contract balance (only owner)
+     * @dev Withdraw premiums (fee manager). Renewal balances belong to policyholders.
      */
-    function withdraw(uint256 amount) external onlyOwner {
-        require(amount <= address(this).balance, "Insufficient balance");
-        payable(owner()).transfer(amount);
+    function withdraw(uint256 amount) external onlyRole(FEE_MANAGER_ROLE) {
+        require(amount <= address(this).balance - totalRenewalBalances, "Insufficient balance");
+        payable(msg.sender).transfer(amount);
     }
     
     /**
-     * @dev Pause contract (only owner)
+     * @dev Pause contract (pauser)
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
     
     /**
-     * @dev Unpause contract (only owner)
+     * @dev Unpause contract (pauser)
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
     
+    // Settle a claim on the median proposal of the current round. A dispute can only raise the approved amount.
+    function _decideClaim(uint256 claimId) internal {
+        Claim storage claim = claims[claimId];
+        uint256 round = claimReviewRounds[claimId];
+        uint256 approvedAmount = _medianProposal(claimId, round);
+        
+        emit ClaimQuorumReached(claimId, round, approvedAmount);
+        
+        if (approvedAmount <= claim.approvedAmount) {
+            // Nothing more approved than before; a disputed claim keeps its earlier outcome
+            if (claim.approvedAmount == 0) {
+                claim.status = ClaimStatus.Rejected;
+                claim.rejectionReason = "Rejected by assessor quorum";
+            } else {
+                claim.status = claimPayouts[claimId] > 0 ? ClaimStatus.Paid : ClaimStatus.Approved;
+            }
+            emit ClaimStatusUpdated(claimId, ClaimStatus.UnderReview, claim.status);
+            return;
+        }
+        
+        claim.approvedAmount = approvedAmount;
+        claim.status = ClaimStatus.Approved;
+        emit ClaimStatusUpdated(claimId, ClaimStatus.UnderReview, ClaimStatus.Approved);
+        
+        // Pay out now if the contract can; otherwise the owner pays later with payClaim
+        uint256 payoutAmount = _outstandingPayout(claimId);
+        if (payoutAmount > 0 && address(this).balance - totalRenewalBalances >= payoutAmount) {
+            claim.status = ClaimStatus.Paid;
+            claimPayouts[claimId] += payoutAmount;
+            payable(claim.claimant).transfer(payoutAmount);
+            
+            emit ClaimPaid(claimId, claim.claimant, payoutAmount);
+        }
+    }
+    
+    // Lower median of the amounts proposed in a review round
+    function _medianProposal(uint256 claimId, uint256 round) internal view returns (uint256) {
+        ClaimAssessment[] storage assessments = claimAssessments[claimId];
+        uint256[] memory amounts = new uint256[](claimRoundVotes[claimId]);
+        uint256 count = 0;
+        for (uint i = 0; i < assessments.length; i++) {
+            if (assessments[i].round != round) {
+                continue;
+            }
+            // Insertion sort; quorums are small
+            uint256 amount = assessments[i].proposedAmount;
+            uint256 j = count;
+            while (j > 0 && amounts[j - 1] > amount) {
+                amounts[j] = amounts[j - 1];
+                j--;
+            }
+            amounts[j] = amount;
+            count++;
+        }
+        return amounts[(count - 1) / 2];
+    }
+    
+    // Approved amount less the deductible and anything already paid
+    function _outstandingPayout(uint256 claimId) internal view returns (uint256) {
+        Claim storage claim = claims[claimId];
+        uint256 deductible = policies[claim.policyId].deductible;
+        uint256 payoutAmount = claim.approvedAmount > deductible ? claim.approvedAmount - deductible : 0;
+        return payoutAmount > claimPayouts[claimId] ? payoutAmount - claimPayouts[claimId] : 0;
+    }
+    
+    // Renew a due policy from its holder's renewal balance, or let it expire
+    function _renewFromBalance(uint256 policyId) internal returns (bool) {
+        Policy storage policy = policies[policyId];
+        
+        address propertyOwner = propertyRegistry.getProperty(policy.propertyId).owner;
+        if (propertyOwner != policy.policyholder) {
+            policy.status = PolicyStatus.Expired;
+            propertyToPolicy[policy.propertyId] = 0;
+            emit PolicyOwnershipEnded(policyId, policy.policyholder, propertyOwner);
+            return false;
+        }
+        
+        uint256 premium = calculatePremium(policy.propertyId, policy.coverageAmount, policy.coveredRisks);
+        uint256 balance = renewalBalances[policy.policyholder];
+        
+        if (!policy.autoRenewal || balance < premium) {
+            policy.status = PolicyStatus.Expired;
+            emit PolicyLapsed(policyId, premium, balance);
+            return false;
+        }
+        
+        renewalBalances[policy.policyholder] = balance - premium;
+        totalRenewalBalances -= premium;
+        policy.premium = premium;
+        policy.startDate = policy.endDate;
+        policy.endDate = policy.endDate + 365 days;
+        
+        emit PolicyRenewed(policyId, policy.endDate);
+        return true;
+    }
+    
     /**
      * @dev Receive function to accept ETH
      */
@@ -0,0 +1,442 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.28;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "./core/interfaces/IPropertyRegistry.sol";
+
+/**
+ * @title PropertyRental
+ * @dev Smart contract for property leases with security deposit escrow and monthly rent collection.
+ * A listing or lease is bound to the landlord's ownership: once the property is transferred,
+ * rent is no longer collected and the listing or lease can be ended.
+ */
+contract PropertyRental is ReentrancyGuard, Ownable, Pausable {
+    IPropertyRegistry public propertyRegistry;
+
+    enum RentalStatus {
+        Available,
+        Leased,
+        Ended,
+        Cancelled
+    }
+
+    struct Rental {
+        uint256 id;
+        uint256 propertyId;
+        address landlord;
+        address tenant;
+        uint256 monthlyRent;
+        uint256 securityDeposit;
+        uint256 leaseDurationMonths;
+        uint256 availableFrom;
+        uint256 leaseStart;
+        uint256 leaseEnd;
+        uint256 nextRentDue;
+        uint256 monthsPaid;
+        uint256 depositHeld;
+        RentalStatus status;
+        string description;
+        string[] amenities;
+        string petPolicy;
+        string smokingPolicy;
+    }
+
+    mapping(uint256 => Rental) internal rentals;
+    mapping(uint256 => uint256) public propertyToRental; // propertyId => rentalId
+    mapping(address => uint256[]) public landlordRentals;
+    mapping(address => uint256[]) public tenantRentals;
+
+    uint256 public nextRentalId = 1;
+    uint256 public platformFeePercent = 100; // 1%
+    uint256 public accumulatedFees;
+    uint256 public constant RENT_PERIOD = 30 days;
+    uint256 public constant DEPOSIT_SETTLEMENT_PERIOD = 14 days;
+    uint256 public constant MAX_LEASE_MONTHS = 60;
+
+    event RentalListed(
+        uint256 indexed rentalId,
+        uint256 indexed propertyId,
+        address indexed landlord,
+        uint256 monthlyRent,
+        uint256 securityDeposit,
+        uint256 leaseDurationMonths
+    );
+
+    event RentalCancelled(uint256 indexed rentalId);
+
+    event LeaseStarted(
+        uint256 indexed rentalId,
+        address indexed tenant,
+        uint256 leaseStart,
+        uint256 leaseEnd,
+        uint256 depositHeld
+    );
+
+    event RentPaid(
+        uint256 indexed rentalId,
+        address indexed tenant,
+        uint256 amount,
+        uint256 monthsPaid,
+        uint256 nextRentDue
+    );
+
+    event LeaseEnded(uint256 indexed rentalId, uint256 endedAt);
+
+    event LeaseTerminated(uint256 indexed rentalId, uint256 nextRentDue);
+
+    event DepositSettled(
+        uint256 indexed rentalId,
+        uint256 refundedToTenant,
+        uint256 retainedByLandlord,
+        string reason
+    );
+
+    modifier validRental(uint256 rentalId) {
+        require(rentalId > 0 && rentalId < nextRentalId, "Invalid rental ID");
+        _;
+    }
+
+    modifier onlyLandlord(uint256 rentalId) {
+        require(rentals[rentalId].landlord == msg.sender, "Not the landlord");
+        _;
+    }
+
+    modifier onlyTenant(uint256 rentalId) {
+        require(rentals[rentalId].tenant == msg.sender, "Not the tenant");
+        _;
+    }
+
+    modifier onlyPropertyOwner(uint256 propertyId) {
+        require(_propertyOwner(propertyId) == msg.sender, "Not the property owner");
+        _;
+    }
+
+    constructor(address _propertyRegistry) {
+        propertyRegistry = IPropertyRegistry(_propertyRegistry);
+    }
+
+    /**
+     * @dev List a property for rent
+     */
+    function createRental(
+        uint256 propertyId,
+        uint256 monthlyRent,
+        uint256 securityDeposit,
+        uint256 leaseDurationMonths,
+        uint256 availableFrom,
+        string memory description,
+        string[] memory amenities,
+        string memory petPolicy,
+        string memory smokingPolicy
+    ) external onlyPropertyOwner(propertyId) whenNotPaused returns (uint256) {
+        require(monthlyRent > 0, "Monthly rent must be greater than 0");
+        require(leaseDurationMonths > 0 && leaseDurationMonths <= MAX_LEASE_MONTHS, "Invalid lease duration");
+        require(propertyToRental[propertyId] == 0, "Property already listed for rent");
+
+        uint256 rentalId = nextRentalId++;
+
+        Rental storage rental = rentals[rentalId];
+        rental.id = rentalId;
+        rental.propertyId = propertyId;
+        rental.landlord = msg.sender;
+        rental.monthlyRent = monthlyRent;
+        rental.securityDeposit = securityDeposit;
+        rental.leaseDurationMonths = leaseDurationMonths;
+        rental.availableFrom = availableFrom > block.timestamp ? availableFrom : block.timestamp;
+        rental.status = RentalStatus.Available;
+        rental.description = description;
+        rental.amenities = amenities;
+        rental.petPolicy = petPolicy;
+        rental.smokingPolicy = smokingPolicy;
+
+        propertyToRental[propertyId] = rentalId;
+        landlordRentals[msg.sender].push(rentalId);
+
+        emit RentalListed(rentalId, propertyId, msg.sender, monthlyRent, securityDeposit, leaseDurationMonths);
+        return rentalId;
+    }
+
+    /**
+     * @dev Cancel a rental listing that has not been leased yet. The property's new owner
+     * may also cancel a listing left behind by a previous owner.
+     */
+    function cancelRental(uint256 rentalId) external validRental(rentalId) {
+        Rental storage rental = rentals[rentalId];
+        require(_isLandlordOrNewOwner(rental), "Not the landlord");
+        require(rental.status == RentalStatus.Available, "Rental not available");
+
+        rental.status = RentalStatus.Cancelled;
+        propertyToRental[rental.propertyId] = 0;
+
+        emit RentalCancelled(rentalId);
+    }
+
+    /**
+     * @dev Start a lease by paying the security deposit and first month's rent
+     */
+    function rentProperty(uint256 rentalId)
+        external
+        payable
+        validRental(rentalId)
+        whenNotPaused
+        nonReentrant
+    {
+        Rental storage rental = rentals[rentalId];
+        require(rental.status == RentalStatus.Available, "Rental not available");
+        require(block.timestamp >= rental.availableFrom, "Rental not yet available");
+        require(msg.sender != rental.landlord, "Landlord cannot rent own property");
+        require(_landlordOwnsProperty(rental), "Landlord no longer owns the property");
+
+        uint256 amountDue = rental.securityDeposit + rental.monthlyRent;
+        require(msg.value >= amountDue, "Insufficient payment");
+
+        rental.tenant = msg.sender;
+        rental.leaseStart = block.timestamp;
+        rental.leaseEnd = block.timestamp + (rental.leaseDurationMonths * RENT_PERIOD);
+        rental.nextRentDue = block.timestamp + RENT_PERIOD;
+        rental.monthsPaid = 1;
+        rental.depositHeld = rental.securityDeposit;
+        rental.status = RentalStatus.Leased;
+
+        tenantRentals[msg.sender].push(rentalId);
+
+        _payLandlord(rental.landlord, rental.monthlyRent);
+
+        // Refund excess payment
+        if (msg.value > amountDue) {
+            payable(msg.sender).transfer(msg.value - amountDue);
+        }
+
+        emit LeaseStarted(rentalId, msg.sender, rental.leaseStart, rental.leaseEnd, rental.depositHeld);
+        emit RentPaid(rentalId, msg.sender, rental.monthlyRent, rental.monthsPaid, rental.nextRentDue);
+    }
+
+    /**
+     * @dev Pay the next month's rent
+     */
+    function payRent(uint256 rentalId)
+        external
+        payable
+        validRental(rentalId)
+        onlyTenant(rentalId)
+        whenNotPaused
+        nonReentrant
+    {
+        Rental storage rental = rentals[rentalId];
+        require(rental.status == RentalStatus.Leased, "Lease not active");
+        require(rental.monthsPaid < rental.leaseDurationMonths, "Lease fully paid");
+        require(_landlordOwnsProperty(rental), "Landlord no longer owns the property");
+        require(msg.value >= rental.monthlyRent, "Insufficient rent payment");
+
+        rental.monthsPaid++;
+        rental.nextRentDue += RENT_PERIOD;
+
+        _payLandlord(rental.landlord, rental.monthlyRent);
+
+        // Refund excess payment
+        if (msg.value > rental.monthlyRent) {
+            payable(msg.sender).transfer(msg.value - rental.monthlyRent);
+        }
+
+        emit RentPaid(rentalId, msg.sender, rental.monthlyRent, rental.monthsPaid, rental.nextRentDue);
+    }
+
+    /**
+     * @dev End a lease once its term has expired, or early once the landlord has transferred
+     * the property. The property's new owner may also end a lease left behind by a previous owner.
+     */
+    function endLease(uint256 rentalId) external validRental(rentalId) {
+        Rental storage rental = rentals[rentalId];
+        require(rental.status == RentalStatus.Leased, "Lease not active");
+        require(msg.sender == rental.tenant || _isLandlordOrNewOwner(rental), "Not a party to the lease");
+        require(
+            block.timestamp >= rental.leaseEnd || !_landlordOwnsProperty(rental),
+            "Lease term not over"
+        );
+
+        _endLease(rental);
+    }
+
+    /**
+     * @dev Terminate a lease whose rent is overdue (landlord). The deposit is then settled
+     * with settleDeposit, which may retain all of it for the unpaid rent.
+     */
+    function terminateLease(uint256 rentalId) external validRental(rentalId) onlyLandlord(rentalId) {
+        Rental storage rental = rentals[rentalId];
+        require(_isRentOverdue(rental), "Rent not overdue");
+
+        emit LeaseTerminated(rentalId, rental.nextRentDue);
+        _endLease(rental);
+    }
+
+    /**
+     * @dev Settle the security deposit after the lease has ended (landlord)
+     */
+    function settleDeposit(
+        uint256 rentalId,
+        uint256 deduction,
+        string memory reason
+    ) external validRental(rentalId) onlyLandlord(rentalId) nonReentrant {
+        Rental storage rental = rentals[rentalId];
+        require(rental.status == RentalStatus.Ended, "Lease not ended");
+        require(rental.depositHeld > 0, "Deposit already settled");
+        require(deduction <= rental.depositHeld, "Deduction exceeds deposit");
+        if (deduction > 0) {
+            require(bytes(reason).length > 0, "Deduction reason required");
+        }
+
+        uint256 refund = rental.depositHeld - deduction;
+        rental.depositHeld = 0;
+
+        if (deduction > 0) {
+            payable(rental.landlord).transfer(deduction);
+        }
+        if (refund > 0) {
+            payable(rental.tenant).transfer(refund);
+        }
+
+        emit DepositSettled(rentalId, refund, deduction, reason);
+    }
+
+    /**
+     * @dev Reclaim the full deposit if the landlord has not settled it in time (tenant)
+     */
+    function claimDeposit(uint256 rentalId)
+        external
+        validRental(rentalId)
+        onlyTenant(rentalId)
+        nonReentrant
+    {
+        Rental storage rental = rentals[rentalId];
+        require(rental.status == RentalStatus.Ended, "Lease not ended");
+        require(rental.depositHeld > 0, "Deposit already settled");
+        require(block.timestamp >= rental.leaseEnd + DEPOSIT_SETTLEMENT_PERIOD, "Settlement period not over");
+
+        uint256 refund = rental.depositHeld;
+        rental.depositHeld = 0;
+        payable(msg.sender).transfer(refund);
+
+        emit DepositSettled(rentalId, refund, 0, "Settlement period expired");
+    }
+
+    /**
+     * @dev Look up the registered owner of a property
+     */
+    function _propertyOwner(uint256 propertyId) internal view returns (address) {
+        return propertyRegistry.getProperty(propertyId).owner;
+    }
+
+    /**
+     * @dev Check that the landlord still owns the rented property
+     */
+    function _landlordOwnsProperty(Rental storage rental) internal view returns (bool) {
+        return _propertyOwner(rental.propertyId) == rental.landlord;
+    }
+
+    /**
+     * @dev Check that the caller is the landlord, or the property's current owner after a transfer
+     */
+    function _isLandlordOrNewOwner(Rental storage rental) internal view returns (bool) {
+        return msg.sender == rental.landlord || msg.sender == _propertyOwner(rental.propertyId);
+    }
+
+    /**
+     * @dev Check whether the tenant is behind on rent. Rent stops accruing once the landlord
+     * transfers the property, since it can no longer be paid.
+     */
+    function _isRentOverdue(Rental storage rental) internal view returns (bool) {
+        return rental.status == RentalStatus.Leased &&
+               rental.monthsPaid < rental.leaseDurationMonths &&
+               block.timestamp > rental.nextRentDue &&
+               _landlordOwnsProperty(rental);
+    }
+
+    /**
+     * @dev End a lease, starting the deposit settlement period if it ends early
+     */
+    function _endLease(Rental storage rental) internal {
+        rental.status = RentalStatus.Ended;
+        if (block.timestamp < rental.leaseEnd) {
+            rental.leaseEnd = block.timestamp;
+        }
+        propertyToRental[rental.propertyId] = 0;
+
+        emit LeaseEnded(rental.id, block.timestamp);
+    }
+
+    /**
+     * @dev Forward rent to the landlord, keeping the platform fee
+     */
+    function _payLandlord(address landlord, uint256 amount) internal {
+        uint256 platformFee = (amount * platformFeePercent) / 10000;
+        accumulatedFees += platformFee;
+        payable(landlord).transfer(amount - platformFee);
+    }
+
+    /**
+     * @dev Get rental details
+     */
+    function getRental(uint256 rentalId)
+        external
+        view
+        validRental(rentalId)
+        returns (Rental memory)
+    {
+        return rentals[rentalId];
+    }
+
+    /**
+     * @dev Check whether the tenant is behind on rent
+     */
+    function isRentOverdue(uint256 rentalId) external view validRental(rentalId) returns (bool) {
+        return _isRentOverdue(rentals[rentalId]);
+    }
+
+    /**
+     * @dev Get rentals listed by a landlord
+     */
+    function getLandlordRentals(address landlord) external view returns (uint256[] memory) {
+        return landlordRentals[landlord];
+    }
+
+    /**
+     * @dev Get rentals leased by a tenant
+     */
+    function getTenantRentals(address tenant) external view returns (uint256[] memory) {
+        return tenantRentals[tenant];
+    }
+
+    /**
+     * @dev Set platform fee (only owner)
+     */
+    function setPlatformFee(uint256 _feePercent) external onlyOwner {
+        require(_feePercent <= 500, "Fee cannot exceed 5%");
+        platformFeePercent = _feePercent;
+    }
+
+    /**
+     * @dev Withdraw platform fees (only owner). Escrowed deposits are never withdrawable.
+     */
+    function withdrawFees() external onlyOwner nonReentrant {
+        uint256 amount = accumulatedFees;
+        require(amount > 0, "No fees to withdraw");
+        accumulatedFees = 0;
+        payable(owner()).transfer(amount);
+    }
+
+    /**
+     * @dev Pause contract (only owner)
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause contract (only owner)
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+}
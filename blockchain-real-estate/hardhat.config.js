@@ -9,7 +9,9 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // Needed for PropertyAuction's stack depth and to keep FractionalOwnership under the size limit
+      viaIR: true
     }
   },
   networks: {
@@ -0,0 +1,207 @@
+// SQLite store for the event indexer
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// `events` is the source of truth; every other table is a projection that can
+// be rebuilt from it after a reorg
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    details TEXT,
+    addresses TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_name ON events (contract, name);
+
+  CREATE TABLE IF NOT EXISTS properties (
+    id INTEGER PRIMARY KEY,
+    owner TEXT NOT NULL,
+    location TEXT,
+    property_type TEXT,
+    area INTEGER,
+    documents TEXT,
+    price_wei TEXT NOT NULL DEFAULT '0',
+    price_eth REAL NOT NULL DEFAULT 0,
+    for_sale INTEGER NOT NULL DEFAULT 0,
+    verified INTEGER NOT NULL DEFAULT 0,
+    verification_expires_at INTEGER,
+    verification_revoked INTEGER NOT NULL DEFAULT 0,
+    reverification_requested INTEGER NOT NULL DEFAULT 0,
+    token_id INTEGER,
+    registered_at INTEGER NOT NULL,
+    registered_block INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_properties_owner ON properties (owner);
+
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY,
+    property_id INTEGER NOT NULL,
+    buyer TEXT NOT NULL,
+    seller TEXT NOT NULL,
+    price_wei TEXT NOT NULL,
+    price_eth REAL NOT NULL,
+    status TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    created_block INTEGER NOT NULL,
+    updated_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_transactions_property ON transactions (property_id);
+
+  CREATE TABLE IF NOT EXISTS users (
+    address TEXT PRIMARY KEY,
+    first_seen INTEGER NOT NULL,
+    last_seen INTEGER NOT NULL,
+    first_block INTEGER NOT NULL,
+    last_block INTEGER NOT NULL,
+    event_count INTEGER NOT NULL DEFAULT 0
+  );
+`;
+
+const PROJECTION_TABLES = ["properties", "transactions", "users"];
+
+// Open (or create) the indexer database; pass ":memory:" for a throwaway store
+function openDatabase(file) {
+  if (file !== ":memory:") {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+}
+
+function getMeta(db, key) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? row.value : null;
+}
+
+function setMeta(db, key, value) {
+  db.prepare(
+    "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+  ).run(key, String(value));
+}
+
+// Last block whose events are fully stored, or null before the first sync
+function getLastBlock(db) {
+  const value = getMeta(db, "lastBlock");
+  return value === null ? null : Number(value);
+}
+
+// Timestamps are omitted when rolling back, since the chain has already moved past them
+function setLastBlock(db, blockNumber, timestamp) {
+  setMeta(db, "lastBlock", blockNumber);
+  if (timestamp !== undefined) {
+    setMeta(db, "lastBlockTimestamp", timestamp);
+  }
+}
+
+// Chain time as far as the indexer has synced, or 0 before the first sync
+function getLastBlockTimestamp(db) {
+  const value = getMeta(db, "lastBlockTimestamp");
+  return value === null ? 0 : Number(value);
+}
+
+function recordBlock(db, number, hash) {
+  db.prepare(
+    "INSERT INTO blocks (number, hash) VALUES (?, ?) ON CONFLICT(number) DO UPDATE SET hash = excluded.hash"
+  ).run(number, hash);
+}
+
+// The newest `limit` recorded blocks, newest first
+function getRecordedBlocks(db, limit) {
+  return db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?").all(limit);
+}
+
+// Forget block hashes at or below `blockNumber`; they are only kept to detect reorgs
+function pruneBlocks(db, blockNumber) {
+  db.prepare("DELETE FROM blocks WHERE number <= ?").run(blockNumber);
+}
+
+function insertEvent(db, event) {
+  db.prepare(`
+    INSERT INTO events (
+      block_number, log_index, block_hash, transaction_hash, timestamp,
+      contract, name, args, details, addresses
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    event.blockNumber,
+    event.logIndex,
+    event.blockHash,
+    event.transactionHash,
+    event.timestamp,
+    event.contract,
+    event.name,
+    JSON.stringify(event.args),
+    event.details ? JSON.stringify(event.details) : null,
+    event.addresses.join(",")
+  );
+}
+
+// Stored events in chain order, shaped like the events produced by the sync loop
+function getAllEvents(db) {
+  return db.prepare("SELECT * FROM events ORDER BY block_number, log_index").all().map(toEvent);
+}
+
+// Drop everything above `blockNumber`; the caller rebuilds projections afterwards
+function deleteAfterBlock(db, blockNumber) {
+  db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+  db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+}
+
+function clearProjections(db) {
+  for (const table of PROJECTION_TABLES) {
+    db.prepare(`DELETE FROM ${table}`).run();
+  }
+}
+
+function toEvent(row) {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    blockHash: row.block_hash,
+    transactionHash: row.transaction_hash,
+    timestamp: row.timestamp,
+    contract: row.contract,
+    name: row.name,
+    args: JSON.parse(row.args),
+    details: row.details ? JSON.parse(row.details) : null,
+    addresses: row.addresses ? row.addresses.split(",") : []
+  };
+}
+
+module.exports = {
+  openDatabase,
+  getMeta,
+  setMeta,
+  getLastBlock,
+  setLastBlock,
+  getLastBlockTimestamp,
+  recordBlock,
+  getRecordedBlocks,
+  pruneBlocks,
+  insertEvent,
+  getAllEvents,
+  deleteAfterBlock,
+  clearProjections,
+  toEvent
+};
@@ -0,0 +1,84 @@
+// Event indexer: replays contract events into SQLite and serves them over HTTP
+//
+//   RPC_URL                 node to index (default http://127.0.0.1:8545)
+//   DEPLOYMENT_MANIFEST     manifest written by deploy-all.js (default: frontend/public/deployments/<chainId>.json)
+//   INDEXER_DB              SQLite file (default: indexer/data/<chainId>.db)
+//   INDEXER_PORT            HTTP port (default 3001, matching API_ENDPOINTS.BASE_URL)
+//   INDEXER_POLL_INTERVAL   milliseconds between polls (default 2000)
+//   INDEXER_CONFIRMATIONS   blocks to wait before indexing (default 0)
+//   INDEXER_REORG_DEPTH     deepest reorg rolled back without reindexing from scratch (default 64)
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { openDatabase } = require("./db");
+const { createIndexer, syncOnce } = require("./sync");
+const { createServer } = require("./server");
+
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const PORT = Number(process.env.INDEXER_PORT || 3001);
+const POLL_INTERVAL = Number(process.env.INDEXER_POLL_INTERVAL || 2000);
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+const REORG_DEPTH = Number(process.env.INDEXER_REORG_DEPTH || 64);
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const chainId = Number((await provider.getNetwork()).chainId);
+
+  const manifestFile = process.env.DEPLOYMENT_MANIFEST ||
+    path.join(__dirname, "../../frontend/public/deployments", `${chainId}.json`);
+  if (!fs.existsSync(manifestFile)) {
+    throw new Error(`Deployment manifest not found: ${manifestFile}. Run scripts/deploy-all.js first.`);
+  }
+  const deployment = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+
+  const db = openDatabase(process.env.INDEXER_DB || path.join(__dirname, "data", `${chainId}.db`));
+  const indexer = createIndexer({
+    provider,
+    db,
+    deployment,
+    options: { confirmations: CONFIRMATIONS, reorgDepth: REORG_DEPTH }
+  });
+
+  const server = createServer(db);
+  server.listen(PORT, () => {
+    console.log(`Indexer API listening on http://localhost:${PORT}`);
+  });
+
+  let timer;
+  let stopped = false;
+  const poll = async () => {
+    try {
+      let previous;
+      let current = await syncOnce(indexer);
+      // Keep going while catching up, then wait for new blocks
+      while (current !== previous && !stopped) {
+        previous = current;
+        current = await syncOnce(indexer);
+      }
+    } catch (error) {
+      console.error("Indexer sync failed:", error.message);
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, POLL_INTERVAL);
+    }
+  };
+
+  console.log(`Indexing chain ${chainId} from block ${indexer.startBlock} via ${RPC_URL}`);
+  poll();
+
+  const shutdown = () => {
+    stopped = true;
+    clearTimeout(timer);
+    server.close(() => {
+      db.close();
+      process.exit(0);
+    });
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+// Fold indexed events into the properties, transactions and users tables
+const { ethers } = require("ethers");
+const { getAllEvents, clearProjections } = require("./db");
+
+// Mirrors IPropertyTransactions.TransactionStatus
+const TRANSACTION_STATUS = ["Created", "InspectionPassed", "PaymentReceived", "Completed", "Cancelled"];
+
+const toEth = (wei) => Number(ethers.formatEther(wei));
+
+const handlers = {
+  "PropertyRegistry.PropertyRegistered": (db, event) => {
+    const { propertyId, owner } = event.args;
+    const details = event.details || {};
+    const price = details.price || "0";
+
+    db.prepare(`
+      INSERT OR REPLACE INTO properties (
+        id, owner, location, property_type, area, documents, price_wei, price_eth,
+        for_sale, verified, registered_at, registered_block, updated_block
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      Number(propertyId),
+      owner,
+      details.location ?? event.args.location,
+      details.propertyType ?? null,
+      details.area !== undefined ? Number(details.area) : null,
+      details.documents ? JSON.stringify(details.documents) : null,
+      price,
+      toEth(price),
+      details.forSale ? 1 : 0,
+      details.verified ? 1 : 0,
+      event.timestamp,
+      event.blockNumber,
+      event.blockNumber
+    );
+  },
+
+  "PropertyRegistry.PropertyVerified": (db, event) => {
+    setVerification(db, event.args.propertyId, (event.details || {}).expiresAt, event.blockNumber);
+  },
+
+  // Re-inspections of a valid property move the expiry without a PropertyVerified event
+  "PropertyRegistry.InspectionReportSubmitted": (db, event) => {
+    setVerification(db, event.args.propertyId, event.args.expiresAt, event.blockNumber);
+  },
+
+  "PropertyRegistry.VerificationRevoked": (db, event) => {
+    db.prepare(`
+      UPDATE properties SET verified = 0, verification_expires_at = NULL, verification_revoked = 1, updated_block = ?
+      WHERE id = ?
+    `).run(event.blockNumber, Number(event.args.propertyId));
+  },
+
+  "PropertyRegistry.ReverificationRequested": (db, event) => {
+    db.prepare("UPDATE properties SET reverification_requested = 1, updated_block = ? WHERE id = ?")
+      .run(event.blockNumber, Number(event.args.propertyId));
+  },
+
+  "PropertyRegistry.PropertyListed": (db, event) => {
+    const { propertyId, price } = event.args;
+    db.prepare("UPDATE properties SET for_sale = 1, price_wei = ?, price_eth = ?, updated_block = ? WHERE id = ?")
+      .run(price, toEth(price), event.blockNumber, Number(propertyId));
+  },
+
+  "PropertyRegistry.PropertyUnlisted": (db, event) => {
+    db.prepare("UPDATE properties SET for_sale = 0, updated_block = ? WHERE id = ?")
+      .run(event.blockNumber, Number(event.args.propertyId));
+  },
+
+  "PropertyRegistry.PropertyTransferred": (db, event) => {
+    const { propertyId, to } = event.args;
+    db.prepare("UPDATE properties SET owner = ?, for_sale = 0, updated_block = ? WHERE id = ?")
+      .run(to, event.blockNumber, Number(propertyId));
+  },
+
+  "PropertyToken.PropertyTokenized": (db, event) => {
+    const { tokenId, propertyId } = event.args;
+    db.prepare("UPDATE properties SET token_id = ?, updated_block = ? WHERE id = ?")
+      .run(Number(tokenId), event.blockNumber, Number(propertyId));
+  },
+
+  "PropertyTransactions.TransactionCreated": (db, event) => {
+    const { transactionId, propertyId, buyer, seller, price } = event.args;
+    db.prepare(`
+      INSERT OR REPLACE INTO transactions (
+        id, property_id, buyer, seller, price_wei, price_eth, status,
+        created_at, created_block, updated_block
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      Number(transactionId),
+      Number(propertyId),
+      buyer,
+      seller,
+      price,
+      toEth(price),
+      TRANSACTION_STATUS[0],
+      event.timestamp,
+      event.blockNumber,
+      event.blockNumber
+    );
+  },
+
+  "PropertyTransactions.TransactionStatusUpdated": (db, event) => {
+    const { transactionId, status } = event.args;
+    setTransactionStatus(db, transactionId, TRANSACTION_STATUS[Number(status)], event.blockNumber);
+  },
+
+  "PropertyTransactions.TransactionCompleted": (db, event) => {
+    setTransactionStatus(db, event.args.transactionId, "Completed", event.blockNumber);
+  },
+
+  "PropertyTransactions.TransactionCancelled": (db, event) => {
+    setTransactionStatus(db, event.args.transactionId, "Cancelled", event.blockNumber);
+  }
+};
+
+// A new verification also clears any revocation and pending re-verification request
+function setVerification(db, propertyId, expiresAt, blockNumber) {
+  db.prepare(`
+    UPDATE properties SET
+      verified = 1, verification_expires_at = ?, verification_revoked = 0, reverification_requested = 0,
+      updated_block = ?
+    WHERE id = ?
+  `).run(expiresAt !== undefined ? Number(expiresAt) : null, blockNumber, Number(propertyId));
+}
+
+function setTransactionStatus(db, transactionId, status, blockNumber) {
+  db.prepare("UPDATE transactions SET status = ?, updated_block = ? WHERE id = ?")
+    .run(status, blockNumber, Number(transactionId));
+}
+
+// Every address in an event's arguments counts as activity for that user
+function touchUsers(db, event) {
+  const upsert = db.prepare(`
+    INSERT INTO users (address, first_seen, last_seen, first_block, last_block, event_count)
+    VALUES (?, ?, ?, ?, ?, 1)
+    ON CONFLICT(address) DO UPDATE SET
+      last_seen = excluded.last_seen,
+      last_block = excluded.last_block,
+      event_count = event_count + 1
+  `);
+
+  for (const address of new Set(event.addresses)) {
+    if (address !== ethers.ZeroAddress) {
+      upsert.run(address, event.timestamp, event.timestamp, event.blockNumber, event.blockNumber);
+    }
+  }
+}
+
+// Apply a single event; events without a handler are still stored and searchable
+function applyEvent(db, event) {
+  const handler = handlers[`${event.contract}.${event.name}`];
+  if (handler) {
+    handler(db, event);
+  }
+  touchUsers(db, event);
+}
+
+// Recompute every projection from the stored events (used after a reorg)
+function rebuildProjections(db) {
+  clearProjections(db);
+  for (const event of getAllEvents(db)) {
+    applyEvent(db, event);
+  }
+}
+
+module.exports = {
+  TRANSACTION_STATUS,
+  applyEvent,
+  rebuildProjections
+};
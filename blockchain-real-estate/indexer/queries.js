@@ -0,0 +1,273 @@
+// Read-side queries behind the indexer HTTP API
+const { toEvent, getLastBlock, getLastBlockTimestamp } = require("./db");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const PROPERTY_SORTS = {
+  newest: "id DESC",
+  oldest: "id ASC",
+  price_asc: "price_eth ASC, id ASC",
+  price_desc: "price_eth DESC, id DESC",
+  area_asc: "area ASC, id ASC",
+  area_desc: "area DESC, id DESC"
+};
+
+function getPagination(query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE));
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+// Run a filtered query and wrap it in the paginated response shape
+function paginate(db, { table, where, params, orderBy, query, mapRow }) {
+  const { page, pageSize, offset } = getPagination(query);
+  const whereClause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${table} ${whereClause}`).get(...params);
+  const rows = db
+    .prepare(`SELECT * FROM ${table} ${whereClause} ORDER BY ${orderBy} LIMIT ? OFFSET ?`)
+    .all(...params, pageSize, offset);
+
+  return {
+    data: rows.map(mapRow),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+}
+
+const parseBoolean = (value) => value === "true" || value === "1";
+
+function toProperty(row) {
+  return {
+    id: row.id,
+    owner: row.owner,
+    location: row.location,
+    propertyType: row.property_type,
+    area: row.area,
+    documents: row.documents ? JSON.parse(row.documents) : [],
+    price: row.price_wei,
+    forSale: row.for_sale === 1,
+    verified: row.verification_valid === 1,
+    verificationExpiresAt: row.verification_expires_at,
+    verificationRevoked: row.verification_revoked === 1,
+    reverificationRequested: row.reverification_requested === 1,
+    tokenId: row.token_id,
+    registeredAt: row.registered_at,
+    registeredBlock: row.registered_block,
+    updatedBlock: row.updated_block
+  };
+}
+
+function toTransaction(row) {
+  return {
+    id: row.id,
+    propertyId: row.property_id,
+    buyer: row.buyer,
+    seller: row.seller,
+    price: row.price_wei,
+    status: row.status,
+    createdAt: row.created_at,
+    createdBlock: row.created_block,
+    updatedBlock: row.updated_block
+  };
+}
+
+function toUser(row) {
+  return {
+    address: row.address,
+    firstSeen: row.first_seen,
+    lastSeen: row.last_seen,
+    firstBlock: row.first_block,
+    lastBlock: row.last_block,
+    eventCount: row.event_count,
+    propertiesOwned: row.properties_owned
+  };
+}
+
+// Verifications lapse without an event, so they are checked against the last indexed block's time
+const propertiesTable = (db) => `(
+  SELECT properties.*, (verified = 1 AND verification_expires_at > ${getLastBlockTimestamp(db)}) AS verification_valid
+  FROM properties
+)`;
+
+// Filters: owner, forSale, verified, propertyType, minPrice, maxPrice (ETH), search; sort
+function listProperties(db, query) {
+  const where = [];
+  const params = [];
+
+  if (query.owner) {
+    where.push("owner = ?");
+    params.push(query.owner);
+  }
+  if (query.forSale !== undefined) {
+    where.push("for_sale = ?");
+    params.push(parseBoolean(query.forSale) ? 1 : 0);
+  }
+  if (query.verified !== undefined) {
+    where.push("verification_valid = ?");
+    params.push(parseBoolean(query.verified) ? 1 : 0);
+  }
+  if (query.propertyType) {
+    where.push("property_type = ?");
+    params.push(query.propertyType);
+  }
+  if (query.minPrice) {
+    where.push("price_eth >= ?");
+    params.push(Number(query.minPrice));
+  }
+  if (query.maxPrice) {
+    where.push("price_eth <= ?");
+    params.push(Number(query.maxPrice));
+  }
+  if (query.search) {
+    where.push("location LIKE ?");
+    params.push(`%${query.search}%`);
+  }
+
+  return paginate(db, {
+    table: propertiesTable(db),
+    where,
+    params,
+    orderBy: PROPERTY_SORTS[query.sort] || PROPERTY_SORTS.newest,
+    query,
+    mapRow: toProperty
+  });
+}
+
+function getPropertyById(db, id) {
+  const row = db.prepare(`SELECT * FROM ${propertiesTable(db)} WHERE id = ?`).get(id);
+  if (!row) {
+    return null;
+  }
+
+  const history = db
+    .prepare("SELECT * FROM events WHERE json_extract(args, '$.propertyId') = ? ORDER BY block_number, log_index")
+    .all(String(id))
+    .map(toEvent);
+
+  return { ...toProperty(row), history };
+}
+
+// Filters: propertyId, buyer, seller, address (either side), status
+function listTransactions(db, query) {
+  const where = [];
+  const params = [];
+
+  if (query.propertyId) {
+    where.push("property_id = ?");
+    params.push(Number(query.propertyId));
+  }
+  if (query.buyer) {
+    where.push("buyer = ?");
+    params.push(query.buyer);
+  }
+  if (query.seller) {
+    where.push("seller = ?");
+    params.push(query.seller);
+  }
+  if (query.address) {
+    where.push("(buyer = ? OR seller = ?)");
+    params.push(query.address, query.address);
+  }
+  if (query.status) {
+    where.push("status = ?");
+    params.push(query.status);
+  }
+
+  return paginate(db, {
+    table: "transactions",
+    where,
+    params,
+    orderBy: "id DESC",
+    query,
+    mapRow: toTransaction
+  });
+}
+
+function getTransactionById(db, id) {
+  const row = db.prepare("SELECT * FROM transactions WHERE id = ?").get(id);
+  return row ? toTransaction(row) : null;
+}
+
+const USERS_TABLE = `(
+  SELECT users.*, (SELECT COUNT(*) FROM properties WHERE properties.owner = users.address) AS properties_owned
+  FROM users
+)`;
+
+function listUsers(db, query) {
+  return paginate(db, {
+    table: USERS_TABLE,
+    where: [],
+    params: [],
+    orderBy: "last_block DESC, address ASC",
+    query,
+    mapRow: toUser
+  });
+}
+
+function getUserByAddress(db, address) {
+  const row = db.prepare(`SELECT * FROM ${USERS_TABLE} WHERE address = ?`).get(address);
+  if (!row) {
+    return null;
+  }
+
+  const properties = db.prepare(`SELECT * FROM ${propertiesTable(db)} WHERE owner = ? ORDER BY id`).all(address);
+  const transactions = db
+    .prepare("SELECT * FROM transactions WHERE buyer = ? OR seller = ? ORDER BY id DESC")
+    .all(address, address);
+
+  return {
+    ...toUser(row),
+    properties: properties.map(toProperty),
+    transactions: transactions.map(toTransaction)
+  };
+}
+
+// Raw event feed, e.g. BidPlaced or LoanFunded. Filters: contract, name, address
+function listEvents(db, query) {
+  const where = [];
+  const params = [];
+
+  if (query.contract) {
+    where.push("contract = ?");
+    params.push(query.contract);
+  }
+  if (query.name) {
+    where.push("name = ?");
+    params.push(query.name);
+  }
+  if (query.address) {
+    where.push("(',' || addresses || ',') LIKE ?");
+    params.push(`%,${query.address},%`);
+  }
+
+  return paginate(db, {
+    table: "events",
+    where,
+    params,
+    orderBy: "block_number DESC, log_index DESC",
+    query,
+    mapRow: toEvent
+  });
+}
+
+function getStatus(db) {
+  const { events } = db.prepare("SELECT COUNT(*) AS events FROM events").get();
+  return { lastBlock: getLastBlock(db), events };
+}
+
+module.exports = {
+  listProperties,
+  getPropertyById,
+  listTransactions,
+  getTransactionById,
+  listUsers,
+  getUserByAddress,
+  listEvents,
+  getStatus
+};
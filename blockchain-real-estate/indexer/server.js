@@ -0,0 +1,125 @@
+// HTTP API serving the API_ENDPOINTS routes declared in the frontend constants
+const http = require("http");
+const { ethers } = require("ethers");
+const queries = require("./queries");
+
+const ADDRESS_PARAMS = ["owner", "buyer", "seller", "address"];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Addresses are stored checksummed, so normalize whatever casing the client sent
+function normalizeAddress(value) {
+  try {
+    return ethers.getAddress(value);
+  } catch (error) {
+    throw new HttpError(400, `Invalid address: ${value}`);
+  }
+}
+
+function parseId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new HttpError(400, `Invalid id: ${value}`);
+  }
+  return id;
+}
+
+function found(result, what) {
+  if (!result) {
+    throw new HttpError(404, `${what} not found`);
+  }
+  return result;
+}
+
+const routes = [
+  ["/api/status", (db) => queries.getStatus(db)],
+  ["/api/properties", (db, query) => queries.listProperties(db, query)],
+  ["/api/properties/:id", (db, query, id) => found(queries.getPropertyById(db, parseId(id)), "Property")],
+  ["/api/transactions", (db, query) => queries.listTransactions(db, query)],
+  ["/api/transactions/:id", (db, query, id) => found(queries.getTransactionById(db, parseId(id)), "Transaction")],
+  ["/api/users", (db, query) => queries.listUsers(db, query)],
+  ["/api/users/:address", (db, query, address) => found(queries.getUserByAddress(db, normalizeAddress(address)), "User")],
+  ["/api/events", (db, query) => queries.listEvents(db, query)]
+];
+
+function matchRoute(pathname) {
+  const parts = pathname.replace(/\/+$/, "").split("/");
+
+  for (const [pattern, handler] of routes) {
+    const patternParts = pattern.split("/");
+    if (patternParts.length !== parts.length) {
+      continue;
+    }
+
+    const params = [];
+    const matches = patternParts.every((part, i) => {
+      if (part.startsWith(":")) {
+        params.push(decodeURIComponent(parts[i]));
+        return true;
+      }
+      return part === parts[i];
+    });
+
+    if (matches) {
+      return { handler, params };
+    }
+  }
+
+  return null;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*"
+  });
+  res.end(JSON.stringify(body));
+}
+
+function createServer(db) {
+  return http.createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS"
+      });
+      res.end();
+      return;
+    }
+
+    try {
+      if (req.method !== "GET") {
+        throw new HttpError(405, "Method not allowed");
+      }
+
+      const url = new URL(req.url, "http://localhost");
+      const route = matchRoute(url.pathname);
+      if (!route) {
+        throw new HttpError(404, "Not found");
+      }
+
+      const query = Object.fromEntries(url.searchParams);
+      for (const param of ADDRESS_PARAMS) {
+        if (query[param]) {
+          query[param] = normalizeAddress(query[param]);
+        }
+      }
+
+      sendJson(res, 200, route.handler(db, query, ...route.params));
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error("Indexer API error:", error);
+      }
+      sendJson(res, error.status || 500, { error: error.status ? error.message : "Internal server error" });
+    }
+  });
+}
+
+module.exports = {
+  createServer
+};
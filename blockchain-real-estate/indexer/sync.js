@@ -0,0 +1,196 @@
+// Replay contract events from a node into the indexer database
+const { ethers } = require("ethers");
+const {
+  getLastBlock,
+  setLastBlock,
+  recordBlock,
+  getRecordedBlocks,
+  pruneBlocks,
+  insertEvent,
+  deleteAfterBlock
+} = require("./db");
+const { applyEvent, rebuildProjections } = require("./projections");
+
+const DEFAULT_OPTIONS = {
+  batchSize: 2000,
+  confirmations: 0,
+  // Deepest reorg the indexer can roll back; block hashes older than this are pruned
+  reorgDepth: 64
+};
+
+// Extra state read from the chain when an event alone isn't enough for a projection.
+// Results are stored with the event, so rebuilding projections never hits the node.
+const enrichers = {
+  "PropertyRegistry.PropertyRegistered": async (contract, args, blockTag) => {
+    const property = await contract.getProperty(args.propertyId, { blockTag });
+    return {
+      location: property.location,
+      propertyType: property.propertyType,
+      area: property.area.toString(),
+      documents: [...property.documents],
+      price: property.price.toString(),
+      forSale: property.forSale,
+      verified: property.verified
+    };
+  },
+
+  "PropertyRegistry.PropertyVerified": async (contract, args, blockTag) => {
+    const [, expiresAt] = await contract.getVerificationStatus(args.propertyId, { blockTag });
+    return { expiresAt: expiresAt.toString() };
+  }
+};
+
+// Set up an indexer for the contracts listed in a deploy-all.js manifest
+function createIndexer({ provider, db, deployment, options = {} }) {
+  const contracts = {};
+  for (const [name, info] of Object.entries(deployment.contracts)) {
+    contracts[info.address.toLowerCase()] = {
+      name,
+      contract: new ethers.Contract(info.address, info.abi, provider)
+    };
+  }
+
+  return {
+    provider,
+    db,
+    contracts,
+    startBlock: deployment.startBlock || 0,
+    options: { ...DEFAULT_OPTIONS, ...options }
+  };
+}
+
+// Convert decoded arguments to plain JSON values and collect address arguments
+function serializeArgs(fragment, values) {
+  const args = {};
+  const addresses = [];
+
+  fragment.inputs.forEach((input, i) => {
+    const value = values[i];
+    if (input.type === "address") {
+      addresses.push(value);
+    }
+    args[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+
+  return { args, addresses };
+}
+
+async function decodeLog(indexer, log, timestamps) {
+  const source = indexer.contracts[log.address.toLowerCase()];
+  if (!source) {
+    return null;
+  }
+
+  const parsed = source.contract.interface.parseLog(log);
+  if (!parsed) {
+    return null;
+  }
+
+  const { args, addresses } = serializeArgs(parsed.fragment, parsed.args);
+  const enrich = enrichers[`${source.name}.${parsed.name}`];
+
+  return {
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    timestamp: timestamps[log.blockNumber],
+    contract: source.name,
+    name: parsed.name,
+    args,
+    details: enrich ? await enrich(source.contract, args, log.blockNumber) : null,
+    addresses
+  };
+}
+
+// Roll back to the newest recorded block that is still on the canonical chain, or
+// reindex from the start if the reorg is deeper than the recorded blocks reach.
+// Returns the block rolled back to, or null if no reorg happened.
+async function handleReorg(indexer) {
+  const { provider, db, options } = indexer;
+  const recorded = getRecordedBlocks(db, options.reorgDepth);
+  if (recorded.length === 0) {
+    return null;
+  }
+
+  let ancestor = indexer.startBlock - 1;
+  for (let i = 0; i < recorded.length; i++) {
+    const block = await provider.getBlock(recorded[i].number);
+    if (block && block.hash === recorded[i].hash) {
+      if (i === 0) {
+        return null;
+      }
+      ancestor = recorded[i].number;
+      break;
+    }
+  }
+
+  db.transaction(() => {
+    deleteAfterBlock(db, ancestor);
+    setLastBlock(db, ancestor);
+    rebuildProjections(db);
+  })();
+
+  return ancestor;
+}
+
+// Index the next batch of blocks. Returns the last indexed block.
+async function syncOnce(indexer) {
+  const { provider, db, contracts, options } = indexer;
+
+  const reorgedTo = await handleReorg(indexer);
+  if (reorgedTo !== null) {
+    console.log(`Reorg detected, rolled back to block ${reorgedTo}`);
+  }
+
+  const lastBlock = getLastBlock(db);
+  const fromBlock = lastBlock === null ? indexer.startBlock : lastBlock + 1;
+  const head = await provider.getBlockNumber();
+  const toBlock = Math.min(head - options.confirmations, fromBlock + options.batchSize - 1);
+
+  if (toBlock < fromBlock) {
+    return lastBlock;
+  }
+
+  const logs = await provider.getLogs({
+    address: Object.values(contracts).map(({ contract }) => contract.target),
+    fromBlock,
+    toBlock
+  });
+
+  // Fetch each block once for its timestamp and hash
+  const blockNumbers = [...new Set([...logs.map(log => log.blockNumber), toBlock])];
+  const blocks = await Promise.all(blockNumbers.map(number => provider.getBlock(number)));
+  const timestamps = {};
+  blocks.forEach(block => {
+    timestamps[block.number] = block.timestamp;
+  });
+
+  const events = [];
+  for (const log of logs) {
+    const event = await decodeLog(indexer, log, timestamps);
+    if (event) {
+      events.push(event);
+    }
+  }
+
+  db.transaction(() => {
+    for (const event of events) {
+      insertEvent(db, event);
+      applyEvent(db, event);
+    }
+    for (const block of blocks) {
+      recordBlock(db, block.number, block.hash);
+    }
+    pruneBlocks(db, toBlock - options.reorgDepth);
+    setLastBlock(db, toBlock, timestamps[toBlock]);
+  })();
+
+  return toBlock;
+}
+
+module.exports = {
+  createIndexer,
+  handleReorg,
+  syncOnce
+};
@@ -2,6 +2,12 @@ const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
 
+// Block in which a contract was deployed; indexers start replaying from here
+async function getDeployBlock(contract) {
+  const receipt = await contract.deploymentTransaction().wait();
+  return receipt.blockNumber;
+}
+
 async function main() {
   console.log("🚀 Starting comprehensive deployment of Blockchain Real Estate System...\n");
 
@@ -28,7 +34,8 @@ async function main() {
     deployedContracts.PropertyRegistry = propertyRegistry;
     deploymentInfo.contracts.PropertyRegistry = {
       address: propertyRegistryAddress,
-      deployer: deployer.address
+      deployer: deployer.address,
+      blockNumber: await getDeployBlock(propertyRegistry)
     };
     console.log("✅ PropertyRegistry deployed to:", propertyRegistryAddress);
 
@@ -42,7 +49,8 @@ async function main() {
     deployedContracts.PropertyToken = propertyToken;
     deploymentInfo.contracts.PropertyToken = {
       address: propertyTokenAddress,
-      deployer: deployer.address
+      deployer: deployer.address,
+      blockNumber: await getDeployBlock(propertyToken)
     };
     console.log("✅ PropertyToken deployed to:", propertyTokenAddress);
 
@@ -59,7 +67,8 @@ async function main() {
     deployedContracts.PropertyTransactions = propertyTransactions;
     deploymentInfo.contracts.PropertyTransactions = {
       address: propertyTransactionsAddress,
-      deployer: deployer.address
+      deployer: deployer.address,
+      blockNumber: await getDeployBlock(propertyTransactions)
     };
     console.log("✅ PropertyTransactions deployed to:", propertyTransactionsAddress);
 
@@ -73,7 +82,8 @@ async function main() {
     deployedContracts.PropertyAuction = propertyAuction;
     deploymentInfo.contracts.PropertyAuction = {
       address: propertyAuctionAddress,
-      deployer: deployer.address
+      deployer: deployer.address,
+      blockNumber: await getDeployBlock(propertyAuction)
     };
     console.log("✅ PropertyAuction deployed to:", propertyAuctionAddress);
 
@@ -87,7 +97,8 @@ async function main() {
     deployedContracts.PropertyInsurance = propertyInsurance;
     deploymentInfo.contracts.PropertyInsurance = {
       address: propertyInsuranceAddress,
-      deployer: deployer.address
+      deployer: deployer.address,
+      blockNumber: await getDeployBlock(propertyInsurance)
     };
     console.log("✅ PropertyInsurance deployed to:", propertyInsuranceAddress);
 
@@ -101,11 +112,57 @@ async function main() {
     deployedContracts.FractionalOwnership = fractionalOwnership;
     deploymentInfo.contracts.FractionalOwnership = {
       address: fractionalOwnershipAddress,
-      deployer: deployer.address
+      deployer: deployer.address,
+      blockNumber: await getDeployBlock(fractionalOwnership)
     };
     console.log("✅ FractionalOwnership deployed to:", fractionalOwnershipAddress);
 
-    // 7. Configure contracts
+    // 7. Deploy PropertyRental
+    console.log("\n🔑 Deploying PropertyRental...");
+    const PropertyRental = await ethers.getContractFactory("PropertyRental");
+    const propertyRental = await PropertyRental.deploy(propertyRegistryAddress);
+    await propertyRental.waitForDeployment();
+    const propertyRentalAddress = await propertyRental.getAddress();
+    
+    deployedContracts.PropertyRental = propertyRental;
+    deploymentInfo.contracts.PropertyRental = {
+      address: propertyRentalAddress,
+      deployer: deployer.address,
+      blockNumber: await getDeployBlock(propertyRental)
+    };
+    console.log("✅ PropertyRental deployed to:", propertyRentalAddress);
+
+    // 8. Deploy PropertyFinancing
+    console.log("\n🏦 Deploying PropertyFinancing...");
+    const PropertyFinancing = await ethers.getContractFactory("PropertyFinancing");
+    const propertyFinancing = await PropertyFinancing.deploy(propertyRegistryAddress);
+    await propertyFinancing.waitForDeployment();
+    const propertyFinancingAddress = await propertyFinancing.getAddress();
+    
+    deployedContracts.PropertyFinancing = propertyFinancing;
+    deploymentInfo.contracts.PropertyFinancing = {
+      address: propertyFinancingAddress,
+      deployer: deployer.address,
+      blockNumber: await getDeployBlock(propertyFinancing)
+    };
+    console.log("✅ PropertyFinancing deployed to:", propertyFinancingAddress);
+
+    // 9. Deploy DocumentAccess
+    console.log("\n🔐 Deploying DocumentAccess...");
+    const DocumentAccess = await ethers.getContractFactory("DocumentAccess");
+    const documentAccess = await DocumentAccess.deploy();
+    await documentAccess.waitForDeployment();
+    const documentAccessAddress = await documentAccess.getAddress();
+    
+    deployedContracts.DocumentAccess = documentAccess;
+    deploymentInfo.contracts.DocumentAccess = {
+      address: documentAccessAddress,
+      deployer: deployer.address,
+      blockNumber: await getDeployBlock(documentAccess)
+    };
+    console.log("✅ DocumentAccess deployed to:", documentAccessAddress);
+
+    // 10. Configure contracts
     console.log("\n⚙️ Configuring contract relationships...");
     
     // Set PropertyToken contract in PropertyRegistry
@@ -116,11 +173,24 @@ async function main() {
     await propertyRegistry.setPropertyTransactionsContract(propertyTransactionsAddress);
     console.log("✅ PropertyTransactions contract set in PropertyRegistry");
 
+    // Let auction settlement, fractional custody and buyouts, and foreclosure move properties in the registry
+    const TRANSFER_AGENT_ROLE = await propertyRegistry.TRANSFER_AGENT_ROLE();
+    await propertyRegistry.grantRole(TRANSFER_AGENT_ROLE, propertyAuctionAddress);
+    console.log("✅ PropertyAuction granted TRANSFER_AGENT_ROLE in PropertyRegistry");
+    await propertyRegistry.grantRole(TRANSFER_AGENT_ROLE, fractionalOwnershipAddress);
+    console.log("✅ FractionalOwnership granted TRANSFER_AGENT_ROLE in PropertyRegistry");
+    await propertyRegistry.grantRole(TRANSFER_AGENT_ROLE, propertyFinancingAddress);
+    console.log("✅ PropertyFinancing granted TRANSFER_AGENT_ROLE in PropertyRegistry");
+
     // Add deployer as initial verifier
     await propertyRegistry.addVerifier(deployer.address);
     console.log("✅ Deployer added as initial verifier");
 
-    // 8. Save deployment information
+    // Foreclosures are sold through the auction contract
+    await propertyFinancing.setPropertyAuction(propertyAuctionAddress);
+    console.log("✅ PropertyAuction contract set in PropertyFinancing");
+
+    // 11. Save deployment information
     console.log("\n💾 Saving deployment information...");
     
     const deploymentsDir = path.join(__dirname, "../deployments");
@@ -133,78 +203,39 @@ async function main() {
     fs.writeFileSync(deploymentFile, JSON.stringify(deploymentInfo, null, 2));
     console.log("✅ Deployment info saved to:", deploymentFile);
 
-    // 9. Generate frontend configuration
-    console.log("\n🌐 Generating frontend configuration...");
-    const frontendConfig = {
-      networkId: Number(deploymentInfo.network.chainId),
-      networkName: networkName,
-      contracts: {
-        PropertyRegistry: {
-          address: propertyRegistryAddress,
-          abi: "PropertyRegistry.json"
-        },
-        PropertyToken: {
-          address: propertyTokenAddress,
-          abi: "PropertyToken.json"
-        },
-        PropertyTransactions: {
-          address: propertyTransactionsAddress,
-          abi: "PropertyTransactions.json"
-        },
-        PropertyAuction: {
-          address: propertyAuctionAddress,
-          abi: "PropertyAuction.json"
-        },
-        PropertyInsurance: {
-          address: propertyInsuranceAddress,
-          abi: "PropertyInsurance.json"
-        },
-        FractionalOwnership: {
-          address: fractionalOwnershipAddress,
-          abi: "FractionalOwnership.json"
-        }
-      }
+    // 12. Generate the frontend deployment manifest
+    // The frontend fetches public/deployments/<chainId>.json at runtime, so a
+    // single build can talk to any network that has a manifest
+    console.log("\n🌐 Generating frontend deployment manifest...");
+    const chainId = Number(deploymentInfo.network.chainId);
+    const manifest = {
+      chainId,
+      networkName,
+      deployer: deployer.address,
+      timestamp: deploymentInfo.timestamp,
+      startBlock: Math.min(...Object.values(deploymentInfo.contracts).map(info => info.blockNumber)),
+      contracts: {}
     };
 
-    const frontendConfigDir = path.join(__dirname, "../../frontend/src/contracts");
-    if (!fs.existsSync(frontendConfigDir)) {
-      fs.mkdirSync(frontendConfigDir, { recursive: true });
+    for (const [contractName, info] of Object.entries(deploymentInfo.contracts)) {
+      const artifact = await hre.artifacts.readArtifact(contractName);
+      manifest.contracts[contractName] = {
+        address: info.address,
+        blockNumber: info.blockNumber,
+        abi: artifact.abi
+      };
     }
 
-    const frontendConfigFile = path.join(frontendConfigDir, `${networkName}.json`);
-    fs.writeFileSync(frontendConfigFile, JSON.stringify(frontendConfig, null, 2));
-    console.log("✅ Frontend config saved to:", frontendConfigFile);
-
-    // 10. Copy ABIs to frontend
-    console.log("\n📋 Copying contract ABIs to frontend...");
-    const artifactsDir = path.join(__dirname, "../artifacts/contracts");
-    const frontendAbiDir = path.join(frontendConfigDir, "abis");
-    
-    if (!fs.existsSync(frontendAbiDir)) {
-      fs.mkdirSync(frontendAbiDir, { recursive: true });
+    const manifestDir = path.join(__dirname, "../../frontend/public/deployments");
+    if (!fs.existsSync(manifestDir)) {
+      fs.mkdirSync(manifestDir, { recursive: true });
     }
 
-    const contractNames = [
-      "PropertyRegistry",
-      "PropertyToken", 
-      "PropertyTransactions",
-      "PropertyAuction",
-      "PropertyInsurance",
-      "FractionalOwnership"
-    ];
-
-    for (const contractName of contractNames) {
-      const artifactPath = path.join(artifactsDir, `${contractName}.sol`, `${contractName}.json`);
-      const abiPath = path.join(frontendAbiDir, `${contractName}.json`);
-      
-      if (fs.existsSync(artifactPath)) {
-        const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
-        fs.writeFileSync(abiPath, JSON.stringify(artifact.abi, null, 2));
-        console.log(`✅ ${contractName} ABI copied`);
-      }
-    }
+    const manifestFile = path.join(manifestDir, `${chainId}.json`);
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+    console.log("✅ Deployment manifest saved to:", manifestFile);
 
-    // 11. Verify contracts (if on supported network)
+    // 13. Verify contracts (if on supported network)
     if (process.env.ETHERSCAN_API_KEY && networkName !== "hardhat" && networkName !== "localhost") {
       console.log("\n🔍 Verifying contracts on Etherscan...");
       
@@ -245,12 +276,30 @@ async function main() {
         });
         console.log("✅ FractionalOwnership verified");
 
+        await hre.run("verify:verify", {
+          address: propertyRentalAddress,
+          constructorArguments: [propertyRegistryAddress]
+        });
+        console.log("✅ PropertyRental verified");
+
+        await hre.run("verify:verify", {
+          address: propertyFinancingAddress,
+          constructorArguments: [propertyRegistryAddress]
+        });
+        console.log("✅ PropertyFinancing verified");
+
+        await hre.run("verify:verify", {
+          address: documentAccessAddress,
+          constructorArguments: []
+        });
+        console.log("✅ DocumentAccess verified");
+
       } catch (error) {
         console.log("⚠️ Contract verification failed:", error.message);
       }
     }
 
-    // 12. Display deployment summary
+    // 14. Display deployment summary
     console.log("\n" + "=".repeat(80));
     console.log("🎉 DEPLOYMENT COMPLETED SUCCESSFULLY!");
     console.log("=".repeat(80));
@@ -266,14 +315,13 @@ async function main() {
 
     console.log("\n🔧 Next Steps:");
     console.log("-".repeat(50));
-    console.log("1. Update frontend environment variables with contract addresses");
+    console.log("1. Serve the frontend; it loads contract addresses from the deployment manifest");
     console.log("2. Configure IPFS settings for metadata storage");
-    console.log("3. Set up property verifiers using addVerifier() function");
+    console.log("3. Grant verifier, assessor and lender roles from the frontend admin console (or grantRole)");
     console.log("4. Configure platform fees and parameters as needed");
     console.log("5. Test the system with sample property registrations");
     console.log("\n💡 Frontend Configuration:");
-    console.log(`   Config file: ${frontendConfigFile}`);
-    console.log(`   ABI directory: ${frontendAbiDir}`);
+    console.log(`   Manifest: ${manifestFile}`);
     
     console.log("\n🚀 System is ready for use!");
     console.log("=".repeat(80));
@@ -0,0 +1,109 @@
+// Insurance keeper: renews auto-renewing PropertyInsurance policies from prepaid
+// renewal balances and lapses the ones that can't be renewed, on a schedule
+//
+//   RPC_URL               node to watch (default http://127.0.0.1:8545)
+//   DEPLOYMENT_MANIFEST   manifest written by deploy-all.js (default: frontend/public/deployments/<chainId>.json)
+//   KEEPER_PRIVATE_KEY    account that sends processRenewals (default: the node's first unlocked account)
+//   KEEPER_INTERVAL       milliseconds between runs (default 60000)
+//   KEEPER_BATCH_SIZE     policies per processRenewals transaction (default 50)
+//   KEEPER_ONCE           set to 1 to run once and exit, e.g. from cron
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const INTERVAL = Number(process.env.KEEPER_INTERVAL || 60000);
+const BATCH_SIZE = Number(process.env.KEEPER_BATCH_SIZE || 50);
+
+// Policy IDs that processRenewals would renew or lapse at the latest block
+async function findDuePolicies(insurance) {
+  const nextPolicyId = Number(await insurance.nextPolicyId());
+  const due = [];
+  for (let policyId = 1; policyId < nextPolicyId; policyId++) {
+    if (await insurance.isRenewalDue(policyId)) {
+      due.push(policyId);
+    }
+  }
+  return due;
+}
+
+// Send processRenewals for every due policy and report what happened to each
+async function processDuePolicies(insurance, { batchSize = BATCH_SIZE } = {}) {
+  const result = { renewed: [], lapsed: [] };
+  const due = await findDuePolicies(insurance);
+  const insuranceAddress = (await insurance.getAddress()).toLowerCase();
+
+  for (let i = 0; i < due.length; i += batchSize) {
+    const tx = await insurance.processRenewals(due.slice(i, i + batchSize));
+    const receipt = await tx.wait();
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== insuranceAddress) continue;
+      const event = insurance.interface.parseLog(log);
+      if (event?.name === "PolicyRenewed") {
+        result.renewed.push(Number(event.args.policyId));
+      } else if (event?.name === "PolicyLapsed" || event?.name === "PolicyOwnershipEnded") {
+        result.lapsed.push(Number(event.args.policyId));
+      }
+    }
+  }
+
+  return result;
+}
+
+async function main() {
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const chainId = Number((await provider.getNetwork()).chainId);
+
+  const manifestFile = process.env.DEPLOYMENT_MANIFEST ||
+    path.join(__dirname, "../../frontend/public/deployments", `${chainId}.json`);
+  if (!fs.existsSync(manifestFile)) {
+    throw new Error(`Deployment manifest not found: ${manifestFile}. Run scripts/deploy-all.js first.`);
+  }
+  const deployment = JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+  const info = deployment.contracts.PropertyInsurance;
+  if (!info) {
+    throw new Error(`PropertyInsurance is not in ${manifestFile}`);
+  }
+
+  const signer = process.env.KEEPER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.KEEPER_PRIVATE_KEY, provider)
+    : await provider.getSigner(0);
+  const insurance = new ethers.Contract(info.address, info.abi, signer);
+
+  let timer;
+  let stopped = false;
+  const run = async () => {
+    try {
+      const { renewed, lapsed } = await processDuePolicies(insurance);
+      if (renewed.length || lapsed.length) {
+        console.log(`Renewed policies [${renewed.join(", ")}], lapsed policies [${lapsed.join(", ")}]`);
+      }
+    } catch (error) {
+      console.error("Renewal run failed:", error.message);
+    }
+    if (!stopped && process.env.KEEPER_ONCE !== "1") {
+      timer = setTimeout(run, INTERVAL);
+    }
+  };
+
+  console.log(`Processing renewals for PropertyInsurance at ${info.address} on chain ${chainId} as ${await signer.getAddress()}`);
+  await run();
+
+  const shutdown = () => {
+    stopped = true;
+    clearTimeout(timer);
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { findDuePolicies, processDuePolicies };
@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("DocumentAccess", function () {
+  let documentAccess;
+  let owner, buyer, inspector, other;
+
+  const DOCUMENT_HASH = "QmTitleDeedCiphertext";
+  const ENVELOPE_V1 = "QmEnvelopeOwnerOnly";
+  const ENVELOPE_V2 = "QmEnvelopeWithBuyer";
+  const ENVELOPE_V3 = "QmEnvelopeRotated";
+
+  // Any compressed secp256k1 point will do; the contract only stores it
+  const publicKeyOf = (signer) => ethers.SigningKey.computePublicKey(
+    ethers.keccak256(ethers.toUtf8Bytes(signer.address)),
+    true
+  );
+
+  beforeEach(async function () {
+    [owner, buyer, inspector, other] = await ethers.getSigners();
+
+    const DocumentAccess = await ethers.getContractFactory("DocumentAccess");
+    documentAccess = await DocumentAccess.deploy();
+    await documentAccess.waitForDeployment();
+
+    for (const account of [owner, buyer, inspector]) {
+      await documentAccess.connect(account).registerEncryptionKey(publicKeyOf(account));
+    }
+  });
+
+  describe("Encryption Keys", function () {
+    it("Should register an encryption key", async function () {
+      const publicKey = publicKeyOf(other);
+      await expect(documentAccess.connect(other).registerEncryptionKey(publicKey))
+        .to.emit(documentAccess, "EncryptionKeyRegistered")
+        .withArgs(other.address, publicKey);
+
+      expect(await documentAccess.getEncryptionKey(other.address)).to.equal(publicKey);
+    });
+
+    it("Should reject keys that are not compressed public keys", async function () {
+      await expect(
+        documentAccess.connect(other).registerEncryptionKey("0x1234")
+      ).to.be.revertedWith("Invalid public key");
+    });
+  });
+
+  describe("Publishing", function () {
+    it("Should publish a document with the owner as its only reader", async function () {
+      await expect(documentAccess.publishDocument(DOCUMENT_HASH, ENVELOPE_V1))
+        .to.emit(documentAccess, "DocumentPublished")
+        .withArgs(DOCUMENT_HASH, owner.address, ENVELOPE_V1);
+
+      const [docOwner, envelopeHash, readers] = await documentAccess.getDocument(owner.address, DOCUMENT_HASH);
+      expect(docOwner).to.equal(owner.address);
+      expect(envelopeHash).to.equal(ENVELOPE_V1);
+      expect(readers).to.deep.equal([owner.address]);
+      expect(await documentAccess.hasAccess(owner.address, DOCUMENT_HASH, owner.address)).to.be.true;
+      expect(await documentAccess.hasAccess(owner.address, DOCUMENT_HASH, buyer.address)).to.be.false;
+    });
+
+    it("Should not publish the same document twice", async function () {
+      await documentAccess.publishDocument(DOCUMENT_HASH, ENVELOPE_V1);
+
+      await expect(
+        documentAccess.publishDocument(DOCUMENT_HASH, ENVELOPE_V2)
+      ).to.be.revertedWith("Document already published");
+    });
+
+    it("Should keep a copied hash published by another account separate", async function () {
+      // Publishing a hash seen in the mempool first doesn't take over the original
+      await documentAccess.connect(buyer).publishDocument(DOCUMENT_HASH, ENVELOPE_V2);
+      await documentAccess.publishDocument(DOCUMENT_HASH, ENVELOPE_V1);
+
+      const [docOwner, envelopeHash, readers] = await documentAccess.getDocument(owner.address, DOCUMENT_HASH);
+      expect(docOwner).to.equal(owner.address);
+      expect(envelopeHash).to.equal(ENVELOPE_V1);
+      expect(readers).to.deep.equal([owner.address]);
+      expect(await documentAccess.hasAccess(owner.address, DOCUMENT_HASH, buyer.address)).to.be.false;
+
+      await expect(
+        documentAccess.connect(buyer).grantAccess(DOCUMENT_HASH, inspector.address, ENVELOPE_V3)
+      ).to.emit(documentAccess, "AccessGranted");
+      expect(await documentAccess.hasAccess(owner.address, DOCUMENT_HASH, inspector.address)).to.be.false;
+      expect(await documentAccess.hasAccess(buyer.address, DOCUMENT_HASH, inspector.address)).to.be.true;
+    });
+
+    it("Should require a registered encryption key", async function () {
+      await expect(
+        documentAccess.connect(other).publishDocument(DOCUMENT_HASH, ENVELOPE_V1)
+      ).to.be.revertedWith("Encryption key not registered");
+    });
+  });
+
+  describe("Granting and Revoking", function () {
+    beforeEach(async function () {
+      await documentAccess.publishDocument(DOCUMENT_HASH, ENVELOPE_V1);
+    });
+
+    it("Should grant access with a new envelope", async function () {
+      await expect(documentAccess.grantAccess(DOCUMENT_HASH, buyer.address, ENVELOPE_V2))
+        .to.emit(documentAccess, "AccessGranted")
+        .withArgs(DOCUMENT_HASH, owner.address, buyer.address, ENVELOPE_V2);
+
+      const [, envelopeHash, readers] = await documentAccess.getDocument(owner.address, DOCUMENT_HASH);
+      expect(envelopeHash).to.equal(ENVELOPE_V2);
+      expect(readers).to.deep.equal([owner.address, buyer.address]);
+      expect(await documentAccess.hasAccess(owner.address, DOCUMENT_HASH, buyer.address)).to.be.true;
+    });
+
+    it("Should only let the owner grant access", async function () {
+      await expect(
+        documentAccess.connect(buyer).grantAccess(DOCUMENT_HASH, buyer.address, ENVELOPE_V2)
+      ).to.be.revertedWith("Not the document owner");
+    });
+
+    it("Should not grant access to accounts without an encryption key", async function () {
+      await expect(
+        documentAccess.grantAccess(DOCUMENT_HASH, other.address, ENVELOPE_V2)
+      ).to.be.revertedWith("Reader has no encryption key");
+    });
+
+    it("Should not grant access twice", async function () {
+      await documentAccess.grantAccess(DOCUMENT_HASH, buyer.address, ENVELOPE_V2);
+
+      await expect(
+        documentAccess.grantAccess(DOCUMENT_HASH, buyer.address, ENVELOPE_V2)
+      ).to.be.revertedWith("Reader already has access");
+    });
+
+    it("Should revoke access and rotate the envelope", async function () {
+      await documentAccess.grantAccess(DOCUMENT_HASH, buyer.address, ENVELOPE_V2);
+      await documentAccess.grantAccess(DOCUMENT_HASH, inspector.address, ENVELOPE_V2);
+
+      await expect(documentAccess.revokeAccess(DOCUMENT_HASH, buyer.address, ENVELOPE_V3))
+        .to.emit(documentAccess, "AccessRevoked")
+        .withArgs(DOCUMENT_HASH, owner.address, buyer.address, ENVELOPE_V3);
+
+      const [, envelopeHash, readers] = await documentAccess.getDocument(owner.address, DOCUMENT_HASH);
+      expect(envelopeHash).to.equal(ENVELOPE_V3);
+      expect(readers).to.deep.equal([owner.address, inspector.address]);
+      expect(await documentAccess.hasAccess(owner.address, DOCUMENT_HASH, buyer.address)).to.be.false;
+      expect(await documentAccess.hasAccess(owner.address, DOCUMENT_HASH, inspector.address)).to.be.true;
+
+      // The revoked reader can be granted access again
+      await documentAccess.grantAccess(DOCUMENT_HASH, buyer.address, ENVELOPE_V2);
+      expect(await documentAccess.hasAccess(owner.address, DOCUMENT_HASH, buyer.address)).to.be.true;
+    });
+
+    it("Should not revoke the owner or accounts without access", async function () {
+      await expect(
+        documentAccess.revokeAccess(DOCUMENT_HASH, owner.address, ENVELOPE_V3)
+      ).to.be.revertedWith("Owner cannot revoke own access");
+
+      await expect(
+        documentAccess.revokeAccess(DOCUMENT_HASH, buyer.address, ENVELOPE_V3)
+      ).to.be.revertedWith("Reader has no access");
+    });
+  });
+});
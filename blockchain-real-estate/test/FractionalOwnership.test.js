@@ -0,0 +1,799 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("FractionalOwnership", function () {
+  let propertyRegistry, fractionalOwnership, shareToken;
+  let owner, propertyOwner, investor1, investor2, contractor, buyer, verifier;
+  let propertyId;
+
+  const TOTAL_SHARES = 100n;
+  const SHARE_PRICE = ethers.parseEther("0.1");
+  const VOTING_PERIOD = 7 * 24 * 60 * 60;
+
+  const ProposalType = { Maintenance: 0, Renovation: 1, Sale: 2, RentIncrease: 3, Other: 4 };
+
+  const createProposal = async (proposer, proposalType, recipient = ethers.ZeroAddress, amount = 0n) => {
+    const tx = await fractionalOwnership.connect(proposer).createProposal(
+      propertyId,
+      `Proposal ${proposalType}`,
+      proposalType,
+      recipient,
+      amount
+    );
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map(log => fractionalOwnership.interface.parseLog(log))
+      .find(parsed => parsed && parsed.name === "ProposalCreated");
+    return event.args.proposalId;
+  };
+
+  // Create a proposal, have both investors vote for it and wait out the voting period
+  const passProposal = async (proposalType, recipient, amount) => {
+    const proposalId = await createProposal(investor1, proposalType, recipient, amount);
+    await fractionalOwnership.connect(investor1).vote(proposalId, true);
+    await fractionalOwnership.connect(investor2).vote(proposalId, true);
+    await time.increase(VOTING_PERIOD);
+    return proposalId;
+  };
+
+  beforeEach(async function () {
+    [owner, propertyOwner, investor1, investor2, contractor, buyer, verifier] = await ethers.getSigners();
+
+    const PropertyRegistry = await ethers.getContractFactory("PropertyRegistry");
+    propertyRegistry = await PropertyRegistry.deploy();
+    await propertyRegistry.waitForDeployment();
+
+    const FractionalOwnership = await ethers.getContractFactory("FractionalOwnership");
+    fractionalOwnership = await FractionalOwnership.deploy(await propertyRegistry.getAddress());
+    await fractionalOwnership.waitForDeployment();
+
+    await propertyRegistry.addVerifier(verifier.address);
+    await propertyRegistry.grantRole(
+      await propertyRegistry.TRANSFER_AGENT_ROLE(),
+      await fractionalOwnership.getAddress()
+    );
+    await propertyRegistry.connect(propertyOwner).registerProperty(
+      "Test Location",
+      100,
+      "Residential",
+      ["ipfs://test"],
+      ethers.parseEther("10"),
+      false
+    );
+    propertyId = 1;
+    await propertyRegistry.connect(verifier).verifyProperty(propertyId);
+
+    await fractionalOwnership.connect(propertyOwner).fractionalizeProperty(
+      propertyId,
+      TOTAL_SHARES,
+      SHARE_PRICE,
+      "Test Property Shares",
+      "TPS"
+    );
+    const info = await fractionalOwnership.getPropertyInfo(propertyId);
+    shareToken = await ethers.getContractAt("PropertyShareToken", info.tokenContract);
+
+    // 60 + 30 shares sold, 10 left unsold
+    await fractionalOwnership.connect(investor1).purchaseShares(propertyId, 60, { value: SHARE_PRICE * 60n });
+    await fractionalOwnership.connect(investor2).purchaseShares(propertyId, 30, { value: SHARE_PRICE * 30n });
+  });
+
+  describe("Treasury", function () {
+    it("Should accept deposits", async function () {
+      await expect(
+        fractionalOwnership.connect(buyer).depositToTreasury(propertyId, { value: ethers.parseEther("2") })
+      ).to.emit(fractionalOwnership, "TreasuryDeposit")
+        .withArgs(propertyId, buyer.address, ethers.parseEther("2"));
+
+      const governance = await fractionalOwnership.getPropertyGovernance(propertyId);
+      expect(governance.treasury).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should reject empty deposits", async function () {
+      await expect(
+        fractionalOwnership.depositToTreasury(propertyId, { value: 0 })
+      ).to.be.revertedWith("Must send funds");
+    });
+
+    it("Should keep treasury funds out of platform fee withdrawals", async function () {
+      await fractionalOwnership.depositToTreasury(propertyId, { value: ethers.parseEther("2") });
+
+      const fees = SHARE_PRICE * 90n * 250n / 10000n;
+      expect(await fractionalOwnership.accumulatedFees()).to.equal(fees);
+
+      const contractAddress = await fractionalOwnership.getAddress();
+      const balanceBefore = await ethers.provider.getBalance(contractAddress);
+      await fractionalOwnership.withdrawFees();
+
+      expect(balanceBefore - await ethers.provider.getBalance(contractAddress)).to.equal(fees);
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(ethers.parseEther("2"));
+    });
+  });
+
+  describe("Dividends", function () {
+    // Claim dividends and return the amount received, net of gas
+    const claim = async (investor) => {
+      const balanceBefore = await ethers.provider.getBalance(investor.address);
+      const tx = await fractionalOwnership.connect(investor).claimDividends(propertyId);
+      const receipt = await tx.wait();
+      const balanceAfter = await ethers.provider.getBalance(investor.address);
+      return balanceAfter - balanceBefore + receipt.gasUsed * receipt.gasPrice;
+    };
+
+    it("Should pay dividends pro-rata to shares", async function () {
+      await expect(fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.9") }))
+        .to.emit(fractionalOwnership, "DividendsDistributed")
+        .withArgs(propertyId, ethers.parseEther("0.9"), ethers.parseEther("0.01"));
+
+      expect(await fractionalOwnership.getClaimableDividends(propertyId, investor1.address)).to.equal(ethers.parseEther("0.6"));
+      await expect(fractionalOwnership.connect(investor2).claimDividends(propertyId))
+        .to.emit(fractionalOwnership, "DividendsClaimed")
+        .withArgs(propertyId, investor2.address, ethers.parseEther("0.3"));
+      expect(await claim(investor1)).to.equal(ethers.parseEther("0.6"));
+
+      expect((await fractionalOwnership.getPropertyInfo(propertyId)).dividendPool).to.equal(0);
+    });
+
+    it("Should not pay the same dividends twice", async function () {
+      await expect(
+        fractionalOwnership.connect(investor1).claimDividends(propertyId)
+      ).to.be.revertedWith("No dividends to claim");
+
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.9") });
+      await fractionalOwnership.connect(investor1).claimDividends(propertyId);
+      await expect(
+        fractionalOwnership.connect(investor1).claimDividends(propertyId)
+      ).to.be.revertedWith("No dividends to claim");
+    });
+
+    it("Should keep payouts correct when shares change hands between distributions", async function () {
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.9") });
+
+      await shareToken.connect(investor1).approve(await fractionalOwnership.getAddress(), 30);
+      await fractionalOwnership.connect(investor1).transferShares(propertyId, buyer.address, 30);
+
+      // The buyer only earns from the second distribution
+      expect(await fractionalOwnership.getClaimableDividends(propertyId, buyer.address)).to.equal(0);
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.9") });
+
+      expect(await claim(investor1)).to.equal(ethers.parseEther("0.9"));
+      expect(await claim(investor2)).to.equal(ethers.parseEther("0.6"));
+      expect(await claim(buyer)).to.equal(ethers.parseEther("0.3"));
+    });
+
+    it("Should move the dividend ledger with direct token transfers", async function () {
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.9") });
+
+      // Transfers that bypass transferShares still settle the ledger
+      await shareToken.connect(investor1).transfer(buyer.address, 30);
+      const info = await fractionalOwnership.getShareholderInfo(buyer.address, propertyId);
+      expect(info.shares).to.equal(30);
+      expect(info.isActive).to.be.true;
+      expect(await fractionalOwnership.getClaimableDividends(propertyId, buyer.address)).to.equal(0);
+
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.9") });
+      expect(await claim(investor1)).to.equal(ethers.parseEther("0.9"));
+      expect(await claim(investor2)).to.equal(ethers.parseEther("0.6"));
+      expect(await claim(buyer)).to.equal(ethers.parseEther("0.3"));
+    });
+
+    it("Should only take ledger updates from the share token", async function () {
+      await expect(
+        fractionalOwnership.connect(investor1).onShareTransfer(propertyId, investor2.address, investor1.address, 30)
+      ).to.be.revertedWith("Only the share token");
+    });
+
+    it("Should let former shareholders claim what they earned", async function () {
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.9") });
+
+      await shareToken.connect(investor2).approve(await fractionalOwnership.getAddress(), 30);
+      await fractionalOwnership.connect(investor2).transferShares(propertyId, buyer.address, 30);
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.9") });
+
+      expect(await claim(investor2)).to.equal(ethers.parseEther("0.3"));
+      expect(await claim(buyer)).to.equal(ethers.parseEther("0.3"));
+    });
+
+    it("Should not pay dividends on listed shares", async function () {
+      await shareToken.connect(investor1).approve(await fractionalOwnership.getAddress(), 30);
+      await fractionalOwnership.connect(investor1).listShares(propertyId, 30, SHARE_PRICE);
+
+      // 30 listed shares are out of the pool, so 60 shares split the distribution
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.6") });
+      expect(await fractionalOwnership.getClaimableDividends(propertyId, investor1.address)).to.equal(ethers.parseEther("0.3"));
+      expect(await fractionalOwnership.getClaimableDividends(propertyId, investor2.address)).to.equal(ethers.parseEther("0.3"));
+
+      await fractionalOwnership.connect(buyer).buyListedShares(1, 30, { value: SHARE_PRICE * 30n });
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.9") });
+      expect(await claim(investor1)).to.equal(ethers.parseEther("0.6"));
+      expect(await claim(buyer)).to.equal(ethers.parseEther("0.3"));
+    });
+
+    it("Should never owe more than was distributed", async function () {
+      const amount = ethers.parseEther("1");
+      await fractionalOwnership.distributeDividends(propertyId, { value: amount });
+
+      const owed1 = await fractionalOwnership.getClaimableDividends(propertyId, investor1.address);
+      const owed2 = await fractionalOwnership.getClaimableDividends(propertyId, investor2.address);
+      expect(owed1 + owed2).to.be.lte(amount);
+      expect(amount - owed1 - owed2).to.be.lte(TOTAL_SHARES);
+    });
+
+    it("Should cost the same gas to claim however many holders there are", async function () {
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("0.9") });
+      const firstClaim = await (await fractionalOwnership.connect(investor2).claimDividends(propertyId)).wait();
+
+      const signers = await ethers.getSigners();
+      for (const holder of signers.slice(7, 17)) {
+        await fractionalOwnership.connect(holder).purchaseShares(propertyId, 1, { value: SHARE_PRICE });
+      }
+      await fractionalOwnership.distributeDividends(propertyId, { value: ethers.parseEther("1") });
+      const secondClaim = await (await fractionalOwnership.connect(investor1).claimDividends(propertyId)).wait();
+
+      expect(secondClaim.gasUsed).to.equal(firstClaim.gasUsed);
+    });
+
+    it("Should pay deposited rent out as dividends", async function () {
+      const rent = ethers.parseEther("1.8");
+      await expect(fractionalOwnership.connect(buyer).depositRent(propertyId, { value: rent }))
+        .to.emit(fractionalOwnership, "RentDeposited")
+        .withArgs(propertyId, buyer.address, rent)
+        .and.to.emit(fractionalOwnership, "DividendsDistributed")
+        .withArgs(propertyId, rent, ethers.parseEther("0.02"));
+
+      expect(await claim(investor1)).to.equal(ethers.parseEther("1.2"));
+      expect(await claim(investor2)).to.equal(ethers.parseEther("0.6"));
+
+      await expect(
+        fractionalOwnership.depositRent(propertyId, { value: 0 })
+      ).to.be.revertedWith("Must send rent");
+    });
+
+    it("Should keep dividends out of platform fee withdrawals", async function () {
+      await fractionalOwnership.depositRent(propertyId, { value: ethers.parseEther("1") });
+      await fractionalOwnership.withdrawFees();
+      expect(await claim(investor1)).to.be.gt(0);
+    });
+  });
+
+  describe("Proposal Payloads", function () {
+    it("Should validate payloads when proposals are created", async function () {
+      await expect(
+        createProposal(investor1, ProposalType.Maintenance, ethers.ZeroAddress, ethers.parseEther("1"))
+      ).to.be.revertedWith("Invalid recipient");
+      await expect(
+        createProposal(investor1, ProposalType.Renovation, contractor.address, 0n)
+      ).to.be.revertedWith("Payment must be greater than 0");
+      await expect(
+        createProposal(investor1, ProposalType.RentIncrease, ethers.ZeroAddress, 0n)
+      ).to.be.revertedWith("Rent must be greater than 0");
+      await expect(
+        createProposal(investor1, ProposalType.Sale, ethers.ZeroAddress, 0n)
+      ).to.be.revertedWith("Sale price must be greater than 0");
+    });
+
+    it("Should pay a contractor from the treasury", async function () {
+      await fractionalOwnership.depositToTreasury(propertyId, { value: ethers.parseEther("3") });
+      const proposalId = await passProposal(ProposalType.Maintenance, contractor.address, ethers.parseEther("1.5"));
+
+      const contractorBalanceBefore = await ethers.provider.getBalance(contractor.address);
+      await expect(fractionalOwnership.executeProposal(proposalId))
+        .to.emit(fractionalOwnership, "TreasuryPayment")
+        .withArgs(propertyId, proposalId, contractor.address, ethers.parseEther("1.5"))
+        .and.to.emit(fractionalOwnership, "ProposalExecuted")
+        .withArgs(proposalId, propertyId, ProposalType.Maintenance);
+
+      const contractorBalanceAfter = await ethers.provider.getBalance(contractor.address);
+      expect(contractorBalanceAfter - contractorBalanceBefore).to.equal(ethers.parseEther("1.5"));
+      expect((await fractionalOwnership.getPropertyGovernance(propertyId)).treasury)
+        .to.equal(ethers.parseEther("1.5"));
+    });
+
+    it("Should not pay more than the treasury holds", async function () {
+      await fractionalOwnership.depositToTreasury(propertyId, { value: ethers.parseEther("1") });
+      const proposalId = await passProposal(ProposalType.Renovation, contractor.address, ethers.parseEther("5"));
+
+      await expect(
+        fractionalOwnership.executeProposal(proposalId)
+      ).to.be.revertedWith("Insufficient treasury balance");
+    });
+
+    it("Should update the rent", async function () {
+      const proposalId = await passProposal(ProposalType.RentIncrease, ethers.ZeroAddress, ethers.parseEther("0.8"));
+
+      await expect(fractionalOwnership.executeProposal(proposalId))
+        .to.emit(fractionalOwnership, "RentUpdated")
+        .withArgs(propertyId, 0, ethers.parseEther("0.8"));
+      expect((await fractionalOwnership.getPropertyGovernance(propertyId)).monthlyRent)
+        .to.equal(ethers.parseEther("0.8"));
+    });
+
+    it("Should have no effect when a proposal is rejected", async function () {
+      await fractionalOwnership.depositToTreasury(propertyId, { value: ethers.parseEther("3") });
+      const proposalId = await createProposal(investor1, ProposalType.Maintenance, contractor.address, ethers.parseEther("1"));
+      await fractionalOwnership.connect(investor1).vote(proposalId, false);
+      await fractionalOwnership.connect(investor2).vote(proposalId, true);
+      await time.increase(VOTING_PERIOD);
+
+      await expect(
+        fractionalOwnership.executeProposal(proposalId)
+      ).to.be.revertedWith("Proposal rejected");
+      expect((await fractionalOwnership.getPropertyGovernance(propertyId)).treasury)
+        .to.equal(ethers.parseEther("3"));
+    });
+
+    it("Should not execute unknown proposals", async function () {
+      await expect(
+        fractionalOwnership.executeProposal(ethers.id("missing"))
+      ).to.be.revertedWith("Proposal does not exist");
+    });
+  });
+
+  describe("Voting Snapshots", function () {
+    let proposalId;
+
+    beforeEach(async function () {
+      proposalId = await createProposal(investor1, ProposalType.Other);
+    });
+
+    it("Should give holders their share balance as voting power by default", async function () {
+      expect(await fractionalOwnership.getVotingPower(propertyId, investor1.address)).to.equal(60);
+      expect(await fractionalOwnership.getProposalVotingPower(proposalId, investor2.address)).to.equal(30);
+
+      await expect(fractionalOwnership.connect(investor1).vote(proposalId, true))
+        .to.emit(fractionalOwnership, "VoteCast")
+        .withArgs(proposalId, investor1.address, true, 60);
+    });
+
+    it("Should stop a voter from voting twice", async function () {
+      await fractionalOwnership.connect(investor1).vote(proposalId, true);
+      await expect(
+        fractionalOwnership.connect(investor1).vote(proposalId, false)
+      ).to.be.revertedWith("Already voted");
+    });
+
+    it("Should not let shares vote again after transferShares", async function () {
+      await fractionalOwnership.connect(investor1).vote(proposalId, true);
+
+      await shareToken.connect(investor1).approve(await fractionalOwnership.getAddress(), 60);
+      await fractionalOwnership.connect(investor1).transferShares(propertyId, buyer.address, 60);
+      expect(await fractionalOwnership.getVotingPower(propertyId, buyer.address)).to.equal(60);
+
+      await expect(
+        fractionalOwnership.connect(buyer).vote(proposalId, true)
+      ).to.be.revertedWith("No voting power");
+
+      const proposal = await fractionalOwnership.proposals(proposalId);
+      expect(proposal.votesFor).to.equal(60);
+    });
+
+    it("Should not let shares vote again after a direct token transfer", async function () {
+      await fractionalOwnership.connect(investor2).vote(proposalId, false);
+      await shareToken.connect(investor2).transfer(buyer.address, 30);
+
+      await expect(
+        fractionalOwnership.connect(buyer).vote(proposalId, false)
+      ).to.be.revertedWith("No voting power");
+    });
+
+    it("Should keep the sender's snapshot weight when shares move before voting", async function () {
+      await shareToken.connect(investor1).transfer(buyer.address, 60);
+
+      await expect(fractionalOwnership.connect(investor1).vote(proposalId, true))
+        .to.emit(fractionalOwnership, "VoteCast")
+        .withArgs(proposalId, investor1.address, true, 60);
+      await expect(
+        fractionalOwnership.connect(buyer).vote(proposalId, true)
+      ).to.be.revertedWith("No voting power");
+    });
+
+    it("Should ignore shares bought after the proposal was created", async function () {
+      await fractionalOwnership.connect(buyer).purchaseShares(propertyId, 10, { value: SHARE_PRICE * 10n });
+
+      await expect(
+        fractionalOwnership.connect(buyer).vote(proposalId, true)
+      ).to.be.revertedWith("No voting power");
+    });
+
+    it("Should allow voting on concurrent proposals", async function () {
+      const secondProposalId = await createProposal(investor2, ProposalType.Other);
+
+      await fractionalOwnership.connect(investor1).vote(proposalId, true);
+      await fractionalOwnership.connect(investor1).vote(secondProposalId, false);
+
+      expect(await fractionalOwnership.hasVoted(proposalId, investor1.address)).to.be.true;
+      expect(await fractionalOwnership.hasVoted(secondProposalId, investor1.address)).to.be.true;
+    });
+
+    it("Should measure quorum against the snapshot supply", async function () {
+      await fractionalOwnership.connect(investor2).vote(proposalId, true);
+
+      // 30 of 90 shares voted; buying the remaining 10 later does not lower the bar
+      await fractionalOwnership.connect(buyer).purchaseShares(propertyId, 10, { value: SHARE_PRICE * 10n });
+      await time.increase(VOTING_PERIOD);
+
+      await expect(
+        fractionalOwnership.executeProposal(proposalId)
+      ).to.be.revertedWith("Quorum not reached");
+    });
+  });
+
+  describe("Delegation", function () {
+    const manager = () => contractor;
+
+    it("Should let a passive investor hand votes to a manager", async function () {
+      await expect(fractionalOwnership.connect(investor2).delegateVotes(propertyId, manager().address))
+        .to.emit(shareToken, "DelegateChanged")
+        .withArgs(investor2.address, investor2.address, manager().address);
+
+      expect(await fractionalOwnership.getVotingPower(propertyId, manager().address)).to.equal(30);
+      expect(await fractionalOwnership.getVotingPower(propertyId, investor2.address)).to.equal(0);
+
+      const proposalId = await createProposal(investor1, ProposalType.Other);
+      await expect(fractionalOwnership.connect(manager()).vote(proposalId, true))
+        .to.emit(fractionalOwnership, "VoteCast")
+        .withArgs(proposalId, manager().address, true, 30);
+      await expect(
+        fractionalOwnership.connect(investor2).vote(proposalId, true)
+      ).to.be.revertedWith("No voting power");
+    });
+
+    it("Should add up votes delegated by several investors", async function () {
+      await fractionalOwnership.connect(investor1).delegateVotes(propertyId, manager().address);
+      await fractionalOwnership.connect(investor2).delegateVotes(propertyId, manager().address);
+
+      const proposalId = await createProposal(investor1, ProposalType.Other);
+      expect(await fractionalOwnership.getProposalVotingPower(proposalId, manager().address)).to.equal(90);
+    });
+
+    it("Should not move votes on proposals created before the delegation", async function () {
+      const proposalId = await createProposal(investor1, ProposalType.Other);
+      await fractionalOwnership.connect(investor2).delegateVotes(propertyId, manager().address);
+
+      await expect(
+        fractionalOwnership.connect(manager()).vote(proposalId, true)
+      ).to.be.revertedWith("No voting power");
+      await expect(fractionalOwnership.connect(investor2).vote(proposalId, true))
+        .to.emit(fractionalOwnership, "VoteCast")
+        .withArgs(proposalId, investor2.address, true, 30);
+    });
+
+    it("Should keep delegated power with the manager when new shares arrive", async function () {
+      await fractionalOwnership.connect(investor2).delegateVotes(propertyId, manager().address);
+      await fractionalOwnership.connect(investor2).purchaseShares(propertyId, 10, { value: SHARE_PRICE * 10n });
+
+      expect(await fractionalOwnership.getVotingPower(propertyId, manager().address)).to.equal(40);
+    });
+
+    it("Should only let the share contract delegate on behalf of holders", async function () {
+      await expect(
+        shareToken.connect(investor1).delegateFor(investor2.address, investor1.address)
+      ).to.be.revertedWith("Only fractional contract can mint");
+      await expect(
+        fractionalOwnership.connect(investor1).delegateVotes(propertyId, ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid delegatee");
+    });
+  });
+
+  describe("Secondary Market", function () {
+    const PRICE_PER_SHARE = ethers.parseEther("0.2");
+
+    // List shares from investor1 and return the new listing ID
+    const listShares = async (shares, pricePerShare = PRICE_PER_SHARE) => {
+      await shareToken.connect(investor1).approve(await fractionalOwnership.getAddress(), shares);
+      const tx = await fractionalOwnership.connect(investor1).listShares(propertyId, shares, pricePerShare);
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map(log => fractionalOwnership.interface.parseLog(log))
+        .find(parsed => parsed && parsed.name === "SharesListed");
+      return event.args.listingId;
+    };
+
+    it("Should escrow listed shares", async function () {
+      await shareToken.connect(investor1).approve(await fractionalOwnership.getAddress(), 20);
+      await expect(fractionalOwnership.connect(investor1).listShares(propertyId, 20, PRICE_PER_SHARE))
+        .to.emit(fractionalOwnership, "SharesListed")
+        .withArgs(1, propertyId, investor1.address, 20, PRICE_PER_SHARE);
+
+      const listing = await fractionalOwnership.shareListings(1);
+      expect(listing.seller).to.equal(investor1.address);
+      expect(listing.shares).to.equal(20);
+      expect(listing.active).to.be.true;
+      expect(await fractionalOwnership.getPropertyShareListings(propertyId)).to.deep.equal([1n]);
+
+      expect(await shareToken.balanceOf(investor1.address)).to.equal(40);
+      expect(await shareToken.balanceOf(await fractionalOwnership.getAddress())).to.equal(20);
+      const info = await fractionalOwnership.getShareholderInfo(investor1.address, propertyId);
+      expect(info.shares).to.equal(40);
+    });
+
+    it("Should validate new listings", async function () {
+      await expect(
+        fractionalOwnership.connect(buyer).listShares(propertyId, 1, PRICE_PER_SHARE)
+      ).to.be.revertedWith("Not a shareholder");
+      await expect(
+        fractionalOwnership.connect(investor1).listShares(propertyId, 0, PRICE_PER_SHARE)
+      ).to.be.revertedWith("Must list at least 1 share");
+      await expect(
+        fractionalOwnership.connect(investor1).listShares(propertyId, 10, 0)
+      ).to.be.revertedWith("Price must be greater than 0");
+      await expect(
+        fractionalOwnership.connect(investor1).listShares(propertyId, 61, PRICE_PER_SHARE)
+      ).to.be.revertedWith("Insufficient shares");
+    });
+
+    it("Should sell listed shares and collect the platform fee", async function () {
+      const listingId = await listShares(20);
+      const totalPrice = PRICE_PER_SHARE * 15n;
+      const fee = totalPrice * 250n / 10000n;
+
+      const sellerBalanceBefore = await ethers.provider.getBalance(investor1.address);
+      await expect(fractionalOwnership.connect(buyer).buyListedShares(listingId, 15, { value: totalPrice }))
+        .to.emit(fractionalOwnership, "ListedSharesPurchased")
+        .withArgs(listingId, propertyId, buyer.address, 15, totalPrice);
+
+      expect(await ethers.provider.getBalance(investor1.address)).to.equal(sellerBalanceBefore + totalPrice - fee);
+      expect(await fractionalOwnership.accumulatedFees()).to.equal(SHARE_PRICE * 90n * 250n / 10000n + fee);
+      expect(await shareToken.balanceOf(buyer.address)).to.equal(15);
+      expect(await fractionalOwnership.getVotingPower(propertyId, buyer.address)).to.equal(15);
+
+      const info = await fractionalOwnership.getShareholderInfo(buyer.address, propertyId);
+      expect(info.shares).to.equal(15);
+      expect(info.isActive).to.be.true;
+      expect(await fractionalOwnership.getPropertyShareholders(propertyId)).to.include(buyer.address);
+
+      // Partially filled listings stay open
+      const listing = await fractionalOwnership.shareListings(listingId);
+      expect(listing.shares).to.equal(5);
+      expect(listing.active).to.be.true;
+    });
+
+    it("Should close a listing once it is filled and refund overpayment", async function () {
+      const listingId = await listShares(10);
+      const totalPrice = PRICE_PER_SHARE * 10n;
+
+      const balanceBefore = await ethers.provider.getBalance(buyer.address);
+      const tx = await fractionalOwnership.connect(buyer).buyListedShares(listingId, 10, { value: totalPrice + ethers.parseEther("1") });
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+      expect(await ethers.provider.getBalance(buyer.address)).to.equal(balanceBefore - totalPrice - gasUsed);
+
+      expect((await fractionalOwnership.shareListings(listingId)).active).to.be.false;
+      await expect(
+        fractionalOwnership.connect(investor2).buyListedShares(listingId, 1, { value: PRICE_PER_SHARE })
+      ).to.be.revertedWith("Listing not active");
+    });
+
+    it("Should reject invalid purchases", async function () {
+      const listingId = await listShares(10);
+
+      await expect(
+        fractionalOwnership.connect(investor1).buyListedShares(listingId, 1, { value: PRICE_PER_SHARE })
+      ).to.be.revertedWith("Cannot buy your own shares");
+      await expect(
+        fractionalOwnership.connect(buyer).buyListedShares(listingId, 0)
+      ).to.be.revertedWith("Must purchase at least 1 share");
+      await expect(
+        fractionalOwnership.connect(buyer).buyListedShares(listingId, 11, { value: PRICE_PER_SHARE * 11n })
+      ).to.be.revertedWith("Not enough shares listed");
+      await expect(
+        fractionalOwnership.connect(buyer).buyListedShares(listingId, 5, { value: PRICE_PER_SHARE * 5n - 1n })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+
+    it("Should return unsold shares when a listing is cancelled", async function () {
+      const listingId = await listShares(20);
+      await fractionalOwnership.connect(buyer).buyListedShares(listingId, 5, { value: PRICE_PER_SHARE * 5n });
+
+      await expect(
+        fractionalOwnership.connect(buyer).cancelShareListing(listingId)
+      ).to.be.revertedWith("Not the seller");
+
+      await expect(fractionalOwnership.connect(investor1).cancelShareListing(listingId))
+        .to.emit(fractionalOwnership, "ShareListingCancelled")
+        .withArgs(listingId, propertyId, 15);
+
+      expect(await shareToken.balanceOf(investor1.address)).to.equal(55);
+      expect((await fractionalOwnership.getShareholderInfo(investor1.address, propertyId)).shares).to.equal(55);
+      expect(await fractionalOwnership.getVotingPower(propertyId, investor1.address)).to.equal(55);
+      await expect(
+        fractionalOwnership.connect(investor1).cancelShareListing(listingId)
+      ).to.be.revertedWith("Listing not active");
+    });
+
+    it("Should not let listed shares vote", async function () {
+      await listShares(60);
+      await expect(
+        createProposal(investor1, ProposalType.Other)
+      ).to.be.revertedWith("Not a shareholder");
+
+      const proposalId = await createProposal(investor2, ProposalType.Other);
+      await expect(
+        fractionalOwnership.connect(investor1).vote(proposalId, true)
+      ).to.be.revertedWith("No voting power");
+    });
+
+    it("Should stop trading after a buyout but still allow cancelling to redeem", async function () {
+      const listingId = await listShares(20);
+      const salePrice = ethers.parseEther("20");
+      const proposalId = await passProposal(ProposalType.Sale, ethers.ZeroAddress, salePrice);
+      await fractionalOwnership.executeProposal(proposalId);
+      await fractionalOwnership.connect(buyer).buyout(propertyId, { value: salePrice });
+
+      await expect(
+        fractionalOwnership.connect(investor2).buyListedShares(listingId, 1, { value: PRICE_PER_SHARE })
+      ).to.be.revertedWith("Property has been sold");
+      await expect(
+        fractionalOwnership.connect(investor2).listShares(propertyId, 1, PRICE_PER_SHARE)
+      ).to.be.revertedWith("Property has been sold");
+
+      await fractionalOwnership.connect(investor1).cancelShareListing(listingId);
+      const proceeds = salePrice - salePrice * 250n / 10000n;
+      await expect(fractionalOwnership.connect(investor1).redeemShares(propertyId))
+        .to.emit(fractionalOwnership, "SharesRedeemed")
+        .withArgs(propertyId, investor1.address, 60, proceeds * 60n / TOTAL_SHARES);
+    });
+  });
+
+  describe("Sale and Buyout", function () {
+    const salePrice = ethers.parseEther("20");
+
+    it("Should hold the deed for the shareholders", async function () {
+      const property = await propertyRegistry.getProperty(propertyId);
+      expect(property.owner).to.equal(await fractionalOwnership.getAddress());
+      expect(await propertyRegistry.getPropertiesByOwner(propertyOwner.address)).to.deep.equal([]);
+    });
+
+    it("Should offer the property for buyout without listing it in the registry", async function () {
+      const proposalId = await passProposal(ProposalType.Sale, ethers.ZeroAddress, salePrice);
+      await expect(fractionalOwnership.executeProposal(proposalId))
+        .to.emit(fractionalOwnership, "PropertyListedForSale")
+        .withArgs(propertyId, salePrice)
+        .and.not.to.emit(propertyRegistry, "PropertyListed");
+
+      expect((await propertyRegistry.getProperty(propertyId)).forSale).to.be.false;
+      expect(await propertyRegistry.getPropertiesForSale()).to.deep.equal([]);
+
+      // A later Sale proposal replaces the price
+      const newPrice = ethers.parseEther("25");
+      const repriceId = await passProposal(ProposalType.Sale, ethers.ZeroAddress, newPrice);
+      await fractionalOwnership.executeProposal(repriceId);
+      expect((await fractionalOwnership.getPropertyGovernance(propertyId)).salePrice).to.equal(newPrice);
+    });
+
+    it("Should not let a registry sale take a buyer's funds", async function () {
+      const PropertyTransactions = await ethers.getContractFactory("PropertyTransactions");
+      const propertyTransactions = await PropertyTransactions.deploy(
+        await propertyRegistry.getAddress(),
+        ethers.ZeroAddress
+      );
+      await propertyTransactions.waitForDeployment();
+
+      const proposalId = await passProposal(ProposalType.Sale, ethers.ZeroAddress, salePrice);
+      await fractionalOwnership.executeProposal(proposalId);
+
+      await expect(
+        propertyTransactions.connect(buyer).createTransaction(propertyId, { value: salePrice })
+      ).to.be.revertedWith("Property not for sale");
+    });
+
+    it("Should not sell a property whose verification was revoked", async function () {
+      await fractionalOwnership.executeProposal(await passProposal(ProposalType.Sale, ethers.ZeroAddress, salePrice));
+      await propertyRegistry.connect(verifier).revokeVerification(propertyId, "Title dispute");
+
+      await expect(
+        fractionalOwnership.connect(buyer).buyout(propertyId, { value: salePrice })
+      ).to.be.revertedWith("Property not verified");
+    });
+
+    it("Should transfer the deed to the buyer", async function () {
+      const proposalId = await passProposal(ProposalType.Sale, ethers.ZeroAddress, salePrice);
+      await fractionalOwnership.executeProposal(proposalId);
+
+      await expect(fractionalOwnership.connect(buyer).buyout(propertyId, { value: salePrice }))
+        .to.emit(propertyRegistry, "PropertyTransferred")
+        .withArgs(propertyId, await fractionalOwnership.getAddress(), buyer.address);
+
+      const property = await propertyRegistry.getProperty(propertyId);
+      expect(property.owner).to.equal(buyer.address);
+      expect(property.forSale).to.be.false;
+      expect(await propertyRegistry.getPropertiesForSale()).to.deep.equal([]);
+    });
+
+    it("Should only allow buyouts once a Sale proposal has passed", async function () {
+      await expect(
+        fractionalOwnership.connect(buyer).buyout(propertyId, { value: salePrice })
+      ).to.be.revertedWith("Property not listed for sale");
+
+      const proposalId = await passProposal(ProposalType.Sale, ethers.ZeroAddress, salePrice);
+      await expect(fractionalOwnership.executeProposal(proposalId))
+        .to.emit(fractionalOwnership, "PropertyListedForSale")
+        .withArgs(propertyId, salePrice);
+
+      await expect(
+        fractionalOwnership.connect(buyer).buyout(propertyId, { value: salePrice - 1n })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+
+    it("Should split proceeds and treasury pro-rata", async function () {
+      await fractionalOwnership.depositToTreasury(propertyId, { value: ethers.parseEther("1") });
+      const proposalId = await passProposal(ProposalType.Sale, ethers.ZeroAddress, salePrice);
+      await fractionalOwnership.executeProposal(proposalId);
+
+      const fee = salePrice * 250n / 10000n;
+      const proceeds = salePrice - fee + ethers.parseEther("1");
+
+      const ownerBalanceBefore = await ethers.provider.getBalance(propertyOwner.address);
+      await expect(fractionalOwnership.connect(buyer).buyout(propertyId, { value: salePrice }))
+        .to.emit(fractionalOwnership, "PropertyBoughtOut")
+        .withArgs(propertyId, buyer.address, salePrice);
+
+      // The original owner still held the 10 unsold shares
+      const ownerBalanceAfter = await ethers.provider.getBalance(propertyOwner.address);
+      expect(ownerBalanceAfter - ownerBalanceBefore).to.equal(proceeds * 10n / TOTAL_SHARES);
+
+      const governance = await fractionalOwnership.getPropertyGovernance(propertyId);
+      expect(governance.soldOut).to.be.true;
+      expect(governance.buyer).to.equal(buyer.address);
+      expect(governance.treasury).to.equal(0);
+
+      for (const [investor, shares] of [[investor1, 60n], [investor2, 30n]]) {
+        const balanceBefore = await ethers.provider.getBalance(investor.address);
+        const tx = await fractionalOwnership.connect(investor).redeemShares(propertyId);
+        const receipt = await tx.wait();
+        const gasUsed = receipt.gasUsed * receipt.gasPrice;
+
+        const expected = proceeds * shares / TOTAL_SHARES;
+        await expect(tx)
+          .to.emit(fractionalOwnership, "SharesRedeemed")
+          .withArgs(propertyId, investor.address, shares, expected);
+        expect(await ethers.provider.getBalance(investor.address)).to.equal(balanceBefore + expected - gasUsed);
+        expect(await shareToken.balanceOf(investor.address)).to.equal(0);
+      }
+
+      await expect(
+        fractionalOwnership.connect(investor1).redeemShares(propertyId)
+      ).to.be.revertedWith("Not a shareholder");
+    });
+
+    it("Should refund overpayment and collect the platform fee", async function () {
+      const proposalId = await passProposal(ProposalType.Sale, ethers.ZeroAddress, salePrice);
+      await fractionalOwnership.executeProposal(proposalId);
+
+      const feesBefore = await fractionalOwnership.accumulatedFees();
+      const balanceBefore = await ethers.provider.getBalance(buyer.address);
+      const tx = await fractionalOwnership.connect(buyer).buyout(propertyId, { value: salePrice + ethers.parseEther("5") });
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+
+      expect(await ethers.provider.getBalance(buyer.address)).to.equal(balanceBefore - salePrice - gasUsed);
+      expect(await fractionalOwnership.accumulatedFees()).to.equal(feesBefore + salePrice * 250n / 10000n);
+    });
+
+    it("Should freeze trading and governance after the sale", async function () {
+      const proposalId = await passProposal(ProposalType.Sale, ethers.ZeroAddress, salePrice);
+      await fractionalOwnership.executeProposal(proposalId);
+      await fractionalOwnership.connect(buyer).buyout(propertyId, { value: salePrice });
+
+      await expect(
+        fractionalOwnership.connect(buyer).buyout(propertyId, { value: salePrice })
+      ).to.be.revertedWith("Property has been sold");
+      await expect(
+        fractionalOwnership.connect(buyer).purchaseShares(propertyId, 1, { value: SHARE_PRICE })
+      ).to.be.revertedWith("Property has been sold");
+      await expect(
+        createProposal(investor1, ProposalType.Other)
+      ).to.be.revertedWith("Property has been sold");
+      await expect(
+        fractionalOwnership.depositToTreasury(propertyId, { value: 1 })
+      ).to.be.revertedWith("Property has been sold");
+    });
+
+    it("Should not redeem before a sale", async function () {
+      await expect(
+        fractionalOwnership.connect(investor1).redeemShares(propertyId)
+      ).to.be.revertedWith("Property not sold");
+    });
+  });
+});
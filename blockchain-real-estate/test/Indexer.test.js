@@ -0,0 +1,269 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { openDatabase } = require("../indexer/db");
+const { createIndexer, handleReorg, syncOnce } = require("../indexer/sync");
+const { createServer } = require("../indexer/server");
+const queries = require("../indexer/queries");
+
+describe("Indexer", function () {
+  let propertyRegistry, propertyToken, propertyTransactions;
+  let owner, seller, buyer;
+  let db, indexer;
+
+  const price = ethers.parseEther("10");
+
+  const manifestEntry = async (contract) => ({
+    address: await contract.getAddress(),
+    abi: JSON.parse(contract.interface.formatJson())
+  });
+
+  // Register and verify a property, then list it unless told not to
+  const registerProperty = async (signer, location, propertyPrice = price, forSale = true) => {
+    const tx = await propertyRegistry.connect(signer).registerProperty(
+      location,
+      100,
+      "Residential",
+      ["ipfs://doc"],
+      propertyPrice,
+      false
+    );
+    const receipt = await tx.wait();
+    const { args } = receipt.logs
+      .map(log => propertyRegistry.interface.parseLog(log))
+      .find(event => event && event.name === "PropertyRegistered");
+
+    await propertyRegistry.verifyProperty(args.propertyId);
+    if (forSale) {
+      await propertyRegistry.connect(signer).listPropertyForSale(args.propertyId, propertyPrice);
+    }
+  };
+
+  // Sync until the indexer reaches the chain head
+  const syncAll = async () => {
+    const head = await ethers.provider.getBlockNumber();
+    while ((await syncOnce(indexer)) < head);
+  };
+
+  beforeEach(async function () {
+    [owner, seller, buyer] = await ethers.getSigners();
+
+    const PropertyRegistry = await ethers.getContractFactory("PropertyRegistry");
+    propertyRegistry = await PropertyRegistry.deploy();
+    await propertyRegistry.waitForDeployment();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const PropertyToken = await ethers.getContractFactory("PropertyToken");
+    propertyToken = await PropertyToken.deploy(await propertyRegistry.getAddress());
+    await propertyToken.waitForDeployment();
+
+    const PropertyTransactions = await ethers.getContractFactory("PropertyTransactions");
+    propertyTransactions = await PropertyTransactions.deploy(
+      await propertyRegistry.getAddress(),
+      await propertyToken.getAddress()
+    );
+    await propertyTransactions.waitForDeployment();
+
+    await propertyRegistry.setPropertyTokenContract(await propertyToken.getAddress());
+    await propertyRegistry.setPropertyTransactionsContract(await propertyTransactions.getAddress());
+    await propertyRegistry.addVerifier(owner.address);
+
+    db = openDatabase(":memory:");
+    indexer = createIndexer({
+      provider: ethers.provider,
+      db,
+      deployment: {
+        startBlock,
+        contracts: {
+          PropertyRegistry: await manifestEntry(propertyRegistry),
+          PropertyToken: await manifestEntry(propertyToken),
+          PropertyTransactions: await manifestEntry(propertyTransactions)
+        }
+      },
+      options: { batchSize: 5 }
+    });
+  });
+
+  afterEach(function () {
+    db.close();
+  });
+
+  describe("Event Replay", function () {
+    it("Should project registered properties and their details", async function () {
+      await registerProperty(seller, "1 Main St");
+      await registerProperty(seller, "2 Main St", ethers.parseEther("20"), false);
+      await syncAll();
+
+      const { data, pagination } = queries.listProperties(db, {});
+      expect(pagination.total).to.equal(2);
+      expect(data[0].location).to.equal("2 Main St");
+      expect(data[0].forSale).to.equal(false);
+      expect(data[0].verified).to.equal(true);
+      expect(data[1].owner).to.equal(seller.address);
+      expect(data[1].propertyType).to.equal("Residential");
+      expect(data[1].documents).to.deep.equal(["ipfs://doc"]);
+      expect(data[1].price).to.equal(price.toString());
+    });
+
+    it("Should follow listings, sales and ownership transfers", async function () {
+      await registerProperty(seller, "1 Main St");
+      await propertyTransactions.connect(buyer).createTransaction(1, { value: price });
+      await propertyTransactions.completeTransaction(1);
+      await syncAll();
+
+      const property = queries.getPropertyById(db, 1);
+      expect(property.owner).to.equal(buyer.address);
+      expect(property.forSale).to.equal(false);
+      expect(property.history.map(event => event.name)).to.deep.equal([
+        "PropertyRegistered",
+        "PropertyVerified",
+        "PropertyListed",
+        "TransactionCreated",
+        "PropertyTransferred",
+        "TransactionCompleted"
+      ]);
+
+      const transaction = queries.getTransactionById(db, 1);
+      expect(transaction.status).to.equal("Completed");
+      expect(transaction.buyer).to.equal(buyer.address);
+
+      const user = queries.getUserByAddress(db, buyer.address);
+      expect(user.propertiesOwned).to.equal(1);
+      expect(user.transactions).to.have.lengthOf(1);
+    });
+
+    it("Should track revocations, expiry and re-verification requests", async function () {
+      await registerProperty(seller, "Revoked St");
+      await registerProperty(seller, "Expiring St", price, false);
+      await propertyRegistry.revokeVerification(1, "Forged title deed");
+      await syncAll();
+
+      const revoked = queries.getPropertyById(db, 1);
+      expect(revoked.verified).to.equal(false);
+      expect(revoked.verificationExpiresAt).to.equal(null);
+      expect(revoked.verificationRevoked).to.equal(true);
+      expect(revoked.forSale).to.equal(false);
+
+      const [, expiresAt] = await propertyRegistry.getVerificationStatus(2);
+      expect(queries.getPropertyById(db, 2).verificationExpiresAt).to.equal(Number(expiresAt));
+      expect(queries.listProperties(db, { verified: "true" }).data.map(p => p.location)).to.deep.equal(["Expiring St"]);
+
+      // Expiry emits nothing; the next indexed block is past it
+      await network.provider.send("evm_increaseTime", [366 * 24 * 60 * 60]);
+      await network.provider.send("evm_mine");
+      await syncAll();
+
+      const expired = queries.getPropertyById(db, 2);
+      expect(expired.verified).to.equal(false);
+      expect(expired.verificationRevoked).to.equal(false);
+      expect(queries.listProperties(db, { verified: "true" }).pagination.total).to.equal(0);
+      expect(queries.getUserByAddress(db, seller.address).properties.every(p => !p.verified)).to.equal(true);
+
+      await propertyRegistry.connect(seller).requestReverification(2);
+      await syncAll();
+      expect(queries.getPropertyById(db, 2).reverificationRequested).to.equal(true);
+
+      await propertyRegistry.verifyProperty(2);
+      await syncAll();
+      const reverified = queries.getPropertyById(db, 2);
+      expect(reverified.verified).to.equal(true);
+      expect(reverified.reverificationRequested).to.equal(false);
+    });
+
+    it("Should filter and paginate properties", async function () {
+      await registerProperty(seller, "Cheap St", ethers.parseEther("1"));
+      await registerProperty(seller, "Mid St", ethers.parseEther("5"));
+      await registerProperty(buyer, "Pricey St", ethers.parseEther("50"));
+      await syncAll();
+
+      const byOwner = queries.listProperties(db, { owner: seller.address });
+      expect(byOwner.pagination.total).to.equal(2);
+
+      const byPrice = queries.listProperties(db, { minPrice: "2", maxPrice: "60", sort: "price_asc" });
+      expect(byPrice.data.map(p => p.location)).to.deep.equal(["Mid St", "Pricey St"]);
+
+      const paged = queries.listProperties(db, { page: "2", pageSize: "2" });
+      expect(paged.data).to.have.lengthOf(1);
+      expect(paged.pagination).to.deep.equal({ page: 2, pageSize: 2, total: 3, totalPages: 2 });
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should roll back events from orphaned blocks", async function () {
+      await registerProperty(seller, "Canonical St");
+      await syncAll();
+
+      const snapshot = await network.provider.send("evm_snapshot");
+      await registerProperty(seller, "Orphaned St");
+      await syncAll();
+      expect(queries.listProperties(db, {}).pagination.total).to.equal(2);
+
+      // Replace the orphaned block with a different one at the same height
+      await network.provider.send("evm_revert", [snapshot]);
+      await registerProperty(buyer, "Replacement St");
+      await syncAll();
+
+      const locations = queries.listProperties(db, { sort: "oldest" }).data.map(p => p.location);
+      expect(locations).to.deep.equal(["Canonical St", "Replacement St"]);
+      expect(queries.getUserByAddress(db, buyer.address).propertiesOwned).to.equal(1);
+    });
+
+    it("Should only keep block hashes within the reorg depth", async function () {
+      indexer.options.reorgDepth = 3;
+      for (let i = 0; i < 4; i++) {
+        await registerProperty(seller, `${i} Main St`);
+      }
+      await syncAll();
+
+      const head = await ethers.provider.getBlockNumber();
+      const numbers = db.prepare("SELECT number FROM blocks ORDER BY number").all().map(row => row.number);
+      expect(numbers.length).to.be.within(1, 3);
+      expect(numbers[0]).to.be.greaterThan(head - 3);
+      expect(numbers[numbers.length - 1]).to.equal(head);
+
+      // A reorg within the depth still rolls back only the orphaned blocks
+      const snapshot = await network.provider.send("evm_snapshot");
+      await registerProperty(seller, "Orphaned St", price, false);
+      await syncAll();
+      await network.provider.send("evm_revert", [snapshot]);
+      await registerProperty(buyer, "Replacement St", price, false);
+      expect(await handleReorg(indexer)).to.equal(head);
+      await syncAll();
+
+      const locations = queries.listProperties(db, { sort: "oldest" }).data.map(p => p.location);
+      expect(locations).to.deep.equal(["0 Main St", "1 Main St", "2 Main St", "3 Main St", "Replacement St"]);
+    });
+  });
+
+  describe("HTTP API", function () {
+    let server, baseUrl;
+
+    beforeEach(async function () {
+      server = createServer(db);
+      await new Promise(resolve => server.listen(0, resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it("Should serve filtered property lists", async function () {
+      await registerProperty(seller, "1 Main St");
+      await registerProperty(seller, "2 Main St", price, false);
+      await syncAll();
+
+      const response = await fetch(`${baseUrl}/api/properties?forSale=true&owner=${seller.address.toLowerCase()}`);
+      expect(response.status).to.equal(200);
+
+      const body = await response.json();
+      expect(body.data.map(p => p.location)).to.deep.equal(["1 Main St"]);
+      expect(body.pagination.total).to.equal(1);
+    });
+
+    it("Should return errors for unknown and invalid requests", async function () {
+      expect((await fetch(`${baseUrl}/api/properties/42`)).status).to.equal(404);
+      expect((await fetch(`${baseUrl}/api/users/not-an-address`)).status).to.equal(400);
+      expect((await fetch(`${baseUrl}/api/nothing`)).status).to.equal(404);
+    });
+  });
+});
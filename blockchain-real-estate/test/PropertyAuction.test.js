@@ -8,6 +8,10 @@ describe("PropertyAuction", function () {
   let owner, seller, bidder1, bidder2, verifier;
   let propertyId;
 
+  // Revert reason of AccessControl's onlyRole
+  const missingRole = (account, role) =>
+    `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+
   beforeEach(async function () {
     [owner, seller, bidder1, bidder2, verifier] = await ethers.getSigners();
 
@@ -21,16 +25,21 @@ describe("PropertyAuction", function () {
     propertyAuction = await PropertyAuction.deploy(await propertyRegistry.getAddress());
     await propertyAuction.waitForDeployment();
 
-    // Add verifier
+    // Add verifier and let the auction hand over sold properties
     await propertyRegistry.addVerifier(verifier.address);
+    await propertyRegistry.grantRole(
+      await propertyRegistry.TRANSFER_AGENT_ROLE(),
+      await propertyAuction.getAddress()
+    );
 
     // Register a property
     await propertyRegistry.connect(seller).registerProperty(
       "Test Location",
-      "Residential",
       100,
+      "Residential",
+      ["ipfs://test"],
       ethers.parseEther("10"),
-      "ipfs://test"
+      false
     );
     propertyId = 1;
 
@@ -38,7 +47,7 @@ describe("PropertyAuction", function () {
     await propertyRegistry.connect(verifier).verifyProperty(propertyId);
 
     // List property for sale
-    await propertyRegistry.connect(seller).listForSale(propertyId);
+    await propertyRegistry.connect(seller).listPropertyForSale(propertyId, ethers.parseEther("10"));
   });
 
   describe("Deployment", function () {
@@ -46,8 +55,10 @@ describe("PropertyAuction", function () {
       expect(await propertyAuction.propertyRegistry()).to.equal(await propertyRegistry.getAddress());
     });
 
-    it("Should set the correct owner", async function () {
-      expect(await propertyAuction.owner()).to.equal(owner.address);
+    it("Should make the deployer admin, fee manager and pauser", async function () {
+      expect(await propertyAuction.hasRole(await propertyAuction.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await propertyAuction.hasRole(await propertyAuction.FEE_MANAGER_ROLE(), owner.address)).to.equal(true);
+      expect(await propertyAuction.hasRole(await propertyAuction.PAUSER_ROLE(), owner.address)).to.equal(true);
     });
 
     it("Should initialize with correct default values", async function () {
@@ -77,7 +88,7 @@ describe("PropertyAuction", function () {
       expect(auction.propertyId).to.equal(propertyId);
       expect(auction.seller).to.equal(seller.address);
       expect(auction.startingPrice).to.equal(startingPrice);
-      expect(auction.reservePrice).to.equal(reservePrice);
+      expect(auction.reservePrice).to.equal(0); // Hidden until the auction ends
     });
 
     it("Should fail if not property owner", async function () {
@@ -206,6 +217,703 @@ describe("PropertyAuction", function () {
     });
   });
 
+  describe("Soft Close", function () {
+    let auctionId;
+
+    const endTimeOf = async (id) => (await propertyAuction.getAuction(id)).endTime;
+
+    beforeEach(async function () {
+      await propertyAuction.connect(seller).createAuction(
+        propertyId,
+        ethers.parseEther("5"),
+        ethers.parseEther("8"),
+        86400,
+        ethers.parseEther("0.1")
+      );
+      auctionId = 1;
+    });
+
+    it("Should default to a 10 minute window", async function () {
+      expect(await propertyAuction.softCloseWindow()).to.equal(600);
+    });
+
+    it("Should not extend for bids outside the window", async function () {
+      const endTimeBefore = await endTimeOf(auctionId);
+
+      await expect(
+        propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("5.5") })
+      ).to.not.emit(propertyAuction, "AuctionExtended");
+
+      expect(await endTimeOf(auctionId)).to.equal(endTimeBefore);
+    });
+
+    it("Should emit AuctionExtended with the old and new end times", async function () {
+      const endTimeBefore = await endTimeOf(auctionId);
+      await time.increaseTo(endTimeBefore - 120n);
+
+      const tx = await propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("5.5") });
+      const bidTime = BigInt(await time.latest());
+
+      await expect(tx)
+        .to.emit(propertyAuction, "AuctionExtended")
+        .withArgs(auctionId, endTimeBefore, bidTime + 600n);
+      expect(await endTimeOf(auctionId)).to.equal(bidTime + 600n);
+    });
+
+    it("Should keep extending through a chain of late bids", async function () {
+      const originalEnd = await endTimeOf(auctionId);
+      await time.increaseTo(originalEnd - 60n);
+
+      const bidders = [bidder1, bidder2, bidder1, bidder2];
+      let amount = ethers.parseEther("5");
+      for (const bidder of bidders) {
+        const endBefore = await endTimeOf(auctionId);
+        await propertyAuction.connect(bidder).placeBid(auctionId, { value: amount });
+
+        const endAfter = await endTimeOf(auctionId);
+        expect(endAfter).to.equal(BigInt(await time.latest()) + 600n);
+        expect(endAfter).to.be.greaterThan(endBefore);
+
+        // Next bid lands in the final minute of the extended window
+        await time.increaseTo(endAfter - 60n);
+        amount += ethers.parseEther("1");
+      }
+
+      expect(await endTimeOf(auctionId)).to.be.greaterThan(originalEnd + 1200n);
+      await expect(propertyAuction.endAuction(auctionId)).to.be.revertedWith("Auction still active");
+
+      await time.increaseTo(await endTimeOf(auctionId));
+      await expect(
+        propertyAuction.connect(bidder1).placeBid(auctionId, { value: amount })
+      ).to.be.revertedWith("Auction has ended");
+
+      await expect(propertyAuction.endAuction(auctionId))
+        .to.emit(propertyAuction, "AuctionEnded")
+        .withArgs(auctionId, bidder2.address, ethers.parseEther("8"));
+    });
+
+    // Recreate the auction so it picks up a window set after the one in beforeEach
+    const recreateAuction = async () => {
+      await propertyAuction.connect(seller).cancelAuction(auctionId);
+      await propertyAuction.connect(seller).createAuction(
+        propertyId,
+        ethers.parseEther("5"),
+        ethers.parseEther("8"),
+        86400,
+        ethers.parseEther("0.1")
+      );
+      auctionId = 2;
+    };
+
+    it("Should use the configured window", async function () {
+      await propertyAuction.setSoftCloseWindow(1800);
+      await recreateAuction();
+      expect((await propertyAuction.getAuction(auctionId)).softCloseWindow).to.equal(1800);
+      const endTimeBefore = await endTimeOf(auctionId);
+      await time.increaseTo(endTimeBefore - 1200n);
+
+      await propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("5.5") });
+      expect(await endTimeOf(auctionId)).to.equal(BigInt(await time.latest()) + 1800n);
+    });
+
+    it("Should not extend when the window is disabled", async function () {
+      await propertyAuction.setSoftCloseWindow(0);
+      await recreateAuction();
+      const endTimeBefore = await endTimeOf(auctionId);
+      await time.increaseTo(endTimeBefore - 5n);
+
+      await expect(
+        propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("5.5") })
+      ).to.not.emit(propertyAuction, "AuctionExtended");
+      expect(await endTimeOf(auctionId)).to.equal(endTimeBefore);
+    });
+
+    it("Should keep the window a running auction was created with", async function () {
+      await propertyAuction.setSoftCloseWindow(0);
+      expect((await propertyAuction.getAuction(auctionId)).softCloseWindow).to.equal(600);
+
+      const endTimeBefore = await endTimeOf(auctionId);
+      await time.increaseTo(endTimeBefore - 120n);
+
+      await expect(
+        propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("5.5") })
+      ).to.emit(propertyAuction, "AuctionExtended");
+      expect(await endTimeOf(auctionId)).to.equal(BigInt(await time.latest()) + 600n);
+    });
+
+    it("Should restrict the window setting to the owner and 1 hour", async function () {
+      await expect(
+        propertyAuction.setSoftCloseWindow(3601)
+      ).to.be.revertedWith("Window cannot exceed 1 hour");
+
+      await expect(
+        propertyAuction.connect(seller).setSoftCloseWindow(300)
+      ).to.be.revertedWith(missingRole(seller, await propertyAuction.DEFAULT_ADMIN_ROLE()));
+    });
+  });
+
+  describe("Reserve Price", function () {
+    let auctionId;
+
+    beforeEach(async function () {
+      await propertyAuction.connect(seller).createAuction(
+        propertyId,
+        ethers.parseEther("5"),
+        ethers.parseEther("8"),
+        86400,
+        ethers.parseEther("0.1")
+      );
+      auctionId = 1;
+    });
+
+    it("Should hide the reserve while the auction is running", async function () {
+      await propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("9") });
+      expect((await propertyAuction.getAuction(auctionId)).reservePrice).to.equal(0);
+
+      await time.increase(86401);
+      // Expired but not yet ended
+      expect((await propertyAuction.getAuction(auctionId)).reservePrice).to.equal(0);
+
+      await propertyAuction.endAuction(auctionId);
+      expect((await propertyAuction.getAuction(auctionId)).reservePrice).to.equal(ethers.parseEther("8"));
+    });
+
+    it("Should reveal the reserve when the auction is cancelled", async function () {
+      await propertyAuction.connect(seller).cancelAuction(auctionId);
+      expect((await propertyAuction.getAuction(auctionId)).reservePrice).to.equal(ethers.parseEther("8"));
+    });
+
+    it("Should not leak the reserve in AuctionCreated", async function () {
+      await propertyAuction.connect(seller).cancelAuction(auctionId);
+
+      const tx = await propertyAuction.connect(seller).createAuction(
+        propertyId,
+        ethers.parseEther("5"),
+        ethers.parseEther("8"),
+        86400,
+        ethers.parseEther("0.1")
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs
+        .map(log => propertyAuction.interface.parseLog(log))
+        .find(parsed => parsed && parsed.name === "AuctionCreated");
+
+      expect(event.args).to.have.lengthOf(6);
+      expect(event.args.map(arg => arg.toString())).to.not.include(ethers.parseEther("8").toString());
+    });
+
+    it("Should pay nothing to the seller when the reserve is not met", async function () {
+      await propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("6") });
+      await propertyAuction.connect(bidder2).placeBid(auctionId, { value: ethers.parseEther("7.9") });
+      await time.increase(86401);
+
+      const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
+      await expect(propertyAuction.endAuction(auctionId))
+        .to.emit(propertyAuction, "AuctionEnded")
+        .withArgs(auctionId, ethers.ZeroAddress, 0);
+      expect(await ethers.provider.getBalance(seller.address)).to.equal(sellerBalanceBefore);
+
+      // Both bidders get their full bids back
+      expect(await propertyAuction.getUserBid(auctionId, bidder1.address)).to.equal(ethers.parseEther("6"));
+      expect(await propertyAuction.getUserBid(auctionId, bidder2.address)).to.equal(ethers.parseEther("7.9"));
+
+      await propertyAuction.connect(bidder2).withdrawBid(auctionId);
+      expect(await propertyAuction.getUserBid(auctionId, bidder2.address)).to.equal(0);
+      expect(await propertyAuction.propertyToAuction(propertyId)).to.equal(0);
+    });
+
+    it("Should fail the reserve after an extension chain that stays below it", async function () {
+      await time.increaseTo((await propertyAuction.getAuction(auctionId)).endTime - 30n);
+      await propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("6") });
+
+      await time.increaseTo((await propertyAuction.getAuction(auctionId)).endTime - 30n);
+      await expect(
+        propertyAuction.connect(bidder2).placeBid(auctionId, { value: ethers.parseEther("7") })
+      ).to.emit(propertyAuction, "AuctionExtended");
+
+      await time.increaseTo((await propertyAuction.getAuction(auctionId)).endTime);
+      await expect(propertyAuction.endAuction(auctionId))
+        .to.emit(propertyAuction, "AuctionEnded")
+        .withArgs(auctionId, ethers.ZeroAddress, 0);
+
+      const auction = await propertyAuction.getAuction(auctionId);
+      expect(auction.currentBidder).to.equal(ethers.ZeroAddress);
+      expect(auction.reservePrice).to.equal(ethers.parseEther("8"));
+      expect(await propertyAuction.getUserBid(auctionId, bidder2.address)).to.equal(ethers.parseEther("7"));
+    });
+
+    it("Should sell when the reserve is met exactly", async function () {
+      await propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("8") });
+      await time.increase(86401);
+
+      await expect(propertyAuction.endAuction(auctionId))
+        .to.emit(propertyAuction, "AuctionEnded")
+        .withArgs(auctionId, bidder1.address, ethers.parseEther("8"));
+    });
+  });
+
+  describe("Sealed Bids", function () {
+    const FIRST_PRICE = 1;
+    const SECOND_PRICE = 2;
+    const COMMIT_DURATION = 86400;
+    const REVEAL_DURATION = 3600;
+    let bidder3;
+    let auctionId;
+
+    const createSealedAuction = (mode, revealDuration = REVEAL_DURATION) =>
+      propertyAuction.connect(seller)["createAuction(uint256,uint256,uint256,uint256,uint256,uint8,uint256)"](
+        propertyId,
+        ethers.parseEther("5"),
+        ethers.parseEther("8"),
+        COMMIT_DURATION,
+        ethers.parseEther("0.1"),
+        mode,
+        revealDuration
+      );
+
+    const saltFor = (bidder) => ethers.id(`salt-${bidder.address}`);
+
+    const commitment = (bidder, amount) =>
+      ethers.solidityPackedKeccak256(
+        ["uint256", "address", "uint256", "bytes32"],
+        [auctionId, bidder.address, amount, saltFor(bidder)]
+      );
+
+    const commit = (bidder, amount, deposit = amount) =>
+      propertyAuction.connect(bidder).commitBid(auctionId, commitment(bidder, amount), { value: deposit });
+
+    const reveal = (bidder, amount) =>
+      propertyAuction.connect(bidder).revealBid(auctionId, amount, saltFor(bidder));
+
+    const toRevealPhase = async () => time.increaseTo((await propertyAuction.getAuction(auctionId)).endTime);
+    const toSettlement = async () => time.increaseTo((await propertyAuction.getAuction(auctionId)).revealEndTime);
+
+    beforeEach(async function () {
+      [, , , , , bidder3] = await ethers.getSigners();
+      auctionId = 1;
+    });
+
+    describe("Creation", function () {
+      it("Should record the mode and reveal deadline", async function () {
+        await createSealedAuction(SECOND_PRICE);
+
+        const auction = await propertyAuction.getAuction(auctionId);
+        expect(auction.mode).to.equal(SECOND_PRICE);
+        expect(auction.revealEndTime).to.equal(auction.endTime + BigInt(REVEAL_DURATION));
+      });
+
+      it("Should validate the reveal duration", async function () {
+        await expect(createSealedAuction(FIRST_PRICE, 60)).to.be.revertedWith("Invalid reveal duration");
+        await expect(createSealedAuction(0, REVEAL_DURATION))
+          .to.be.revertedWith("Reveal duration only applies to sealed bids");
+      });
+
+      it("Should keep open and sealed bidding separate", async function () {
+        await createSealedAuction(FIRST_PRICE);
+        await expect(
+          propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("6") })
+        ).to.be.revertedWith("Not an open auction");
+
+        await propertyAuction.connect(seller).cancelAuction(auctionId);
+        await propertyAuction.connect(seller).createAuction(
+          propertyId,
+          ethers.parseEther("5"),
+          ethers.parseEther("8"),
+          86400,
+          ethers.parseEther("0.1")
+        );
+        auctionId = 2;
+        await expect(commit(bidder1, ethers.parseEther("6"))).to.be.revertedWith("Not a sealed-bid auction");
+      });
+    });
+
+    describe("Commit Phase", function () {
+      beforeEach(async function () {
+        await createSealedAuction(FIRST_PRICE);
+      });
+
+      it("Should hold the deposit without revealing the bid", async function () {
+        await expect(commit(bidder1, ethers.parseEther("6"), ethers.parseEther("10")))
+          .to.emit(propertyAuction, "BidCommitted")
+          .withArgs(auctionId, bidder1.address, ethers.parseEther("10"));
+
+        const auction = await propertyAuction.getAuction(auctionId);
+        expect(auction.currentBid).to.equal(0);
+        expect(auction.currentBidder).to.equal(ethers.ZeroAddress);
+        expect(auction.totalBidders).to.equal(1);
+
+        const sealedBid = await propertyAuction.getSealedBid(auctionId, bidder1.address);
+        expect(sealedBid.commitment).to.equal(commitment(bidder1, ethers.parseEther("6")));
+        expect(sealedBid.deposit).to.equal(ethers.parseEther("10"));
+        expect(sealedBid.revealed).to.be.false;
+      });
+
+      it("Should match the on-chain commitment helper", async function () {
+        const amount = ethers.parseEther("6");
+        expect(
+          await propertyAuction.computeCommitment(auctionId, bidder1.address, amount, saltFor(bidder1))
+        ).to.equal(commitment(bidder1, amount));
+      });
+
+      it("Should reject invalid commits", async function () {
+        await expect(commit(bidder1, ethers.parseEther("4"))).to.be.revertedWith("Deposit below starting price");
+        await expect(commit(seller, ethers.parseEther("6"))).to.be.revertedWith("Seller cannot bid");
+
+        await commit(bidder1, ethers.parseEther("6"));
+        await expect(commit(bidder1, ethers.parseEther("7"))).to.be.revertedWith("Bid already committed");
+
+        await toRevealPhase();
+        await expect(commit(bidder2, ethers.parseEther("6"))).to.be.revertedWith("Commit phase has ended");
+      });
+
+      it("Should not allow the seller to cancel once bids are committed", async function () {
+        await commit(bidder1, ethers.parseEther("6"));
+        await expect(
+          propertyAuction.connect(seller).cancelAuction(auctionId)
+        ).to.be.revertedWith("Cannot cancel auction with bids");
+      });
+    });
+
+    describe("Reveal Phase", function () {
+      beforeEach(async function () {
+        await createSealedAuction(FIRST_PRICE);
+        await commit(bidder1, ethers.parseEther("6"), ethers.parseEther("7"));
+      });
+
+      it("Should only accept reveals between the commit and reveal deadlines", async function () {
+        await expect(reveal(bidder1, ethers.parseEther("6"))).to.be.revertedWith("Commit phase still active");
+
+        await toSettlement();
+        await expect(reveal(bidder1, ethers.parseEther("6"))).to.be.revertedWith("Reveal phase has ended");
+      });
+
+      it("Should reject reveals that do not match the commitment", async function () {
+        await toRevealPhase();
+
+        await expect(reveal(bidder1, ethers.parseEther("6.5"))).to.be.revertedWith("Commitment mismatch");
+        await expect(
+          propertyAuction.connect(bidder1).revealBid(auctionId, ethers.parseEther("6"), ethers.id("wrong"))
+        ).to.be.revertedWith("Commitment mismatch");
+        await expect(reveal(bidder2, ethers.parseEther("6"))).to.be.revertedWith("No committed bid");
+
+        await reveal(bidder1, ethers.parseEther("6"));
+        await expect(reveal(bidder1, ethers.parseEther("6"))).to.be.revertedWith("Bid already revealed");
+      });
+
+      it("Should reject bids larger than the deposit", async function () {
+        await commit(bidder2, ethers.parseEther("9"), ethers.parseEther("6"));
+        await toRevealPhase();
+
+        await expect(reveal(bidder2, ethers.parseEther("9"))).to.be.revertedWith("Bid exceeds deposit");
+      });
+
+      it("Should track the leader and release excess deposits", async function () {
+        await commit(bidder2, ethers.parseEther("9"), ethers.parseEther("9"));
+        await toRevealPhase();
+
+        await expect(reveal(bidder1, ethers.parseEther("6")))
+          .to.emit(propertyAuction, "BidRevealed")
+          .withArgs(auctionId, bidder1.address, ethers.parseEther("6"));
+        expect(await propertyAuction.getUserBid(auctionId, bidder1.address)).to.equal(ethers.parseEther("1"));
+
+        await reveal(bidder2, ethers.parseEther("9"));
+        const auction = await propertyAuction.getAuction(auctionId);
+        expect(auction.currentBidder).to.equal(bidder2.address);
+        expect(auction.currentBid).to.equal(ethers.parseEther("9"));
+
+        // Outbid, so the whole deposit is withdrawable
+        expect(await propertyAuction.getUserBid(auctionId, bidder1.address)).to.equal(ethers.parseEther("7"));
+      });
+
+      it("Should refund revealed bids below the starting price", async function () {
+        await commit(bidder2, ethers.parseEther("4"), ethers.parseEther("5"));
+        await toRevealPhase();
+
+        await reveal(bidder2, ethers.parseEther("4"));
+        expect((await propertyAuction.getAuction(auctionId)).currentBidder).to.equal(ethers.ZeroAddress);
+        expect(await propertyAuction.getUserBid(auctionId, bidder2.address)).to.equal(ethers.parseEther("5"));
+      });
+    });
+
+    describe("Settlement", function () {
+      it("Should not settle before the reveal phase ends", async function () {
+        await createSealedAuction(FIRST_PRICE);
+        await commit(bidder1, ethers.parseEther("9"));
+        await toRevealPhase();
+
+        await expect(propertyAuction.endAuction(auctionId)).to.be.revertedWith("Reveal phase still active");
+      });
+
+      it("Should charge the winner their own bid in first-price mode", async function () {
+        await createSealedAuction(FIRST_PRICE);
+        await commit(bidder1, ethers.parseEther("8.5"));
+        await commit(bidder2, ethers.parseEther("9"), ethers.parseEther("12"));
+        await toRevealPhase();
+        await reveal(bidder1, ethers.parseEther("8.5"));
+        await reveal(bidder2, ethers.parseEther("9"));
+        await toSettlement();
+
+        const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
+        await expect(propertyAuction.endAuction(auctionId))
+          .to.emit(propertyAuction, "AuctionEnded")
+          .withArgs(auctionId, bidder2.address, ethers.parseEther("9"));
+
+        const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
+        expect(sellerBalanceAfter - sellerBalanceBefore).to.equal(ethers.parseEther("9") * 9750n / 10000n);
+        expect(await propertyAuction.getUserBid(auctionId, bidder1.address)).to.equal(ethers.parseEther("8.5"));
+        expect(await propertyAuction.getUserBid(auctionId, bidder2.address)).to.equal(ethers.parseEther("3"));
+      });
+
+      it("Should charge the winner the second-highest bid in Vickrey mode", async function () {
+        await createSealedAuction(SECOND_PRICE);
+        await commit(bidder1, ethers.parseEther("8.5"));
+        await commit(bidder2, ethers.parseEther("10"));
+        await commit(bidder3, ethers.parseEther("9"));
+        await toRevealPhase();
+        await reveal(bidder1, ethers.parseEther("8.5"));
+        await reveal(bidder2, ethers.parseEther("10"));
+        await reveal(bidder3, ethers.parseEther("9"));
+        await toSettlement();
+
+        const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
+        await expect(propertyAuction.endAuction(auctionId))
+          .to.emit(propertyAuction, "AuctionEnded")
+          .withArgs(auctionId, bidder2.address, ethers.parseEther("9"));
+
+        const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
+        expect(sellerBalanceAfter - sellerBalanceBefore).to.equal(ethers.parseEther("9") * 9750n / 10000n);
+        expect(await propertyAuction.getUserBid(auctionId, bidder2.address)).to.equal(ethers.parseEther("1"));
+        expect(await propertyAuction.getUserBid(auctionId, bidder3.address)).to.equal(ethers.parseEther("9"));
+      });
+
+      it("Should not charge a lone Vickrey bidder less than the reserve", async function () {
+        await createSealedAuction(SECOND_PRICE);
+        await commit(bidder1, ethers.parseEther("10"));
+        await toRevealPhase();
+        await reveal(bidder1, ethers.parseEther("10"));
+        await toSettlement();
+
+        await expect(propertyAuction.endAuction(auctionId))
+          .to.emit(propertyAuction, "AuctionEnded")
+          .withArgs(auctionId, bidder1.address, ethers.parseEther("8"));
+        expect(await propertyAuction.getUserBid(auctionId, bidder1.address)).to.equal(ethers.parseEther("2"));
+      });
+
+      it("Should refund everyone when the highest revealed bid misses the reserve", async function () {
+        await createSealedAuction(SECOND_PRICE);
+        await commit(bidder1, ethers.parseEther("7.5"), ethers.parseEther("8"));
+        await toRevealPhase();
+        await reveal(bidder1, ethers.parseEther("7.5"));
+        await toSettlement();
+
+        await expect(propertyAuction.endAuction(auctionId))
+          .to.emit(propertyAuction, "AuctionEnded")
+          .withArgs(auctionId, ethers.ZeroAddress, 0);
+        expect(await propertyAuction.getUserBid(auctionId, bidder1.address)).to.equal(ethers.parseEther("8"));
+      });
+
+      it("Should forfeit unrevealed deposits to the seller", async function () {
+        await createSealedAuction(FIRST_PRICE);
+        await commit(bidder1, ethers.parseEther("9"));
+        await commit(bidder2, ethers.parseEther("20"));
+        await toRevealPhase();
+        await reveal(bidder1, ethers.parseEther("9"));
+        await toSettlement();
+
+        const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
+        await expect(propertyAuction.endAuction(auctionId))
+          .to.emit(propertyAuction, "DepositsForfeited")
+          .withArgs(auctionId, ethers.parseEther("20"));
+
+        const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
+        expect(sellerBalanceAfter - sellerBalanceBefore).to.equal(
+          ethers.parseEther("20") + ethers.parseEther("9") * 9750n / 10000n
+        );
+        await expect(
+          propertyAuction.connect(bidder2).withdrawBid(auctionId)
+        ).to.be.revertedWith("No bid to withdraw");
+      });
+
+      it("Should refund unrevealed deposits if the auction is called off", async function () {
+        await createSealedAuction(FIRST_PRICE);
+        await commit(bidder1, ethers.parseEther("9"), ethers.parseEther("10"));
+        await propertyAuction.emergencyEndAuction(auctionId);
+
+        const balanceBefore = await ethers.provider.getBalance(bidder1.address);
+        const tx = await propertyAuction.connect(bidder1).withdrawBid(auctionId);
+        const receipt = await tx.wait();
+        const gasUsed = receipt.gasUsed * receipt.gasPrice;
+
+        const balanceAfter = await ethers.provider.getBalance(bidder1.address);
+        expect(balanceAfter).to.equal(balanceBefore + ethers.parseEther("10") - gasUsed);
+      });
+
+      it("Should not let fee withdrawals touch held deposits", async function () {
+        await createSealedAuction(FIRST_PRICE);
+        await commit(bidder1, ethers.parseEther("10"));
+        await toRevealPhase();
+        await reveal(bidder1, ethers.parseEther("10"));
+        await toSettlement();
+        await propertyAuction.endAuction(auctionId);
+
+        // A second auction, on another of the seller's properties, holding a deposit
+        await propertyRegistry.connect(seller).registerProperty(
+          "Second Location", 80, "Residential", ["ipfs://second"], ethers.parseEther("8"), false
+        );
+        propertyId = 2;
+        await propertyRegistry.connect(verifier).verifyProperty(propertyId);
+        await propertyRegistry.connect(seller).listPropertyForSale(propertyId, ethers.parseEther("8"));
+        await createSealedAuction(FIRST_PRICE);
+        auctionId = 2;
+        await commit(bidder2, ethers.parseEther("9"));
+
+        const fee = ethers.parseEther("10") * 250n / 10000n;
+        expect(await propertyAuction.accumulatedFees()).to.equal(fee);
+
+        const contractBalanceBefore = await ethers.provider.getBalance(await propertyAuction.getAddress());
+        await propertyAuction.withdrawFees();
+        const contractBalanceAfter = await ethers.provider.getBalance(await propertyAuction.getAddress());
+
+        expect(contractBalanceBefore - contractBalanceAfter).to.equal(fee);
+        expect(contractBalanceAfter).to.equal(ethers.parseEther("9"));
+      });
+    });
+  });
+
+  describe("Dutch Auctions", function () {
+    const DUTCH = 3;
+    const DURATION = 86400n;
+    const startingPrice = ethers.parseEther("12");
+    const reservePrice = ethers.parseEther("8");
+    let auctionId;
+
+    const createDutchAuction = (start = startingPrice, reserve = reservePrice) =>
+      propertyAuction.connect(seller)["createAuction(uint256,uint256,uint256,uint256,uint256,uint8,uint256)"](
+        propertyId,
+        start,
+        reserve,
+        DURATION,
+        ethers.parseEther("0.1"),
+        DUTCH,
+        0
+      );
+
+    const expectedPrice = (auction, timestamp) =>
+      startingPrice - ((startingPrice - reservePrice) * (timestamp - auction.startTime)) / DURATION;
+
+    beforeEach(async function () {
+      auctionId = 1;
+    });
+
+    it("Should require the reserve to sit below the starting price", async function () {
+      await expect(createDutchAuction(startingPrice, startingPrice))
+        .to.be.revertedWith("Reserve price must be below starting price");
+      await expect(createDutchAuction(startingPrice, 0))
+        .to.be.revertedWith("Reserve price must be below starting price");
+    });
+
+    it("Should fall linearly from the starting price to the reserve", async function () {
+      await createDutchAuction();
+      const auction = await propertyAuction.getAuction(auctionId);
+
+      expect(auction.mode).to.equal(DUTCH);
+      expect(auction.reservePrice).to.equal(reservePrice);
+      expect(await propertyAuction.getCurrentPrice(auctionId)).to.equal(startingPrice);
+
+      await time.increaseTo(auction.startTime + DURATION / 4n);
+      expect(await propertyAuction.getCurrentPrice(auctionId)).to.equal(ethers.parseEther("11"));
+
+      await time.increaseTo(auction.startTime + DURATION / 2n + 17n);
+      expect(await propertyAuction.getCurrentPrice(auctionId))
+        .to.equal(expectedPrice(auction, auction.startTime + DURATION / 2n + 17n));
+
+      await time.increaseTo(auction.endTime + 100n);
+      expect(await propertyAuction.getCurrentPrice(auctionId)).to.equal(reservePrice);
+    });
+
+    it("Should sell to the first buyer at the current price", async function () {
+      await createDutchAuction();
+      const auction = await propertyAuction.getAuction(auctionId);
+      const buyTime = auction.startTime + 36000n;
+      const price = expectedPrice(auction, buyTime);
+
+      const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
+      const buyerBalanceBefore = await ethers.provider.getBalance(bidder1.address);
+
+      await time.setNextBlockTimestamp(buyTime);
+      const tx = await propertyAuction.connect(bidder1).buyAtCurrentPrice(auctionId, { value: startingPrice });
+      await expect(tx)
+        .to.emit(propertyAuction, "AuctionEnded")
+        .withArgs(auctionId, bidder1.address, price);
+
+      // Overpayment comes straight back
+      const receipt = await tx.wait();
+      const gasUsed = receipt.gasUsed * receipt.gasPrice;
+      expect(await ethers.provider.getBalance(bidder1.address)).to.equal(buyerBalanceBefore - price - gasUsed);
+
+      const fee = price * 250n / 10000n;
+      const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
+      expect(sellerBalanceAfter - sellerBalanceBefore).to.equal(price - fee);
+      expect(await propertyAuction.accumulatedFees()).to.equal(fee);
+
+      const ended = await propertyAuction.getAuction(auctionId);
+      expect(ended.ended).to.be.true;
+      expect(ended.currentBidder).to.equal(bidder1.address);
+      expect(await propertyAuction.getCurrentPrice(auctionId)).to.equal(price);
+
+      await expect(
+        propertyAuction.connect(bidder2).buyAtCurrentPrice(auctionId, { value: startingPrice })
+      ).to.be.revertedWith("Auction already ended");
+    });
+
+    it("Should reject payments below the current price", async function () {
+      await createDutchAuction();
+      await expect(
+        propertyAuction.connect(bidder1).buyAtCurrentPrice(auctionId, { value: reservePrice })
+      ).to.be.revertedWith("Payment below current price");
+      await expect(
+        propertyAuction.connect(seller).buyAtCurrentPrice(auctionId, { value: startingPrice })
+      ).to.be.revertedWith("Seller cannot bid");
+    });
+
+    it("Should close without a sale once the reserve is reached unclaimed", async function () {
+      await createDutchAuction();
+      await time.increase(DURATION);
+
+      await expect(
+        propertyAuction.connect(bidder1).buyAtCurrentPrice(auctionId, { value: startingPrice })
+      ).to.be.revertedWith("Auction has ended");
+
+      await expect(propertyAuction.endAuction(auctionId))
+        .to.emit(propertyAuction, "AuctionEnded")
+        .withArgs(auctionId, ethers.ZeroAddress, 0);
+      expect(await propertyAuction.propertyToAuction(propertyId)).to.equal(0);
+    });
+
+    it("Should keep Dutch and open bidding separate", async function () {
+      await createDutchAuction();
+      await expect(
+        propertyAuction.connect(bidder1).placeBid(auctionId, { value: startingPrice })
+      ).to.be.revertedWith("Not an open auction");
+      await expect(
+        propertyAuction.connect(bidder1).commitBid(auctionId, ethers.id("bid"), { value: startingPrice })
+      ).to.be.revertedWith("Not a sealed-bid auction");
+
+      await propertyAuction.connect(seller).cancelAuction(auctionId);
+      await propertyAuction.connect(seller).createAuction(
+        propertyId,
+        ethers.parseEther("5"),
+        ethers.parseEther("8"),
+        86400,
+        ethers.parseEther("0.1")
+      );
+      await expect(
+        propertyAuction.connect(bidder1).buyAtCurrentPrice(2, { value: startingPrice })
+      ).to.be.revertedWith("Not a Dutch auction");
+      await expect(propertyAuction.getCurrentPrice(2)).to.be.revertedWith("Not a Dutch auction");
+    });
+  });
+
   describe("End Auction", function () {
     let auctionId;
 
@@ -241,6 +949,56 @@ describe("PropertyAuction", function () {
       expect(sellerBalanceAfter - sellerBalanceBefore).to.equal(expectedAmount);
     });
 
+    it("Should transfer the property to the winner", async function () {
+      await propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("8.5") });
+      await time.increase(86401);
+
+      await expect(propertyAuction.endAuction(auctionId))
+        .to.emit(propertyRegistry, "PropertyTransferred")
+        .withArgs(propertyId, seller.address, bidder1.address);
+
+      const property = await propertyRegistry.getProperty(propertyId);
+      expect(property.owner).to.equal(bidder1.address);
+      expect(property.forSale).to.be.false;
+      expect(await propertyRegistry.getPropertiesByOwner(bidder1.address)).to.deep.equal([BigInt(propertyId)]);
+      expect(await propertyRegistry.getPropertiesForSale()).to.deep.equal([]);
+    });
+
+    it("Should refund the winner if the seller no longer owns the property", async function () {
+      await propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("8.5") });
+      await propertyRegistry.grantRole(await propertyRegistry.TRANSFER_AGENT_ROLE(), owner.address);
+      await propertyRegistry.transferProperty(propertyId, bidder2.address);
+      await time.increase(86401);
+
+      await expect(propertyAuction.endAuction(auctionId))
+        .to.emit(propertyAuction, "AuctionEnded")
+        .withArgs(auctionId, ethers.ZeroAddress, 0);
+
+      expect((await propertyRegistry.getProperty(propertyId)).owner).to.equal(bidder2.address);
+      expect(await propertyAuction.getUserBid(auctionId, bidder1.address)).to.equal(ethers.parseEther("8.5"));
+    });
+
+    it("Should refund the winner if the registry refuses the transfer", async function () {
+      await propertyRegistry.revokeRole(
+        await propertyRegistry.TRANSFER_AGENT_ROLE(),
+        await propertyAuction.getAddress()
+      );
+      await propertyAuction.connect(bidder1).placeBid(auctionId, { value: ethers.parseEther("8.5") });
+      await time.increase(86401);
+
+      await expect(propertyAuction.endAuction(auctionId))
+        .to.emit(propertyAuction, "TransferFailed")
+        .withArgs(auctionId, bidder1.address)
+        .and.to.emit(propertyAuction, "AuctionEnded")
+        .withArgs(auctionId, ethers.ZeroAddress, 0);
+
+      expect((await propertyRegistry.getProperty(propertyId)).owner).to.equal(seller.address);
+      expect(await propertyAuction.accumulatedFees()).to.equal(0);
+      await expect(
+        propertyAuction.connect(bidder1).withdrawBid(auctionId)
+      ).to.changeEtherBalance(bidder1, ethers.parseEther("8.5"));
+    });
+
     it("Should fail auction if reserve not met", async function () {
       // Place bid below reserve
       await propertyAuction.connect(bidder1).placeBid(auctionId, { 
@@ -417,6 +1175,80 @@ describe("PropertyAuction", function () {
         )
       ).to.not.be.reverted;
     });
+
+    it("Should call off an auction in an emergency without the registry", async function () {
+      await expect(propertyAuction.emergencyEndAuction(1)).to.be.revertedWith("Invalid auction ID");
+
+      await propertyAuction.connect(seller).createAuction(
+        propertyId,
+        ethers.parseEther("5"),
+        ethers.parseEther("8"),
+        86400,
+        ethers.parseEther("0.1")
+      );
+      await propertyAuction.connect(bidder1).placeBid(1, { value: ethers.parseEther("6") });
+      await propertyRegistry.revokeRole(
+        await propertyRegistry.TRANSFER_AGENT_ROLE(),
+        await propertyAuction.getAddress()
+      );
+
+      await expect(propertyAuction.connect(bidder1).emergencyEndAuction(1))
+        .to.be.revertedWith(missingRole(bidder1, await propertyAuction.DEFAULT_ADMIN_ROLE()));
+      await expect(propertyAuction.emergencyEndAuction(1))
+        .to.emit(propertyAuction, "AuctionCancelled")
+        .withArgs(1);
+      await expect(
+        propertyAuction.connect(bidder1).withdrawBid(1)
+      ).to.changeEtherBalance(bidder1, ethers.parseEther("6"));
+
+      await expect(propertyAuction.emergencyEndAuction(1)).to.be.revertedWith("Auction already ended");
+    });
+
+    it("Should not emergency-end a cancelled auction", async function () {
+      await propertyAuction.connect(seller).createAuction(
+        propertyId,
+        ethers.parseEther("5"),
+        ethers.parseEther("8"),
+        86400,
+        ethers.parseEther("0.1")
+      );
+      await propertyAuction.connect(seller).cancelAuction(1);
+
+      await expect(propertyAuction.emergencyEndAuction(1)).to.be.revertedWith("Auction already cancelled");
+    });
+
+    it("Should let delegated fee managers and pausers act without the admin role", async function () {
+      const FEE_MANAGER_ROLE = await propertyAuction.FEE_MANAGER_ROLE();
+      const PAUSER_ROLE = await propertyAuction.PAUSER_ROLE();
+
+      await expect(propertyAuction.grantRole(FEE_MANAGER_ROLE, bidder1.address))
+        .to.emit(propertyAuction, "RoleGranted")
+        .withArgs(FEE_MANAGER_ROLE, bidder1.address, owner.address);
+      await propertyAuction.grantRole(PAUSER_ROLE, bidder2.address);
+
+      await propertyAuction.connect(bidder1).setPlatformFee(300);
+      expect(await propertyAuction.platformFeePercent()).to.equal(300);
+      await propertyAuction.connect(bidder2).pause();
+      expect(await propertyAuction.paused()).to.equal(true);
+
+      // Each role only covers its own functions
+      await expect(
+        propertyAuction.connect(bidder1).pause()
+      ).to.be.revertedWith(missingRole(bidder1, PAUSER_ROLE));
+      await expect(
+        propertyAuction.connect(bidder2).setSoftCloseWindow(60)
+      ).to.be.revertedWith(missingRole(bidder2, await propertyAuction.DEFAULT_ADMIN_ROLE()));
+      await expect(
+        propertyAuction.connect(bidder1).grantRole(PAUSER_ROLE, bidder1.address)
+      ).to.be.revertedWith(missingRole(bidder1, await propertyAuction.DEFAULT_ADMIN_ROLE()));
+
+      await expect(propertyAuction.revokeRole(FEE_MANAGER_ROLE, bidder1.address))
+        .to.emit(propertyAuction, "RoleRevoked")
+        .withArgs(FEE_MANAGER_ROLE, bidder1.address, owner.address);
+      await expect(
+        propertyAuction.connect(bidder1).setPlatformFee(200)
+      ).to.be.revertedWith(missingRole(bidder1, FEE_MANAGER_ROLE));
+    });
   });
 
   describe("View Functions", function () {
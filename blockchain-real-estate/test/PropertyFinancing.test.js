@@ -0,0 +1,744 @@
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Frontend amortization math, checked against the contract to the wei
+const AMORTIZATION_UTILS = path.resolve(__dirname, "../../frontend/src/utils/amortization.mjs");
+
+// Small seeded PRNG so the randomized schedule tests are reproducible
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const chance = (probability) => next() < probability;
+  // Whole ether in [minEth, maxEth) plus a random fraction down to the wei
+  const wei = (minEth, maxEth) =>
+    ethers.parseEther(String(int(minEth, maxEth - 1))) +
+    BigInt(int(0, 999999999)) * 1000000000n +
+    BigInt(int(0, 999999999));
+  return { int, chance, wei };
+};
+
+describe("PropertyFinancing", function () {
+  let propertyRegistry, propertyFinancing, propertyAuction;
+  let owner, borrower, lender, verifier, bidder, other;
+  let propertyId, mortgageId;
+  let monthlyPayment, lateFee;
+
+  const DAY = 24 * 60 * 60;
+  const LOAN_AMOUNT = ethers.parseEther("12");
+  const INTEREST_RATE = 500;
+
+  const MortgageStatus = { Active: 0, PaidOff: 1, Defaulted: 2, InForeclosure: 3, Refinanced: 4, Foreclosed: 5 };
+
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  };
+
+  // Register and verify another property for the borrower and return its ID
+  const registerProperty = async (location) => {
+    const tx = await propertyRegistry.connect(borrower).registerProperty(
+      location,
+      100,
+      "Residential",
+      ["ipfs://test"],
+      ethers.parseEther("20"),
+      false
+    );
+    const receipt = await tx.wait();
+    const id = receipt.logs
+      .map(log => propertyRegistry.interface.parseLog(log))
+      .find(event => event?.name === "PropertyRegistered").args.propertyId;
+    await propertyRegistry.connect(verifier).verifyProperty(id);
+    return id;
+  };
+
+  // Move past the first due date (30 days) and the 15 day grace period, then declare default
+  const defaultMortgage = async () => {
+    await increaseTime(46 * DAY);
+    await propertyFinancing.connect(other).checkDefault(mortgageId);
+  };
+
+  beforeEach(async function () {
+    [owner, borrower, lender, verifier, bidder, other] = await ethers.getSigners();
+
+    const PropertyRegistry = await ethers.getContractFactory("PropertyRegistry");
+    propertyRegistry = await PropertyRegistry.deploy();
+    await propertyRegistry.waitForDeployment();
+
+    const PropertyFinancing = await ethers.getContractFactory("PropertyFinancing");
+    propertyFinancing = await PropertyFinancing.deploy(await propertyRegistry.getAddress());
+    await propertyFinancing.waitForDeployment();
+
+    const PropertyAuction = await ethers.getContractFactory("PropertyAuction");
+    propertyAuction = await PropertyAuction.deploy(await propertyRegistry.getAddress());
+    await propertyAuction.waitForDeployment();
+
+    await propertyFinancing.setPropertyAuction(await propertyAuction.getAddress());
+    const TRANSFER_AGENT_ROLE = await propertyRegistry.TRANSFER_AGENT_ROLE();
+    await propertyRegistry.grantRole(TRANSFER_AGENT_ROLE, await propertyFinancing.getAddress());
+    await propertyRegistry.grantRole(TRANSFER_AGENT_ROLE, await propertyAuction.getAddress());
+    await propertyRegistry.addVerifier(verifier.address);
+
+    await propertyRegistry.connect(borrower).registerProperty(
+      "Test Location",
+      100,
+      "Residential",
+      ["ipfs://test"],
+      ethers.parseEther("20"),
+      false
+    );
+    propertyId = 1;
+    await propertyRegistry.connect(verifier).verifyProperty(propertyId);
+
+    await propertyFinancing.grantRole(await propertyFinancing.LENDER_ROLE(), lender.address);
+    await propertyFinancing.connect(lender).registerLender(
+      "Test Lender",
+      ethers.parseEther("1"),
+      ethers.parseEther("100"),
+      500,
+      8000,
+      ["Test Region"],
+      { value: ethers.parseEther("50") }
+    );
+
+    await propertyFinancing.connect(borrower).submitLoanApplication(
+      propertyId,
+      LOAN_AMOUNT,
+      ethers.parseEther("4"),
+      12,
+      "720",
+      "Employed",
+      "Verified"
+    );
+    await propertyFinancing.connect(lender).approveLoan(1, INTEREST_RATE);
+    mortgageId = 1;
+
+    monthlyPayment = (await propertyFinancing.getMortgage(mortgageId)).monthlyPayment;
+    lateFee = monthlyPayment * 500n / 10000n;
+  });
+
+  describe("Lender Role", function () {
+    it("Should only register lenders holding the lender role", async function () {
+      await expect(
+        propertyFinancing.connect(other).registerLender(
+          "Unvetted Lender",
+          ethers.parseEther("1"),
+          ethers.parseEther("100"),
+          500,
+          8000,
+          [],
+          { value: ethers.parseEther("10") }
+        )
+      ).to.be.revertedWith(
+        `AccessControl: account ${other.address.toLowerCase()} is missing role ${await propertyFinancing.LENDER_ROLE()}`
+      );
+    });
+
+    it("Should stop a revoked lender approving new loans but keep servicing existing ones", async function () {
+      await propertyFinancing.revokeRole(await propertyFinancing.LENDER_ROLE(), lender.address);
+
+      const secondPropertyId = await registerProperty("Second Location");
+      await propertyFinancing.connect(borrower).submitLoanApplication(
+        secondPropertyId, ethers.parseEther("2"), ethers.parseEther("1"), 12, "720", "Employed", "Verified"
+      );
+      await expect(
+        propertyFinancing.connect(lender).approveLoan(2, INTEREST_RATE)
+      ).to.be.revertedWith(
+        `AccessControl: account ${lender.address.toLowerCase()} is missing role ${await propertyFinancing.LENDER_ROLE()}`
+      );
+
+      await expect(propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment }))
+        .to.emit(propertyFinancing, "MortgagePaymentMade");
+    });
+  });
+
+  describe("Collateral", function () {
+    it("Should hold the property in escrow until the mortgage is paid off", async function () {
+      expect((await propertyRegistry.getProperty(propertyId)).owner).to.equal(await propertyFinancing.getAddress());
+      expect(await propertyFinancing.propertyToMortgage(propertyId)).to.equal(mortgageId);
+
+      const quote = await propertyFinancing.getPayoffQuote(mortgageId);
+      await propertyFinancing.connect(borrower).payOff(mortgageId, { value: quote.total });
+
+      expect((await propertyRegistry.getProperty(propertyId)).owner).to.equal(borrower.address);
+      expect(await propertyFinancing.propertyToMortgage(propertyId)).to.equal(0);
+    });
+
+    it("Should release the property with the final installment", async function () {
+      for (let i = 0; i < 12; i++) {
+        const next = await propertyFinancing.getNextInstallment(mortgageId);
+        await propertyFinancing.connect(borrower).makePayment(mortgageId, { value: next.amountDue });
+      }
+
+      expect((await propertyFinancing.getMortgage(mortgageId)).status).to.equal(MortgageStatus.PaidOff);
+      expect((await propertyRegistry.getProperty(propertyId)).owner).to.equal(borrower.address);
+    });
+
+    it("Should reject a second mortgage on a mortgaged property", async function () {
+      await expect(
+        propertyFinancing.connect(borrower).submitLoanApplication(
+          propertyId, ethers.parseEther("2"), ethers.parseEther("1"), 12, "720", "Employed", "Verified"
+        )
+      ).to.be.revertedWith("Property already mortgaged");
+
+      // Two applications against the same property before either is funded
+      const secondPropertyId = await registerProperty("Second Location");
+      for (let i = 0; i < 2; i++) {
+        await propertyFinancing.connect(borrower).submitLoanApplication(
+          secondPropertyId, ethers.parseEther("2"), ethers.parseEther("1"), 12, "720", "Employed", "Verified"
+        );
+      }
+      await propertyFinancing.connect(lender).approveLoan(2, INTEREST_RATE);
+      await expect(
+        propertyFinancing.connect(lender).approveLoan(3, INTEREST_RATE)
+      ).to.be.revertedWith("Property already mortgaged");
+    });
+
+    it("Should not fund a loan once the borrower has sold the property", async function () {
+      const secondPropertyId = await registerProperty("Second Location");
+      await propertyFinancing.connect(borrower).submitLoanApplication(
+        secondPropertyId, ethers.parseEther("2"), ethers.parseEther("1"), 12, "720", "Employed", "Verified"
+      );
+      await propertyRegistry.grantRole(await propertyRegistry.TRANSFER_AGENT_ROLE(), owner.address);
+      await propertyRegistry.transferProperty(secondPropertyId, other.address);
+
+      await expect(
+        propertyFinancing.connect(lender).approveLoan(2, INTEREST_RATE)
+      ).to.be.revertedWith("Borrower no longer owns the property");
+    });
+  });
+
+  describe("Amortization", function () {
+    let amortization;
+
+    before(async function () {
+      amortization = await import(AMORTIZATION_UTILS);
+    });
+
+    // Take out a new loan against a new property and return its mortgage ID
+    const openMortgage = async (principal, interestRate, termMonths) => {
+      const collateralId = await registerProperty("Amortization Location");
+      await propertyFinancing.connect(lender).addLenderFunds({ value: principal });
+      await propertyFinancing.connect(borrower).submitLoanApplication(
+        collateralId, principal, ethers.parseEther("1"), termMonths, "720", "Employed", "Verified"
+      );
+      const loanId = (await propertyFinancing.nextLoanId()) - 1n;
+      const newMortgageId = await propertyFinancing.nextMortgageId();
+      await propertyFinancing.connect(lender).approveLoan(loanId, interestRate);
+      return newMortgageId;
+    };
+
+    it("Should charge interest on the remaining balance", async function () {
+      const { generateAmortizationSchedule } = amortization;
+      const schedule = generateAmortizationSchedule({
+        principal: LOAN_AMOUNT,
+        interestRate: INTEREST_RATE,
+        termMonths: 12
+      });
+      expect(monthlyPayment).to.equal(schedule.monthlyPayment);
+      expect(monthlyPayment).to.be.gt(LOAN_AMOUNT / 12n);
+
+      await expect(propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment }))
+        .to.emit(propertyFinancing, "MortgagePaymentMade")
+        .withArgs(
+          mortgageId,
+          schedule.rows[0].principal,
+          schedule.rows[0].interest,
+          schedule.rows[0].remainingBalance
+        );
+
+      // 5% a year on 12 ETH is 0.05 ETH for the first month, less rounding of the monthly rate
+      const exactInterest = LOAN_AMOUNT * 5n / 1200n;
+      expect(schedule.rows[0].interest).to.be.lte(exactInterest);
+      expect(exactInterest - schedule.rows[0].interest).to.be.lt(100n);
+    });
+
+    it("Should match the frontend monthly payment for random loans", async function () {
+      const { monthlyRateFromBps, calculateMonthlyPayment } = amortization;
+      const random = createRandom(20240601);
+
+      for (let i = 0; i < 100; i++) {
+        const principal = random.wei(1, 1000);
+        const interestRate = random.int(0, 3000);
+        const termMonths = random.int(12, 360);
+
+        const monthlyRate = await propertyFinancing.monthlyRateFromBps(interestRate);
+        expect(monthlyRate).to.equal(monthlyRateFromBps(interestRate));
+        expect(
+          await propertyFinancing.calculateMonthlyPayment(principal, monthlyRate, termMonths)
+        ).to.equal(calculateMonthlyPayment(principal, monthlyRate, termMonths));
+      }
+    });
+
+    it("Should follow the frontend schedule to the wei, with random prepayments", async function () {
+      const { generateAmortizationSchedule } = amortization;
+      const random = createRandom(7);
+
+      for (let i = 0; i < 4; i++) {
+        const principal = random.wei(1, 40);
+        const interestRate = random.int(500, 2500);
+        const termMonths = random.int(12, 24);
+
+        // Extra principal after some installments, keyed by installment number
+        const prepayments = {};
+        let expected = generateAmortizationSchedule({ principal, interestRate, termMonths });
+        for (const row of expected.rows) {
+          if (random.chance(0.2) && row.remainingBalance > 0n) {
+            prepayments[row.installment] = row.remainingBalance / BigInt(random.int(2, 6));
+          }
+        }
+        expected = generateAmortizationSchedule({ principal, interestRate, termMonths, prepayments });
+
+        const id = await openMortgage(principal, interestRate, termMonths);
+        expect((await propertyFinancing.getMortgage(id)).monthlyPayment).to.equal(expected.monthlyPayment);
+
+        for (const row of expected.rows) {
+          const next = await propertyFinancing.getNextInstallment(id);
+          expect(next.principal).to.equal(row.principal);
+          expect(next.interest).to.equal(row.interest);
+
+          await propertyFinancing.connect(borrower).makePayment(id, { value: next.amountDue });
+          if (row.prepayment > 0n) {
+            await propertyFinancing.connect(borrower).prepayPrincipal(id, { value: row.prepayment });
+          }
+          expect((await propertyFinancing.getMortgage(id)).remainingBalance).to.equal(row.remainingBalance);
+        }
+
+        const mortgage = await propertyFinancing.getMortgage(id);
+        expect(mortgage.status).to.equal(MortgageStatus.PaidOff);
+        expect(mortgage.totalInterestPaid).to.equal(expected.totalInterest);
+        expect(mortgage.totalPaid).to.equal(expected.totalPaid);
+        expect(mortgage.totalPaid - mortgage.totalInterestPaid).to.equal(principal);
+      }
+    });
+  });
+
+  describe("Prepayment and Payoff", function () {
+    let amortization;
+
+    before(async function () {
+      amortization = await import(AMORTIZATION_UTILS);
+    });
+
+    it("Should apply a prepayment to principal and shorten the loan", async function () {
+      const prepayment = ethers.parseEther("5");
+      const expected = amortization.generateAmortizationSchedule({
+        principal: LOAN_AMOUNT,
+        interestRate: INTEREST_RATE,
+        termMonths: 12,
+        prepayments: { 1: prepayment }
+      });
+
+      await propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment });
+
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+      await expect(propertyFinancing.connect(borrower).prepayPrincipal(mortgageId, { value: prepayment }))
+        .to.emit(propertyFinancing, "PrincipalPrepaid")
+        .withArgs(mortgageId, prepayment, expected.rows[0].remainingBalance);
+      expect(await ethers.provider.getBalance(lender.address)).to.equal(lenderBalanceBefore + prepayment);
+
+      // The monthly payment stays the same, so the balance is cleared early
+      let payments = 1;
+      while ((await propertyFinancing.getMortgage(mortgageId)).status === BigInt(MortgageStatus.Active)) {
+        const next = await propertyFinancing.getNextInstallment(mortgageId);
+        await propertyFinancing.connect(borrower).makePayment(mortgageId, { value: next.amountDue });
+        payments++;
+      }
+
+      expect(payments).to.equal(expected.rows.length);
+      expect(payments).to.be.lt(12);
+      expect((await propertyFinancing.getMortgage(mortgageId)).monthlyPayment).to.equal(monthlyPayment);
+    });
+
+    it("Should reject invalid prepayments", async function () {
+      await expect(
+        propertyFinancing.connect(other).prepayPrincipal(mortgageId, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Not the borrower");
+      await expect(
+        propertyFinancing.connect(borrower).prepayPrincipal(mortgageId)
+      ).to.be.revertedWith("Must send prepayment");
+      await expect(
+        propertyFinancing.connect(borrower).prepayPrincipal(mortgageId, { value: LOAN_AMOUNT })
+      ).to.be.revertedWith("Prepayment covers balance, use payOff");
+
+      await defaultMortgage();
+      await expect(
+        propertyFinancing.connect(borrower).prepayPrincipal(mortgageId, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Mortgage not active");
+    });
+
+    it("Should quote and settle an early payoff", async function () {
+      await propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment });
+      await propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment });
+
+      const { remainingBalance } = await propertyFinancing.getMortgage(mortgageId);
+      const quote = await propertyFinancing.getPayoffQuote(mortgageId);
+      const expected = amortization.calculatePayoffQuote(remainingBalance, INTEREST_RATE);
+      expect(quote.principal).to.equal(remainingBalance);
+      expect(quote.interest).to.equal(expected.interest);
+      expect(quote.lateFees).to.equal(0);
+      expect(quote.total).to.equal(expected.total);
+
+      await expect(
+        propertyFinancing.connect(borrower).payOff(mortgageId, { value: quote.total - 1n })
+      ).to.be.revertedWith("Insufficient payoff amount");
+
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+      await expect(
+        propertyFinancing.connect(borrower).payOff(mortgageId, { value: quote.total + ethers.parseEther("1") })
+      ).to.emit(propertyFinancing, "MortgagePaidOff");
+      expect(await ethers.provider.getBalance(lender.address)).to.equal(lenderBalanceBefore + quote.total);
+
+      const mortgage = await propertyFinancing.getMortgage(mortgageId);
+      expect(mortgage.status).to.equal(MortgageStatus.PaidOff);
+      expect(mortgage.remainingBalance).to.equal(0);
+      expect(mortgage.remainingTerms).to.equal(0);
+      expect(mortgage.totalPaid - mortgage.totalInterestPaid).to.equal(LOAN_AMOUNT);
+
+      const quoteAfter = await propertyFinancing.getPayoffQuote(mortgageId);
+      expect(quoteAfter.total).to.equal(0);
+    });
+
+    it("Should include missed interest and late fees when paying off a defaulted mortgage", async function () {
+      await increaseTime(76 * DAY);
+      await propertyFinancing.connect(other).checkDefault(mortgageId);
+
+      // Two installments are missed and both are past their grace period
+      const quote = await propertyFinancing.getPayoffQuote(mortgageId);
+      const expected = amortization.calculatePayoffQuote(LOAN_AMOUNT, INTEREST_RATE, 2, lateFee * 2n);
+      expect(quote.interest).to.equal(expected.interest);
+      expect(quote.lateFees).to.equal(lateFee * 2n);
+      expect(quote.total).to.equal(expected.total);
+
+      await propertyFinancing.connect(borrower).payOff(mortgageId, { value: quote.total });
+
+      expect((await propertyFinancing.getMortgage(mortgageId)).status).to.equal(MortgageStatus.PaidOff);
+      expect(await propertyFinancing.defaultedAt(mortgageId)).to.equal(0);
+      const history = await propertyFinancing.getPaymentHistory(mortgageId);
+      expect(history[history.length - 1].lateFee).to.equal(lateFee * 2n);
+    });
+  });
+
+  describe("Late Fees", function () {
+    it("Should not charge a fee within the grace period", async function () {
+      await increaseTime(40 * DAY);
+      await propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment });
+
+      const [payment] = await propertyFinancing.getPaymentHistory(mortgageId);
+      expect(payment.isLate).to.be.false;
+      expect(payment.lateFee).to.equal(0);
+    });
+
+    it("Should charge a late fee after the grace period and pay it to the lender", async function () {
+      await increaseTime(46 * DAY);
+
+      await expect(
+        propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment })
+      ).to.be.revertedWith("Insufficient payment amount");
+
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+      await propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment + lateFee });
+      const lenderBalanceAfter = await ethers.provider.getBalance(lender.address);
+      expect(lenderBalanceAfter - lenderBalanceBefore).to.equal(monthlyPayment + lateFee);
+
+      const [payment] = await propertyFinancing.getPaymentHistory(mortgageId);
+      expect(payment.isLate).to.be.true;
+      expect(payment.lateFee).to.equal(lateFee);
+    });
+
+    it("Should accrue a fee for every installment past its grace period", async function () {
+      let overdue = await propertyFinancing.getOverdueAmount(mortgageId);
+      expect(overdue.missedPayments).to.equal(0);
+      expect(overdue.totalDue).to.equal(0);
+
+      await increaseTime(31 * DAY);
+      overdue = await propertyFinancing.getOverdueAmount(mortgageId);
+      expect(overdue.missedPayments).to.equal(1);
+      expect(overdue.lateFees).to.equal(0);
+
+      // Second installment is due but still within its grace period
+      await increaseTime(30 * DAY);
+      overdue = await propertyFinancing.getOverdueAmount(mortgageId);
+      expect(overdue.missedPayments).to.equal(2);
+      expect(overdue.lateFees).to.equal(lateFee);
+      expect(overdue.totalDue).to.equal(monthlyPayment * 2n + lateFee);
+
+      await increaseTime(15 * DAY);
+      overdue = await propertyFinancing.getOverdueAmount(mortgageId);
+      expect(overdue.lateFees).to.equal(lateFee * 2n);
+    });
+  });
+
+  describe("Default", function () {
+    it("Should only declare default after the grace period", async function () {
+      await increaseTime(44 * DAY);
+      await expect(
+        propertyFinancing.connect(other).checkDefault(mortgageId)
+      ).to.be.revertedWith("Payment not past grace period");
+
+      await increaseTime(2 * DAY);
+      await expect(propertyFinancing.connect(other).checkDefault(mortgageId))
+        .to.emit(propertyFinancing, "DefaultNotice")
+        .withArgs(mortgageId, borrower.address, 1);
+
+      const mortgage = await propertyFinancing.getMortgage(mortgageId);
+      expect(mortgage.status).to.equal(MortgageStatus.Defaulted);
+      expect((await propertyFinancing.lenderProfiles(lender.address)).totalDefaulted).to.equal(1);
+
+      await expect(
+        propertyFinancing.connect(other).checkDefault(mortgageId)
+      ).to.be.revertedWith("Mortgage not active");
+    });
+
+    it("Should not default a mortgage that is paid up", async function () {
+      await increaseTime(29 * DAY);
+      await propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment });
+      await increaseTime(20 * DAY);
+
+      await expect(
+        propertyFinancing.connect(other).checkDefault(mortgageId)
+      ).to.be.revertedWith("Payment not past grace period");
+    });
+
+    it("Should return to active once the borrower catches up", async function () {
+      await increaseTime(76 * DAY);
+      await propertyFinancing.connect(other).checkDefault(mortgageId);
+
+      // Two installments are past their grace period; paying one is not enough
+      await expect(
+        propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment + lateFee })
+      ).to.not.emit(propertyFinancing, "DefaultCured");
+      expect((await propertyFinancing.getMortgage(mortgageId)).status).to.equal(MortgageStatus.Defaulted);
+
+      await expect(
+        propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment + lateFee })
+      ).to.emit(propertyFinancing, "DefaultCured").withArgs(mortgageId, borrower.address);
+
+      expect((await propertyFinancing.getMortgage(mortgageId)).status).to.equal(MortgageStatus.Active);
+      expect(await propertyFinancing.defaultedAt(mortgageId)).to.equal(0);
+    });
+  });
+
+  describe("Foreclosure", function () {
+    it("Should only let the lender foreclose on a defaulted mortgage after the notice period", async function () {
+      await expect(
+        propertyFinancing.connect(lender).foreclose(mortgageId)
+      ).to.be.revertedWith("Mortgage not in default");
+
+      await defaultMortgage();
+
+      await expect(
+        propertyFinancing.connect(other).foreclose(mortgageId)
+      ).to.be.revertedWith("Not the lender");
+      await expect(
+        propertyFinancing.connect(lender).foreclose(mortgageId)
+      ).to.be.revertedWith("Foreclosure notice period not over");
+    });
+
+    it("Should transfer the collateral to the lender", async function () {
+      await defaultMortgage();
+      await increaseTime(30 * DAY);
+
+      // Remaining balance plus late fees on the two installments past their grace period
+      const debt = LOAN_AMOUNT + lateFee * 2n;
+      await expect(propertyFinancing.connect(lender).foreclose(mortgageId))
+        .to.emit(propertyFinancing, "MortgageForeclosed")
+        .withArgs(mortgageId, lender.address, debt, 0);
+
+      const property = await propertyRegistry.getProperty(propertyId);
+      expect(property.owner).to.equal(lender.address);
+      expect(await propertyRegistry.getPropertiesByOwner(lender.address)).to.deep.equal([BigInt(propertyId)]);
+
+      const mortgage = await propertyFinancing.getMortgage(mortgageId);
+      expect(mortgage.status).to.equal(MortgageStatus.Foreclosed);
+      expect(mortgage.remainingBalance).to.equal(0);
+
+      await expect(
+        propertyFinancing.connect(borrower).makePayment(mortgageId, { value: monthlyPayment + lateFee })
+      ).to.be.revertedWith("Mortgage not active");
+    });
+
+    it("Should foreclose on collateral the borrower tried to sell", async function () {
+      await expect(
+        propertyRegistry.connect(borrower).listPropertyForSale(propertyId, ethers.parseEther("20"))
+      ).to.be.revertedWith("Not the property owner");
+
+      await defaultMortgage();
+      await increaseTime(30 * DAY);
+      await propertyFinancing.connect(lender).foreclose(mortgageId);
+
+      expect((await propertyRegistry.getProperty(propertyId)).owner).to.equal(lender.address);
+      expect(await propertyRegistry.getPropertiesByOwner(borrower.address)).to.deep.equal([]);
+      expect(await propertyFinancing.propertyToMortgage(propertyId)).to.equal(0);
+    });
+
+    it("Should sell the collateral at auction and pay the surplus to the borrower", async function () {
+      await defaultMortgage();
+      await increaseTime(30 * DAY);
+
+      await expect(
+        propertyFinancing.connect(lender).forecloseToAuction(
+          mortgageId,
+          ethers.parseEther("10"),
+          ethers.parseEther("10"),
+          DAY,
+          ethers.parseEther("0.1")
+        )
+      ).to.emit(propertyFinancing, "ForeclosureAuctionStarted");
+
+      const auctionId = (await propertyFinancing.foreclosures(mortgageId)).auctionId;
+      const auction = await propertyAuction.getAuction(auctionId);
+      expect(auction.seller).to.equal(await propertyFinancing.getAddress());
+      const listed = await propertyRegistry.getProperty(propertyId);
+      expect(listed.owner).to.equal(await propertyFinancing.getAddress());
+      expect(listed.forSale).to.equal(true);
+      expect((await propertyFinancing.getMortgage(mortgageId)).status).to.equal(MortgageStatus.InForeclosure);
+
+      const bid = ethers.parseEther("15");
+      await propertyAuction.connect(bidder).placeBid(auctionId, { value: bid });
+
+      await expect(
+        propertyFinancing.connect(other).settleForeclosureAuction(mortgageId)
+      ).to.be.revertedWith("Auction still active");
+      await increaseTime(DAY);
+
+      const debt = (await propertyFinancing.foreclosures(mortgageId)).debt;
+      const proceeds = bid - bid * (await propertyAuction.platformFeePercent()) / 10000n;
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
+
+      await expect(propertyFinancing.connect(other).settleForeclosureAuction(mortgageId))
+        .to.emit(propertyFinancing, "MortgageForeclosed")
+        .withArgs(mortgageId, bidder.address, debt, proceeds);
+
+      expect(await ethers.provider.getBalance(lender.address)).to.equal(lenderBalanceBefore + debt);
+      expect(await ethers.provider.getBalance(borrower.address)).to.equal(borrowerBalanceBefore + proceeds - debt);
+      expect((await propertyRegistry.getProperty(propertyId)).owner).to.equal(bidder.address);
+      expect((await propertyFinancing.getMortgage(mortgageId)).status).to.equal(MortgageStatus.Foreclosed);
+
+      await expect(
+        propertyFinancing.connect(other).settleForeclosureAuction(mortgageId)
+      ).to.be.revertedWith("Mortgage not in foreclosure");
+    });
+
+    it("Should give the lender everything when the sale does not cover the debt", async function () {
+      await defaultMortgage();
+      await increaseTime(30 * DAY);
+      await propertyFinancing.connect(lender).forecloseToAuction(
+        mortgageId,
+        ethers.parseEther("5"),
+        ethers.parseEther("5"),
+        DAY,
+        ethers.parseEther("0.1")
+      );
+      const auctionId = (await propertyFinancing.foreclosures(mortgageId)).auctionId;
+
+      const bid = ethers.parseEther("6");
+      await propertyAuction.connect(bidder).placeBid(auctionId, { value: bid });
+      await increaseTime(DAY);
+      await propertyAuction.endAuction(auctionId);
+
+      const proceeds = bid - bid * (await propertyAuction.platformFeePercent()) / 10000n;
+      const lenderBalanceBefore = await ethers.provider.getBalance(lender.address);
+      const borrowerBalanceBefore = await ethers.provider.getBalance(borrower.address);
+      await propertyFinancing.connect(other).settleForeclosureAuction(mortgageId);
+
+      expect(await ethers.provider.getBalance(lender.address)).to.equal(lenderBalanceBefore + proceeds);
+      expect(await ethers.provider.getBalance(borrower.address)).to.equal(borrowerBalanceBefore);
+    });
+
+    it("Should hand the collateral to the lender when the auction does not sell", async function () {
+      await defaultMortgage();
+      await increaseTime(30 * DAY);
+      await propertyFinancing.connect(lender).forecloseToAuction(
+        mortgageId,
+        ethers.parseEther("10"),
+        ethers.parseEther("10"),
+        DAY,
+        ethers.parseEther("0.1")
+      );
+      await increaseTime(DAY);
+
+      await expect(propertyFinancing.connect(other).settleForeclosureAuction(mortgageId))
+        .to.emit(propertyFinancing, "MortgageForeclosed")
+        .withArgs(mortgageId, lender.address, LOAN_AMOUNT + lateFee * 2n, 0);
+      expect((await propertyRegistry.getProperty(propertyId)).owner).to.equal(lender.address);
+    });
+
+    it("Should need the registry transfer agent role to take the collateral", async function () {
+      await propertyRegistry.revokeRole(
+        await propertyRegistry.TRANSFER_AGENT_ROLE(),
+        await propertyFinancing.getAddress()
+      );
+      await defaultMortgage();
+      await increaseTime(30 * DAY);
+
+      await expect(
+        propertyFinancing.connect(lender).foreclose(mortgageId)
+      ).to.be.revertedWith("Not authorized to transfer properties");
+    });
+
+    it("Should not auction collateral whose verification has lapsed", async function () {
+      await defaultMortgage();
+      await increaseTime(30 * DAY);
+      await propertyRegistry.connect(verifier).revokeVerification(propertyId, "Title dispute");
+
+      await expect(
+        propertyFinancing.connect(lender).forecloseToAuction(
+          mortgageId,
+          ethers.parseEther("10"),
+          ethers.parseEther("10"),
+          DAY,
+          ethers.parseEther("0.1")
+        )
+      ).to.be.revertedWith("Property not verified");
+    });
+
+    it("Should require an auction contract for auction foreclosures", async function () {
+      await propertyFinancing.setPropertyAuction(ethers.ZeroAddress);
+      await defaultMortgage();
+      await increaseTime(30 * DAY);
+
+      await expect(
+        propertyFinancing.connect(lender).forecloseToAuction(
+          mortgageId,
+          ethers.parseEther("10"),
+          ethers.parseEther("10"),
+          DAY,
+          ethers.parseEther("0.1")
+        )
+      ).to.be.revertedWith("Auction contract not set");
+    });
+  });
+
+  describe("Platform Fees", function () {
+    it("Should withdraw only the fees taken from funded loans", async function () {
+      const fee = LOAN_AMOUNT * 100n / 10000n;
+      expect(await propertyFinancing.accumulatedFees()).to.equal(fee);
+
+      const lenderFunds = (await propertyFinancing.lenderProfiles(lender.address)).availableFunds;
+      const financingAddress = await propertyFinancing.getAddress();
+      expect(await ethers.provider.getBalance(financingAddress)).to.equal(lenderFunds + fee);
+
+      await expect(propertyFinancing.withdrawFees()).to.changeEtherBalances(
+        [owner, propertyFinancing],
+        [fee, -fee]
+      );
+      expect(await propertyFinancing.accumulatedFees()).to.equal(0);
+      await expect(propertyFinancing.withdrawFees()).to.be.revertedWith("No fees to withdraw");
+
+      // Lender deposits are untouched
+      await expect(
+        propertyFinancing.connect(lender).withdrawLenderFunds(lenderFunds)
+      ).to.changeEtherBalance(lender, lenderFunds);
+    });
+  });
+});
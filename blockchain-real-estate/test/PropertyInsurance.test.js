@@ -0,0 +1,433 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { findDuePolicies, processDuePolicies } = require("../scripts/insurance-keeper");
+
+describe("PropertyInsurance", function () {
+  let propertyRegistry, propertyInsurance;
+  let owner, policyholder, verifier, keeper, other, assessors;
+  let policyId, premium;
+
+  const DAY = 24 * 60 * 60;
+  const YEAR = 365 * DAY;
+  const COVERAGE = ethers.parseEther("10");
+  const DEDUCTIBLE = ethers.parseEther("0.5");
+  const RISKS = ["fire", "theft"];
+
+  const PolicyStatus = { Active: 0, Expired: 1, Cancelled: 2, Suspended: 3 };
+  const ClaimStatus = { Pending: 0, UnderReview: 1, Approved: 2, Rejected: 3, Paid: 4 };
+
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  };
+
+  // Register and verify a property, then insure it for a year
+  const insureProperty = async (signer, autoRenewal = true) => {
+    const tx = await propertyRegistry.connect(signer).registerProperty(
+      "Test Location",
+      100,
+      "Residential",
+      ["ipfs://test"],
+      ethers.parseEther("20"),
+      false
+    );
+    const receipt = await tx.wait();
+    const id = receipt.logs
+      .map(log => propertyRegistry.interface.parseLog(log))
+      .find(event => event?.name === "PropertyRegistered").args.propertyId;
+    await propertyRegistry.connect(verifier).verifyProperty(id);
+
+    const policyPremium = await propertyInsurance.calculatePremium(id, COVERAGE, RISKS);
+    await propertyInsurance.connect(signer).createPolicy(id, COVERAGE, RISKS, DEDUCTIBLE, autoRenewal, {
+      value: policyPremium
+    });
+    return Number(await propertyInsurance.nextPolicyId()) - 1;
+  };
+
+  beforeEach(async function () {
+    [owner, policyholder, verifier, keeper, other, ...assessors] = await ethers.getSigners();
+
+    const PropertyRegistry = await ethers.getContractFactory("PropertyRegistry");
+    propertyRegistry = await PropertyRegistry.deploy();
+    await propertyRegistry.waitForDeployment();
+
+    const PropertyInsurance = await ethers.getContractFactory("PropertyInsurance");
+    propertyInsurance = await PropertyInsurance.deploy(await propertyRegistry.getAddress());
+    await propertyInsurance.waitForDeployment();
+
+    await propertyRegistry.addVerifier(verifier.address);
+
+    policyId = await insureProperty(policyholder);
+    premium = await propertyInsurance.calculatePremium(1, COVERAGE, RISKS);
+  });
+
+  describe("Renewal Funds", function () {
+    it("Should track deposits and withdrawals per policyholder", async function () {
+      await expect(propertyInsurance.connect(policyholder).depositRenewalFunds({ value: premium * 3n }))
+        .to.emit(propertyInsurance, "RenewalFundsDeposited")
+        .withArgs(policyholder.address, premium * 3n, premium * 3n);
+
+      await expect(propertyInsurance.connect(policyholder).withdrawRenewalFunds(premium))
+        .to.changeEtherBalance(policyholder, premium);
+
+      expect(await propertyInsurance.renewalBalances(policyholder.address)).to.equal(premium * 2n);
+      expect(await propertyInsurance.totalRenewalBalances()).to.equal(premium * 2n);
+    });
+
+    it("Should not withdraw more than the renewal balance", async function () {
+      await propertyInsurance.connect(policyholder).depositRenewalFunds({ value: premium });
+
+      await expect(
+        propertyInsurance.connect(policyholder).withdrawRenewalFunds(premium + 1n)
+      ).to.be.revertedWith("Insufficient renewal balance");
+      await expect(
+        propertyInsurance.connect(other).withdrawRenewalFunds(1)
+      ).to.be.revertedWith("Insufficient renewal balance");
+    });
+
+    it("Should keep renewal balances out of the owner's withdrawals", async function () {
+      await propertyInsurance.connect(policyholder).depositRenewalFunds({ value: premium });
+
+      // Only the premium paid for the policy belongs to the insurer
+      await expect(propertyInsurance.withdraw(premium + 1n)).to.be.revertedWith("Insufficient balance");
+      await expect(propertyInsurance.withdraw(premium)).to.changeEtherBalance(owner, premium);
+    });
+  });
+
+  describe("Auto-Renewal", function () {
+    it("Should only be due once the policy reaches its end date", async function () {
+      await propertyInsurance.connect(policyholder).depositRenewalFunds({ value: premium });
+      expect(await propertyInsurance.isRenewalDue(policyId)).to.equal(false);
+
+      await propertyInsurance.connect(keeper).processRenewals([policyId]);
+      expect(await propertyInsurance.renewalBalances(policyholder.address)).to.equal(premium);
+
+      await increaseTime(YEAR);
+      expect(await propertyInsurance.isRenewalDue(policyId)).to.equal(true);
+      expect(await propertyInsurance.isRenewalDue(0)).to.equal(false);
+      expect(await propertyInsurance.isRenewalDue(99)).to.equal(false);
+    });
+
+    it("Should renew a funded policy back to back from the renewal balance", async function () {
+      await propertyInsurance.connect(policyholder).depositRenewalFunds({ value: premium * 2n });
+      const before = await propertyInsurance.getPolicy(policyId);
+
+      await increaseTime(YEAR + 10 * DAY);
+      await expect(propertyInsurance.connect(keeper).processRenewals([policyId]))
+        .to.emit(propertyInsurance, "PolicyRenewed")
+        .withArgs(policyId, before.endDate + BigInt(YEAR));
+
+      const policy = await propertyInsurance.getPolicy(policyId);
+      expect(policy.status).to.equal(PolicyStatus.Active);
+      expect(policy.startDate).to.equal(before.endDate);
+      expect(policy.endDate).to.equal(before.endDate + BigInt(YEAR));
+      expect(await propertyInsurance.renewalBalances(policyholder.address)).to.equal(premium);
+      expect(await propertyInsurance.totalRenewalBalances()).to.equal(premium);
+    });
+
+    it("Should lapse an underfunded policy", async function () {
+      await propertyInsurance.connect(policyholder).depositRenewalFunds({ value: premium - 1n });
+
+      await increaseTime(YEAR);
+      await expect(propertyInsurance.connect(keeper).processRenewals([policyId]))
+        .to.emit(propertyInsurance, "PolicyLapsed")
+        .withArgs(policyId, premium, premium - 1n);
+
+      const policy = await propertyInsurance.getPolicy(policyId);
+      expect(policy.status).to.equal(PolicyStatus.Expired);
+      expect(await propertyInsurance.renewalBalances(policyholder.address)).to.equal(premium - 1n);
+
+      // A lapsed policy can still be renewed by hand
+      await propertyInsurance.connect(policyholder).renewPolicy(policyId, { value: premium });
+      expect((await propertyInsurance.getPolicy(policyId)).status).to.equal(PolicyStatus.Active);
+    });
+
+    it("Should lapse a due policy without auto-renewal even when funded", async function () {
+      await propertyInsurance.connect(policyholder).depositRenewalFunds({ value: premium });
+      await expect(propertyInsurance.connect(policyholder).setAutoRenewal(policyId, false))
+        .to.emit(propertyInsurance, "AutoRenewalUpdated")
+        .withArgs(policyId, false);
+
+      await increaseTime(YEAR);
+      await expect(propertyInsurance.connect(keeper).processRenewals([policyId]))
+        .to.emit(propertyInsurance, "PolicyLapsed");
+      expect(await propertyInsurance.renewalBalances(policyholder.address)).to.equal(premium);
+    });
+
+    it("Should not renew a policy for a policyholder who sold the property", async function () {
+      await propertyInsurance.connect(policyholder).depositRenewalFunds({ value: premium });
+      await propertyRegistry.grantRole(await propertyRegistry.TRANSFER_AGENT_ROLE(), owner.address);
+      await propertyRegistry.transferProperty(1, other.address);
+
+      await increaseTime(YEAR);
+      await expect(propertyInsurance.connect(keeper).processRenewals([policyId]))
+        .to.emit(propertyInsurance, "PolicyOwnershipEnded")
+        .withArgs(policyId, policyholder.address, other.address)
+        .and.not.to.emit(propertyInsurance, "PolicyRenewed");
+
+      expect((await propertyInsurance.getPolicy(policyId)).status).to.equal(PolicyStatus.Expired);
+      expect(await propertyInsurance.renewalBalances(policyholder.address)).to.equal(premium);
+      await expect(
+        propertyInsurance.connect(policyholder).renewPolicy(policyId, { value: premium })
+      ).to.be.revertedWith("Not the property owner");
+
+      // The policy no longer blocks the new owner from insuring the property
+      expect(await propertyInsurance.propertyToPolicy(1)).to.equal(0);
+      await propertyRegistry.connect(verifier).verifyProperty(1);
+      await propertyInsurance.connect(other).createPolicy(1, COVERAGE, RISKS, DEDUCTIBLE, false, {
+        value: await propertyInsurance.calculatePremium(1, COVERAGE, RISKS)
+      });
+      expect(await propertyInsurance.propertyToPolicy(1)).to.equal(policyId + 1);
+    });
+
+    it("Should only let the policyholder change auto-renewal", async function () {
+      await expect(
+        propertyInsurance.connect(other).setAutoRenewal(policyId, false)
+      ).to.be.revertedWith("Not the policyholder");
+    });
+
+    it("Should skip policies that are not due in a batch", async function () {
+      const secondPolicyId = await insureProperty(other);
+      await propertyInsurance.connect(policyholder).depositRenewalFunds({ value: premium });
+      await propertyInsurance.connect(other).cancelPolicy(secondPolicyId);
+
+      await increaseTime(YEAR);
+      expect(
+        await propertyInsurance.connect(keeper).processRenewals.staticCall([policyId, secondPolicyId, 99, policyId])
+      ).to.deep.equal([1n, 0n]);
+    });
+  });
+
+  describe("Keeper Script", function () {
+    it("Should renew funded policies and lapse the rest", async function () {
+      const unfundedPolicyId = await insureProperty(other);
+      const manualPolicyId = await insureProperty(policyholder, false);
+      const soldPolicyId = await insureProperty(policyholder);
+      await propertyInsurance.connect(policyholder).depositRenewalFunds({ value: premium * 3n });
+      await propertyRegistry.grantRole(await propertyRegistry.TRANSFER_AGENT_ROLE(), owner.address);
+      await propertyRegistry.transferProperty((await propertyInsurance.getPolicy(soldPolicyId)).propertyId, other.address);
+
+      const keeperInsurance = propertyInsurance.connect(keeper);
+      expect(await findDuePolicies(keeperInsurance)).to.deep.equal([]);
+
+      await increaseTime(YEAR);
+      expect(await findDuePolicies(keeperInsurance)).to.deep.equal([policyId, unfundedPolicyId, manualPolicyId, soldPolicyId]);
+
+      const result = await processDuePolicies(keeperInsurance, { batchSize: 2 });
+      expect(result.renewed).to.deep.equal([policyId]);
+      expect(result.lapsed).to.deep.equal([unfundedPolicyId, manualPolicyId, soldPolicyId]);
+      expect(await findDuePolicies(keeperInsurance)).to.deep.equal([]);
+    });
+  });
+
+  describe("Claim Quorum", function () {
+    const CLAIM_AMOUNT = ethers.parseEther("4");
+    let claimId;
+
+    const fileClaim = async (amount = CLAIM_AMOUNT) => {
+      const latest = await ethers.provider.getBlock("latest");
+      await propertyInsurance.connect(policyholder).fileClaim(
+        policyId,
+        amount,
+        "Kitchen fire",
+        "fire",
+        latest.timestamp,
+        ["ipfs://QmPhotos"],
+        { value: ethers.parseEther("0.01") }
+      );
+      return Number(await propertyInsurance.nextClaimId()) - 1;
+    };
+
+    // Each assessor proposes one amount, in order
+    const assess = async (amounts, from = 0) => {
+      for (let i = 0; i < amounts.length; i++) {
+        await propertyInsurance.connect(assessors[from + i]).submitClaimAssessment(
+          claimId,
+          `QmReport${from + i}`,
+          amounts[i]
+        );
+      }
+    };
+
+    beforeEach(async function () {
+      for (const assessor of assessors.slice(0, 6)) {
+        await propertyInsurance.addAuthorizedAssessor(assessor.address);
+      }
+      await propertyInsurance.setAssessorQuorum(3, ethers.parseEther("1"));
+      await owner.sendTransaction({ to: await propertyInsurance.getAddress(), value: ethers.parseEther("20") });
+
+      claimId = await fileClaim();
+    });
+
+    it("Should manage assessors through the assessor role", async function () {
+      const ASSESSOR_ROLE = await propertyInsurance.ASSESSOR_ROLE();
+      expect(await propertyInsurance.hasRole(ASSESSOR_ROLE, assessors[0].address)).to.equal(true);
+
+      await expect(propertyInsurance.removeAuthorizedAssessor(assessors[0].address))
+        .to.emit(propertyInsurance, "RoleRevoked")
+        .withArgs(ASSESSOR_ROLE, assessors[0].address, owner.address);
+      expect(await propertyInsurance.authorizedAssessors(assessors[0].address)).to.equal(false);
+      await expect(
+        propertyInsurance.connect(assessors[0]).submitClaimAssessment(claimId, "QmReport0", 1)
+      ).to.be.revertedWith("Not an authorized assessor");
+
+      await expect(
+        propertyInsurance.connect(assessors[1]).addAuthorizedAssessor(other.address)
+      ).to.be.revertedWith(
+        `AccessControl: account ${assessors[1].address.toLowerCase()} is missing role ${await propertyInsurance.DEFAULT_ADMIN_ROLE()}`
+      );
+    });
+
+    it("Should leave small claims to a single assessor", async function () {
+      const smallClaimId = await fileClaim(ethers.parseEther("0.5"));
+
+      expect(await propertyInsurance.requiresQuorum(claimId)).to.equal(true);
+      expect(await propertyInsurance.requiresQuorum(smallClaimId)).to.equal(false);
+      await expect(
+        propertyInsurance.connect(assessors[0]).processClaim(claimId, ClaimStatus.Approved, CLAIM_AMOUNT, "")
+      ).to.be.revertedWith("Claim requires assessor quorum");
+      await expect(
+        propertyInsurance.connect(assessors[0]).submitClaimAssessment(smallClaimId, "QmReport", 1)
+      ).to.be.revertedWith("Claim does not require quorum");
+    });
+
+    it("Should record each assessor's report once", async function () {
+      await expect(
+        propertyInsurance.connect(assessors[0]).submitClaimAssessment(claimId, "QmReport0", ethers.parseEther("3"))
+      )
+        .to.emit(propertyInsurance, "ClaimAssessmentSubmitted")
+        .withArgs(claimId, assessors[0].address, "QmReport0", ethers.parseEther("3"), 0)
+        .and.to.emit(propertyInsurance, "ClaimStatusUpdated")
+        .withArgs(claimId, ClaimStatus.Pending, ClaimStatus.UnderReview);
+
+      await expect(
+        propertyInsurance.connect(assessors[0]).submitClaimAssessment(claimId, "QmReport0", 1)
+      ).to.be.revertedWith("Already assessed this claim");
+      await expect(
+        propertyInsurance.connect(other).submitClaimAssessment(claimId, "QmReport", 1)
+      ).to.be.revertedWith("Not an authorized assessor");
+      await expect(
+        propertyInsurance.connect(assessors[1]).submitClaimAssessment(claimId, "", 1)
+      ).to.be.revertedWith("Report hash required");
+      await expect(
+        propertyInsurance.connect(assessors[1]).submitClaimAssessment(claimId, "QmReport1", CLAIM_AMOUNT + 1n)
+      ).to.be.revertedWith("Invalid proposed amount");
+
+      const assessments = await propertyInsurance.getClaimAssessments(claimId);
+      expect(assessments.length).to.equal(1);
+      expect(assessments[0].assessor).to.equal(assessors[0].address);
+      expect(assessments[0].reportHash).to.equal("QmReport0");
+      expect((await propertyInsurance.getClaim(claimId)).status).to.equal(ClaimStatus.UnderReview);
+    });
+
+    it("Should pay the median proposal less the deductible when quorum is reached", async function () {
+      await assess([ethers.parseEther("3"), ethers.parseEther("1")]);
+
+      const median = ethers.parseEther("2.5");
+      const tx = propertyInsurance.connect(assessors[2]).submitClaimAssessment(claimId, "QmReport2", median);
+      await expect(tx)
+        .to.emit(propertyInsurance, "ClaimQuorumReached")
+        .withArgs(claimId, 0, median)
+        .and.to.emit(propertyInsurance, "ClaimPaid")
+        .withArgs(claimId, policyholder.address, median - DEDUCTIBLE);
+      await expect(tx).to.changeEtherBalance(policyholder, median - DEDUCTIBLE);
+
+      const claim = await propertyInsurance.getClaim(claimId);
+      expect(claim.status).to.equal(ClaimStatus.Paid);
+      expect(claim.approvedAmount).to.equal(median);
+      expect(await propertyInsurance.claimPayouts(claimId)).to.equal(median - DEDUCTIBLE);
+    });
+
+    it("Should reject the claim when the median proposal is zero", async function () {
+      await assess([0, ethers.parseEther("2"), 0]);
+
+      const claim = await propertyInsurance.getClaim(claimId);
+      expect(claim.status).to.equal(ClaimStatus.Rejected);
+      expect(claim.rejectionReason).to.equal("Rejected by assessor quorum");
+    });
+
+    it("Should leave an approved claim for the owner when funds are short", async function () {
+      await propertyInsurance.withdraw(ethers.parseEther("20"));
+      await assess([ethers.parseEther("2"), ethers.parseEther("2"), ethers.parseEther("2")]);
+      expect((await propertyInsurance.getClaim(claimId)).status).to.equal(ClaimStatus.Approved);
+
+      await owner.sendTransaction({ to: await propertyInsurance.getAddress(), value: ethers.parseEther("5") });
+      await expect(propertyInsurance.payClaim(claimId))
+        .to.emit(propertyInsurance, "ClaimPaid")
+        .withArgs(claimId, policyholder.address, ethers.parseEther("2") - DEDUCTIBLE);
+    });
+
+    it("Should let the claimant dispute once and top up from a new review round", async function () {
+      await assess([ethers.parseEther("1"), ethers.parseEther("1"), ethers.parseEther("1")]);
+
+      await expect(
+        propertyInsurance.connect(other).disputeClaim(claimId, "Too low", [])
+      ).to.be.revertedWith("Not the claimant");
+      await expect(
+        propertyInsurance.connect(policyholder).disputeClaim(claimId, "", [])
+      ).to.be.revertedWith("Dispute reason required");
+
+      await expect(propertyInsurance.connect(policyholder).disputeClaim(claimId, "Too low", ["ipfs://QmQuote"]))
+        .to.emit(propertyInsurance, "ClaimDisputed")
+        .withArgs(claimId, policyholder.address, "Too low")
+        .and.to.emit(propertyInsurance, "ClaimStatusUpdated")
+        .withArgs(claimId, ClaimStatus.Paid, ClaimStatus.UnderReview);
+      expect((await propertyInsurance.getClaim(claimId)).evidence).to.deep.equal(["ipfs://QmPhotos", "ipfs://QmQuote"]);
+
+      // Assessors are counted per round, so the first round's assessors can review the dispute
+      expect(await propertyInsurance.hasAssessedClaim(claimId, 0, assessors[0].address)).to.equal(true);
+      expect(await propertyInsurance.hasAssessedClaim(claimId, 1, assessors[0].address)).to.equal(false);
+      await assess([ethers.parseEther("3"), ethers.parseEther("4")]);
+      await expect(
+        propertyInsurance.connect(assessors[1]).submitClaimAssessment(claimId, "QmReport1", 1)
+      ).to.be.revertedWith("Already assessed this claim");
+      await expect(
+        propertyInsurance.connect(assessors[2]).submitClaimAssessment(claimId, "QmReport2", ethers.parseEther("3"))
+      ).to.changeEtherBalance(policyholder, ethers.parseEther("2"));
+
+      const claim = await propertyInsurance.getClaim(claimId);
+      expect(claim.status).to.equal(ClaimStatus.Paid);
+      expect(claim.approvedAmount).to.equal(ethers.parseEther("3"));
+      expect(await propertyInsurance.claimPayouts(claimId)).to.equal(ethers.parseEther("3") - DEDUCTIBLE);
+
+      await expect(
+        propertyInsurance.connect(policyholder).disputeClaim(claimId, "Still too low", [])
+      ).to.be.revertedWith("Claim already disputed");
+    });
+
+    it("Should keep the earlier outcome when a dispute doesn't raise the amount", async function () {
+      await assess([0, 0, 0]);
+      await propertyInsurance.connect(policyholder).disputeClaim(claimId, "Loss is real", []);
+      await assess([0, ethers.parseEther("1"), 0], 3);
+      expect((await propertyInsurance.getClaim(claimId)).status).to.equal(ClaimStatus.Rejected);
+    });
+
+    it("Should keep the quorum settings a claim was filed under", async function () {
+      await propertyInsurance.setAssessorQuorum(5, ethers.parseEther("100"));
+      const laterClaimId = await fileClaim();
+
+      expect(await propertyInsurance.claimQuorums(claimId)).to.equal(3);
+      expect(await propertyInsurance.requiresQuorum(claimId)).to.equal(true);
+      expect(await propertyInsurance.requiresQuorum(laterClaimId)).to.equal(false);
+
+      await expect(
+        propertyInsurance.connect(assessors[0]).processClaim(claimId, ClaimStatus.Approved, CLAIM_AMOUNT, "")
+      ).to.be.revertedWith("Claim requires assessor quorum");
+      await assess([ethers.parseEther("2"), ethers.parseEther("2")]);
+      await expect(
+        propertyInsurance.connect(assessors[2]).submitClaimAssessment(claimId, "QmReport2", ethers.parseEther("2"))
+      ).to.emit(propertyInsurance, "ClaimQuorumReached");
+    });
+
+    it("Should not dispute an undecided or fully approved claim", async function () {
+      await expect(
+        propertyInsurance.connect(policyholder).disputeClaim(claimId, "Too slow", [])
+      ).to.be.revertedWith("Claim not decided");
+
+      await assess([CLAIM_AMOUNT, CLAIM_AMOUNT, CLAIM_AMOUNT]);
+      await expect(
+        propertyInsurance.connect(policyholder).disputeClaim(claimId, "Too low", [])
+      ).to.be.revertedWith("Claim fully approved");
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("PropertyRegistry", function () {
   let propertyRegistry;
@@ -13,7 +14,7 @@ describe("PropertyRegistry", function () {
 
     const PropertyRegistry = await ethers.getContractFactory("PropertyRegistry");
     propertyRegistry = await PropertyRegistry.deploy();
-    await propertyRegistry.deployed();
+    await propertyRegistry.waitForDeployment();
 
     // Add verifier
     await propertyRegistry.addVerifier(verifier.address);
@@ -26,13 +27,15 @@ describe("PropertyRegistry", function () {
         200,
         "Residential",
         ["ipfs://document1", "ipfs://document2"],
-        ethers.utils.parseEther("100"),
-        true
+        ethers.parseEther("100"),
+        false
       );
 
       const receipt = await tx.wait();
-      const event = receipt.events.find(e => e.event === "PropertyRegistered");
-      
+      const event = receipt.logs
+        .map(log => propertyRegistry.interface.parseLog(log))
+        .find(e => e && e.name === "PropertyRegistered");
+
       expect(event.args.owner).to.equal(user1.address);
       expect(event.args.location).to.equal("123 Main St, City, Country");
     });
@@ -43,8 +46,8 @@ describe("PropertyRegistry", function () {
         200,
         "Residential",
         ["ipfs://document1"],
-        ethers.utils.parseEther("100"),
-        true
+        ethers.parseEther("100"),
+        false
       );
 
       const property = await propertyRegistry.getProperty(1);
@@ -52,17 +55,34 @@ describe("PropertyRegistry", function () {
       expect(property.area).to.equal(200);
       expect(property.propertyType).to.equal("Residential");
       expect(property.owner).to.equal(user1.address);
-      expect(property.price).to.equal(ethers.utils.parseEther("100"));
-      expect(property.forSale).to.equal(true);
+      expect(property.price).to.equal(ethers.parseEther("100"));
+      expect(property.forSale).to.equal(false);
       expect(property.verified).to.equal(false);
     });
 
+    it("Should not list a property at registration", async function () {
+      await expect(
+        propertyRegistry.connect(user1).registerProperty(
+          "123 Main St, City, Country",
+          200,
+          "Residential",
+          ["ipfs://document1"],
+          ethers.parseEther("100"),
+          true
+        )
+      ).to.emit(propertyRegistry, "PropertyRegistered")
+        .and.not.to.emit(propertyRegistry, "PropertyListed");
+
+      expect((await propertyRegistry.getProperty(1)).forSale).to.equal(false);
+      expect(await propertyRegistry.getPropertiesForSale()).to.deep.equal([]);
+    });
+
     it("Should increment property ID", async function () {
       await propertyRegistry.connect(user1).registerProperty(
-        "Property 1", 100, "Residential", ["doc1"], ethers.utils.parseEther("50"), false
+        "Property 1", 100, "Residential", ["doc1"], ethers.parseEther("50"), false
       );
       await propertyRegistry.connect(user2).registerProperty(
-        "Property 2", 150, "Commercial", ["doc2"], ethers.utils.parseEther("75"), true
+        "Property 2", 150, "Commercial", ["doc2"], ethers.parseEther("75"), false
       );
 
       const property1 = await propertyRegistry.getProperty(1);
@@ -76,7 +96,7 @@ describe("PropertyRegistry", function () {
   describe("Property Verification", function () {
     beforeEach(async function () {
       await propertyRegistry.connect(user1).registerProperty(
-        "Test Property", 100, "Residential", ["doc1"], ethers.utils.parseEther("50"), false
+        "Test Property", 100, "Residential", ["doc1"], ethers.parseEther("50"), false
       );
     });
 
@@ -114,31 +134,32 @@ describe("PropertyRegistry", function () {
   describe("Property Listing", function () {
     beforeEach(async function () {
       await propertyRegistry.connect(user1).registerProperty(
-        "Test Property", 100, "Residential", ["doc1"], ethers.utils.parseEther("50"), false
+        "Test Property", 100, "Residential", ["doc1"], ethers.parseEther("50"), false
       );
+      await propertyRegistry.connect(verifier).verifyProperty(1);
     });
 
     it("Should allow owner to list property for sale", async function () {
-      await propertyRegistry.connect(user1).listPropertyForSale(1, ethers.utils.parseEther("75"));
+      await propertyRegistry.connect(user1).listPropertyForSale(1, ethers.parseEther("75"));
       
       const property = await propertyRegistry.getProperty(1);
       expect(property.forSale).to.equal(true);
-      expect(property.price).to.equal(ethers.utils.parseEther("75"));
+      expect(property.price).to.equal(ethers.parseEther("75"));
     });
 
     it("Should emit PropertyListed event", async function () {
-      await expect(propertyRegistry.connect(user1).listPropertyForSale(1, ethers.utils.parseEther("75")))
+      await expect(propertyRegistry.connect(user1).listPropertyForSale(1, ethers.parseEther("75")))
         .to.emit(propertyRegistry, "PropertyListed")
-        .withArgs(1, ethers.utils.parseEther("75"));
+        .withArgs(1, ethers.parseEther("75"));
     });
 
     it("Should not allow non-owner to list property", async function () {
-      await expect(propertyRegistry.connect(user2).listPropertyForSale(1, ethers.utils.parseEther("75")))
+      await expect(propertyRegistry.connect(user2).listPropertyForSale(1, ethers.parseEther("75")))
         .to.be.revertedWith("Not the property owner");
     });
 
     it("Should allow owner to unlist property", async function () {
-      await propertyRegistry.connect(user1).listPropertyForSale(1, ethers.utils.parseEther("75"));
+      await propertyRegistry.connect(user1).listPropertyForSale(1, ethers.parseEther("75"));
       await propertyRegistry.connect(user1).unlistProperty(1);
       
       const property = await propertyRegistry.getProperty(1);
@@ -148,16 +169,21 @@ describe("PropertyRegistry", function () {
 
   describe("Property Queries", function () {
     beforeEach(async function () {
-      // Register multiple properties
+      // Register multiple properties and list the first and third
       await propertyRegistry.connect(user1).registerProperty(
-        "Property 1", 100, "Residential", ["doc1"], ethers.utils.parseEther("50"), true
+        "Property 1", 100, "Residential", ["doc1"], ethers.parseEther("50"), false
       );
       await propertyRegistry.connect(user1).registerProperty(
-        "Property 2", 150, "Commercial", ["doc2"], ethers.utils.parseEther("75"), false
+        "Property 2", 150, "Commercial", ["doc2"], ethers.parseEther("75"), false
       );
       await propertyRegistry.connect(user2).registerProperty(
-        "Property 3", 200, "Residential", ["doc3"], ethers.utils.parseEther("100"), true
+        "Property 3", 200, "Residential", ["doc3"], ethers.parseEther("100"), false
       );
+
+      for (const [propertyId, seller, price] of [[1, user1, "50"], [3, user2, "100"]]) {
+        await propertyRegistry.connect(verifier).verifyProperty(propertyId);
+        await propertyRegistry.connect(seller).listPropertyForSale(propertyId, ethers.parseEther(price));
+      }
     });
 
     it("Should return properties by owner", async function () {
@@ -178,6 +204,27 @@ describe("PropertyRegistry", function () {
       expect(propertiesForSale[0]).to.equal(1);
       expect(propertiesForSale[1]).to.equal(3);
     });
+
+    it("Should unlist a property whose verification is revoked", async function () {
+      await expect(propertyRegistry.connect(verifier).revokeVerification(1, "Forged deed"))
+        .to.emit(propertyRegistry, "PropertyUnlisted")
+        .withArgs(1);
+
+      expect((await propertyRegistry.getProperty(1)).forSale).to.equal(false);
+      expect(await propertyRegistry.getPropertiesForSale()).to.deep.equal([3n]);
+    });
+
+    it("Should leave out listings whose verification has expired", async function () {
+      await time.increase(366 * 24 * 60 * 60);
+      await propertyRegistry.connect(verifier).verifyProperty(3);
+
+      expect(await propertyRegistry.getPropertiesForSale()).to.deep.equal([3n]);
+      expect((await propertyRegistry.getProperty(1)).forSale).to.equal(true);
+
+      // The listing reappears once the property is verified again
+      await propertyRegistry.connect(verifier).verifyProperty(1);
+      expect(await propertyRegistry.getPropertiesForSale()).to.deep.equal([1n, 3n]);
+    });
   });
 
   describe("Access Control", function () {
@@ -194,7 +241,9 @@ describe("PropertyRegistry", function () {
 
     it("Should not allow non-owner to add verifier", async function () {
       await expect(propertyRegistry.connect(user1).addVerifier(user2.address))
-        .to.be.revertedWith("Ownable: caller is not the owner");
+        .to.be.revertedWith(
+          `AccessControl: account ${user1.address.toLowerCase()} is missing role ${await propertyRegistry.DEFAULT_ADMIN_ROLE()}`
+        );
     });
   });
 });
@@ -0,0 +1,329 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("PropertyRental", function () {
+  let PropertyRegistry, PropertyRental;
+  let propertyRegistry, propertyRental;
+  let owner, landlord, tenant, other, verifier;
+  let propertyId;
+
+  const RENT_PERIOD = 30 * 24 * 60 * 60;
+  const monthlyRent = ethers.parseEther("1");
+  const securityDeposit = ethers.parseEther("2");
+
+  beforeEach(async function () {
+    [owner, landlord, tenant, other, verifier] = await ethers.getSigners();
+
+    // Deploy PropertyRegistry
+    PropertyRegistry = await ethers.getContractFactory("PropertyRegistry");
+    propertyRegistry = await PropertyRegistry.deploy();
+    await propertyRegistry.waitForDeployment();
+
+    // Deploy PropertyRental
+    PropertyRental = await ethers.getContractFactory("PropertyRental");
+    propertyRental = await PropertyRental.deploy(await propertyRegistry.getAddress());
+    await propertyRental.waitForDeployment();
+
+    // Register and verify a property
+    await propertyRegistry.addVerifier(verifier.address);
+    await propertyRegistry.connect(landlord).registerProperty(
+      "Test Location",
+      100,
+      "Residential",
+      ["ipfs://test"],
+      ethers.parseEther("10"),
+      false
+    );
+    propertyId = 1;
+    await propertyRegistry.connect(verifier).verifyProperty(propertyId);
+  });
+
+  async function createRental(durationMonths = 12) {
+    await propertyRental.connect(landlord).createRental(
+      propertyId,
+      monthlyRent,
+      securityDeposit,
+      durationMonths,
+      0,
+      "Downtown apartment",
+      ["WiFi", "Parking"],
+      "no-pets",
+      "no-smoking"
+    );
+    return 1;
+  }
+
+  async function transferPropertyTo(newOwner) {
+    await propertyRegistry.grantRole(await propertyRegistry.TRANSFER_AGENT_ROLE(), owner.address);
+    await propertyRegistry.transferProperty(propertyId, newOwner.address);
+  }
+
+  describe("Create Rental", function () {
+    it("Should create a rental listing", async function () {
+      await expect(
+        propertyRental.connect(landlord).createRental(
+          propertyId,
+          monthlyRent,
+          securityDeposit,
+          12,
+          0,
+          "Downtown apartment",
+          ["WiFi"],
+          "no-pets",
+          "no-smoking"
+        )
+      ).to.emit(propertyRental, "RentalListed");
+
+      const rental = await propertyRental.getRental(1);
+      expect(rental.landlord).to.equal(landlord.address);
+      expect(rental.monthlyRent).to.equal(monthlyRent);
+      expect(rental.securityDeposit).to.equal(securityDeposit);
+      expect(rental.leaseDurationMonths).to.equal(12);
+      expect(rental.status).to.equal(0); // Available
+      expect(rental.amenities).to.deep.equal(["WiFi"]);
+    });
+
+    it("Should fail if not property owner", async function () {
+      await expect(
+        propertyRental.connect(other).createRental(
+          propertyId, monthlyRent, securityDeposit, 12, 0, "", [], "no-pets", "no-smoking"
+        )
+      ).to.be.revertedWith("Not the property owner");
+    });
+
+    it("Should check the current registry owner", async function () {
+      await transferPropertyTo(other);
+
+      await expect(createRental()).to.be.revertedWith("Not the property owner");
+    });
+
+    it("Should fail if property is already listed", async function () {
+      await createRental();
+      await expect(createRental()).to.be.revertedWith("Property already listed for rent");
+    });
+  });
+
+  describe("Rent Property", function () {
+    let rentalId;
+
+    beforeEach(async function () {
+      rentalId = await createRental();
+    });
+
+    it("Should start a lease and escrow the deposit", async function () {
+      const landlordBalanceBefore = await ethers.provider.getBalance(landlord.address);
+
+      await expect(
+        propertyRental.connect(tenant).rentProperty(rentalId, { value: securityDeposit + monthlyRent })
+      ).to.emit(propertyRental, "LeaseStarted");
+
+      const rental = await propertyRental.getRental(rentalId);
+      expect(rental.tenant).to.equal(tenant.address);
+      expect(rental.status).to.equal(1); // Leased
+      expect(rental.depositHeld).to.equal(securityDeposit);
+      expect(rental.monthsPaid).to.equal(1);
+      expect(rental.leaseEnd - rental.leaseStart).to.equal(12n * BigInt(RENT_PERIOD));
+
+      const landlordBalanceAfter = await ethers.provider.getBalance(landlord.address);
+      expect(landlordBalanceAfter - landlordBalanceBefore).to.equal(monthlyRent * 9900n / 10000n);
+      expect(await ethers.provider.getBalance(await propertyRental.getAddress()))
+        .to.equal(securityDeposit + monthlyRent / 100n);
+    });
+
+    it("Should fail with insufficient payment", async function () {
+      await expect(
+        propertyRental.connect(tenant).rentProperty(rentalId, { value: monthlyRent })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+
+    it("Should fail if landlord tries to rent", async function () {
+      await expect(
+        propertyRental.connect(landlord).rentProperty(rentalId, { value: securityDeposit + monthlyRent })
+      ).to.be.revertedWith("Landlord cannot rent own property");
+    });
+  });
+
+  describe("Rent Collection", function () {
+    let rentalId;
+
+    beforeEach(async function () {
+      rentalId = await createRental(2);
+      await propertyRental.connect(tenant).rentProperty(rentalId, { value: securityDeposit + monthlyRent });
+    });
+
+    it("Should collect monthly rent", async function () {
+      await expect(
+        propertyRental.connect(tenant).payRent(rentalId, { value: monthlyRent })
+      ).to.emit(propertyRental, "RentPaid");
+
+      const rental = await propertyRental.getRental(rentalId);
+      expect(rental.monthsPaid).to.equal(2);
+    });
+
+    it("Should report overdue rent", async function () {
+      expect(await propertyRental.isRentOverdue(rentalId)).to.be.false;
+      await time.increase(RENT_PERIOD + 1);
+      expect(await propertyRental.isRentOverdue(rentalId)).to.be.true;
+    });
+
+    it("Should fail once the lease is fully paid", async function () {
+      await propertyRental.connect(tenant).payRent(rentalId, { value: monthlyRent });
+      await expect(
+        propertyRental.connect(tenant).payRent(rentalId, { value: monthlyRent })
+      ).to.be.revertedWith("Lease fully paid");
+    });
+
+    it("Should fail if not the tenant", async function () {
+      await expect(
+        propertyRental.connect(other).payRent(rentalId, { value: monthlyRent })
+      ).to.be.revertedWith("Not the tenant");
+    });
+
+    it("Should let the landlord terminate an overdue lease and keep the deposit", async function () {
+      await expect(
+        propertyRental.connect(landlord).terminateLease(rentalId)
+      ).to.be.revertedWith("Rent not overdue");
+
+      await time.increase(RENT_PERIOD + 1);
+      await expect(
+        propertyRental.connect(other).terminateLease(rentalId)
+      ).to.be.revertedWith("Not the landlord");
+
+      await expect(propertyRental.connect(landlord).terminateLease(rentalId))
+        .to.emit(propertyRental, "LeaseTerminated")
+        .and.to.emit(propertyRental, "LeaseEnded");
+      expect(await propertyRental.propertyToRental(propertyId)).to.equal(0);
+      await expect(
+        propertyRental.connect(tenant).payRent(rentalId, { value: monthlyRent })
+      ).to.be.revertedWith("Lease not active");
+
+      await expect(
+        propertyRental.connect(landlord).settleDeposit(rentalId, securityDeposit, "Unpaid rent")
+      ).to.changeEtherBalances([landlord, tenant], [securityDeposit, 0]);
+    });
+  });
+
+  describe("Property Transfer", function () {
+    let rentalId;
+
+    beforeEach(async function () {
+      rentalId = await createRental(12);
+    });
+
+    it("Should not lease a listing whose landlord sold the property", async function () {
+      await transferPropertyTo(other);
+
+      await expect(
+        propertyRental.connect(tenant).rentProperty(rentalId, { value: securityDeposit + monthlyRent })
+      ).to.be.revertedWith("Landlord no longer owns the property");
+
+      // The new owner clears the stale listing and lists the property themselves
+      await expect(
+        propertyRental.connect(tenant).cancelRental(rentalId)
+      ).to.be.revertedWith("Not the landlord");
+      await propertyRental.connect(other).cancelRental(rentalId);
+      await expect(
+        propertyRental.connect(other).createRental(
+          propertyId, monthlyRent, securityDeposit, 12, 0, "", [], "no-pets", "no-smoking"
+        )
+      ).to.emit(propertyRental, "RentalListed");
+    });
+
+    it("Should stop paying the previous owner and end the lease early", async function () {
+      await propertyRental.connect(tenant).rentProperty(rentalId, { value: securityDeposit + monthlyRent });
+      await transferPropertyTo(other);
+
+      await expect(
+        propertyRental.connect(tenant).payRent(rentalId, { value: monthlyRent })
+      ).to.be.revertedWith("Landlord no longer owns the property");
+
+      // Rent that can't be paid never falls overdue
+      await time.increase(RENT_PERIOD + 1);
+      expect(await propertyRental.isRentOverdue(rentalId)).to.be.false;
+      await expect(
+        propertyRental.connect(landlord).terminateLease(rentalId)
+      ).to.be.revertedWith("Rent not overdue");
+
+      await propertyRental.connect(other).endLease(rentalId);
+      const rental = await propertyRental.getRental(rentalId);
+      expect(rental.status).to.equal(2); // Ended
+      expect(rental.leaseEnd).to.equal(await time.latest());
+      expect(await propertyRental.propertyToRental(propertyId)).to.equal(0);
+
+      // The deposit settles as usual, from the end of the lease
+      await time.increase(14 * 24 * 60 * 60);
+      await expect(
+        propertyRental.connect(tenant).claimDeposit(rentalId)
+      ).to.changeEtherBalance(tenant, securityDeposit);
+    });
+  });
+
+  describe("Lease End and Deposit", function () {
+    let rentalId;
+
+    beforeEach(async function () {
+      rentalId = await createRental(1);
+      await propertyRental.connect(tenant).rentProperty(rentalId, { value: securityDeposit + monthlyRent });
+    });
+
+    it("Should not end the lease before its term", async function () {
+      await expect(
+        propertyRental.connect(landlord).endLease(rentalId)
+      ).to.be.revertedWith("Lease term not over");
+    });
+
+    it("Should split the deposit on settlement", async function () {
+      await time.increase(RENT_PERIOD);
+      await propertyRental.connect(landlord).endLease(rentalId);
+
+      const deduction = ethers.parseEther("0.5");
+      const tenantBalanceBefore = await ethers.provider.getBalance(tenant.address);
+
+      await expect(
+        propertyRental.connect(landlord).settleDeposit(rentalId, deduction, "Wall damage")
+      ).to.emit(propertyRental, "DepositSettled")
+        .withArgs(rentalId, securityDeposit - deduction, deduction, "Wall damage");
+
+      const tenantBalanceAfter = await ethers.provider.getBalance(tenant.address);
+      expect(tenantBalanceAfter - tenantBalanceBefore).to.equal(securityDeposit - deduction);
+      expect((await propertyRental.getRental(rentalId)).depositHeld).to.equal(0);
+    });
+
+    it("Should let the tenant reclaim an unsettled deposit", async function () {
+      await time.increase(RENT_PERIOD);
+      await propertyRental.connect(tenant).endLease(rentalId);
+
+      await expect(
+        propertyRental.connect(tenant).claimDeposit(rentalId)
+      ).to.be.revertedWith("Settlement period not over");
+
+      await time.increase(14 * 24 * 60 * 60);
+      await expect(
+        propertyRental.connect(tenant).claimDeposit(rentalId)
+      ).to.emit(propertyRental, "DepositSettled");
+    });
+
+    it("Should allow relisting after the lease ends", async function () {
+      await time.increase(RENT_PERIOD);
+      await propertyRental.connect(landlord).endLease(rentalId);
+
+      await expect(
+        propertyRental.connect(landlord).createRental(
+          propertyId, monthlyRent, securityDeposit, 12, 0, "", [], "no-pets", "no-smoking"
+        )
+      ).to.emit(propertyRental, "RentalListed");
+    });
+  });
+
+  describe("Platform Management", function () {
+    it("Should only withdraw fees, not escrowed deposits", async function () {
+      const rentalId = await createRental();
+      await propertyRental.connect(tenant).rentProperty(rentalId, { value: securityDeposit + monthlyRent });
+
+      await propertyRental.withdrawFees();
+      expect(await ethers.provider.getBalance(await propertyRental.getAddress())).to.equal(securityDeposit);
+      await expect(propertyRental.withdrawFees()).to.be.revertedWith("No fees to withdraw");
+    });
+  });
+});
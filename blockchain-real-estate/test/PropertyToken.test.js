@@ -9,18 +9,30 @@ describe("PropertyToken", function () {
   let user1;
   let user2;
 
+  // Token ID from the PropertyTokenized event in a transaction receipt
+  const tokenizedId = async (tx) => {
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .map(log => propertyToken.interface.parseLog(log))
+      .find(e => e && e.name === "PropertyTokenized");
+    return event.args.tokenId;
+  };
+
   beforeEach(async function () {
     [owner, verifier, user1, user2] = await ethers.getSigners();
 
     // Deploy PropertyRegistry first
     const PropertyRegistry = await ethers.getContractFactory("PropertyRegistry");
     propertyRegistry = await PropertyRegistry.deploy();
-    await propertyRegistry.deployed();
+    await propertyRegistry.waitForDeployment();
 
     // Deploy PropertyToken
     const PropertyToken = await ethers.getContractFactory("PropertyToken");
-    propertyToken = await PropertyToken.deploy(propertyRegistry.address);
-    await propertyToken.deployed();
+    propertyToken = await PropertyToken.deploy(await propertyRegistry.getAddress());
+    await propertyToken.waitForDeployment();
+
+    // Let token transfers move registry ownership
+    await propertyRegistry.setPropertyTokenContract(await propertyToken.getAddress());
 
     // Add verifier to registry
     await propertyRegistry.addVerifier(verifier.address);
@@ -31,7 +43,7 @@ describe("PropertyToken", function () {
       200,
       "Residential",
       ["ipfs://test1", "ipfs://test2"],
-      ethers.utils.parseEther("100"),
+      ethers.parseEther("100"),
       false
     );
 
@@ -40,30 +52,22 @@ describe("PropertyToken", function () {
   });
 
   describe("Deployment", function () {
-    it("Should set the correct property registry address", async function () {
-      expect(await propertyToken.propertyRegistry()).to.equal(propertyRegistry.address);
-    });
-
     it("Should set the correct name and symbol", async function () {
-      expect(await propertyToken.name()).to.equal("PropertyToken");
-      expect(await propertyToken.symbol()).to.equal("PROP");
+      expect(await propertyToken.name()).to.equal("Real Estate Token");
+      expect(await propertyToken.symbol()).to.equal("RET");
     });
   });
 
   describe("Property Tokenization", function () {
     it("Should tokenize a verified property", async function () {
       const metadataURI = "ipfs://metadata123";
-      
-      const tx = await propertyToken.connect(user1).tokenizeProperty(1, metadataURI);
-      const receipt = await tx.wait();
-      
-      const event = receipt.events.find(e => e.event === "PropertyTokenized");
-      expect(event.args.propertyId).to.equal(1);
-      expect(event.args.owner).to.equal(user1.address);
-      
-      const tokenId = event.args.tokenId;
-      expect(await propertyToken.ownerOf(tokenId)).to.equal(user1.address);
-      expect(await propertyToken.tokenURI(tokenId)).to.equal(metadataURI);
+
+      await expect(propertyToken.connect(user1).tokenizeProperty(1, metadataURI))
+        .to.emit(propertyToken, "PropertyTokenized")
+        .withArgs(1, 1, user1.address);
+
+      expect(await propertyToken.ownerOf(1)).to.equal(user1.address);
+      expect(await propertyToken.tokenURI(1)).to.equal(metadataURI);
     });
 
     it("Should not allow tokenizing unverified property", async function () {
@@ -73,13 +77,13 @@ describe("PropertyToken", function () {
         150,
         "Commercial",
         ["ipfs://test3"],
-        ethers.utils.parseEther("75"),
+        ethers.parseEther("75"),
         false
       );
 
       await expect(
         propertyToken.connect(user2).tokenizeProperty(2, "ipfs://metadata456")
-      ).to.be.revertedWith("Property must be verified");
+      ).to.be.revertedWith("Property not verified");
     });
 
     it("Should not allow non-owner to tokenize property", async function () {
@@ -90,7 +94,7 @@ describe("PropertyToken", function () {
 
     it("Should not allow tokenizing already tokenized property", async function () {
       await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123");
-      
+
       await expect(
         propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata456")
       ).to.be.revertedWith("Property already tokenized");
@@ -107,17 +111,14 @@ describe("PropertyToken", function () {
     let tokenId;
 
     beforeEach(async function () {
-      const tx = await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123");
-      const receipt = await tx.wait();
-      const event = receipt.events.find(e => e.event === "PropertyTokenized");
-      tokenId = event.args.tokenId;
+      tokenId = await tokenizedId(await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123"));
     });
 
     it("Should return correct token details", async function () {
-      const details = await propertyToken.getTokenDetails(tokenId);
-      expect(details.propertyId).to.equal(1);
-      expect(details.owner).to.equal(user1.address);
-      expect(details.metadataURI).to.equal("ipfs://metadata123");
+      const [propertyId, tokenOwner, metadataURI] = await propertyToken.getTokenDetails(tokenId);
+      expect(propertyId).to.equal(1);
+      expect(tokenOwner).to.equal(user1.address);
+      expect(metadataURI).to.equal("ipfs://metadata123");
     });
 
     it("Should check if property is tokenized", async function () {
@@ -125,17 +126,13 @@ describe("PropertyToken", function () {
       expect(await propertyToken.isPropertyTokenized(999)).to.equal(false);
     });
 
-    it("Should get property ID from token ID", async function () {
-      expect(await propertyToken.getPropertyIdFromToken(tokenId)).to.equal(1);
-    });
-
     it("Should get token ID from property ID", async function () {
-      expect(await propertyToken.getTokenIdFromProperty(1)).to.equal(tokenId);
+      expect(await propertyToken.getTokenIdByProperty(1)).to.equal(tokenId);
     });
 
     it("Should revert when getting token ID for non-tokenized property", async function () {
       await expect(
-        propertyToken.getTokenIdFromProperty(999)
+        propertyToken.getTokenIdByProperty(999)
       ).to.be.revertedWith("Property not tokenized");
     });
   });
@@ -144,24 +141,22 @@ describe("PropertyToken", function () {
     let tokenId;
 
     beforeEach(async function () {
-      const tx = await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123");
-      const receipt = await tx.wait();
-      const event = receipt.events.find(e => e.event === "PropertyTokenized");
-      tokenId = event.args.tokenId;
+      tokenId = await tokenizedId(await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123"));
     });
 
     it("Should transfer token ownership", async function () {
       await propertyToken.connect(user1).transferFrom(user1.address, user2.address, tokenId);
-      
+
       expect(await propertyToken.ownerOf(tokenId)).to.equal(user2.address);
       expect(await propertyToken.balanceOf(user1.address)).to.equal(0);
       expect(await propertyToken.balanceOf(user2.address)).to.equal(1);
+      expect((await propertyRegistry.getProperty(1)).owner).to.equal(user2.address);
     });
 
     it("Should approve and transfer token", async function () {
       await propertyToken.connect(user1).approve(user2.address, tokenId);
       expect(await propertyToken.getApproved(tokenId)).to.equal(user2.address);
-      
+
       await propertyToken.connect(user2).transferFrom(user1.address, user2.address, tokenId);
       expect(await propertyToken.ownerOf(tokenId)).to.equal(user2.address);
     });
@@ -169,7 +164,7 @@ describe("PropertyToken", function () {
     it("Should set approval for all", async function () {
       await propertyToken.connect(user1).setApprovalForAll(user2.address, true);
       expect(await propertyToken.isApprovedForAll(user1.address, user2.address)).to.equal(true);
-      
+
       await propertyToken.connect(user2).transferFrom(user1.address, user2.address, tokenId);
       expect(await propertyToken.ownerOf(tokenId)).to.equal(user2.address);
     });
@@ -185,15 +180,12 @@ describe("PropertyToken", function () {
     let tokenId;
 
     beforeEach(async function () {
-      const tx = await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123");
-      const receipt = await tx.wait();
-      const event = receipt.events.find(e => e.event === "PropertyTokenized");
-      tokenId = event.args.tokenId;
+      tokenId = await tokenizedId(await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123"));
     });
 
     it("Should update token metadata by owner", async function () {
       const newMetadataURI = "ipfs://newmetadata456";
-      
+
       await propertyToken.connect(user1).updateTokenMetadata(tokenId, newMetadataURI);
       expect(await propertyToken.tokenURI(tokenId)).to.equal(newMetadataURI);
     });
@@ -203,85 +195,13 @@ describe("PropertyToken", function () {
         propertyToken.connect(user2).updateTokenMetadata(tokenId, "ipfs://newmetadata456")
       ).to.be.revertedWith("Not the token owner");
     });
-
-    it("Should not allow empty metadata URI", async function () {
-      await expect(
-        propertyToken.connect(user1).updateTokenMetadata(tokenId, "")
-      ).to.be.revertedWith("Metadata URI cannot be empty");
-    });
-  });
-
-  describe("Token Enumeration", function () {
-    it("Should track total supply", async function () {
-      expect(await propertyToken.totalSupply()).to.equal(0);
-      
-      await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123");
-      expect(await propertyToken.totalSupply()).to.equal(1);
-    });
-
-    it("Should enumerate tokens by owner", async function () {
-      // Register and tokenize multiple properties
-      await propertyRegistry.connect(user1).registerProperty(
-        "456 Test Ave", 150, "Commercial", ["ipfs://test3"], ethers.utils.parseEther("75"), false
-      );
-      await propertyRegistry.connect(verifier).verifyProperty(2);
-
-      await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123");
-      await propertyToken.connect(user1).tokenizeProperty(2, "ipfs://metadata456");
-
-      expect(await propertyToken.balanceOf(user1.address)).to.equal(2);
-      expect(await propertyToken.tokenOfOwnerByIndex(user1.address, 0)).to.equal(1);
-      expect(await propertyToken.tokenOfOwnerByIndex(user1.address, 1)).to.equal(2);
-    });
-
-    it("Should enumerate all tokens", async function () {
-      await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123");
-      
-      expect(await propertyToken.tokenByIndex(0)).to.equal(1);
-    });
-  });
-
-  describe("Access Control", function () {
-    it("Should allow owner to pause contract", async function () {
-      await propertyToken.pause();
-      expect(await propertyToken.paused()).to.equal(true);
-    });
-
-    it("Should not allow non-owner to pause contract", async function () {
-      await expect(
-        propertyToken.connect(user1).pause()
-      ).to.be.revertedWith("Ownable: caller is not the owner");
-    });
-
-    it("Should not allow tokenization when paused", async function () {
-      await propertyToken.pause();
-      
-      await expect(
-        propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123")
-      ).to.be.revertedWith("Pausable: paused");
-    });
-
-    it("Should allow owner to unpause contract", async function () {
-      await propertyToken.pause();
-      await propertyToken.unpause();
-      expect(await propertyToken.paused()).to.equal(false);
-    });
   });
 
   describe("Events", function () {
-    it("Should emit PropertyTokenized event", async function () {
-      await expect(
-        propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123")
-      ).to.emit(propertyToken, "PropertyTokenized");
-    });
-
     it("Should emit standard ERC721 events", async function () {
-      const tx = await propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123");
-      const receipt = await tx.wait();
-      
-      const transferEvent = receipt.events.find(e => e.event === "Transfer");
-      expect(transferEvent.args.from).to.equal(ethers.constants.AddressZero);
-      expect(transferEvent.args.to).to.equal(user1.address);
+      await expect(propertyToken.connect(user1).tokenizeProperty(1, "ipfs://metadata123"))
+        .to.emit(propertyToken, "Transfer")
+        .withArgs(ethers.ZeroAddress, user1.address, 1);
     });
   });
 });
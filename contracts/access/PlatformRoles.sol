@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title PlatformRoles
+ * @dev Role model shared by the platform contracts. DEFAULT_ADMIN_ROLE is the admin role and
+ * administers every other role; changes emit AccessControl's RoleGranted and RoleRevoked events.
+ */
+abstract contract PlatformRoles is AccessControl {
+    bytes32 public constant VERIFIER_ROLE = keccak256("VERIFIER_ROLE");
+    bytes32 public constant ASSESSOR_ROLE = keccak256("ASSESSOR_ROLE");
+    bytes32 public constant LENDER_ROLE = keccak256("LENDER_ROLE");
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant TRANSFER_AGENT_ROLE = keccak256("TRANSFER_AGENT_ROLE");
+    
+    /**
+     * @dev The deployer starts as admin, fee manager and pauser
+     */
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+}
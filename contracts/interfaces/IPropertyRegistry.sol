@@ -21,6 +21,24 @@ interface IPropertyRegistry {
         bool verified;
     }
 
+    /**
+     * @dev Where a property's verification stands
+     */
+    enum VerificationStatus { Unverified, Valid, Expired, Revoked }
+
+    /**
+     * @dev Struct to store an inspection report submitted by a verifier
+     */
+    struct VerificationRecord {
+        address verifier;
+        string reportHash;
+        uint256 checklist;
+        string inspectorName;
+        string inspectorLicense;
+        uint256 submittedAt;
+        uint256 expiresAt;
+    }
+
     /**
      * @dev Event emitted when a new property is registered
      */
@@ -31,6 +49,28 @@ interface IPropertyRegistry {
      */
     event PropertyVerified(uint256 indexed propertyId, address indexed verifier);
 
+    /**
+     * @dev Event emitted when an inspection report is recorded for a property
+     */
+    event InspectionReportSubmitted(
+        uint256 indexed propertyId,
+        address indexed verifier,
+        uint256 recordIndex,
+        string reportHash,
+        uint256 checklist,
+        uint256 expiresAt
+    );
+
+    /**
+     * @dev Event emitted when a verifier revokes a property's verification
+     */
+    event VerificationRevoked(uint256 indexed propertyId, address indexed verifier, string reason);
+
+    /**
+     * @dev Event emitted when a property owner asks for the property to be verified again
+     */
+    event ReverificationRequested(uint256 indexed propertyId, address indexed owner);
+
     /**
      * @dev Event emitted when a property is listed for sale
      */
@@ -41,6 +81,11 @@ interface IPropertyRegistry {
      */
     event PropertyUnlisted(uint256 indexed propertyId);
 
+    /**
+     * @dev Event emitted when property ownership is transferred
+     */
+    event PropertyTransferred(uint256 indexed propertyId, address indexed from, address indexed to);
+
     /**
      * @dev Register a new property
      * @param _location Location of the property
@@ -48,7 +93,7 @@ interface IPropertyRegistry {
      * @param _propertyType Type of the property (e.g., residential, commercial)
      * @param _documents Array of document URIs related to the property
      * @param _price Initial price of the property
-     * @param _forSale Whether the property is for sale
+     * @param _forSale Ignored; a property is always registered unlisted and is listed with listPropertyForSale once verified
      * @return propertyId The ID of the newly registered property
      */
     function registerProperty(
@@ -66,6 +111,64 @@ interface IPropertyRegistry {
      */
     function verifyProperty(uint256 _propertyId) external;
 
+    /**
+     * @dev Record an inspection report and verify the property if it isn't already (only authorized verifiers)
+     * @param _propertyId ID of the property inspected
+     * @param _reportHash IPFS hash of the full inspection report
+     * @param _checklist Bitmap of the compliance checks that passed
+     * @param _inspectorName Name of the inspector who carried out the inspection
+     * @param _inspectorLicense License number of the inspector
+     * @param _expiresAt Timestamp after which the inspection should be redone
+     * @return recordIndex Index of the report in the property's verification history
+     */
+    function submitInspectionReport(
+        uint256 _propertyId,
+        string calldata _reportHash,
+        uint256 _checklist,
+        string calldata _inspectorName,
+        string calldata _inspectorLicense,
+        uint256 _expiresAt
+    ) external returns (uint256 recordIndex);
+
+    /**
+     * @dev Revoke a property's verification, e.g. when fraud is found (only authorized verifiers)
+     * @param _propertyId ID of the property
+     * @param _reason Why the verification was revoked
+     */
+    function revokeVerification(uint256 _propertyId, string calldata _reason) external;
+
+    /**
+     * @dev Ask verifiers to inspect a property again (only the property owner)
+     * @param _propertyId ID of the property
+     */
+    function requestReverification(uint256 _propertyId) external;
+
+    /**
+     * @dev Check whether a property has a verification that is neither expired nor revoked
+     * @param _propertyId ID of the property
+     * @return Whether the verification is currently valid
+     */
+    function isVerificationValid(uint256 _propertyId) external view returns (bool);
+
+    /**
+     * @dev Get where a property's verification stands
+     * @param _propertyId ID of the property
+     * @return status Current verification status
+     * @return expiresAt When the current verification expires (0 if there is none)
+     * @return reverificationRequested Whether the owner has asked for a new inspection
+     */
+    function getVerificationStatus(uint256 _propertyId)
+        external
+        view
+        returns (VerificationStatus status, uint256 expiresAt, bool reverificationRequested);
+
+    /**
+     * @dev Get every inspection report recorded for a property, oldest first
+     * @param _propertyId ID of the property
+     * @return Array of verification records
+     */
+    function getVerificationHistory(uint256 _propertyId) external view returns (VerificationRecord[] memory);
+
     /**
      * @dev List a property for sale
      * @param _propertyId ID of the property to list
@@ -79,6 +182,13 @@ interface IPropertyRegistry {
      */
     function unlistProperty(uint256 _propertyId) external;
 
+    /**
+     * @dev Transfer property ownership (only authorized contracts)
+     * @param _propertyId ID of the property
+     * @param _newOwner Address of the new owner
+     */
+    function transferProperty(uint256 _propertyId, address _newOwner) external;
+
     /**
      * @dev Get property details
      * @param _propertyId ID of the property
@@ -94,7 +204,7 @@ interface IPropertyRegistry {
     function getPropertiesByOwner(address _owner) external view returns (uint256[] memory);
 
     /**
-     * @dev Get all properties for sale
+     * @dev Get all properties for sale whose verification is still valid
      * @return Array of property IDs
      */
     function getPropertiesForSale() external view returns (uint256[] memory);
@@ -47,6 +47,13 @@ interface IPropertyToken {
      */
     function updateTokenMetadata(uint256 _tokenId, string memory _metadataURI) external;
 
+    /**
+     * @dev Move a property's token to a new owner (only called by PropertyRegistry)
+     * @param _propertyId ID of the property
+     * @param _to Address of the new owner
+     */
+    function transferByRegistry(uint256 _propertyId, address _to) external;
+
     /**
      * @dev Get token details
      * @param _tokenId ID of the token
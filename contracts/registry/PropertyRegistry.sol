@@ -1,15 +1,16 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
+import "../access/PlatformRoles.sol";
 import "../interfaces/IPropertyRegistry.sol";
+import "../interfaces/IPropertyToken.sol";
 
 /**
  * @title PropertyRegistry
  * @dev Implementation of the property registry contract
  */
-contract PropertyRegistry is IPropertyRegistry, Ownable {
+contract PropertyRegistry is IPropertyRegistry, PlatformRoles {
     using Counters for Counters.Counter;
     
     // Counter for property IDs
@@ -24,15 +25,33 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
     // Array of property IDs for sale
     uint256[] private _propertiesForSale;
     
-    // Mapping of authorized verifiers
-    mapping(address => bool) private _verifiers;
+    // Mapping from property ID to its inspection reports, oldest first
+    mapping(uint256 => VerificationRecord[]) private _verificationHistory;
+    
+    // Mapping from property ID to when its verification expires
+    mapping(uint256 => uint256) private _verificationExpiry;
+    
+    // Mapping from property ID to why its verification was revoked (cleared on re-verification)
+    mapping(uint256 => string) private _revocationReasons;
+    
+    // Mapping from property ID to whether the owner has asked for a new inspection
+    mapping(uint256 => bool) private _reverificationRequested;
+    
+    // How long a verification without an inspection report stays valid
+    uint256 public verificationValidityPeriod = 365 days;
+    
+    // PropertyToken contract allowed to transfer properties
+    address private _propertyTokenContract;
+    
+    // PropertyTransactions contract allowed to transfer properties
+    address private _propertyTransactionsContract;
     
     /**
      * @dev Constructor
      */
-    constructor() Ownable(msg.sender) {
+    constructor() {
         // Add contract deployer as a verifier
-        _verifiers[msg.sender] = true;
+        _grantRole(VERIFIER_ROLE, msg.sender);
     }
     
     /**
@@ -47,24 +66,63 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
      * @dev Modifier to check if the caller is an authorized verifier
      */
     modifier onlyVerifier() {
-        require(_verifiers[msg.sender], "Not an authorized verifier");
+        require(hasRole(VERIFIER_ROLE, msg.sender), "Not an authorized verifier");
         _;
     }
     
     /**
-     * @dev Add a verifier
+     * @dev Modifier to check if the caller is a contract allowed to transfer properties: the token
+     * and transactions contracts, or a contract granted TRANSFER_AGENT_ROLE such as PropertyAuction or PropertyFinancing
+     */
+    modifier onlyTransferAgent() {
+        require(
+            msg.sender == _propertyTokenContract ||
+            msg.sender == _propertyTransactionsContract ||
+            hasRole(TRANSFER_AGENT_ROLE, msg.sender),
+            "Not authorized to transfer properties"
+        );
+        _;
+    }
+    
+    /**
+     * @dev Set the PropertyToken contract
+     * @param _tokenContract Address of the PropertyToken contract
+     */
+    function setPropertyTokenContract(address _tokenContract) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _propertyTokenContract = _tokenContract;
+    }
+    
+    /**
+     * @dev Set the PropertyTransactions contract
+     * @param _transactionsContract Address of the PropertyTransactions contract
+     */
+    function setPropertyTransactionsContract(address _transactionsContract) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _propertyTransactionsContract = _transactionsContract;
+    }
+    
+    /**
+     * @dev Set how long a verification without an inspection report stays valid
+     * @param _period Validity period in seconds
+     */
+    function setVerificationValidityPeriod(uint256 _period) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_period > 0, "Invalid validity period");
+        verificationValidityPeriod = _period;
+    }
+    
+    /**
+     * @dev Add a verifier; same as granting VERIFIER_ROLE
      * @param _verifier Address of the verifier to add
      */
-    function addVerifier(address _verifier) external onlyOwner {
-        _verifiers[_verifier] = true;
+    function addVerifier(address _verifier) external {
+        grantRole(VERIFIER_ROLE, _verifier);
     }
     
     /**
-     * @dev Remove a verifier
+     * @dev Remove a verifier; same as revoking VERIFIER_ROLE
      * @param _verifier Address of the verifier to remove
      */
-    function removeVerifier(address _verifier) external onlyOwner {
-        _verifiers[_verifier] = false;
+    function removeVerifier(address _verifier) external {
+        revokeRole(VERIFIER_ROLE, _verifier);
     }
     
     /**
@@ -73,7 +131,7 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
      * @return isVerifier Whether the address is a verifier
      */
     function isVerifier(address _verifier) external view returns (bool) {
-        return _verifiers[_verifier];
+        return hasRole(VERIFIER_ROLE, _verifier);
     }
     
     /**
@@ -83,8 +141,11 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
      * @param _propertyType Type of the property (e.g., residential, commercial)
      * @param _documents Array of document URIs related to the property
      * @param _price Initial price of the property
-     * @param _forSale Whether the property is for sale
      * @return propertyId The ID of the newly registered property
+     *
+     * The trailing forSale flag is ignored and kept only for ABI compatibility: a new property
+     * has no valid verification yet, so it is always registered unlisted and is listed with
+     * listPropertyForSale once verified.
      */
     function registerProperty(
         string memory _location,
@@ -92,7 +153,7 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
         string memory _propertyType,
         string[] memory _documents,
         uint256 _price,
-        bool _forSale
+        bool /* _forSale */
     ) external override returns (uint256) {
         _propertyIdCounter.increment();
         uint256 propertyId = _propertyIdCounter.current();
@@ -105,17 +166,13 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
             documents: _documents,
             owner: msg.sender,
             price: _price,
-            forSale: _forSale,
+            forSale: false,
             verified: false
         });
         
         _properties[propertyId] = newProperty;
         _ownerProperties[msg.sender].push(propertyId);
         
-        if (_forSale) {
-            _propertiesForSale.push(propertyId);
-        }
-        
         emit PropertyRegistered(propertyId, msg.sender, _location);
         
         return propertyId;
@@ -127,11 +184,141 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
      */
     function verifyProperty(uint256 _propertyId) external override onlyVerifier {
         require(_propertyId <= _propertyIdCounter.current(), "Property does not exist");
-        require(!_properties[_propertyId].verified, "Property already verified");
+        require(!isVerificationValid(_propertyId), "Property already verified");
+        
+        _markVerified(_propertyId, block.timestamp + verificationValidityPeriod);
+    }
+    
+    /**
+     * @dev Record an inspection report and verify the property if it isn't already (only authorized verifiers)
+     * @param _propertyId ID of the property inspected
+     * @param _reportHash IPFS hash of the full inspection report
+     * @param _checklist Bitmap of the compliance checks that passed
+     * @param _inspectorName Name of the inspector who carried out the inspection
+     * @param _inspectorLicense License number of the inspector
+     * @param _expiresAt Timestamp after which the inspection should be redone
+     * @return recordIndex Index of the report in the property's verification history
+     */
+    function submitInspectionReport(
+        uint256 _propertyId,
+        string calldata _reportHash,
+        uint256 _checklist,
+        string calldata _inspectorName,
+        string calldata _inspectorLicense,
+        uint256 _expiresAt
+    ) external override onlyVerifier returns (uint256 recordIndex) {
+        require(_propertyId > 0 && _propertyId <= _propertyIdCounter.current(), "Property does not exist");
+        require(bytes(_reportHash).length > 0, "Report hash required");
+        require(bytes(_inspectorName).length > 0 && bytes(_inspectorLicense).length > 0, "Inspector identity required");
+        require(_expiresAt > block.timestamp, "Expiry must be in the future");
+        
+        recordIndex = _verificationHistory[_propertyId].length;
+        _verificationHistory[_propertyId].push(VerificationRecord({
+            verifier: msg.sender,
+            reportHash: _reportHash,
+            checklist: _checklist,
+            inspectorName: _inspectorName,
+            inspectorLicense: _inspectorLicense,
+            submittedAt: block.timestamp,
+            expiresAt: _expiresAt
+        }));
+        
+        emit InspectionReportSubmitted(_propertyId, msg.sender, recordIndex, _reportHash, _checklist, _expiresAt);
+        
+        // The latest inspection decides when the verification expires
+        _markVerified(_propertyId, _expiresAt);
+    }
+    
+    /**
+     * @dev Mark a property verified until the given time, announcing it unless it was already valid
+     * @param _propertyId ID of the property
+     * @param _expiresAt When the verification expires
+     */
+    function _markVerified(uint256 _propertyId, uint256 _expiresAt) internal {
+        bool wasValid = isVerificationValid(_propertyId);
         
         _properties[_propertyId].verified = true;
+        _verificationExpiry[_propertyId] = _expiresAt;
+        delete _revocationReasons[_propertyId];
+        _reverificationRequested[_propertyId] = false;
+        
+        if (!wasValid) {
+            emit PropertyVerified(_propertyId, msg.sender);
+        }
+    }
+    
+    /**
+     * @dev Revoke a property's verification, e.g. when fraud is found (only authorized verifiers)
+     * @param _propertyId ID of the property
+     * @param _reason Why the verification was revoked
+     */
+    function revokeVerification(uint256 _propertyId, string calldata _reason) external override onlyVerifier {
+        require(_propertyId > 0 && _propertyId <= _propertyIdCounter.current(), "Property does not exist");
+        require(_properties[_propertyId].verified, "Property not verified");
+        require(bytes(_reason).length > 0, "Reason required");
+        
+        _properties[_propertyId].verified = false;
+        _verificationExpiry[_propertyId] = 0;
+        _revocationReasons[_propertyId] = _reason;
+        
+        // A revoked property can't stay on the market
+        if (_properties[_propertyId].forSale) {
+            _properties[_propertyId].forSale = false;
+            _removeFromSale(_propertyId);
+            emit PropertyUnlisted(_propertyId);
+        }
+        
+        emit VerificationRevoked(_propertyId, msg.sender, _reason);
+    }
+    
+    /**
+     * @dev Ask verifiers to inspect a property again (only the property owner)
+     * @param _propertyId ID of the property
+     */
+    function requestReverification(uint256 _propertyId) external override onlyPropertyOwner(_propertyId) {
+        require(!_reverificationRequested[_propertyId], "Re-verification already requested");
+        
+        _reverificationRequested[_propertyId] = true;
         
-        emit PropertyVerified(_propertyId, msg.sender);
+        emit ReverificationRequested(_propertyId, msg.sender);
+    }
+    
+    /**
+     * @dev Check whether a property has a verification that is neither expired nor revoked
+     * @param _propertyId ID of the property
+     * @return Whether the verification is currently valid
+     */
+    function isVerificationValid(uint256 _propertyId) public view override returns (bool) {
+        return _properties[_propertyId].verified && block.timestamp < _verificationExpiry[_propertyId];
+    }
+    
+    /**
+     * @dev Get where a property's verification stands
+     * @param _propertyId ID of the property
+     * @return status Current verification status
+     * @return expiresAt When the current verification expires (0 if there is none)
+     * @return reverificationRequested Whether the owner has asked for a new inspection
+     */
+    function getVerificationStatus(uint256 _propertyId)
+        external
+        view
+        override
+        returns (VerificationStatus status, uint256 expiresAt, bool reverificationRequested)
+    {
+        require(_propertyId <= _propertyIdCounter.current(), "Property does not exist");
+        
+        expiresAt = _verificationExpiry[_propertyId];
+        reverificationRequested = _reverificationRequested[_propertyId];
+        
+        if (bytes(_revocationReasons[_propertyId]).length > 0) {
+            status = VerificationStatus.Revoked;
+        } else if (!_properties[_propertyId].verified) {
+            status = VerificationStatus.Unverified;
+        } else if (block.timestamp < expiresAt) {
+            status = VerificationStatus.Valid;
+        } else {
+            status = VerificationStatus.Expired;
+        }
     }
     
     /**
@@ -141,6 +328,7 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
      */
     function listPropertyForSale(uint256 _propertyId, uint256 _price) external override onlyPropertyOwner(_propertyId) {
         require(!_properties[_propertyId].forSale, "Property already for sale");
+        require(isVerificationValid(_propertyId), "Property not verified");
         
         _properties[_propertyId].forSale = true;
         _properties[_propertyId].price = _price;
@@ -157,8 +345,16 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
         require(_properties[_propertyId].forSale, "Property not for sale");
         
         _properties[_propertyId].forSale = false;
+        _removeFromSale(_propertyId);
         
-        // Remove from properties for sale array
+        emit PropertyUnlisted(_propertyId);
+    }
+    
+    /**
+     * @dev Remove a property from the properties for sale array
+     * @param _propertyId ID of the property
+     */
+    function _removeFromSale(uint256 _propertyId) internal {
         for (uint256 i = 0; i < _propertiesForSale.length; i++) {
             if (_propertiesForSale[i] == _propertyId) {
                 _propertiesForSale[i] = _propertiesForSale[_propertiesForSale.length - 1];
@@ -166,8 +362,6 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
                 break;
             }
         }
-        
-        emit PropertyUnlisted(_propertyId);
     }
     
     /**
@@ -191,30 +385,36 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
         // Add to new owner's properties
         _ownerProperties[_newOwner].push(_propertyId);
         
+        // Remove from properties for sale if it was for sale
+        if (_properties[_propertyId].forSale) {
+            _removeFromSale(_propertyId);
+        }
+        
         // Update property owner
         _properties[_propertyId].owner = _newOwner;
         _properties[_propertyId].forSale = false;
         
-        // Remove from properties for sale if it was for sale
-        if (_properties[_propertyId].forSale) {
-            for (uint256 i = 0; i < _propertiesForSale.length; i++) {
-                if (_propertiesForSale[i] == _propertyId) {
-                    _propertiesForSale[i] = _propertiesForSale[_propertiesForSale.length - 1];
-                    _propertiesForSale.pop();
-                    break;
-                }
-            }
+        // Move the token too, unless the token contract initiated this transfer
+        if (
+            _propertyTokenContract != address(0) &&
+            msg.sender != _propertyTokenContract &&
+            IPropertyToken(_propertyTokenContract).isPropertyTokenized(_propertyId)
+        ) {
+            IPropertyToken(_propertyTokenContract).transferByRegistry(_propertyId, _newOwner);
         }
+        
+        emit PropertyTransferred(_propertyId, currentOwner, _newOwner);
     }
     
     /**
-     * @dev Transfer property ownership (only called by PropertyTransactions contract)
+     * @dev Transfer property ownership (only called by PropertyToken, PropertyTransactions or a transfer agent)
      * @param _propertyId ID of the property
      * @param _newOwner Address of the new owner
      */
-    function transferProperty(uint256 _propertyId, address _newOwner) external {
-        // In a real implementation, we would add access control to ensure only the
-        // PropertyTransactions contract can call this function
+    function transferProperty(uint256 _propertyId, address _newOwner) external override onlyTransferAgent {
+        require(_propertyId > 0 && _propertyId <= _propertyIdCounter.current(), "Property does not exist");
+        require(_newOwner != address(0), "Invalid new owner");
+        
         _transferProperty(_propertyId, _newOwner);
     }
     
@@ -228,6 +428,16 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
         return _properties[_propertyId];
     }
     
+    /**
+     * @dev Get every inspection report recorded for a property, oldest first
+     * @param _propertyId ID of the property
+     * @return Array of verification records
+     */
+    function getVerificationHistory(uint256 _propertyId) external view override returns (VerificationRecord[] memory) {
+        require(_propertyId <= _propertyIdCounter.current(), "Property does not exist");
+        return _verificationHistory[_propertyId];
+    }
+    
     /**
      * @dev Get all properties owned by an address
      * @param _owner Address of the owner
@@ -238,10 +448,25 @@ contract PropertyRegistry is IPropertyRegistry, Ownable {
     }
     
     /**
-     * @dev Get all properties for sale
+     * @dev Get all properties for sale. Listings whose verification has expired are left out
+     * until the property is verified again, since they can't be bought meanwhile.
      * @return Array of property IDs
      */
     function getPropertiesForSale() external view override returns (uint256[] memory) {
-        return _propertiesForSale;
+        uint256 count = 0;
+        for (uint256 i = 0; i < _propertiesForSale.length; i++) {
+            if (isVerificationValid(_propertiesForSale[i])) {
+                count++;
+            }
+        }
+        
+        uint256[] memory propertyIds = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; i < _propertiesForSale.length; i++) {
+            if (isVerificationValid(_propertiesForSale[i])) {
+                propertyIds[index++] = _propertiesForSale[i];
+            }
+        }
+        return propertyIds;
     }
 }
@@ -30,7 +30,7 @@ contract PropertyToken is IPropertyToken, ERC721URIStorage, Ownable {
      * @dev Constructor
      * @param propertyRegistryAddress Address of the PropertyRegistry contract
      */
-    constructor(address propertyRegistryAddress) ERC721("Real Estate Token", "RET") Ownable(msg.sender) {
+    constructor(address propertyRegistryAddress) ERC721("Real Estate Token", "RET") {
         _propertyRegistry = IPropertyRegistry(propertyRegistryAddress);
     }
     
@@ -43,6 +43,14 @@ contract PropertyToken is IPropertyToken, ERC721URIStorage, Ownable {
         _;
     }
     
+    /**
+     * @dev Modifier to check if the caller is the PropertyRegistry contract
+     */
+    modifier onlyRegistry() {
+        require(msg.sender == address(_propertyRegistry), "Caller is not the registry");
+        _;
+    }
+    
     /**
      * @dev Tokenize a property
      * @param _propertyId ID of the property to tokenize
@@ -57,9 +65,8 @@ contract PropertyToken is IPropertyToken, ERC721URIStorage, Ownable {
     {
         require(!isPropertyTokenized(_propertyId), "Property already tokenized");
         
-        // Get property details to verify it exists and is verified
-        IPropertyRegistry.Property memory property = _propertyRegistry.getProperty(_propertyId);
-        require(property.verified, "Property not verified");
+        // The verification must still be valid, not just have happened once
+        require(_propertyRegistry.isVerificationValid(_propertyId), "Property not verified");
         
         _tokenIdCounter.increment();
         uint256 tokenId = _tokenIdCounter.current();
@@ -95,16 +102,8 @@ contract PropertyToken is IPropertyToken, ERC721URIStorage, Ownable {
     function transferFrom(address from, address to, uint256 tokenId) public override(ERC721, IERC721) {
         super.transferFrom(from, to, tokenId);
         
-        // Update property ownership in the registry
-        uint256 propertyId = _tokenToProperty[tokenId];
-        
-        // In a real implementation, we would need to ensure the PropertyRegistry
-        // allows this contract to transfer properties
-        // For simplicity, we're assuming it does
-        
-        // Call the PropertyRegistry to transfer the property
-        // This would require the PropertyRegistry to have a function like:
-        // function transferProperty(uint256 _propertyId, address _newOwner) external;
+        // Registry ownership follows the token
+        _propertyRegistry.transferProperty(_tokenToProperty[tokenId], to);
         
         emit PropertyTokenTransferred(tokenId, from, to);
     }
@@ -118,15 +117,29 @@ contract PropertyToken is IPropertyToken, ERC721URIStorage, Ownable {
     {
         super.safeTransferFrom(from, to, tokenId, data);
         
-        // Update property ownership in the registry
-        uint256 propertyId = _tokenToProperty[tokenId];
-        
-        // In a real implementation, we would need to ensure the PropertyRegistry
-        // allows this contract to transfer properties
+        // Registry ownership follows the token
+        _propertyRegistry.transferProperty(_tokenToProperty[tokenId], to);
         
         emit PropertyTokenTransferred(tokenId, from, to);
     }
     
+    /**
+     * @dev Move a property's token to a new owner (only called by PropertyRegistry)
+     * @param _propertyId ID of the property
+     * @param _to Address of the new owner
+     */
+    function transferByRegistry(uint256 _propertyId, address _to) external override onlyRegistry {
+        require(isPropertyTokenized(_propertyId), "Property not tokenized");
+        
+        uint256 tokenId = _propertyToToken[_propertyId];
+        address from = ownerOf(tokenId);
+        
+        // The registry has already updated its records, so skip the registry callback
+        _transfer(from, _to, tokenId);
+        
+        emit PropertyTokenTransferred(tokenId, from, _to);
+    }
+    
     /**
      * @dev Get token details
      * @param _tokenId ID of the token
@@ -1,9 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "../access/PlatformRoles.sol";
 import "../interfaces/IPropertyTransactions.sol";
 import "../interfaces/IPropertyRegistry.sol";
 import "../interfaces/IPropertyToken.sol";
@@ -12,7 +12,7 @@ import "../interfaces/IPropertyToken.sol";
  * @title PropertyTransactions
  * @dev Implementation of property transactions
  */
-contract PropertyTransactions is IPropertyTransactions, Ownable, ReentrancyGuard {
+contract PropertyTransactions is IPropertyTransactions, PlatformRoles, ReentrancyGuard {
     using Counters for Counters.Counter;
     
     // Counter for transaction IDs
@@ -50,7 +50,7 @@ contract PropertyTransactions is IPropertyTransactions, Ownable, ReentrancyGuard
     constructor(
         address propertyRegistryAddress,
         address propertyTokenAddress
-    ) Ownable(msg.sender) {
+    ) {
         _propertyRegistry = IPropertyRegistry(propertyRegistryAddress);
         _propertyToken = IPropertyToken(propertyTokenAddress);
     }
@@ -85,6 +85,9 @@ contract PropertyTransactions is IPropertyTransactions, Ownable, ReentrancyGuard
         // Check if property exists and is for sale
         require(property.forSale, "Property not for sale");
         
+        // A listing whose verification has lapsed can't be bought
+        require(_propertyRegistry.isVerificationValid(_propertyId), "Property not verified");
+        
         // Check if buyer is not the owner
         require(property.owner != msg.sender, "Cannot buy your own property");
         
@@ -169,9 +172,9 @@ contract PropertyTransactions is IPropertyTransactions, Ownable, ReentrancyGuard
         require(_transactionId <= _transactionIdCounter.current(), "Transaction does not exist");
         require(!_transactions[_transactionId].completed, "Transaction already completed");
         
-        // Only owner of the contract can complete transactions
+        // Only an admin can complete transactions
         // In a real system, this might be more complex with multi-sig or oracles
-        require(msg.sender == owner(), "Only contract owner can complete transactions");
+        require(hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Only an admin can complete transactions");
         
         Transaction storage transaction = _transactions[_transactionId];
         uint256 propertyId = transaction.propertyId;
@@ -179,20 +182,12 @@ contract PropertyTransactions is IPropertyTransactions, Ownable, ReentrancyGuard
         address buyer = transaction.buyer;
         uint256 price = transaction.price;
         
-        // Check if property is tokenized
-        bool isTokenized = _propertyToken.isPropertyTokenized(propertyId);
+        // Seller must still own the property
+        IPropertyRegistry.Property memory property = _propertyRegistry.getProperty(propertyId);
+        require(property.owner == seller, "Seller no longer owns the property");
         
-        // Transfer property ownership
-        if (isTokenized) {
-            // If tokenized, transfer the token
-            uint256 tokenId = _propertyToken.getTokenIdByProperty(propertyId);
-            // This would require the seller to have approved this contract to transfer the token
-            // In a real implementation, we would need to handle this approval process
-        } else {
-            // If not tokenized, transfer the property directly
-            // This would require the PropertyRegistry to allow this contract to transfer properties
-            // For simplicity, we're assuming it does
-        }
+        // Transfer registry ownership (the registry also moves the token if tokenized)
+        _propertyRegistry.transferProperty(propertyId, buyer);
         
         // Transfer funds to seller
         uint256 escrowAmount = _escrowAmounts[_transactionId];
@@ -7,13 +7,19 @@ import TransactionCard from './components/TransactionCard';
 import {
   getPropertiesForSale,
   getMyProperties,
+  getProperty,
   registerProperty,
   tokenizeProperty,
+  getPropertyToken,
+  updateTokenMetadata,
+  requestReverification,
   createTransaction,
   getMyTransactionsAsBuyer,
   getMyTransactionsAsSeller,
   getTransaction
 } from './utils/blockchain';
+import { uploadPropertyMetadata, isPropertyMetadataCurrent } from './utils/ipfs';
+import { IPFS_CONFIG } from './utils/constants';
 
 function App() {
   const [walletInfo, setWalletInfo] = useState({});
@@ -39,7 +45,7 @@ function App() {
         setProperties(propertiesData);
       } else if (activeTab === 'my-properties') {
         const myPropertiesData = await getMyProperties(walletInfo.signer);
-        setMyProperties(myPropertiesData);
+        setMyProperties(await Promise.all(myPropertiesData.map(withTokenStatus)));
       } else if (activeTab === 'transactions') {
         const buyerTransactions = await getMyTransactionsAsBuyer(walletInfo.signer);
         const sellerTransactions = await getMyTransactionsAsSeller(walletInfo.signer);
@@ -58,6 +64,17 @@ function App() {
     }
   };
 
+  // Attach the property's token and whether its metadata still matches the registry
+  const withTokenStatus = async (property) => {
+    const token = await getPropertyToken(walletInfo.signer, property.id);
+    if (!token.tokenized) {
+      return property;
+    }
+
+    const metadataCurrent = await isPropertyMetadataCurrent(token.metadataURI, property);
+    return { ...property, token: { ...token, metadataCurrent } };
+  };
+
   const handleRegisterProperty = async (propertyData) => {
     setLoading(true);
     setError('');
@@ -90,8 +107,8 @@ function App() {
     setLoading(true);
     setError('');
     try {
-      // For simplicity, we're using a placeholder metadata URI
-      const metadataURI = `ipfs://property-metadata-${propertyId}`;
+      const property = await getProperty(walletInfo.signer, propertyId);
+      const metadataURI = await uploadPropertyMetadata(property, IPFS_CONFIG.PINATA_API_KEY, IPFS_CONFIG.PINATA_SECRET_KEY);
       await tokenizeProperty(walletInfo.signer, propertyId, metadataURI);
       await loadData();
     } catch (error) {
@@ -102,6 +119,37 @@ function App() {
     }
   };
 
+  // Re-pin the token metadata from current registry data (verification changes, expiry)
+  const handleSyncTokenMetadata = async (propertyId, tokenId) => {
+    setLoading(true);
+    setError('');
+    try {
+      const property = await getProperty(walletInfo.signer, propertyId);
+      const metadataURI = await uploadPropertyMetadata(property, IPFS_CONFIG.PINATA_API_KEY, IPFS_CONFIG.PINATA_SECRET_KEY);
+      await updateTokenMetadata(walletInfo.signer, tokenId, metadataURI);
+      await loadData();
+    } catch (error) {
+      console.error('Error updating token metadata:', error);
+      setError('Failed to update token metadata. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRequestReverification = async (propertyId) => {
+    setLoading(true);
+    setError('');
+    try {
+      await requestReverification(walletInfo.signer, propertyId);
+      await loadData();
+    } catch (error) {
+      console.error('Error requesting re-verification:', error);
+      setError('Failed to request re-verification. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleUpdateTransactionStatus = async (transactionId, status) => {
     setLoading(true);
     setError('');
@@ -215,6 +263,8 @@ function App() {
                     <PropertyCard
                       property={property}
                       onTokenize={handleTokenizeProperty}
+                      onSyncTokenMetadata={handleSyncTokenMetadata}
+                      onRequestReverification={handleRequestReverification}
                       isOwner={true}
                     />
                   </div>
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { formatAddress, isValidAddress, handleTransactionError } from '../utils/helpers';
+import { ROLES, ROLE_LABELS, SUCCESS_MESSAGES } from '../utils/constants';
+import { getRoleHolders, grantContractRole, revokeContractRole } from '../utils/blockchain';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+const EMPTY_GRANT = { contractKey: '', role: '', account: '' };
+
+const AdminConsole = ({ signer, userAddress }) => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState('');
+
+  const [contracts, setContracts] = useState([]);
+  const [grantForm, setGrantForm] = useState(EMPTY_GRANT);
+
+  useEffect(() => {
+    loadRoles();
+  }, [signer, userAddress]);
+
+  const loadRoles = async () => {
+    if (!signer) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      setContracts(await getRoleHolders(signer));
+    } catch (error) {
+      console.error('Error loading role holders:', error);
+      setError('Failed to load role holders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a transaction, then reload everything
+  const runAction = async (key, action, successMessage) => {
+    try {
+      setBusy(key);
+      setError('');
+
+      await action();
+      await loadRoles();
+      alert(successMessage);
+    } catch (error) {
+      console.error('Role transaction failed:', error);
+      setError(handleTransactionError(error));
+      throw error;
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleGrant = (e) => {
+    e.preventDefault();
+    const { contractKey, role, account } = grantForm;
+
+    runAction('grant', () => grantContractRole(signer, contractKey, role, account), SUCCESS_MESSAGES.ROLE_GRANTED)
+      .then(() => setGrantForm(EMPTY_GRANT))
+      .catch(() => {});
+  };
+
+  const handleRevoke = (contract, role, account) => {
+    const isSelf = account.toLowerCase() === userAddress?.toLowerCase();
+    const warning = isSelf && role === ROLES.ADMIN
+      ? ' You will no longer be able to manage roles on this contract.'
+      : '';
+    if (!window.confirm(`Revoke ${ROLE_LABELS[role]} from ${account} on ${contract.name}?${warning}`)) return;
+
+    runAction(
+      `${contract.key}-${role}-${account}`,
+      () => revokeContractRole(signer, contract.key, role, account),
+      SUCCESS_MESSAGES.ROLE_REVOKED
+    ).catch(() => {});
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading roles..." />;
+  }
+
+  const editableContracts = contracts.filter(contract => contract.canEdit);
+  const selectedContract = contracts.find(contract => contract.key === grantForm.contractKey);
+  const validAccount = isValidAddress(grantForm.account);
+
+  const renderGrantForm = () => (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h5 className="mb-0">Grant a Role</h5>
+      </div>
+      <div className="card-body">
+        {editableContracts.length === 0 ? (
+          <p className="text-muted mb-0">
+            Your account is not an admin on any platform contract. Ask an admin to grant you the admin role.
+          </p>
+        ) : (
+          <form onSubmit={handleGrant}>
+            <div className="row g-2 align-items-end">
+              <div className="col-md-3">
+                <label className="form-label">Contract</label>
+                <select
+                  className="form-select"
+                  value={grantForm.contractKey}
+                  onChange={(e) => setGrantForm(prev => ({ ...prev, contractKey: e.target.value, role: '' }))}
+                  required
+                >
+                  <option value="">Select contract</option>
+                  {editableContracts.map(contract => (
+                    <option key={contract.key} value={contract.key}>{contract.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Role</label>
+                <select
+                  className="form-select"
+                  value={grantForm.role}
+                  onChange={(e) => setGrantForm(prev => ({ ...prev, role: e.target.value }))}
+                  disabled={!selectedContract}
+                  required
+                >
+                  <option value="">Select role</option>
+                  {selectedContract?.roles.map(role => (
+                    <option key={role.name} value={role.name}>{ROLE_LABELS[role.name]}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-4">
+                <label className="form-label">Account</label>
+                <input
+                  type="text"
+                  className={`form-control ${grantForm.account && !validAccount ? 'is-invalid' : ''}`}
+                  placeholder="0x..."
+                  value={grantForm.account}
+                  onChange={(e) => setGrantForm(prev => ({ ...prev, account: e.target.value.trim() }))}
+                  required
+                />
+              </div>
+              <div className="col-md-2">
+                <button
+                  type="submit"
+                  className="btn btn-primary w-100"
+                  disabled={busy === 'grant' || !grantForm.role || !validAccount}
+                >
+                  {busy === 'grant' ? 'Granting...' : 'Grant'}
+                </button>
+              </div>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderContract = (contract) => (
+    <div className="card mb-3" key={contract.key}>
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h6 className="mb-0">{contract.name}</h6>
+        <small className="text-muted" title={contract.address}>{formatAddress(contract.address)}</small>
+      </div>
+      <div className="card-body p-0">
+        <table className="table table-sm mb-0">
+          <tbody>
+            {contract.roles.map(role => (
+              <tr key={role.name}>
+                <td className="ps-3 text-nowrap" style={{ width: '20%' }}>{ROLE_LABELS[role.name]}</td>
+                <td>
+                  {role.holders.length === 0 ? (
+                    <span className="text-muted">No holders</span>
+                  ) : (
+                    role.holders.map(account => (
+                      <span key={account} className="badge bg-light text-dark border me-2 mb-1">
+                        <span title={account}>{formatAddress(account)}</span>
+                        {account.toLowerCase() === userAddress?.toLowerCase() && ' (you)'}
+                        {contract.canEdit && (
+                          <button
+                            type="button"
+                            className="btn-close ms-2"
+                            style={{ fontSize: '0.6rem' }}
+                            aria-label="Revoke"
+                            onClick={() => handleRevoke(contract, role.name, account)}
+                            disabled={busy === `${contract.key}-${role.name}-${account}`}
+                          />
+                        )}
+                      </span>
+                    ))
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="container-fluid">
+      <div className="row mb-4">
+        <div className="col-12">
+          <h2>
+            <i className="bi bi-person-gear me-2"></i>
+            Admin Console
+          </h2>
+          <p className="text-muted">See who holds each platform role and grant or revoke them</p>
+        </div>
+      </div>
+
+      {error && <ErrorMessage error={error} onRetry={loadRoles} />}
+
+      {renderGrantForm()}
+      {contracts.map(renderContract)}
+    </div>
+  );
+};
+
+export default AdminConsole;
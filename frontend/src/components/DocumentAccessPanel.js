@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { formatAddress, isValidAddress, handleTransactionError } from '../utils/helpers';
+import { IPFS_CONFIG, SUCCESS_MESSAGES } from '../utils/constants';
+import {
+  getDocumentAccess,
+  getDocumentKey,
+  getDocumentPublicKey,
+  grantDocumentAccess,
+  revokeDocumentAccess
+} from '../utils/blockchain';
+import { addEnvelopeRecipient, rotateEnvelope, unpinFromIPFS } from '../utils/ipfs';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+// Old envelopes and ciphertexts are no longer referenced once the new envelope is on-chain.
+// Unpinning is best-effort: gateways may still hold cached copies.
+const unpinStale = (hashes) => Promise.all(
+  hashes.map(hash => unpinFromIPFS(hash, IPFS_CONFIG.PINATA_API_KEY, IPFS_CONFIG.PINATA_SECRET_KEY))
+);
+
+// Readers of one encrypted document, looked up by the account that published it. The owner can
+// let buyers, inspectors or lenders read it and take that access away again.
+const DocumentAccessPanel = ({ signer, userAddress, owner, documentHash }) => {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState('');
+
+  const [access, setAccess] = useState(null);
+  const [reader, setReader] = useState('');
+
+  useEffect(() => {
+    loadAccess();
+  }, [signer, owner, documentHash]);
+
+  const loadAccess = async () => {
+    if (!signer) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      setAccess(await getDocumentAccess(signer, owner, documentHash));
+    } catch (error) {
+      console.error('Error loading document access:', error);
+      setError('Failed to load document access');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a transaction, then reload the reader list
+  const runAction = async (key, action, successMessage) => {
+    try {
+      setBusy(key);
+      setError('');
+
+      await action();
+      await loadAccess();
+      alert(successMessage);
+    } catch (error) {
+      console.error('Document access transaction failed:', error);
+      setError(handleTransactionError(error));
+      throw error;
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleGrant = (e) => {
+    e.preventDefault();
+
+    runAction('grant', async () => {
+      const publicKey = await getDocumentPublicKey(signer, reader);
+      if (!publicKey) {
+        throw new Error('This account has not set up a document key yet');
+      }
+
+      const envelopeHash = await addEnvelopeRecipient(
+        access.envelopeHash,
+        await getDocumentKey(signer),
+        publicKey,
+        IPFS_CONFIG.PINATA_API_KEY,
+        IPFS_CONFIG.PINATA_SECRET_KEY
+      );
+      await grantDocumentAccess(signer, documentHash, reader, envelopeHash);
+      await unpinStale([access.envelopeHash]);
+    }, SUCCESS_MESSAGES.DOCUMENT_ACCESS_GRANTED)
+      .then(() => setReader(''))
+      .catch(() => {});
+  };
+
+  const handleRevoke = (account) => {
+    if (!window.confirm(`Revoke access for ${account}? The document will be re-encrypted for the remaining readers.`)) return;
+
+    runAction(`revoke-${account}`, async () => {
+      const remaining = access.readers.filter(address => address.toLowerCase() !== account.toLowerCase());
+      const publicKeys = await Promise.all(remaining.map(address => getDocumentPublicKey(signer, address)));
+
+      const { envelopeHash, staleHashes } = await rotateEnvelope(
+        access.envelopeHash,
+        await getDocumentKey(signer),
+        publicKeys,
+        IPFS_CONFIG.PINATA_API_KEY,
+        IPFS_CONFIG.PINATA_SECRET_KEY
+      );
+      await revokeDocumentAccess(signer, documentHash, account, envelopeHash);
+      await unpinStale(staleHashes);
+    }, SUCCESS_MESSAGES.DOCUMENT_ACCESS_REVOKED).catch(() => {});
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading document access..." />;
+  }
+
+  if (!access?.published) {
+    return (
+      <p className="text-muted mb-0">
+        <small>This document has no access record on-chain.</small>
+      </p>
+    );
+  }
+
+  const isOwner = access.owner.toLowerCase() === userAddress?.toLowerCase();
+  const validReader = isValidAddress(reader);
+
+  return (
+    <div>
+      <h6 className="mb-2">
+        <i className="bi bi-people me-2"></i>
+        Read Access ({access.readers.length})
+      </h6>
+
+      {error && (
+        <ErrorMessage error={error} onRetry={loadAccess} />
+      )}
+
+      <ul className="list-group mb-3">
+        {access.readers.map(address => (
+          <li key={address} className="list-group-item d-flex justify-content-between align-items-center">
+            <span>
+              <code>{formatAddress(address)}</code>
+              {address === access.owner && (
+                <span className="badge bg-primary ms-2">Owner</span>
+              )}
+              {address.toLowerCase() === userAddress?.toLowerCase() && (
+                <span className="badge bg-secondary ms-2">You</span>
+              )}
+            </span>
+            {isOwner && address !== access.owner && (
+              <button
+                className="btn btn-outline-danger btn-sm"
+                onClick={() => handleRevoke(address)}
+                disabled={!!busy}
+              >
+                {busy === `revoke-${address}` ? 'Re-encrypting...' : 'Revoke'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isOwner && (
+        <form onSubmit={handleGrant}>
+          <div className="input-group input-group-sm">
+            <input
+              type="text"
+              className={`form-control ${reader && !validReader ? 'is-invalid' : ''}`}
+              placeholder="Buyer, inspector or lender address (0x...)"
+              value={reader}
+              onChange={(e) => setReader(e.target.value.trim())}
+              required
+            />
+            <button
+              type="submit"
+              className="btn btn-outline-primary"
+              disabled={!validReader || !!busy}
+            >
+              {busy === 'grant' ? 'Granting...' : 'Grant Access'}
+            </button>
+          </div>
+          <div className="form-text">
+            The reader must first set up a document key from the Legal Compliance page.
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default DocumentAccessPanel;
@@ -1,17 +1,22 @@
 import React, { useState, useCallback } from 'react';
-import { uploadToIPFS, isValidIPFSHash } from '../utils/ipfs';
-import { APP_CONFIG } from '../utils/constants';
+import { uploadToIPFS, uploadEncryptedToIPFS, isValidIPFSHash } from '../utils/ipfs';
+import { registerDocumentKey, publishDocument } from '../utils/blockchain';
+import { APP_CONFIG, IPFS_CONFIG } from '../utils/constants';
 import { isSupportedFileType } from '../utils/helpers';
+import DocumentAccessPanel from './DocumentAccessPanel';
 
-const DocumentUpload = ({ onDocumentsChange, initialDocuments = [] }) => {
+const PROGRESS_LABELS = {
+  verifying: 'Verifying CID...',
+  publishing: 'Recording access on-chain...'
+};
+
+const DocumentUpload = ({ signer, userAddress, onDocumentsChange, initialDocuments = [] }) => {
   const [documents, setDocuments] = useState(initialDocuments);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState({});
   const [errors, setErrors] = useState({});
-
-  // Mock API keys for demo (in production, these should come from environment or user settings)
-  const PINATA_API_KEY = process.env.REACT_APP_PINATA_API_KEY || 'demo_key';
-  const PINATA_SECRET_KEY = process.env.REACT_APP_PINATA_SECRET_KEY || 'demo_secret';
+  const [encrypt, setEncrypt] = useState(true);
+  const [accessDocumentId, setAccessDocumentId] = useState(null);
 
   const handleFileSelect = useCallback(async (event) => {
     const files = Array.from(event.target.files);
@@ -25,6 +30,7 @@ const DocumentUpload = ({ onDocumentsChange, initialDocuments = [] }) => {
 
     setUploading(true);
     setErrors({});
+    const encryptUploads = encrypt && !!signer;
 
     for (const file of files) {
       try {
@@ -43,22 +49,39 @@ const DocumentUpload = ({ onDocumentsChange, initialDocuments = [] }) => {
           [file.name]: { status: 'uploading', progress: 0 }
         }));
 
-        // For demo purposes, we'll simulate IPFS upload
-        // In production, uncomment the line below and remove the simulation
-        // const ipfsHash = await uploadToIPFS(file, PINATA_API_KEY, PINATA_SECRET_KEY);
-        
-        // Simulate upload progress
-        for (let i = 0; i <= 100; i += 20) {
+        const onProgress = (progress) => setUploadProgress(prev => ({
+          ...prev,
+          [file.name]: { status: progress < 100 ? 'uploading' : 'verifying', progress }
+        }));
+
+        // Both upload paths reject if the returned CID doesn't match the bytes sent
+        let ipfsHash;
+        let envelopeHash = null;
+        if (encryptUploads) {
+          // Encrypted for the uploader only; more readers are added from the access panel
+          const documentKey = await registerDocumentKey(signer);
+          ({ documentHash: ipfsHash, envelopeHash } = await uploadEncryptedToIPFS(
+            file,
+            [documentKey.compressedPublicKey],
+            IPFS_CONFIG.PINATA_API_KEY,
+            IPFS_CONFIG.PINATA_SECRET_KEY,
+            onProgress
+          ));
+
           setUploadProgress(prev => ({
             ...prev,
-            [file.name]: { status: 'uploading', progress: i }
+            [file.name]: { status: 'publishing', progress: 100 }
           }));
-          await new Promise(resolve => setTimeout(resolve, 200));
+          await publishDocument(signer, ipfsHash, envelopeHash);
+        } else {
+          ipfsHash = await uploadToIPFS(
+            file,
+            IPFS_CONFIG.PINATA_API_KEY,
+            IPFS_CONFIG.PINATA_SECRET_KEY,
+            onProgress
+          );
         }
 
-        // Generate mock IPFS hash for demo
-        const ipfsHash = `Qm${Math.random().toString(36).substr(2, 44)}`;
-
         const newDocument = {
           id: Date.now() + Math.random(),
           name: file.name,
@@ -66,7 +89,11 @@ const DocumentUpload = ({ onDocumentsChange, initialDocuments = [] }) => {
           size: file.size,
           ipfsHash,
           url: `ipfs://${ipfsHash}`,
-          uploadedAt: new Date().toISOString()
+          uploadedAt: new Date().toISOString(),
+          verified: true,
+          encrypted: encryptUploads,
+          envelopeHash,
+          uploadedBy: userAddress
         };
 
         setDocuments(prev => {
@@ -103,7 +130,7 @@ const DocumentUpload = ({ onDocumentsChange, initialDocuments = [] }) => {
 
     // Clear file input
     event.target.value = '';
-  }, [documents, onDocumentsChange]);
+  }, [documents, onDocumentsChange, encrypt, signer, userAddress]);
 
   const handleRemoveDocument = (documentId) => {
     const updated = documents.filter(doc => doc.id !== documentId);
@@ -181,6 +208,24 @@ const DocumentUpload = ({ onDocumentsChange, initialDocuments = [] }) => {
             Max size: {APP_CONFIG.MAX_FILE_SIZE / (1024 * 1024)}MB per file.
             Max {APP_CONFIG.MAX_DOCUMENTS_PER_PROPERTY} documents total.
           </div>
+          <div className="form-check mt-2">
+            <input
+              type="checkbox"
+              className="form-check-input"
+              id="encryptDocuments"
+              checked={encrypt && !!signer}
+              onChange={(e) => setEncrypt(e.target.checked)}
+              disabled={uploading || !signer}
+            />
+            <label className="form-check-label" htmlFor="encryptDocuments">
+              Encrypt before uploading
+            </label>
+            <div className="form-text">
+              {signer
+                ? 'Deeds, IDs and reports are encrypted in your browser; only wallets you grant access can read them.'
+                : 'Connect your wallet to encrypt documents. Unencrypted uploads are public on IPFS.'}
+            </div>
+          </div>
         </div>
 
         {/* Manual URL Input */}
@@ -204,7 +249,7 @@ const DocumentUpload = ({ onDocumentsChange, initialDocuments = [] }) => {
               <div key={fileName} className="mb-2">
                 <div className="d-flex justify-content-between">
                   <small>{fileName}</small>
-                  <small>{progress.progress}%</small>
+                  <small>{PROGRESS_LABELS[progress.status] || `${progress.progress}%`}</small>
                 </div>
                 <div className="progress" style={{ height: '4px' }}>
                   <div
@@ -246,6 +291,15 @@ const DocumentUpload = ({ onDocumentsChange, initialDocuments = [] }) => {
                         {doc.manual && (
                           <span className="badge bg-secondary ms-2">Manual</span>
                         )}
+                        {doc.verified && (
+                          <span className="badge bg-success ms-2" title="The CID matches the uploaded file">CID Verified</span>
+                        )}
+                        {doc.encrypted && (
+                          <span className="badge bg-dark ms-2" title="Only wallets with access can decrypt this file">
+                            <i className="bi bi-lock-fill me-1"></i>
+                            Encrypted
+                          </span>
+                        )}
                       </h6>
                       <p className="mb-1">
                         <small className="text-muted">
@@ -268,7 +322,16 @@ const DocumentUpload = ({ onDocumentsChange, initialDocuments = [] }) => {
                         </small>
                       </p>
                     </div>
-                    <div className="ms-3">
+                    <div className="ms-3 text-nowrap">
+                      {doc.encrypted && (
+                        <button
+                          className="btn btn-outline-secondary btn-sm me-2"
+                          onClick={() => setAccessDocumentId(accessDocumentId === doc.id ? null : doc.id)}
+                          title="Manage read access"
+                        >
+                          <i className="bi bi-people"></i>
+                        </button>
+                      )}
                       <button
                         className="btn btn-outline-danger btn-sm"
                         onClick={() => handleRemoveDocument(doc.id)}
@@ -278,6 +341,16 @@ const DocumentUpload = ({ onDocumentsChange, initialDocuments = [] }) => {
                       </button>
                     </div>
                   </div>
+                  {doc.encrypted && accessDocumentId === doc.id && (
+                    <div className="border-top pt-3 mt-3">
+                      <DocumentAccessPanel
+                        signer={signer}
+                        userAddress={userAddress}
+                        owner={doc.uploadedBy}
+                        documentHash={doc.ipfsHash}
+                      />
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -1,9 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { formatAddress, timeAgo } from '../utils/helpers';
+import { formatAddress, timeAgo, handleTransactionError } from '../utils/helpers';
+import { IPFS_CONFIG, SUCCESS_MESSAGES } from '../utils/constants';
+import { uploadToIPFS, uploadEncryptedToIPFS, getFromIPFS } from '../utils/ipfs';
+import {
+  registerDocumentKey,
+  getDocumentKey,
+  getDocumentPublicKey,
+  publishDocument,
+  getDocumentAccess
+} from '../utils/blockchain';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
+import DocumentAccessPanel from './DocumentAccessPanel';
 
-const LegalCompliance = ({ userAddress, properties = [] }) => {
+const LegalCompliance = ({ signer, userAddress, properties = [] }) => {
   const [complianceData, setComplianceData] = useState([]);
   const [documents, setDocuments] = useState([]);
   const [regulations, setRegulations] = useState([]);
@@ -12,6 +22,10 @@ const LegalCompliance = ({ userAddress, properties = [] }) => {
   const [activeTab, setActiveTab] = useState('overview');
   const [showUploadForm, setShowUploadForm] = useState(false);
   const [uploading, setUploading] = useState(false);
+  const [openingDocumentId, setOpeningDocumentId] = useState(null);
+  const [accessDocumentId, setAccessDocumentId] = useState(null);
+  const [hasDocumentKey, setHasDocumentKey] = useState(false);
+  const [settingUpKey, setSettingUpKey] = useState(false);
 
   const [newDocument, setNewDocument] = useState({
     propertyId: '',
@@ -19,13 +33,21 @@ const LegalCompliance = ({ userAddress, properties = [] }) => {
     title: '',
     description: '',
     expiryDate: '',
-    file: null
+    file: null,
+    encrypt: true
   });
 
   useEffect(() => {
     loadComplianceData();
   }, [userAddress]);
 
+  useEffect(() => {
+    if (!signer || !userAddress) return;
+    getDocumentPublicKey(signer, userAddress)
+      .then(publicKey => setHasDocumentKey(!!publicKey))
+      .catch(() => setHasDocumentKey(false));
+  }, [signer, userAddress]);
+
   const loadComplianceData = async () => {
     try {
       setLoading(true);
@@ -167,8 +189,28 @@ const LegalCompliance = ({ userAddress, properties = [] }) => {
         throw new Error('Please fill in all required fields and select a file');
       }
 
-      // Simulate IPFS upload
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      const encrypt = newDocument.encrypt && !!signer;
+      let ipfsHash;
+      if (encrypt) {
+        // Only the uploader can read it until access is granted from the document card
+        const documentKey = await registerDocumentKey(signer);
+        setHasDocumentKey(true);
+
+        const { documentHash, envelopeHash } = await uploadEncryptedToIPFS(
+          newDocument.file,
+          [documentKey.compressedPublicKey],
+          IPFS_CONFIG.PINATA_API_KEY,
+          IPFS_CONFIG.PINATA_SECRET_KEY
+        );
+        await publishDocument(signer, documentHash, envelopeHash);
+        ipfsHash = documentHash;
+      } else {
+        ipfsHash = await uploadToIPFS(
+          newDocument.file,
+          IPFS_CONFIG.PINATA_API_KEY,
+          IPFS_CONFIG.PINATA_SECRET_KEY
+        );
+      }
 
       const document = {
         id: Date.now().toString(),
@@ -180,7 +222,9 @@ const LegalCompliance = ({ userAddress, properties = [] }) => {
         uploadedAt: new Date(),
         expiryDate: newDocument.expiryDate ? new Date(newDocument.expiryDate) : null,
         status: 'valid',
-        ipfsHash: `Qm${Math.random().toString(36).substr(2, 44)}`,
+        ipfsHash,
+        fileName: newDocument.file.name,
+        encrypted: encrypt,
         uploadedBy: userAddress,
         verified: false
       };
@@ -193,19 +237,68 @@ const LegalCompliance = ({ userAddress, properties = [] }) => {
         title: '',
         description: '',
         expiryDate: '',
-        file: null
+        file: null,
+        encrypt: true
       });
 
-      alert('Document uploaded successfully!');
+      alert(encrypt ? SUCCESS_MESSAGES.DOCUMENT_UPLOADED : 'Document uploaded successfully!');
       
     } catch (error) {
       console.error('Error uploading document:', error);
-      setError(error.message || 'Failed to upload document');
+      setError(handleTransactionError(error) || 'Failed to upload document');
     } finally {
       setUploading(false);
     }
   };
 
+  // Register this wallet's document key so owners can share encrypted documents with it
+  const handleSetUpDocumentKey = async () => {
+    try {
+      setSettingUpKey(true);
+      setError('');
+      await registerDocumentKey(signer);
+      setHasDocumentKey(true);
+    } catch (error) {
+      console.error('Error setting up document key:', error);
+      setError(handleTransactionError(error));
+    } finally {
+      setSettingUpKey(false);
+    }
+  };
+
+  // Fetch a document, decrypting it with this wallet's document key if it is encrypted
+  const handleOpenDocument = async (doc, download = false) => {
+    try {
+      setOpeningDocumentId(doc.id);
+      setError('');
+
+      let response;
+      if (doc.encrypted) {
+        const { envelopeHash } = await getDocumentAccess(signer, doc.uploadedBy, doc.ipfsHash);
+        response = await getFromIPFS(doc.ipfsHash, { envelopeHash, documentKey: await getDocumentKey(signer) });
+      } else {
+        response = await getFromIPFS(doc.ipfsHash);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      if (download) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = doc.fileName || doc.title;
+        link.click();
+      } else {
+        window.open(url, '_blank');
+      }
+      // Give the new tab time to load before releasing the decrypted copy
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error('Error opening document:', error);
+      setError(handleTransactionError(error));
+    } finally {
+      setOpeningDocumentId(null);
+    }
+  };
+
   const getComplianceScoreColor = (score) => {
     if (score >= 90) return 'success';
     if (score >= 70) return 'warning';
@@ -304,6 +397,9 @@ const LegalCompliance = ({ userAddress, properties = [] }) => {
                 {document.verified && (
                   <i className="bi bi-patch-check-fill text-primary ms-2"></i>
                 )}
+                {document.encrypted && (
+                  <i className="bi bi-lock-fill text-secondary ms-2" title="Encrypted; only wallets with access can read it"></i>
+                )}
               </h6>
               <p className="card-text">
                 <small className="text-muted">{document.propertyLocation}</small>
@@ -339,17 +435,44 @@ const LegalCompliance = ({ userAddress, properties = [] }) => {
                 </p>
               )}
             </div>
-            <div className="text-end">
-              <button className="btn btn-outline-primary btn-sm me-2">
+            <div className="text-end text-nowrap">
+              <button
+                className="btn btn-outline-primary btn-sm me-2"
+                onClick={() => handleOpenDocument(document)}
+                disabled={openingDocumentId === document.id || (document.encrypted && !signer)}
+              >
                 <i className="bi bi-eye me-1"></i>
-                View
+                {openingDocumentId === document.id && document.encrypted ? 'Decrypting...' : 'View'}
               </button>
-              <button className="btn btn-outline-secondary btn-sm">
+              <button
+                className="btn btn-outline-secondary btn-sm"
+                onClick={() => handleOpenDocument(document, true)}
+                disabled={openingDocumentId === document.id || (document.encrypted && !signer)}
+              >
                 <i className="bi bi-download me-1"></i>
                 Download
               </button>
+              {document.encrypted && (
+                <button
+                  className="btn btn-outline-secondary btn-sm ms-2"
+                  onClick={() => setAccessDocumentId(accessDocumentId === document.id ? null : document.id)}
+                >
+                  <i className="bi bi-people me-1"></i>
+                  Access
+                </button>
+              )}
             </div>
           </div>
+          {document.encrypted && accessDocumentId === document.id && (
+            <div className="border-top pt-3 mt-3">
+              <DocumentAccessPanel
+                signer={signer}
+                userAddress={userAddress}
+                owner={document.uploadedBy}
+                documentHash={document.ipfsHash}
+              />
+            </div>
+          )}
         </div>
       </div>
     );
@@ -427,13 +550,26 @@ const LegalCompliance = ({ userAddress, properties = [] }) => {
               </h2>
               <p className="text-muted">Manage legal documents and regulatory compliance</p>
             </div>
-            <button
-              className="btn btn-success"
-              onClick={() => setShowUploadForm(true)}
-            >
-              <i className="bi bi-upload me-2"></i>
-              Upload Document
-            </button>
+            <div>
+              {signer && !hasDocumentKey && (
+                <button
+                  className="btn btn-outline-secondary me-2"
+                  onClick={handleSetUpDocumentKey}
+                  disabled={settingUpKey}
+                  title="Lets owners share encrypted documents with this wallet"
+                >
+                  <i className="bi bi-key me-2"></i>
+                  {settingUpKey ? 'Setting Up...' : 'Set Up Document Key'}
+                </button>
+              )}
+              <button
+                className="btn btn-success"
+                onClick={() => setShowUploadForm(true)}
+              >
+                <i className="bi bi-upload me-2"></i>
+                Upload Document
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -566,6 +702,24 @@ const LegalCompliance = ({ userAddress, properties = [] }) => {
                       Supported formats: PDF, DOC, DOCX, JPG, PNG (Max 10MB)
                     </div>
                   </div>
+                  <div className="form-check">
+                    <input
+                      type="checkbox"
+                      className="form-check-input"
+                      id="encrypt"
+                      checked={newDocument.encrypt && !!signer}
+                      onChange={(e) => setNewDocument(prev => ({ ...prev, encrypt: e.target.checked }))}
+                      disabled={!signer}
+                    />
+                    <label className="form-check-label" htmlFor="encrypt">
+                      Encrypt before uploading
+                    </label>
+                    <div className="form-text">
+                      {signer
+                        ? 'Encrypted in your browser. Grant buyers, inspectors or lenders access from the document card.'
+                        : 'Connect your wallet to encrypt. Unencrypted documents are public on IPFS.'}
+                    </div>
+                  </div>
                 </div>
                 <div className="modal-footer">
                   <button
@@ -1,6 +1,20 @@
 import React from 'react';
+import { VERIFICATION_STATUS, VERIFICATION_STATUS_LABELS } from '../utils/constants';
+
+const VERIFICATION_BADGES = {
+  [VERIFICATION_STATUS.UNVERIFIED]: 'bg-secondary',
+  [VERIFICATION_STATUS.VALID]: 'bg-success',
+  [VERIFICATION_STATUS.EXPIRED]: 'bg-warning text-dark',
+  [VERIFICATION_STATUS.REVOKED]: 'bg-danger'
+};
+
+const PropertyCard = ({ property, onBuy, onTokenize, onSyncTokenMetadata, onRequestReverification, isOwner }) => {
+  const status = property.verificationStatus ?? (property.verified ? VERIFICATION_STATUS.VALID : VERIFICATION_STATUS.UNVERIFIED);
+  const canRequestReverification = isOwner && onRequestReverification &&
+    status !== VERIFICATION_STATUS.VALID && !property.reverificationRequested;
+  const token = property.token;
+  const metadataOutdated = isOwner && onSyncTokenMetadata && token && !token.metadataCurrent;
 
-const PropertyCard = ({ property, onBuy, onTokenize, isOwner }) => {
   return (
     <div className="card mb-4">
       <div className="card-body">
@@ -10,8 +24,27 @@ const PropertyCard = ({ property, onBuy, onTokenize, isOwner }) => {
           <p><strong>Area:</strong> {property.area} sq meters</p>
           <p><strong>Price:</strong> {property.price} ETH</p>
           <p><strong>Status:</strong> {property.forSale ? 'For Sale' : 'Not For Sale'}</p>
-          <p><strong>Verified:</strong> {property.verified ? 'Yes' : 'No'}</p>
+          <p>
+            <strong>Verification:</strong>{' '}
+            <span className={`badge ${VERIFICATION_BADGES[status]}`}>{VERIFICATION_STATUS_LABELS[status]}</span>
+            {property.verificationExpiresAt && (
+              <small className="text-muted ms-2">
+                {status === VERIFICATION_STATUS.VALID ? 'until' : 'on'} {property.verificationExpiresAt.toLocaleDateString()}
+              </small>
+            )}
+            {property.reverificationRequested && (
+              <small className="text-muted d-block">Re-verification requested</small>
+            )}
+          </p>
           <p><strong>Owner:</strong> {property.owner.substring(0, 6)}...{property.owner.substring(property.owner.length - 4)}</p>
+          {token && (
+            <p>
+              <strong>NFT:</strong> <span className="badge bg-info text-dark">Token #{token.tokenId}</span>
+              {metadataOutdated && (
+                <small className="text-warning d-block">Registry data changed since the token metadata was pinned</small>
+              )}
+            </p>
+          )}
         </div>
         <div className="mt-3">
           {property.forSale && !isOwner && (
@@ -23,7 +56,7 @@ const PropertyCard = ({ property, onBuy, onTokenize, isOwner }) => {
               Buy Property
             </button>
           )}
-          {isOwner && !property.forSale && (
+          {isOwner && !property.forSale && !token && (
             <button 
               className="btn btn-success me-2" 
               onClick={() => onTokenize(property.id)}
@@ -32,6 +65,22 @@ const PropertyCard = ({ property, onBuy, onTokenize, isOwner }) => {
               Tokenize Property
             </button>
           )}
+          {metadataOutdated && (
+            <button
+              className="btn btn-outline-info me-2"
+              onClick={() => onSyncTokenMetadata(property.id, token.tokenId)}
+            >
+              Update NFT Metadata
+            </button>
+          )}
+          {canRequestReverification && (
+            <button
+              className="btn btn-outline-warning me-2"
+              onClick={() => onRequestReverification(property.id)}
+            >
+              Request Re-verification
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,881 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { formatEther, formatAddress, handleTransactionError } from '../utils/helpers';
+import {
+  LOAN_STATUS,
+  LOAN_STATUS_LABELS,
+  MORTGAGE_STATUS,
+  MORTGAGE_STATUS_LABELS,
+  SUCCESS_MESSAGES
+} from '../utils/constants';
+import {
+  calculateMonthlyPayment,
+  generateAmortizationSchedule,
+  monthlyRateFromBps
+} from '../utils/amortization.mjs';
+import {
+  getProperty,
+  getMyProperties,
+  getLenderProfile,
+  registerLender,
+  addLenderFunds,
+  withdrawLenderFunds,
+  submitLoanApplication,
+  getAllLoanApplications,
+  getMyLoanApplications,
+  approveLoan,
+  getMyMortgages,
+  getNextInstallment,
+  getPayoffQuote,
+  getMortgagePayments,
+  makeMortgagePayment,
+  prepayPrincipal,
+  payOffMortgage
+} from '../utils/blockchain';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+const TERM_OPTIONS = [12, 60, 120, 180, 240, 360];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY_APPLICATION = {
+  propertyId: '',
+  loanAmount: '',
+  downPayment: '',
+  termMonths: '360',
+  creditScore: '',
+  employmentInfo: '',
+  incomeVerification: ''
+};
+
+const EMPTY_LENDER = {
+  name: '',
+  minLoanAmount: '',
+  maxLoanAmount: '',
+  minInterestRate: '',
+  maxLoanToValue: '80',
+  supportedRegions: '',
+  deposit: ''
+};
+
+// The amortization helpers work in wei; the blockchain wrappers return ETH strings
+const toWei = (amount) => ethers.utils.parseEther(amount.toString()).toBigInt();
+const fromWei = (wei) => ethers.utils.formatEther(wei.toString());
+
+// Percentages in the forms, basis points on chain
+const toBps = (percent) => Math.round(parseFloat(percent) * 100);
+const formatRate = (bps) => `${(bps / 100).toFixed(2)}%`;
+
+const mortgageBadge = (status) => {
+  if (status === MORTGAGE_STATUS.ACTIVE) return 'bg-success';
+  if (status === MORTGAGE_STATUS.PAID_OFF) return 'bg-secondary';
+  return 'bg-danger';
+};
+
+// Remaining installments of a mortgage, projected from its current balance and payment
+const AmortizationTable = ({ mortgage }) => {
+  const schedule = generateAmortizationSchedule({
+    principal: toWei(mortgage.remainingBalance),
+    interestRate: mortgage.interestRate,
+    termMonths: mortgage.remainingTerms,
+    monthlyPayment: toWei(mortgage.monthlyPayment)
+  });
+
+  return (
+    <div className="table-responsive" style={{ maxHeight: '320px' }}>
+      <table className="table table-sm">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Due</th>
+            <th>Payment</th>
+            <th>Principal</th>
+            <th>Interest</th>
+            <th>Balance</th>
+          </tr>
+        </thead>
+        <tbody>
+          {schedule.rows.map((row, index) => (
+            <tr key={row.installment}>
+              <td>{mortgage.termMonths - mortgage.remainingTerms + row.installment}</td>
+              <td>{new Date(mortgage.nextPaymentDue.getTime() + index * 30 * DAY_MS).toLocaleDateString()}</td>
+              <td>{formatEther(fromWei(row.payment))}</td>
+              <td>{formatEther(fromWei(row.principal))}</td>
+              <td>{formatEther(fromWei(row.interest))}</td>
+              <td>{formatEther(fromWei(row.remainingBalance))}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <small className="text-muted">
+        Remaining interest if paid on schedule: {formatEther(fromWei(schedule.totalInterest))}
+      </small>
+    </div>
+  );
+};
+
+// Balance, payments and borrower actions for one mortgage
+const MortgageCard = ({ mortgage, isBorrower, busy, onPay, onPrepay, onPayOff }) => {
+  const [view, setView] = useState(null);
+  const [prepayAmount, setPrepayAmount] = useState('');
+
+  const isOpen = mortgage.status === MORTGAGE_STATUS.ACTIVE || mortgage.status === MORTGAGE_STATUS.DEFAULTED;
+  const toggleView = (name) => setView(prev => (prev === name ? null : name));
+
+  const handlePrepay = (e) => {
+    e.preventDefault();
+    onPrepay(mortgage, prepayAmount)
+      .then(() => setPrepayAmount(''))
+      .catch(() => {});
+  };
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <div>
+          <h6 className="mb-0">
+            Mortgage #{mortgage.id} - {mortgage.location || `Property #${mortgage.propertyId}`}
+          </h6>
+          <small className="text-muted">
+            {isBorrower ? `Lender ${formatAddress(mortgage.lender)}` : `Borrower ${formatAddress(mortgage.borrower)}`}
+          </small>
+        </div>
+        <span className={`badge ${mortgageBadge(mortgage.status)}`}>
+          {MORTGAGE_STATUS_LABELS[mortgage.status]}
+        </span>
+      </div>
+      <div className="card-body">
+        <div className="row mb-3">
+          <div className="col-md-3">
+            <small className="text-muted d-block">Remaining Balance</small>
+            <strong>{formatEther(mortgage.remainingBalance)}</strong>
+            <small className="d-block text-muted">of {formatEther(mortgage.principalAmount)}</small>
+          </div>
+          <div className="col-md-3">
+            <small className="text-muted d-block">Monthly Payment</small>
+            <strong>{formatEther(mortgage.monthlyPayment)}</strong>
+            <small className="d-block text-muted">{formatRate(mortgage.interestRate)} APR</small>
+          </div>
+          <div className="col-md-3">
+            <small className="text-muted d-block">Payments Left</small>
+            <strong>{mortgage.remainingTerms} of {mortgage.termMonths}</strong>
+            {isOpen && (
+              <small className="d-block text-muted">
+                Next due {mortgage.nextPaymentDue.toLocaleDateString()}
+              </small>
+            )}
+          </div>
+          <div className="col-md-3">
+            <small className="text-muted d-block">Paid So Far</small>
+            <strong>{formatEther(mortgage.totalPaid)}</strong>
+            <small className="d-block text-muted">{formatEther(mortgage.totalInterestPaid)} interest</small>
+          </div>
+        </div>
+
+        {isBorrower && isOpen && mortgage.nextInstallment && (
+          <div className="row g-2 align-items-end mb-3">
+            <div className="col-md-4">
+              <button
+                className="btn btn-primary w-100"
+                onClick={() => onPay(mortgage)}
+                disabled={busy}
+              >
+                <i className="bi bi-cash-coin me-2"></i>
+                Pay {formatEther(mortgage.nextInstallment.amountDue)}
+              </button>
+              {parseFloat(mortgage.nextInstallment.lateFee) > 0 && (
+                <small className="text-danger">
+                  Includes a {formatEther(mortgage.nextInstallment.lateFee)} late fee
+                </small>
+              )}
+            </div>
+            {mortgage.status === MORTGAGE_STATUS.ACTIVE && (
+              <form className="col-md-4" onSubmit={handlePrepay}>
+                <div className="input-group">
+                  <input
+                    type="number"
+                    className="form-control"
+                    placeholder="Extra principal (ETH)"
+                    value={prepayAmount}
+                    onChange={(e) => setPrepayAmount(e.target.value)}
+                    step="0.001"
+                    min="0"
+                    required
+                  />
+                  <button type="submit" className="btn btn-outline-primary" disabled={busy}>
+                    Prepay
+                  </button>
+                </div>
+              </form>
+            )}
+            <div className="col-md-4">
+              <button
+                className="btn btn-outline-success w-100"
+                onClick={() => onPayOff(mortgage)}
+                disabled={busy}
+              >
+                Pay Off ({formatEther(mortgage.payoffQuote.total)})
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="btn-group btn-group-sm">
+          {isOpen && mortgage.remainingTerms > 0 && (
+            <button
+              className={`btn btn-outline-secondary ${view === 'schedule' ? 'active' : ''}`}
+              onClick={() => toggleView('schedule')}
+            >
+              Payment Schedule
+            </button>
+          )}
+          <button
+            className={`btn btn-outline-secondary ${view === 'history' ? 'active' : ''}`}
+            onClick={() => toggleView('history')}
+          >
+            Payment History ({mortgage.payments.length})
+          </button>
+        </div>
+
+        {view === 'schedule' && (
+          <div className="mt-3">
+            <AmortizationTable mortgage={mortgage} />
+          </div>
+        )}
+
+        {view === 'history' && (
+          <div className="mt-3">
+            {mortgage.payments.length === 0 ? (
+              <p className="text-muted mb-0">No payments yet.</p>
+            ) : (
+              <div className="table-responsive">
+                <table className="table table-sm">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Principal</th>
+                      <th>Interest</th>
+                      <th>Late Fee</th>
+                      <th>Balance After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {mortgage.payments.map((payment, index) => (
+                      <tr key={index}>
+                        <td>{payment.paymentDate.toLocaleDateString()}</td>
+                        <td>{formatEther(payment.principalPaid)}</td>
+                        <td>{formatEther(payment.interestPaid)}</td>
+                        <td className={payment.isLate ? 'text-danger' : ''}>
+                          {payment.isLate ? formatEther(payment.lateFee) : '-'}
+                        </td>
+                        <td>{formatEther(payment.remainingBalance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const PropertyFinancing = ({ signer, userAddress }) => {
+  const [activeTab, setActiveTab] = useState('borrower');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState('');
+
+  const [myProperties, setMyProperties] = useState([]);
+  const [myApplications, setMyApplications] = useState([]);
+  const [pendingApplications, setPendingApplications] = useState([]);
+  const [mortgages, setMortgages] = useState([]);
+  const [lenderProfile, setLenderProfile] = useState(null);
+
+  const [application, setApplication] = useState(EMPTY_APPLICATION);
+  const [lenderForm, setLenderForm] = useState(EMPTY_LENDER);
+  const [fundsAmount, setFundsAmount] = useState('');
+  const [approvalRates, setApprovalRates] = useState({});
+
+  useEffect(() => {
+    loadFinancingData();
+  }, [signer, userAddress]);
+
+  const loadFinancingData = async () => {
+    if (!signer) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const [properties, applications, allApplications, myMortgages, profile] = await Promise.all([
+        getMyProperties(signer),
+        getMyLoanApplications(signer),
+        getAllLoanApplications(signer),
+        getMyMortgages(signer),
+        getLenderProfile(signer, userAddress)
+      ]);
+
+      // Payment details and the property location for each mortgage
+      const mortgagesWithDetails = await Promise.all(
+        myMortgages.map(async (mortgage) => {
+          const isOpen = mortgage.status === MORTGAGE_STATUS.ACTIVE || mortgage.status === MORTGAGE_STATUS.DEFAULTED;
+          const [property, payments, nextInstallment, payoffQuote] = await Promise.all([
+            getProperty(signer, mortgage.propertyId),
+            getMortgagePayments(signer, mortgage.id),
+            isOpen ? getNextInstallment(signer, mortgage.id) : null,
+            isOpen ? getPayoffQuote(signer, mortgage.id) : null
+          ]);
+          return { ...mortgage, location: property.location, payments, nextInstallment, payoffQuote };
+        })
+      );
+
+      setMyProperties(properties.filter(property => property.verified));
+      setMyApplications(applications);
+      setPendingApplications(
+        allApplications.filter(app => app.status === LOAN_STATUS.PENDING && app.borrower !== userAddress)
+      );
+      setMortgages(mortgagesWithDetails);
+      setLenderProfile(profile);
+    } catch (error) {
+      console.error('Error loading financing data:', error);
+      setError('Failed to load financing data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a transaction, then reload everything
+  const runAction = async (key, action, successMessage) => {
+    try {
+      setBusy(key);
+      setError('');
+
+      await action();
+      await loadFinancingData();
+      alert(successMessage);
+    } catch (error) {
+      console.error('Financing transaction failed:', error);
+      setError(handleTransactionError(error));
+      throw error;
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    runAction('apply', () => submitLoanApplication(signer, application), SUCCESS_MESSAGES.LOAN_APPLIED)
+      .then(() => setApplication(EMPTY_APPLICATION))
+      .catch(() => {});
+  };
+
+  const handlePay = (mortgage) =>
+    runAction(
+      `mortgage-${mortgage.id}`,
+      () => makeMortgagePayment(signer, mortgage.id),
+      SUCCESS_MESSAGES.MORTGAGE_PAYMENT_MADE
+    ).catch(() => {});
+
+  const handlePrepay = (mortgage, amount) =>
+    runAction(
+      `mortgage-${mortgage.id}`,
+      () => prepayPrincipal(signer, mortgage.id, amount),
+      SUCCESS_MESSAGES.PRINCIPAL_PREPAID
+    );
+
+  const handlePayOff = (mortgage) => {
+    const confirmed = window.confirm(
+      `Pay off mortgage #${mortgage.id} for ${formatEther(mortgage.payoffQuote.total)}?\n` +
+      `Principal: ${formatEther(mortgage.payoffQuote.principal)}\n` +
+      `Interest: ${formatEther(mortgage.payoffQuote.interest)}\n` +
+      `Late fees: ${formatEther(mortgage.payoffQuote.lateFees)}`
+    );
+    if (!confirmed) return;
+
+    runAction(
+      `mortgage-${mortgage.id}`,
+      () => payOffMortgage(signer, mortgage.id),
+      SUCCESS_MESSAGES.MORTGAGE_PAID_OFF
+    ).catch(() => {});
+  };
+
+  const handleRegisterLender = (e) => {
+    e.preventDefault();
+    const lenderData = {
+      ...lenderForm,
+      minInterestRate: toBps(lenderForm.minInterestRate),
+      maxLoanToValue: toBps(lenderForm.maxLoanToValue),
+      supportedRegions: lenderForm.supportedRegions.split(',').map(region => region.trim()).filter(Boolean)
+    };
+
+    runAction('lender', () => registerLender(signer, lenderData), SUCCESS_MESSAGES.LENDER_REGISTERED)
+      .then(() => setLenderForm(EMPTY_LENDER))
+      .catch(() => {});
+  };
+
+  const handleFunds = (withdraw) => {
+    const action = withdraw
+      ? () => withdrawLenderFunds(signer, fundsAmount)
+      : () => addLenderFunds(signer, fundsAmount);
+    const message = withdraw ? SUCCESS_MESSAGES.LENDER_FUNDS_WITHDRAWN : SUCCESS_MESSAGES.LENDER_FUNDS_ADDED;
+
+    runAction('funds', action, message)
+      .then(() => setFundsAmount(''))
+      .catch(() => {});
+  };
+
+  const handleApprove = (app, ratePercent) =>
+    runAction(
+      `loan-${app.id}`,
+      () => approveLoan(signer, app.id, toBps(ratePercent)),
+      SUCCESS_MESSAGES.LOAN_APPROVED
+    ).catch(() => {});
+
+  // Monthly payment the borrower would owe at the rate a lender is about to offer
+  const projectedPayment = (app, ratePercent) => {
+    if (ratePercent === '' || isNaN(parseFloat(ratePercent))) return null;
+    return fromWei(calculateMonthlyPayment(
+      toWei(app.loanAmount),
+      monthlyRateFromBps(toBps(ratePercent)),
+      app.termMonths
+    ));
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading financing data..." />;
+  }
+
+  const borrowerMortgages = mortgages.filter(mortgage => mortgage.borrower === userAddress);
+  const lenderMortgages = mortgages.filter(mortgage => mortgage.lender === userAddress);
+
+  const renderBorrowerView = () => (
+    <>
+      <div className="card mb-4">
+        <div className="card-header">
+          <h5 className="mb-0">Apply for a Loan</h5>
+        </div>
+        <div className="card-body">
+          {myProperties.length === 0 ? (
+            <p className="text-muted mb-0">You need a verified property to borrow against.</p>
+          ) : (
+            <form onSubmit={handleApply}>
+              <div className="row">
+                <div className="col-md-4 mb-3">
+                  <label className="form-label">Property *</label>
+                  <select
+                    className="form-select"
+                    value={application.propertyId}
+                    onChange={(e) => setApplication(prev => ({ ...prev, propertyId: e.target.value }))}
+                    required
+                  >
+                    <option value="">Select a property</option>
+                    {myProperties.map(property => (
+                      <option key={property.id} value={property.id}>
+                        #{property.id} - {property.location}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Loan Amount (ETH) *</label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={application.loanAmount}
+                    onChange={(e) => setApplication(prev => ({ ...prev, loanAmount: e.target.value }))}
+                    step="0.001"
+                    min="0"
+                    required
+                  />
+                </div>
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Down Payment (ETH) *</label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={application.downPayment}
+                    onChange={(e) => setApplication(prev => ({ ...prev, downPayment: e.target.value }))}
+                    step="0.001"
+                    min="0"
+                    required
+                  />
+                </div>
+                <div className="col-md-2 mb-3">
+                  <label className="form-label">Term</label>
+                  <select
+                    className="form-select"
+                    value={application.termMonths}
+                    onChange={(e) => setApplication(prev => ({ ...prev, termMonths: e.target.value }))}
+                  >
+                    {TERM_OPTIONS.map(months => (
+                      <option key={months} value={months}>{months / 12} years</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="row">
+                <div className="col-md-4 mb-3">
+                  <label className="form-label">Credit Score *</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={application.creditScore}
+                    onChange={(e) => setApplication(prev => ({ ...prev, creditScore: e.target.value }))}
+                    required
+                  />
+                </div>
+                <div className="col-md-4 mb-3">
+                  <label className="form-label">Employment</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={application.employmentInfo}
+                    onChange={(e) => setApplication(prev => ({ ...prev, employmentInfo: e.target.value }))}
+                  />
+                </div>
+                <div className="col-md-4 mb-3">
+                  <label className="form-label">Income Verification</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={application.incomeVerification}
+                    onChange={(e) => setApplication(prev => ({ ...prev, incomeVerification: e.target.value }))}
+                    placeholder="Document reference or IPFS hash"
+                  />
+                </div>
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={busy === 'apply'}>
+                {busy === 'apply' ? 'Submitting...' : 'Submit Application'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+
+      <h5>My Applications</h5>
+      {myApplications.length === 0 ? (
+        <p className="text-muted">You have not applied for a loan yet.</p>
+      ) : (
+        <div className="table-responsive mb-4">
+          <table className="table table-sm align-middle">
+            <thead>
+              <tr>
+                <th>Loan</th>
+                <th>Property</th>
+                <th>Amount</th>
+                <th>Term</th>
+                <th>Rate</th>
+                <th>Monthly Payment</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {myApplications.map(app => (
+                <tr key={app.id}>
+                  <td>#{app.id}</td>
+                  <td>#{app.propertyId}</td>
+                  <td>{formatEther(app.loanAmount)}</td>
+                  <td>{app.termMonths} months</td>
+                  <td>{app.lender ? formatRate(app.interestRate) : '-'}</td>
+                  <td>{app.lender ? formatEther(app.monthlyPayment) : '-'}</td>
+                  <td>{LOAN_STATUS_LABELS[app.status]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h5>My Mortgages</h5>
+      {borrowerMortgages.length === 0 ? (
+        <p className="text-muted">No mortgages yet.</p>
+      ) : (
+        borrowerMortgages.map(mortgage => (
+          <MortgageCard
+            key={mortgage.id}
+            mortgage={mortgage}
+            isBorrower
+            busy={busy === `mortgage-${mortgage.id}`}
+            onPay={handlePay}
+            onPrepay={handlePrepay}
+            onPayOff={handlePayOff}
+          />
+        ))
+      )}
+    </>
+  );
+
+  const renderLenderRegistration = () => (
+    <div className="card mb-4">
+      <div className="card-header">
+        <h5 className="mb-0">Become a Lender</h5>
+      </div>
+      <div className="card-body">
+        {!lenderProfile?.hasLenderRole && (
+          <div className="alert alert-info">
+            Lenders are vetted before they can register. Ask a platform admin to grant your
+            address the lender role.
+          </div>
+        )}
+        <form onSubmit={handleRegisterLender}>
+          <div className="row">
+            <div className="col-md-4 mb-3">
+              <label className="form-label">Name *</label>
+              <input
+                type="text"
+                className="form-control"
+                value={lenderForm.name}
+                onChange={(e) => setLenderForm(prev => ({ ...prev, name: e.target.value }))}
+                required
+              />
+            </div>
+            <div className="col-md-4 mb-3">
+              <label className="form-label">Min Loan (ETH) *</label>
+              <input
+                type="number"
+                className="form-control"
+                value={lenderForm.minLoanAmount}
+                onChange={(e) => setLenderForm(prev => ({ ...prev, minLoanAmount: e.target.value }))}
+                step="0.001"
+                min="0"
+                required
+              />
+            </div>
+            <div className="col-md-4 mb-3">
+              <label className="form-label">Max Loan (ETH) *</label>
+              <input
+                type="number"
+                className="form-control"
+                value={lenderForm.maxLoanAmount}
+                onChange={(e) => setLenderForm(prev => ({ ...prev, maxLoanAmount: e.target.value }))}
+                step="0.001"
+                min="0"
+                required
+              />
+            </div>
+          </div>
+          <div className="row">
+            <div className="col-md-3 mb-3">
+              <label className="form-label">Min Interest Rate (%) *</label>
+              <input
+                type="number"
+                className="form-control"
+                value={lenderForm.minInterestRate}
+                onChange={(e) => setLenderForm(prev => ({ ...prev, minInterestRate: e.target.value }))}
+                step="0.01"
+                min="0"
+                required
+              />
+            </div>
+            <div className="col-md-3 mb-3">
+              <label className="form-label">Max Loan-to-Value (%)</label>
+              <input
+                type="number"
+                className="form-control"
+                value={lenderForm.maxLoanToValue}
+                onChange={(e) => setLenderForm(prev => ({ ...prev, maxLoanToValue: e.target.value }))}
+                min="1"
+                max="95"
+                required
+              />
+            </div>
+            <div className="col-md-3 mb-3">
+              <label className="form-label">Regions</label>
+              <input
+                type="text"
+                className="form-control"
+                value={lenderForm.supportedRegions}
+                onChange={(e) => setLenderForm(prev => ({ ...prev, supportedRegions: e.target.value }))}
+                placeholder="Comma separated"
+              />
+            </div>
+            <div className="col-md-3 mb-3">
+              <label className="form-label">Initial Deposit (ETH) *</label>
+              <input
+                type="number"
+                className="form-control"
+                value={lenderForm.deposit}
+                onChange={(e) => setLenderForm(prev => ({ ...prev, deposit: e.target.value }))}
+                step="0.001"
+                min="0"
+                required
+              />
+            </div>
+          </div>
+          <button type="submit" className="btn btn-primary" disabled={busy === 'lender' || !lenderProfile?.hasLenderRole}>
+            {busy === 'lender' ? 'Registering...' : 'Register as Lender'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+
+  const renderLenderView = () => (
+    <>
+      <div className="card mb-4">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">{lenderProfile.name}</h5>
+          <small className="text-muted">
+            Loans {formatEther(lenderProfile.minLoanAmount)} - {formatEther(lenderProfile.maxLoanAmount)}
+            {' '}from {formatRate(lenderProfile.minInterestRate)}
+          </small>
+        </div>
+        <div className="card-body">
+          <div className="row mb-3">
+            <div className="col-md-4">
+              <small className="text-muted d-block">Available to Lend</small>
+              <strong>{formatEther(lenderProfile.availableFunds)}</strong>
+            </div>
+            <div className="col-md-4">
+              <small className="text-muted d-block">Loans Issued</small>
+              <strong>{lenderProfile.totalLoansIssued}</strong>
+            </div>
+            <div className="col-md-4">
+              <small className="text-muted d-block">Defaults</small>
+              <strong>{lenderProfile.totalDefaulted}</strong>
+            </div>
+          </div>
+          <div className="input-group" style={{ maxWidth: '420px' }}>
+            <input
+              type="number"
+              className="form-control"
+              placeholder="Amount (ETH)"
+              value={fundsAmount}
+              onChange={(e) => setFundsAmount(e.target.value)}
+              step="0.001"
+              min="0"
+            />
+            <button
+              className="btn btn-success"
+              onClick={() => handleFunds(false)}
+              disabled={busy === 'funds' || !fundsAmount}
+            >
+              Add Funds
+            </button>
+            <button
+              className="btn btn-outline-secondary"
+              onClick={() => handleFunds(true)}
+              disabled={busy === 'funds' || !fundsAmount}
+            >
+              Withdraw
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <h5>Applications to Review</h5>
+      {pendingApplications.length === 0 ? (
+        <p className="text-muted">No pending applications.</p>
+      ) : (
+        pendingApplications.map(app => {
+          const rate = approvalRates[app.id] ?? (lenderProfile.minInterestRate / 100).toString();
+          const payment = projectedPayment(app, rate);
+          const insufficientFunds = parseFloat(app.loanAmount) > parseFloat(lenderProfile.availableFunds);
+
+          return (
+            <div key={app.id} className="card mb-3">
+              <div className="card-body">
+                <div className="row align-items-end">
+                  <div className="col-md-5">
+                    <h6 className="mb-1">
+                      Loan #{app.id} - {formatEther(app.loanAmount)} over {app.termMonths} months
+                    </h6>
+                    <small className="text-muted d-block">
+                      Property #{app.propertyId} • Borrower {formatAddress(app.borrower)} •
+                      {' '}Down payment {formatEther(app.downPayment)}
+                    </small>
+                    <small className="d-block">
+                      Credit score: {app.creditScore || '-'} • Employment: {app.employmentInfo || '-'}
+                      {' '}• Income: {app.incomeVerification || '-'}
+                    </small>
+                  </div>
+                  <div className="col-md-3">
+                    <label className="form-label small">Interest Rate (%)</label>
+                    <input
+                      type="number"
+                      className="form-control form-control-sm"
+                      value={rate}
+                      onChange={(e) => setApprovalRates(prev => ({ ...prev, [app.id]: e.target.value }))}
+                      step="0.01"
+                      min={lenderProfile.minInterestRate / 100}
+                    />
+                    {payment && (
+                      <small className="text-muted">{formatEther(payment)} / month</small>
+                    )}
+                  </div>
+                  <div className="col-md-4 text-end">
+                    <button
+                      className="btn btn-primary"
+                      onClick={() => handleApprove(app, rate)}
+                      disabled={busy === `loan-${app.id}` || insufficientFunds || !payment}
+                    >
+                      {busy === `loan-${app.id}` ? 'Funding...' : 'Approve & Fund'}
+                    </button>
+                    {insufficientFunds && (
+                      <small className="d-block text-danger">Not enough funds in your pool</small>
+                    )}
+                  </div>
+                </div>
+              </div>
+            </div>
+          );
+        })
+      )}
+
+      <h5 className="mt-4">Loans You Issued</h5>
+      {lenderMortgages.length === 0 ? (
+        <p className="text-muted">You have not funded any loans yet.</p>
+      ) : (
+        lenderMortgages.map(mortgage => (
+          <MortgageCard key={mortgage.id} mortgage={mortgage} isBorrower={false} />
+        ))
+      )}
+    </>
+  );
+
+  return (
+    <div className="container-fluid">
+      <div className="row mb-4">
+        <div className="col-12">
+          <h2>
+            <i className="bi bi-bank me-2"></i>
+            Property Financing
+          </h2>
+          <p className="text-muted">Borrow against your verified properties or fund other owners' mortgages</p>
+        </div>
+      </div>
+
+      <ul className="nav nav-tabs mb-4">
+        <li className="nav-item">
+          <button
+            className={`nav-link ${activeTab === 'borrower' ? 'active' : ''}`}
+            onClick={() => setActiveTab('borrower')}
+          >
+            Borrow ({borrowerMortgages.length})
+          </button>
+        </li>
+        <li className="nav-item">
+          <button
+            className={`nav-link ${activeTab === 'lender' ? 'active' : ''}`}
+            onClick={() => setActiveTab('lender')}
+          >
+            Lend ({pendingApplications.length} pending)
+          </button>
+        </li>
+      </ul>
+
+      {error && <ErrorMessage error={error} onRetry={loadFinancingData} />}
+
+      {activeTab === 'borrower' && renderBorrowerView()}
+      {activeTab === 'lender' && (lenderProfile?.isActive ? renderLenderView() : renderLenderRegistration())}
+    </div>
+  );
+};
+
+export default PropertyFinancing;
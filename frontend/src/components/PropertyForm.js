@@ -6,15 +6,14 @@ const PropertyForm = ({ onSubmit }) => {
     area: '',
     propertyType: 'Residential',
     documents: [''],
-    price: '',
-    forSale: true
+    price: ''
   });
 
   const handleChange = (e) => {
-    const { name, value, type, checked } = e.target;
+    const { name, value } = e.target;
     setFormData({
       ...formData,
-      [name]: type === 'checkbox' ? checked : value
+      [name]: value
     });
   };
 
@@ -134,17 +133,9 @@ const PropertyForm = ({ onSubmit }) => {
               onChange={handleChange}
               required
             />
-          </div>
-          <div className="mb-3 form-check">
-            <input
-              type="checkbox"
-              className="form-check-input"
-              id="forSale"
-              name="forSale"
-              checked={formData.forSale}
-              onChange={handleChange}
-            />
-            <label className="form-check-label" htmlFor="forSale">List for Sale</label>
+            <div className="form-text">
+              You can list the property for sale once a verifier has approved it.
+            </div>
           </div>
           <button type="submit" className="btn btn-primary">Register Property</button>
         </form>
@@ -1,20 +1,27 @@
 import React, { useState } from 'react';
 import PropertyCard from './PropertyCard';
 import LoadingSpinner from './LoadingSpinner';
+import { VERIFICATION_STATUS, VERIFICATION_STATUS_LABELS } from '../utils/constants';
 
 const PropertyGrid = ({ 
   properties = [], 
   loading = false, 
   onBuy, 
   onTokenize, 
+  onRequestReverification,
   currentUserAddress,
   itemsPerPage = 9 
 }) => {
   const [currentPage, setCurrentPage] = useState(1);
   const [sortBy, setSortBy] = useState('newest');
+  const [verificationFilter, setVerificationFilter] = useState('all');
 
-  // Sort properties
-  const sortedProperties = [...properties].sort((a, b) => {
+  // Filter by verification status, then sort
+  const filteredProperties = verificationFilter === 'all'
+    ? properties
+    : properties.filter(property => String(property.verificationStatus) === verificationFilter);
+
+  const sortedProperties = [...filteredProperties].sort((a, b) => {
     switch (sortBy) {
       case 'price-low':
         return parseFloat(a.price) - parseFloat(b.price);
@@ -48,6 +55,11 @@ const PropertyGrid = ({
     setCurrentPage(1);
   };
 
+  const handleVerificationFilterChange = (e) => {
+    setVerificationFilter(e.target.value);
+    setCurrentPage(1);
+  };
+
   if (loading) {
     return <LoadingSpinner message="Loading properties..." />;
   }
@@ -68,13 +80,27 @@ const PropertyGrid = ({
       <div className="d-flex justify-content-between align-items-center mb-4">
         <div>
           <h5 className="mb-0">
-            {properties.length} Properties Found
+            {sortedProperties.length} Properties Found
           </h5>
           <small className="text-muted">
-            Showing {startIndex + 1}-{Math.min(endIndex, properties.length)} of {properties.length}
+            Showing {Math.min(startIndex + 1, sortedProperties.length)}-{Math.min(endIndex, sortedProperties.length)} of {sortedProperties.length}
+            {' '}({properties.filter(property => property.verified).length} currently verified)
           </small>
         </div>
         <div className="d-flex align-items-center">
+          <label htmlFor="verificationFilter" className="form-label me-2 mb-0">Verification:</label>
+          <select
+            id="verificationFilter"
+            className="form-select form-select-sm me-3"
+            value={verificationFilter}
+            onChange={handleVerificationFilterChange}
+            style={{ width: 'auto' }}
+          >
+            <option value="all">All</option>
+            {Object.values(VERIFICATION_STATUS).map(status => (
+              <option key={status} value={String(status)}>{VERIFICATION_STATUS_LABELS[status]}</option>
+            ))}
+          </select>
           <label htmlFor="sortBy" className="form-label me-2 mb-0">Sort by:</label>
           <select
             id="sortBy"
@@ -101,6 +127,7 @@ const PropertyGrid = ({
               property={property}
               onBuy={onBuy}
               onTokenize={onTokenize}
+              onRequestReverification={onRequestReverification}
               isOwner={property.owner === currentUserAddress}
             />
           </div>
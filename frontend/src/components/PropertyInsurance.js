@@ -0,0 +1,1010 @@
+import React, { useState, useEffect } from 'react';
+import { formatEther, formatAddress, isSupportedFileType, handleTransactionError } from '../utils/helpers';
+import {
+  APP_CONFIG,
+  IPFS_CONFIG,
+  INSURANCE_RISKS,
+  POLICY_STATUS,
+  POLICY_STATUS_LABELS,
+  CLAIM_STATUS,
+  CLAIM_STATUS_LABELS,
+  SUCCESS_MESSAGES
+} from '../utils/constants';
+import { uploadToIPFS, extractIPFSHash, createIPFSUrl } from '../utils/ipfs';
+import {
+  getMyProperties,
+  getInsuranceQuote,
+  getInsuranceTerms,
+  createInsurancePolicy,
+  getMyInsurancePolicies,
+  renewInsurancePolicy,
+  cancelInsurancePolicy,
+  setInsuranceAutoRenewal,
+  getRenewalBalance,
+  depositRenewalFunds,
+  withdrawRenewalFunds,
+  fileInsuranceClaim,
+  getAllInsuranceClaims,
+  getMyInsuranceClaims,
+  getInsuranceRole,
+  processInsuranceClaim,
+  submitClaimAssessment,
+  disputeInsuranceClaim,
+  payInsuranceClaim
+} from '../utils/blockchain';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+const EMPTY_POLICY = {
+  propertyId: '',
+  coverageAmount: '',
+  coveredRisks: [],
+  deductible: '',
+  autoRenewal: false
+};
+
+const EMPTY_CLAIM = {
+  policyId: '',
+  claimAmount: '',
+  riskType: '',
+  dateOfLoss: '',
+  description: ''
+};
+
+const claimBadge = (status) => {
+  if (status === CLAIM_STATUS.PAID || status === CLAIM_STATUS.APPROVED) return 'bg-success';
+  if (status === CLAIM_STATUS.REJECTED) return 'bg-danger';
+  if (status === CLAIM_STATUS.UNDER_REVIEW) return 'bg-info';
+  return 'bg-warning';
+};
+
+// Gateway links for the evidence URIs stored with a claim
+const EvidenceLinks = ({ evidence }) => {
+  if (evidence.length === 0) {
+    return <small className="text-muted">No evidence attached</small>;
+  }
+
+  return (
+    <div className="d-flex flex-wrap gap-2">
+      {evidence.map((uri, index) => {
+        const hash = extractIPFSHash(uri);
+        return (
+          <a
+            key={uri}
+            href={hash ? createIPFSUrl(hash) : uri}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="badge bg-light text-dark text-decoration-none"
+          >
+            <i className="bi bi-paperclip me-1"></i>
+            Evidence {index + 1}
+          </a>
+        );
+      })}
+    </div>
+  );
+};
+
+// Reports submitted by the assessors of a quorum claim
+const AssessmentList = ({ assessments }) => (
+  <table className="table table-sm mb-3">
+    <thead>
+      <tr>
+        <th>Round</th>
+        <th>Assessor</th>
+        <th>Proposed</th>
+        <th>Report</th>
+      </tr>
+    </thead>
+    <tbody>
+      {assessments.map(assessment => (
+        <tr key={`${assessment.round}-${assessment.assessor}`}>
+          <td>{assessment.round === 0 ? 'Review' : 'Dispute'}</td>
+          <td>{formatAddress(assessment.assessor)}</td>
+          <td>{Number(assessment.proposedAmount) > 0 ? formatEther(assessment.proposedAmount) : 'Reject'}</td>
+          <td>
+            <a href={createIPFSUrl(assessment.reportHash)} target="_blank" rel="noopener noreferrer">
+              View report
+            </a>
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// One claim in the assessor queue, with the decision form. Large claims take
+// a report and proposed amount from each assessor instead of a single decision.
+const ClaimReview = ({ claim, isAdmin, userAddress, busy, onReview, onApprove, onReject, onAssess, onPay }) => {
+  const [approvedAmount, setApprovedAmount] = useState(claim.claimAmount);
+  const [rejectionReason, setRejectionReason] = useState('');
+  const [reportHash, setReportHash] = useState('');
+  const isOpen = claim.status === CLAIM_STATUS.PENDING || claim.status === CLAIM_STATUS.UNDER_REVIEW;
+  const roundVotes = claim.assessments.filter(assessment => assessment.round === claim.reviewRound).length;
+  // Assessors review once per round, so a dispute reopens the claim to everyone
+  const hasAssessed = claim.assessments.some(
+    assessment => assessment.round === claim.reviewRound &&
+      assessment.assessor.toLowerCase() === userAddress?.toLowerCase()
+  );
+
+  return (
+    <div className="card mb-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <div>
+          <strong>Claim #{claim.id}</strong>
+          <small className="text-muted ms-2">
+            Policy #{claim.policyId} • {formatAddress(claim.claimant)}
+          </small>
+        </div>
+        <span className={`badge ${claimBadge(claim.status)}`}>{CLAIM_STATUS_LABELS[claim.status]}</span>
+      </div>
+      <div className="card-body">
+        <div className="row mb-2">
+          <div className="col-md-4">
+            <small className="text-muted d-block">Amount Claimed</small>
+            <strong>{formatEther(claim.claimAmount)}</strong>
+          </div>
+          <div className="col-md-4">
+            <small className="text-muted d-block">Risk</small>
+            <span className="text-capitalize">{claim.riskType}</span>
+          </div>
+          <div className="col-md-4">
+            <small className="text-muted d-block">Loss / Reported</small>
+            <span>
+              {claim.dateOfLoss.toLocaleDateString()} / {claim.dateReported.toLocaleDateString()}
+            </span>
+          </div>
+        </div>
+        <p className="mb-2">{claim.description}</p>
+        <div className="mb-3">
+          <EvidenceLinks evidence={claim.evidence} />
+        </div>
+
+        {claim.requiresQuorum && (
+          <>
+            <p className="mb-2">
+              <span className="badge bg-secondary me-2">Quorum claim</span>
+              {claim.disputed && <span className="badge bg-warning text-dark me-2">Disputed</span>}
+              {isOpen && <small className="text-muted">{roundVotes} of {claim.quorum} assessments this round</small>}
+            </p>
+            {claim.assessments.length > 0 && <AssessmentList assessments={claim.assessments} />}
+          </>
+        )}
+
+        {isOpen && claim.requiresQuorum && (
+          hasAssessed ? (
+            <p className="text-muted mb-0">You have assessed this claim.</p>
+          ) : (
+            <div className="row g-2 align-items-end">
+              <div className="col-md-5">
+                <input
+                  type="text"
+                  className="form-control form-control-sm"
+                  placeholder="Report IPFS hash"
+                  value={reportHash}
+                  onChange={(e) => setReportHash(e.target.value)}
+                />
+              </div>
+              <div className="col-md-7">
+                <div className="input-group input-group-sm">
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={approvedAmount}
+                    onChange={(e) => setApprovedAmount(e.target.value)}
+                    step="0.001"
+                    min="0"
+                    max={claim.claimAmount}
+                    title="Proposed amount; 0 recommends rejection"
+                  />
+                  <button
+                    className="btn btn-primary"
+                    onClick={() => onAssess(claim, reportHash, approvedAmount)}
+                    disabled={busy || !reportHash || approvedAmount === ''}
+                  >
+                    Submit Assessment
+                  </button>
+                </div>
+              </div>
+            </div>
+          )
+        )}
+
+        {isOpen && !claim.requiresQuorum && (
+          <div className="row g-2 align-items-end">
+            {claim.status === CLAIM_STATUS.PENDING && (
+              <div className="col-md-2">
+                <button
+                  className="btn btn-sm btn-outline-info w-100"
+                  onClick={() => onReview(claim)}
+                  disabled={busy}
+                >
+                  Start Review
+                </button>
+              </div>
+            )}
+            <div className="col-md-5">
+              <div className="input-group input-group-sm">
+                <input
+                  type="number"
+                  className="form-control"
+                  value={approvedAmount}
+                  onChange={(e) => setApprovedAmount(e.target.value)}
+                  step="0.001"
+                  min="0"
+                  max={claim.claimAmount}
+                />
+                <button
+                  className="btn btn-success"
+                  onClick={() => onApprove(claim, approvedAmount)}
+                  disabled={busy || !approvedAmount}
+                >
+                  Approve
+                </button>
+              </div>
+            </div>
+            <div className="col-md-5">
+              <div className="input-group input-group-sm">
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="Rejection reason"
+                  value={rejectionReason}
+                  onChange={(e) => setRejectionReason(e.target.value)}
+                />
+                <button
+                  className="btn btn-danger"
+                  onClick={() => onReject(claim, rejectionReason)}
+                  disabled={busy || !rejectionReason}
+                >
+                  Reject
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {claim.status === CLAIM_STATUS.APPROVED && (
+          <div className="d-flex justify-content-between align-items-center">
+            <span>Approved for {formatEther(claim.approvedAmount)} before the deductible</span>
+            {isAdmin && (
+              <button className="btn btn-sm btn-primary" onClick={() => onPay(claim)} disabled={busy}>
+                Pay Claim
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const PropertyInsurance = ({ signer, userAddress }) => {
+  const [activeTab, setActiveTab] = useState('policies');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState('');
+
+  const [myProperties, setMyProperties] = useState([]);
+  const [policies, setPolicies] = useState([]);
+  const [myClaims, setMyClaims] = useState([]);
+  const [claimQueue, setClaimQueue] = useState([]);
+  const [role, setRole] = useState({ isAdmin: false, isAssessor: false });
+  const [terms, setTerms] = useState(null);
+  const [renewalBalance, setRenewalBalance] = useState('0');
+  const [renewalAmount, setRenewalAmount] = useState('');
+
+  const [policyForm, setPolicyForm] = useState(EMPTY_POLICY);
+  const [quote, setQuote] = useState(null);
+  const [claimForm, setClaimForm] = useState(EMPTY_CLAIM);
+  const [evidence, setEvidence] = useState([]);
+  const [uploading, setUploading] = useState(false);
+
+  useEffect(() => {
+    loadInsuranceData();
+  }, [signer, userAddress]);
+
+  const loadInsuranceData = async () => {
+    if (!signer) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const [properties, myPolicies, claims, insuranceRole, insuranceTerms, balance] = await Promise.all([
+        getMyProperties(signer),
+        getMyInsurancePolicies(signer),
+        getMyInsuranceClaims(signer),
+        getInsuranceRole(signer, userAddress),
+        getInsuranceTerms(signer),
+        getRenewalBalance(signer)
+      ]);
+
+      setMyProperties(properties.filter(property => property.verified));
+      setPolicies(myPolicies);
+      setMyClaims(claims);
+      setRole(insuranceRole);
+      setTerms(insuranceTerms);
+      setRenewalBalance(balance);
+
+      if (insuranceRole.isAssessor) {
+        setClaimQueue(await getAllInsuranceClaims(signer));
+      }
+    } catch (error) {
+      console.error('Error loading insurance data:', error);
+      setError('Failed to load insurance data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a transaction, then reload everything
+  const runAction = async (key, action, successMessage) => {
+    try {
+      setBusy(key);
+      setError('');
+
+      await action();
+      await loadInsuranceData();
+      alert(successMessage);
+    } catch (error) {
+      console.error('Insurance transaction failed:', error);
+      setError(handleTransactionError(error));
+      throw error;
+    } finally {
+      setBusy('');
+    }
+  };
+
+  // Any change to the policy form invalidates the last quote
+  const updatePolicyForm = (changes) => {
+    setPolicyForm(prev => ({ ...prev, ...changes }));
+    setQuote(null);
+  };
+
+  const handleRiskToggle = (risk, checked) => {
+    updatePolicyForm({
+      coveredRisks: checked
+        ? [...policyForm.coveredRisks, risk]
+        : policyForm.coveredRisks.filter(r => r !== risk)
+    });
+  };
+
+  const handleQuote = async () => {
+    try {
+      setBusy('quote');
+      setError('');
+      const premium = await getInsuranceQuote(
+        signer,
+        policyForm.propertyId,
+        policyForm.coverageAmount,
+        policyForm.coveredRisks
+      );
+      setQuote(premium);
+    } catch (error) {
+      console.error('Error getting insurance quote:', error);
+      setError(handleTransactionError(error));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const handleBuyPolicy = (e) => {
+    e.preventDefault();
+    if (!window.confirm(`Buy this policy for ${formatEther(quote)} per year?`)) return;
+
+    runAction('policy', () => createInsurancePolicy(signer, policyForm), SUCCESS_MESSAGES.POLICY_CREATED)
+      .then(() => {
+        setPolicyForm(EMPTY_POLICY);
+        setQuote(null);
+      })
+      .catch(() => {});
+  };
+
+  const handleRenew = (policy) =>
+    runAction(`policy-${policy.id}`, () => renewInsurancePolicy(signer, policy.id), SUCCESS_MESSAGES.POLICY_RENEWED)
+      .catch(() => {});
+
+  const handleAutoRenewalToggle = (policy) =>
+    runAction(
+      `policy-${policy.id}`,
+      () => setInsuranceAutoRenewal(signer, policy.id, !policy.autoRenewal),
+      SUCCESS_MESSAGES.AUTO_RENEWAL_UPDATED
+    ).catch(() => {});
+
+  const handleDepositRenewalFunds = () =>
+    runAction('renewal-funds', () => depositRenewalFunds(signer, renewalAmount), SUCCESS_MESSAGES.RENEWAL_FUNDS_DEPOSITED)
+      .then(() => setRenewalAmount(''))
+      .catch(() => {});
+
+  const handleWithdrawRenewalFunds = () =>
+    runAction('renewal-funds', () => withdrawRenewalFunds(signer, renewalAmount), SUCCESS_MESSAGES.RENEWAL_FUNDS_WITHDRAWN)
+      .then(() => setRenewalAmount(''))
+      .catch(() => {});
+
+  const handleCancel = (policy) => {
+    if (!window.confirm(`Cancel the policy on property #${policy.propertyId}? The premium is not refunded.`)) return;
+
+    runAction(`policy-${policy.id}`, () => cancelInsurancePolicy(signer, policy.id), SUCCESS_MESSAGES.POLICY_CANCELLED)
+      .catch(() => {});
+  };
+
+  const handleEvidenceSelect = async (event) => {
+    const files = Array.from(event.target.files);
+    setUploading(true);
+    setError('');
+
+    for (const file of files) {
+      try {
+        if (!isSupportedFileType(file.name, APP_CONFIG.SUPPORTED_FILE_TYPES)) {
+          throw new Error(`Unsupported file type: ${file.name}`);
+        }
+
+        const hash = await uploadToIPFS(file, IPFS_CONFIG.PINATA_API_KEY, IPFS_CONFIG.PINATA_SECRET_KEY);
+        setEvidence(prev => [...prev, { name: file.name, hash }]);
+      } catch (error) {
+        console.error('Evidence upload error:', error);
+        setError(`Failed to upload ${file.name}: ${error.message}`);
+      }
+    }
+
+    setUploading(false);
+    event.target.value = '';
+  };
+
+  const handleFileClaim = (e) => {
+    e.preventDefault();
+    const claimData = {
+      ...claimForm,
+      evidence: evidence.map(item => `ipfs://${item.hash}`)
+    };
+
+    runAction('claim', () => fileInsuranceClaim(signer, claimData), SUCCESS_MESSAGES.CLAIM_FILED)
+      .then(() => {
+        setClaimForm(EMPTY_CLAIM);
+        setEvidence([]);
+      })
+      .catch(() => {});
+  };
+
+  const handleReview = (claim) =>
+    runAction(
+      `claim-${claim.id}`,
+      () => processInsuranceClaim(signer, claim.id, CLAIM_STATUS.UNDER_REVIEW),
+      SUCCESS_MESSAGES.CLAIM_UPDATED
+    ).catch(() => {});
+
+  const handleApprove = (claim, amount) =>
+    runAction(
+      `claim-${claim.id}`,
+      () => processInsuranceClaim(signer, claim.id, CLAIM_STATUS.APPROVED, amount),
+      SUCCESS_MESSAGES.CLAIM_UPDATED
+    ).catch(() => {});
+
+  const handleReject = (claim, reason) =>
+    runAction(
+      `claim-${claim.id}`,
+      () => processInsuranceClaim(signer, claim.id, CLAIM_STATUS.REJECTED, '0', reason),
+      SUCCESS_MESSAGES.CLAIM_UPDATED
+    ).catch(() => {});
+
+  const handleAssess = (claim, reportHash, proposedAmount) =>
+    runAction(
+      `claim-${claim.id}`,
+      () => submitClaimAssessment(signer, claim.id, reportHash, proposedAmount),
+      SUCCESS_MESSAGES.CLAIM_ASSESSED
+    ).catch(() => {});
+
+  const handleDispute = (claim) => {
+    const reason = window.prompt('Why are you disputing this decision? The claim goes back to the assessors for a new review round.');
+    if (!reason) return;
+
+    runAction(`claim-${claim.id}`, () => disputeInsuranceClaim(signer, claim.id, reason), SUCCESS_MESSAGES.CLAIM_DISPUTED)
+      .catch(() => {});
+  };
+
+  // Quorum decisions can be disputed once unless the full amount was approved
+  const canDispute = (claim) =>
+    claim.requiresQuorum &&
+    !claim.disputed &&
+    (claim.status === CLAIM_STATUS.APPROVED || claim.status === CLAIM_STATUS.REJECTED || claim.status === CLAIM_STATUS.PAID) &&
+    Number(claim.approvedAmount) < Number(claim.claimAmount);
+
+  const handlePayClaim = (claim) =>
+    runAction(`claim-${claim.id}`, () => payInsuranceClaim(signer, claim.id), SUCCESS_MESSAGES.CLAIM_PAID)
+      .catch(() => {});
+
+  if (loading) {
+    return <LoadingSpinner message="Loading insurance..." />;
+  }
+
+  const activePolicies = policies.filter(policy => policy.status === POLICY_STATUS.ACTIVE);
+  const insuredPropertyIds = activePolicies.map(policy => policy.propertyId);
+  const uninsuredProperties = myProperties.filter(property => !insuredPropertyIds.includes(property.id));
+  const claimPolicy = activePolicies.find(policy => policy.id === claimForm.policyId);
+  const openClaims = claimQueue.filter(claim =>
+    claim.status === CLAIM_STATUS.PENDING ||
+    claim.status === CLAIM_STATUS.UNDER_REVIEW ||
+    claim.status === CLAIM_STATUS.APPROVED
+  );
+
+  const renderPolicies = () => (
+    <>
+      <div className="card mb-4">
+        <div className="card-header">
+          <h5 className="mb-0">Get a Quote</h5>
+        </div>
+        <div className="card-body">
+          {uninsuredProperties.length === 0 ? (
+            <p className="text-muted mb-0">All of your verified properties are insured.</p>
+          ) : (
+            <form onSubmit={handleBuyPolicy}>
+              <div className="row">
+                <div className="col-md-4 mb-3">
+                  <label className="form-label">Property *</label>
+                  <select
+                    className="form-select"
+                    value={policyForm.propertyId}
+                    onChange={(e) => updatePolicyForm({ propertyId: e.target.value })}
+                    required
+                  >
+                    <option value="">Select a property</option>
+                    {uninsuredProperties.map(property => (
+                      <option key={property.id} value={property.id}>
+                        #{property.id} - {property.location} ({formatEther(property.price)})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-4 mb-3">
+                  <label className="form-label">Coverage (ETH) *</label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={policyForm.coverageAmount}
+                    onChange={(e) => updatePolicyForm({ coverageAmount: e.target.value })}
+                    step="0.001"
+                    min="0"
+                    required
+                  />
+                </div>
+                <div className="col-md-4 mb-3">
+                  <label className="form-label">Deductible (ETH) *</label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={policyForm.deductible}
+                    onChange={(e) => updatePolicyForm({ deductible: e.target.value })}
+                    step="0.001"
+                    min={terms?.minDeductible || 0}
+                    placeholder={terms ? `At least ${terms.minDeductible}` : ''}
+                    required
+                  />
+                </div>
+              </div>
+              <div className="mb-3">
+                <label className="form-label d-block">Covered Risks *</label>
+                {INSURANCE_RISKS.map(risk => (
+                  <div key={risk} className="form-check form-check-inline">
+                    <input
+                      className="form-check-input"
+                      type="checkbox"
+                      id={`risk-${risk}`}
+                      checked={policyForm.coveredRisks.includes(risk)}
+                      onChange={(e) => handleRiskToggle(risk, e.target.checked)}
+                    />
+                    <label className="form-check-label text-capitalize" htmlFor={`risk-${risk}`}>
+                      {risk}
+                    </label>
+                  </div>
+                ))}
+              </div>
+              <div className="form-check mb-3">
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  id="autoRenewal"
+                  checked={policyForm.autoRenewal}
+                  onChange={(e) => updatePolicyForm({ autoRenewal: e.target.checked })}
+                />
+                <label className="form-check-label" htmlFor="autoRenewal">Renew automatically</label>
+              </div>
+              <div className="d-flex align-items-center gap-3">
+                <button
+                  type="button"
+                  className="btn btn-outline-primary"
+                  onClick={handleQuote}
+                  disabled={
+                    busy === 'quote' ||
+                    !policyForm.propertyId ||
+                    !policyForm.coverageAmount ||
+                    policyForm.coveredRisks.length === 0
+                  }
+                >
+                  {busy === 'quote' ? 'Quoting...' : 'Get Quote'}
+                </button>
+                {quote !== null && (
+                  <>
+                    <span>
+                      Annual premium: <strong>{formatEther(quote)}</strong>
+                    </span>
+                    <button type="submit" className="btn btn-primary" disabled={busy === 'policy'}>
+                      {busy === 'policy' ? 'Purchasing...' : 'Buy Policy'}
+                    </button>
+                  </>
+                )}
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h5 className="mb-0">Renewal Balance</h5>
+        </div>
+        <div className="card-body">
+          <p className="mb-2">
+            Balance: <strong>{formatEther(renewalBalance)}</strong>
+          </p>
+          <p className="text-muted small">
+            Policies set to renew automatically are renewed from this balance when they end.
+            If it doesn't cover the premium, the policy expires.
+          </p>
+          <div className="d-flex gap-2">
+            <input
+              type="number"
+              className="form-control"
+              value={renewalAmount}
+              onChange={(e) => setRenewalAmount(e.target.value)}
+              step="0.001"
+              min="0"
+              placeholder="Amount (ETH)"
+            />
+            <button
+              className="btn btn-outline-primary"
+              onClick={handleDepositRenewalFunds}
+              disabled={busy === 'renewal-funds' || !renewalAmount}
+            >
+              Deposit
+            </button>
+            <button
+              className="btn btn-outline-secondary"
+              onClick={handleWithdrawRenewalFunds}
+              disabled={busy === 'renewal-funds' || !renewalAmount || Number(renewalAmount) > Number(renewalBalance)}
+            >
+              Withdraw
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <h5>My Policies</h5>
+      {policies.length === 0 ? (
+        <p className="text-muted">You have no insurance policies.</p>
+      ) : (
+        <div className="row">
+          {policies.map(policy => (
+            <div key={policy.id} className="col-md-6 col-lg-4 mb-3">
+              <div className="card h-100">
+                <div className="card-header d-flex justify-content-between align-items-center">
+                  <strong>Policy #{policy.id}</strong>
+                  <span className={`badge ${policy.status === POLICY_STATUS.ACTIVE ? 'bg-success' : 'bg-secondary'}`}>
+                    {POLICY_STATUS_LABELS[policy.status]}
+                  </span>
+                </div>
+                <div className="card-body">
+                  <div className="d-flex justify-content-between">
+                    <span>Property:</span>
+                    <span>#{policy.propertyId}</span>
+                  </div>
+                  <div className="d-flex justify-content-between">
+                    <span>Coverage:</span>
+                    <strong>{formatEther(policy.coverageAmount)}</strong>
+                  </div>
+                  <div className="d-flex justify-content-between">
+                    <span>Premium:</span>
+                    <span>{formatEther(policy.premium)} / year</span>
+                  </div>
+                  <div className="d-flex justify-content-between">
+                    <span>Deductible:</span>
+                    <span>{formatEther(policy.deductible)}</span>
+                  </div>
+                  <div className="d-flex justify-content-between mb-2">
+                    <span>Ends:</span>
+                    <span>{policy.endDate.toLocaleDateString()}</span>
+                  </div>
+                  <div className="mb-3">
+                    {policy.coveredRisks.map(risk => (
+                      <span key={risk} className="badge bg-light text-dark text-capitalize me-1">{risk}</span>
+                    ))}
+                    {policy.autoRenewal && <span className="badge bg-info ms-1">Auto-renew</span>}
+                  </div>
+                  {(policy.status === POLICY_STATUS.ACTIVE || policy.status === POLICY_STATUS.EXPIRED) && (
+                    <div className="d-flex gap-2">
+                      <button
+                        className="btn btn-sm btn-outline-primary flex-fill"
+                        onClick={() => handleRenew(policy)}
+                        disabled={busy === `policy-${policy.id}`}
+                      >
+                        Renew
+                      </button>
+                      {policy.status === POLICY_STATUS.ACTIVE && (
+                        <button
+                          className="btn btn-sm btn-outline-info flex-fill"
+                          onClick={() => handleAutoRenewalToggle(policy)}
+                          disabled={busy === `policy-${policy.id}`}
+                        >
+                          {policy.autoRenewal ? 'Stop Auto-renew' : 'Auto-renew'}
+                        </button>
+                      )}
+                      {policy.status === POLICY_STATUS.ACTIVE && (
+                        <button
+                          className="btn btn-sm btn-outline-danger flex-fill"
+                          onClick={() => handleCancel(policy)}
+                          disabled={busy === `policy-${policy.id}`}
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+
+  const renderClaims = () => (
+    <>
+      <div className="card mb-4">
+        <div className="card-header">
+          <h5 className="mb-0">File a Claim</h5>
+        </div>
+        <div className="card-body">
+          {activePolicies.length === 0 ? (
+            <p className="text-muted mb-0">You need an active policy to file a claim.</p>
+          ) : (
+            <form onSubmit={handleFileClaim}>
+              <div className="row">
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Policy *</label>
+                  <select
+                    className="form-select"
+                    value={claimForm.policyId}
+                    onChange={(e) => setClaimForm(prev => ({ ...prev, policyId: e.target.value, riskType: '' }))}
+                    required
+                  >
+                    <option value="">Select a policy</option>
+                    {activePolicies.map(policy => (
+                      <option key={policy.id} value={policy.id}>
+                        #{policy.id} - Property #{policy.propertyId}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Risk *</label>
+                  <select
+                    className="form-select text-capitalize"
+                    value={claimForm.riskType}
+                    onChange={(e) => setClaimForm(prev => ({ ...prev, riskType: e.target.value }))}
+                    required
+                  >
+                    <option value="">Select a risk</option>
+                    {(claimPolicy?.coveredRisks || []).map(risk => (
+                      <option key={risk} value={risk}>{risk}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Amount (ETH) *</label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={claimForm.claimAmount}
+                    onChange={(e) => setClaimForm(prev => ({ ...prev, claimAmount: e.target.value }))}
+                    step="0.001"
+                    min="0"
+                    max={claimPolicy?.coverageAmount}
+                    required
+                  />
+                </div>
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Date of Loss *</label>
+                  <input
+                    type="date"
+                    className="form-control"
+                    value={claimForm.dateOfLoss}
+                    onChange={(e) => setClaimForm(prev => ({ ...prev, dateOfLoss: e.target.value }))}
+                    max={new Date().toISOString().split('T')[0]}
+                    required
+                  />
+                </div>
+              </div>
+              <div className="mb-3">
+                <label className="form-label">Description *</label>
+                <textarea
+                  className="form-control"
+                  rows="3"
+                  value={claimForm.description}
+                  onChange={(e) => setClaimForm(prev => ({ ...prev, description: e.target.value }))}
+                  required
+                ></textarea>
+              </div>
+              <div className="mb-3">
+                <label className="form-label">Evidence</label>
+                <input
+                  type="file"
+                  className="form-control"
+                  multiple
+                  accept={APP_CONFIG.SUPPORTED_FILE_TYPES.join(',')}
+                  onChange={handleEvidenceSelect}
+                  disabled={uploading}
+                />
+                {uploading && <small className="text-muted">Uploading to IPFS...</small>}
+                {evidence.length > 0 && (
+                  <ul className="list-unstyled mt-2 mb-0">
+                    {evidence.map(item => (
+                      <li key={item.hash} className="d-flex justify-content-between align-items-center">
+                        <small>
+                          <i className="bi bi-paperclip me-1"></i>
+                          {item.name} <span className="text-muted">({item.hash})</span>
+                        </small>
+                        <button
+                          type="button"
+                          className="btn btn-sm btn-link text-danger"
+                          onClick={() => setEvidence(prev => prev.filter(e => e.hash !== item.hash))}
+                        >
+                          Remove
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={busy === 'claim' || uploading}>
+                {busy === 'claim' ? 'Filing...' : `File Claim (${formatEther(terms?.claimProcessingFee)} fee)`}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+
+      <h5>My Claims</h5>
+      {myClaims.length === 0 ? (
+        <p className="text-muted">You have not filed any claims.</p>
+      ) : (
+        <div className="table-responsive">
+          <table className="table table-sm align-middle">
+            <thead>
+              <tr>
+                <th>Claim</th>
+                <th>Policy</th>
+                <th>Risk</th>
+                <th>Amount</th>
+                <th>Evidence</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {myClaims.map(claim => (
+                <tr key={claim.id}>
+                  <td>#{claim.id}</td>
+                  <td>#{claim.policyId}</td>
+                  <td className="text-capitalize">{claim.riskType}</td>
+                  <td>
+                    {formatEther(claim.claimAmount)}
+                    {claim.status >= CLAIM_STATUS.APPROVED && claim.status !== CLAIM_STATUS.REJECTED && (
+                      <small className="d-block text-success">
+                        Approved {formatEther(claim.approvedAmount)}
+                      </small>
+                    )}
+                  </td>
+                  <td><EvidenceLinks evidence={claim.evidence} /></td>
+                  <td>
+                    <span className={`badge ${claimBadge(claim.status)}`}>{CLAIM_STATUS_LABELS[claim.status]}</span>
+                    {claim.rejectionReason && (
+                      <small className="d-block text-muted">{claim.rejectionReason}</small>
+                    )}
+                    {canDispute(claim) && (
+                      <button
+                        className="btn btn-link btn-sm p-0"
+                        onClick={() => handleDispute(claim)}
+                        disabled={busy === `claim-${claim.id}`}
+                      >
+                        Dispute
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </>
+  );
+
+  const renderQueue = () => (
+    openClaims.length === 0 ? (
+      <div className="text-center py-5">
+        <i className="bi bi-inbox display-1 text-muted"></i>
+        <h4 className="mt-3">No claims waiting</h4>
+        <p className="text-muted">New claims will show up here for assessment.</p>
+      </div>
+    ) : (
+      openClaims.map(claim => (
+        <ClaimReview
+          key={claim.id}
+          claim={claim}
+          isAdmin={role.isAdmin}
+          userAddress={userAddress}
+          busy={busy === `claim-${claim.id}`}
+          onReview={handleReview}
+          onApprove={handleApprove}
+          onReject={handleReject}
+          onAssess={handleAssess}
+          onPay={handlePayClaim}
+        />
+      ))
+    )
+  );
+
+  return (
+    <div className="container-fluid">
+      <div className="row mb-4">
+        <div className="col-12">
+          <h2>
+            <i className="bi bi-shield-check me-2"></i>
+            Property Insurance
+          </h2>
+          <p className="text-muted">Insure your properties and manage claims</p>
+        </div>
+      </div>
+
+      <ul className="nav nav-tabs mb-4">
+        <li className="nav-item">
+          <button
+            className={`nav-link ${activeTab === 'policies' ? 'active' : ''}`}
+            onClick={() => setActiveTab('policies')}
+          >
+            Policies ({activePolicies.length})
+          </button>
+        </li>
+        <li className="nav-item">
+          <button
+            className={`nav-link ${activeTab === 'claims' ? 'active' : ''}`}
+            onClick={() => setActiveTab('claims')}
+          >
+            Claims ({myClaims.length})
+          </button>
+        </li>
+        {role.isAssessor && (
+          <li className="nav-item">
+            <button
+              className={`nav-link ${activeTab === 'queue' ? 'active' : ''}`}
+              onClick={() => setActiveTab('queue')}
+            >
+              Assessor Queue ({openClaims.length})
+            </button>
+          </li>
+        )}
+      </ul>
+
+      {error && <ErrorMessage error={error} onRetry={loadInsuranceData} />}
+
+      {activeTab === 'policies' && renderPolicies()}
+      {activeTab === 'claims' && renderClaims()}
+      {activeTab === 'queue' && role.isAssessor && renderQueue()}
+    </div>
+  );
+};
+
+export default PropertyInsurance;
@@ -1,90 +1,489 @@
 import React, { useState, useEffect } from 'react';
-import { formatEther, formatAddress, timeAgo } from '../utils/helpers';
+import {
+  formatEther,
+  formatAddress,
+  timeAgo,
+  addEther,
+  formatTimeRemaining,
+  getDutchPrice,
+  handleTransactionError
+} from '../utils/helpers';
+import { SUCCESS_MESSAGES, AUCTION_MODE, AUCTION_MODE_LABELS } from '../utils/constants';
+import {
+  getProperty,
+  getPropertiesForSale,
+  getMyProperties,
+  createTransaction,
+  getAllAuctions,
+  getAuctionBids,
+  getUserBid,
+  createAuction,
+  placeBid,
+  commitBid,
+  revealBid,
+  buyAtCurrentPrice,
+  getSealedBid,
+  withdrawBid,
+  endAuction,
+  cancelAuction
+} from '../utils/blockchain';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
 
+const EMPTY_AUCTION_FORM = {
+  propertyId: '',
+  startingPrice: '',
+  reservePrice: '',
+  durationHours: '24',
+  bidIncrement: '0.01',
+  mode: String(AUCTION_MODE.ENGLISH),
+  revealHours: '24'
+};
+
+// Current time, refreshed every second so countdowns stay live
+const useNow = () => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return now;
+};
+
+const MarketplaceCard = ({
+  property,
+  userAddress,
+  busy,
+  onPlaceBid,
+  onCommitBid,
+  onRevealBid,
+  onBuyDutch,
+  onWithdrawBid,
+  onEndAuction,
+  onCancelAuction,
+  onBuyNow
+}) => {
+  const [bidAmount, setBidAmount] = useState('');
+  const [depositAmount, setDepositAmount] = useState('');
+  const now = useNow();
+
+  const isAuction = property.auctionType === 'auction';
+  const auction = property.auction;
+  const isSealed = isAuction && auction.sealed;
+  const isDutch = isAuction && auction.dutch;
+  const sealedBid = property.sealedBid;
+  const isSeller = property.seller === userAddress;
+  const isClosed = isAuction && (auction.ended || auction.cancelled);
+  // Sealed auctions run a commit phase until endTime, then a reveal phase until revealEndTime
+  const isRevealPhase = isSealed && !isClosed && now >= auction.endTime && now < auction.revealEndTime;
+  const deadline = isRevealPhase ? auction.revealEndTime : (isAuction ? auction.endTime : null);
+  const timeRemaining = isAuction ? deadline - now : null;
+  const isLive = isAuction && !isClosed && now < auction.endTime;
+  const isExpired = isAuction && !isClosed && !isLive && !isRevealPhase;
+  const isWinning = isAuction && auction.currentBidder === userAddress;
+  const dutchPrice = isDutch && isLive ? getDutchPrice(auction, now) : null;
+  // Each auction keeps the soft-close window it was created with
+  const softCloseWindow = isAuction ? auction.softCloseWindow : 0;
+  const inSoftClose = isLive && !isSealed && !isDutch && softCloseWindow > 0 && timeRemaining < softCloseWindow * 1000;
+  const canWithdraw = isAuction && parseFloat(property.withdrawable) > 0 && (!isWinning || isClosed);
+
+  const minBid = isAuction
+    ? (property.highestBid ? addEther(property.highestBid, auction.bidIncrement) : auction.startingPrice)
+    : null;
+
+  const auctionStatus = () => {
+    if (auction.cancelled) return 'Cancelled';
+    if (auction.ended) return 'Ended';
+    if (isExpired) return 'Awaiting settlement';
+    if (isSealed) {
+      return `${isRevealPhase ? 'Reveal' : 'Commit'}: ${formatTimeRemaining(timeRemaining)}`;
+    }
+    return formatTimeRemaining(timeRemaining);
+  };
+
+  return (
+    <div className="card h-100">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <div>
+          <span className={`badge ${isAuction ? 'bg-warning' : 'bg-success'}`}>
+            {isAuction ? AUCTION_MODE_LABELS[auction.mode] : 'Fixed Price'}
+          </span>
+          {property.verified && (
+            <span className="badge bg-primary ms-2">Verified</span>
+          )}
+        </div>
+        {isAuction && (
+          <small className={`text-${isLive || isRevealPhase ? 'muted' : 'danger'}`}>
+            {auctionStatus()}
+          </small>
+        )}
+      </div>
+
+      <div className="card-body">
+        <h6 className="card-title">{property.location}</h6>
+        <p className="card-text">
+          <small className="text-muted">
+            {property.propertyType} • {property.area} sq m
+          </small>
+        </p>
+
+        <div className="mb-3">
+          <div className="d-flex justify-content-between">
+            <span>Current Price:</span>
+            <strong>{formatEther(dutchPrice || property.currentPrice)}</strong>
+          </div>
+          {isDutch && (
+            <>
+              <div className="d-flex justify-content-between">
+                <span>Starting Price:</span>
+                <span>{formatEther(auction.startingPrice)}</span>
+              </div>
+              <div className="d-flex justify-content-between">
+                <span>Floor Price:</span>
+                <span>{formatEther(auction.reservePrice)}</span>
+              </div>
+              <div className="d-flex justify-content-between">
+                <span>Reaches Floor:</span>
+                <span>{auction.endTime.toLocaleString()}</span>
+              </div>
+            </>
+          )}
+          {isAuction && !isDutch && (
+            <>
+              <div className="d-flex justify-content-between">
+                <span>Starting Price:</span>
+                <span>{formatEther(auction.startingPrice)}</span>
+              </div>
+              <div className="d-flex justify-content-between">
+                <span>Highest Bid:</span>
+                <span>
+                  {isSealed && isLive
+                    ? 'Sealed'
+                    : (property.highestBid ? formatEther(property.highestBid) : 'No bids')}
+                </span>
+              </div>
+              <div className="d-flex justify-content-between">
+                <span>{isSealed ? 'Sealed Bids:' : 'Total Bids:'}</span>
+                <span>{isSealed ? auction.totalBidders : property.bidCount}</span>
+              </div>
+              <div className="d-flex justify-content-between">
+                <span>{isSealed ? 'Commits Close:' : 'Ends:'}</span>
+                <span>{auction.endTime.toLocaleString()}</span>
+              </div>
+              {isSealed && (
+                <div className="d-flex justify-content-between">
+                  <span>Reveals Close:</span>
+                  <span>{auction.revealEndTime.toLocaleString()}</span>
+                </div>
+              )}
+              <div className="d-flex justify-content-between">
+                <span>Reserve:</span>
+                <span>{auction.reservePrice === null ? 'Hidden until close' : formatEther(auction.reservePrice)}</span>
+              </div>
+            </>
+          )}
+        </div>
+
+        {isWinning && !isClosed && (
+          <div className="alert alert-success py-2 small">You are the highest bidder</div>
+        )}
+
+        {inSoftClose && (
+          <div className="alert alert-warning py-2 small">
+            Closing soon: a new bid extends the auction by {Math.round(softCloseWindow / 60)} minutes
+          </div>
+        )}
+
+        {isSealed && sealedBid && sealedBid.committed && !isClosed && (
+          <div className="alert alert-info py-2 small">
+            {sealedBid.revealed
+              ? `Your bid of ${formatEther(sealedBid.amount || '0')} is revealed`
+              : `Bid committed with a ${formatEther(sealedBid.deposit)} deposit. Reveal it after commits close or the deposit is forfeited.`}
+          </div>
+        )}
+
+        {isSealed && isLive && !isSeller && sealedBid && !sealedBid.committed && (
+          <div className="mb-3">
+            <label className="form-label">Step 1: Commit Sealed Bid (ETH)</label>
+            <input
+              type="number"
+              className="form-control mb-2"
+              aria-label="Bid amount"
+              value={bidAmount}
+              onChange={(e) => setBidAmount(e.target.value)}
+              placeholder={`Bid (min ${auction.startingPrice})`}
+              min={auction.startingPrice}
+              disabled={busy}
+            />
+            <div className="input-group">
+              <input
+                type="number"
+                className="form-control"
+                aria-label="Deposit amount"
+                value={depositAmount}
+                onChange={(e) => setDepositAmount(e.target.value)}
+                placeholder="Deposit (defaults to bid)"
+                min={bidAmount || auction.startingPrice}
+                disabled={busy}
+              />
+              <button
+                className="btn btn-outline-primary"
+                onClick={() => onCommitBid(property, bidAmount, depositAmount || bidAmount)}
+                disabled={!bidAmount || busy}
+              >
+                {busy ? (
+                  <span className="spinner-border spinner-border-sm"></span>
+                ) : (
+                  'Commit'
+                )}
+              </button>
+            </div>
+            <small className="text-muted">
+              Depositing more than your bid hides its size. The excess is refunded after you reveal.
+            </small>
+          </div>
+        )}
+
+        {isRevealPhase && sealedBid && sealedBid.committed && !sealedBid.revealed && (
+          <div className="mb-3">
+            <label className="form-label">Step 2: Reveal Bid</label>
+            <button
+              className="btn btn-primary w-100"
+              onClick={() => onRevealBid(property)}
+              disabled={busy || !sealedBid.amount}
+            >
+              {sealedBid.amount ? `Reveal ${formatEther(sealedBid.amount)} Bid` : 'Bid secret not found in this browser'}
+            </button>
+          </div>
+        )}
+
+        {isDutch && isLive && !isSeller && (
+          <button
+            className="btn btn-success w-100 mb-2"
+            onClick={() => onBuyDutch(property, dutchPrice)}
+            disabled={busy}
+          >
+            {busy ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2"></span>
+                Processing...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-graph-down-arrow me-2"></i>
+                Buy at {formatEther(dutchPrice)}
+              </>
+            )}
+          </button>
+        )}
+
+        {isLive && !isSealed && !isDutch && !isSeller && (
+          <div className="mb-3">
+            <label htmlFor={`bid-${property.id}`} className="form-label">
+              Place Bid (ETH)
+            </label>
+            <div className="input-group">
+              <input
+                type="number"
+                className="form-control"
+                id={`bid-${property.id}`}
+                value={bidAmount}
+                onChange={(e) => setBidAmount(e.target.value)}
+                placeholder={`Min: ${minBid}`}
+                step={auction.bidIncrement}
+                min={minBid}
+                disabled={busy}
+              />
+              <button
+                className="btn btn-outline-primary"
+                onClick={() => onPlaceBid(property, bidAmount, minBid).then(() => setBidAmount(''))}
+                disabled={!bidAmount || busy}
+              >
+                {busy ? (
+                  <span className="spinner-border spinner-border-sm"></span>
+                ) : (
+                  'Bid'
+                )}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {isExpired && (
+          <button
+            className="btn btn-warning w-100 mb-2"
+            onClick={() => onEndAuction(property)}
+            disabled={busy}
+          >
+            End Auction
+          </button>
+        )}
+
+        {isLive && isSeller && auction.totalBidders === 0 && (
+          <button
+            className="btn btn-outline-danger w-100 mb-2"
+            onClick={() => onCancelAuction(property)}
+            disabled={busy}
+          >
+            Cancel Auction
+          </button>
+        )}
+
+        {canWithdraw && (
+          <button
+            className="btn btn-outline-secondary w-100 mb-2"
+            onClick={() => onWithdrawBid(property)}
+            disabled={busy}
+          >
+            <i className="bi bi-arrow-counterclockwise me-2"></i>
+            Withdraw {formatEther(property.withdrawable)}
+          </button>
+        )}
+
+        {!isAuction && !isSeller && (
+          <button
+            className="btn btn-success w-100"
+            onClick={() => onBuyNow(property)}
+            disabled={busy}
+          >
+            {busy ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2"></span>
+                Processing...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-cart-plus me-2"></i>
+                Buy Now
+              </>
+            )}
+          </button>
+        )}
+
+        <div className="mt-3">
+          <small className="text-muted">
+            Seller: {isSeller ? 'You' : formatAddress(property.seller)}
+          </small>
+        </div>
+      </div>
+
+      {property.bids.length > 0 && (
+        <div className="card-footer">
+          <h6>Recent Bids</h6>
+          <div style={{ maxHeight: '150px', overflowY: 'auto' }}>
+            {property.bids.slice(0, 5).map((bid, index) => (
+              <div key={index} className="d-flex justify-content-between small">
+                <span>{formatAddress(bid.bidder)}</span>
+                <span>{formatEther(bid.amount)}</span>
+                <span>{timeAgo(bid.timestamp)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 const PropertyMarketplace = ({ signer, userAddress }) => {
   const [properties, setProperties] = useState([]);
-  const [bids, setBids] = useState({});
+  const [auctionableProperties, setAuctionableProperties] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [bidding, setBidding] = useState({});
   const [sortBy, setSortBy] = useState('newest');
   const [filterBy, setFilterBy] = useState('all');
+  const [showAuctionForm, setShowAuctionForm] = useState(false);
+  const [creatingAuction, setCreatingAuction] = useState(false);
+  const [auctionForm, setAuctionForm] = useState(EMPTY_AUCTION_FORM);
 
   useEffect(() => {
     loadMarketplaceData();
-  }, [signer]);
+  }, [signer, userAddress]);
+
+  const loadAuctionListing = async (auction) => {
+    const [property, bids, withdrawable, sealedBid] = await Promise.all([
+      getProperty(signer, auction.propertyId),
+      getAuctionBids(signer, auction.id),
+      userAddress ? getUserBid(signer, auction.id, userAddress) : '0',
+      auction.sealed && userAddress ? getSealedBid(signer, auction.id, userAddress) : null
+    ]);
+
+    return {
+      id: `auction-${auction.id}`,
+      propertyId: auction.propertyId,
+      location: property.location,
+      propertyType: property.propertyType,
+      area: property.area,
+      verified: property.verified,
+      seller: auction.seller,
+      auctionType: 'auction',
+      auction,
+      currentPrice: auction.currentBidder
+        ? auction.currentBid
+        : (auction.dutch ? getDutchPrice(auction) : auction.startingPrice),
+      highestBid: auction.currentBidder ? auction.currentBid : null,
+      bidCount: bids.length,
+      bids,
+      withdrawable,
+      sealedBid,
+      endTime: auction.endTime
+    };
+  };
 
   const loadMarketplaceData = async () => {
+    if (!signer) {
+      setLoading(false);
+      return;
+    }
+
     try {
       setLoading(true);
       setError('');
-      
-      // Mock marketplace data
-      const mockProperties = [
-        {
-          id: '1',
-          location: 'Downtown Manhattan, NY',
-          propertyType: 'Commercial',
-          area: 500,
-          currentPrice: '150',
-          startingPrice: '120',
-          highestBid: '145',
-          bidCount: 8,
-          timeLeft: new Date(Date.now() + 86400000 * 2), // 2 days
-          seller: '0x1234567890123456789012345678901234567890',
-          verified: true,
-          images: ['ipfs://image1', 'ipfs://image2'],
-          auctionType: 'auction'
-        },
-        {
-          id: '2',
-          location: 'Beverly Hills, CA',
-          propertyType: 'Residential',
-          area: 800,
-          currentPrice: '300',
-          startingPrice: '300',
-          highestBid: null,
+
+      const [auctions, forSale, myProperties] = await Promise.all([
+        getAllAuctions(signer),
+        getPropertiesForSale(signer),
+        getMyProperties(signer)
+      ]);
+
+      // Open auctions, plus closed ones still holding a refund for this user
+      const auctionListings = (await Promise.all(auctions.map(loadAuctionListing)))
+        .filter(listing => {
+          const { ended, cancelled } = listing.auction;
+          return (!ended && !cancelled) || parseFloat(listing.withdrawable) > 0;
+        });
+
+      const propertiesInAuction = new Set(
+        auctionListings
+          .filter(listing => !listing.auction.ended && !listing.auction.cancelled)
+          .map(listing => listing.propertyId)
+      );
+
+      const fixedListings = forSale
+        .filter(property => !propertiesInAuction.has(property.id))
+        .map(property => ({
+          id: `property-${property.id}`,
+          propertyId: property.id,
+          location: property.location,
+          propertyType: property.propertyType,
+          area: property.area,
+          verified: property.verified,
+          seller: property.owner,
+          auctionType: 'fixed',
+          currentPrice: property.price,
           bidCount: 0,
-          timeLeft: null,
-          seller: '0x0987654321098765432109876543210987654321',
-          verified: true,
-          images: ['ipfs://image3'],
-          auctionType: 'fixed'
-        },
-        {
-          id: '3',
-          location: 'Miami Beach, FL',
-          propertyType: 'Residential',
-          area: 600,
-          currentPrice: '200',
-          startingPrice: '180',
-          highestBid: '195',
-          bidCount: 12,
-          timeLeft: new Date(Date.now() + 86400000 * 5), // 5 days
-          seller: '0x5555666677778888999900001111222233334444',
-          verified: true,
-          images: ['ipfs://image4', 'ipfs://image5'],
-          auctionType: 'auction'
-        }
-      ];
-
-      setProperties(mockProperties);
-      
-      // Load existing bids
-      const mockBids = {
-        '1': [
-          { bidder: '0xaaa', amount: '145', timestamp: new Date(Date.now() - 3600000) },
-          { bidder: '0xbbb', amount: '140', timestamp: new Date(Date.now() - 7200000) }
-        ],
-        '3': [
-          { bidder: '0xccc', amount: '195', timestamp: new Date(Date.now() - 1800000) },
-          { bidder: '0xddd', amount: '190', timestamp: new Date(Date.now() - 3600000) }
-        ]
-      };
-      setBids(mockBids);
-      
+          bids: [],
+          endTime: null
+        }));
+
+      setProperties([...auctionListings, ...fixedListings]);
+      setAuctionableProperties(
+        myProperties.filter(p => p.forSale && p.verified && !propertiesInAuction.has(p.id))
+      );
+
     } catch (error) {
       console.error('Error loading marketplace:', error);
       setError('Failed to load marketplace data');
@@ -93,84 +492,117 @@ const PropertyMarketplace = ({ signer, userAddress }) => {
     }
   };
 
-  const handlePlaceBid = async (propertyId, bidAmount) => {
+  // Run a transaction for one listing, with a per-listing busy flag
+  const runForListing = async (listingId, action, successMessage) => {
     try {
-      setBidding(prev => ({ ...prev, [propertyId]: true }));
+      setBidding(prev => ({ ...prev, [listingId]: true }));
       setError('');
 
-      const property = properties.find(p => p.id === propertyId);
-      const minBid = property.highestBid ? 
-        parseFloat(property.highestBid) + 0.1 : 
-        parseFloat(property.startingPrice);
+      await action();
+      await loadMarketplaceData();
 
-      if (parseFloat(bidAmount) < minBid) {
-        throw new Error(`Bid must be at least ${minBid} ETH`);
+      if (successMessage) {
+        alert(successMessage);
       }
-
-      // Simulate blockchain transaction
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
-      // Update local state
-      const newBid = {
-        bidder: userAddress,
-        amount: bidAmount,
-        timestamp: new Date()
-      };
-
-      setBids(prev => ({
-        ...prev,
-        [propertyId]: [newBid, ...(prev[propertyId] || [])]
-      }));
-
-      setProperties(prev => prev.map(p => 
-        p.id === propertyId 
-          ? { ...p, highestBid: bidAmount, bidCount: p.bidCount + 1 }
-          : p
-      ));
-
-      alert('Bid placed successfully!');
-      
     } catch (error) {
-      console.error('Error placing bid:', error);
-      setError(error.message || 'Failed to place bid');
+      console.error('Marketplace transaction failed:', error);
+      setError(handleTransactionError(error));
+      throw error;
     } finally {
-      setBidding(prev => ({ ...prev, [propertyId]: false }));
+      setBidding(prev => ({ ...prev, [listingId]: false }));
     }
   };
 
-  const handleBuyNow = async (propertyId) => {
+  const handlePlaceBid = (property, bidAmount, minBid) =>
+    runForListing(property.id, async () => {
+      if (parseFloat(bidAmount) < parseFloat(minBid)) {
+        throw new Error(`Bid must be at least ${minBid} ETH`);
+      }
+      await placeBid(signer, property.auction.id, bidAmount);
+    }, SUCCESS_MESSAGES.BID_PLACED).catch(() => {});
+
+  const handleCommitBid = (property, bidAmount, deposit) =>
+    runForListing(property.id, async () => {
+      if (parseFloat(bidAmount) < parseFloat(property.auction.startingPrice)) {
+        throw new Error(`Bid must be at least ${property.auction.startingPrice} ETH`);
+      }
+      if (parseFloat(deposit) < parseFloat(bidAmount)) {
+        throw new Error('Deposit must cover the bid');
+      }
+      await commitBid(signer, property.auction.id, bidAmount, deposit);
+    }, SUCCESS_MESSAGES.BID_COMMITTED).catch(() => {});
+
+  const handleRevealBid = (property) =>
+    runForListing(property.id, () => revealBid(signer, property.auction.id), SUCCESS_MESSAGES.BID_REVEALED)
+      .catch(() => {});
+
+  const handleBuyDutch = (property, price) => {
+    if (!window.confirm(`Buy property at the current price of about ${price} ETH?`)) return;
+    runForListing(property.id, () => buyAtCurrentPrice(signer, property.auction.id), SUCCESS_MESSAGES.AUCTION_PURCHASED)
+      .catch(() => {});
+  };
+
+  const handleWithdrawBid = (property) =>
+    runForListing(property.id, () => withdrawBid(signer, property.auction.id), SUCCESS_MESSAGES.BID_WITHDRAWN)
+      .catch(() => {});
+
+  const handleEndAuction = (property) =>
+    runForListing(property.id, () => endAuction(signer, property.auction.id), SUCCESS_MESSAGES.AUCTION_ENDED)
+      .catch(() => {});
+
+  const handleCancelAuction = (property) => {
+    if (!window.confirm('Cancel this auction?')) return;
+    runForListing(property.id, () => cancelAuction(signer, property.auction.id)).catch(() => {});
+  };
+
+  const handleBuyNow = (property) => {
+    const confirmed = window.confirm(
+      `Buy property for ${property.currentPrice} ETH?`
+    );
+    if (!confirmed) return;
+
+    runForListing(
+      property.id,
+      () => createTransaction(signer, property.propertyId, property.currentPrice),
+      SUCCESS_MESSAGES.TRANSACTION_CREATED
+    ).catch(() => {});
+  };
+
+  const handleCreateAuction = async (e) => {
+    e.preventDefault();
     try {
-      setBidding(prev => ({ ...prev, [propertyId]: true }));
+      setCreatingAuction(true);
       setError('');
 
-      const property = properties.find(p => p.id === propertyId);
-      const confirmed = window.confirm(
-        `Buy property for ${property.currentPrice} ETH?`
-      );
-
-      if (!confirmed) {
-        setBidding(prev => ({ ...prev, [propertyId]: false }));
-        return;
+      if (!auctionForm.propertyId || !auctionForm.startingPrice || !auctionForm.reservePrice) {
+        throw new Error('Please fill in all required fields');
+      }
+      if (Number(auctionForm.mode) === AUCTION_MODE.DUTCH) {
+        if (parseFloat(auctionForm.reservePrice) >= parseFloat(auctionForm.startingPrice)) {
+          throw new Error('Floor price must be below the starting price');
+        }
+      } else if (parseFloat(auctionForm.reservePrice) < parseFloat(auctionForm.startingPrice)) {
+        throw new Error('Reserve price must be at least the starting price');
       }
 
-      // Simulate blockchain transaction
-      await new Promise(resolve => setTimeout(resolve, 3000));
+      await createAuction(signer, auctionForm);
+      await loadMarketplaceData();
+
+      setShowAuctionForm(false);
+      setAuctionForm(EMPTY_AUCTION_FORM);
+      alert(SUCCESS_MESSAGES.AUCTION_CREATED);
 
-      alert('Property purchased successfully!');
-      
-      // Remove from marketplace
-      setProperties(prev => prev.filter(p => p.id !== propertyId));
-      
     } catch (error) {
-      console.error('Error buying property:', error);
-      setError('Failed to purchase property');
+      console.error('Error creating auction:', error);
+      setError(handleTransactionError(error));
     } finally {
-      setBidding(prev => ({ ...prev, [propertyId]: false }));
+      setCreatingAuction(false);
     }
   };
 
   const getFilteredProperties = () => {
-    let filtered = properties;
+    let filtered = [...properties];
+    const now = Date.now();
 
     // Apply filters
     switch (filterBy) {
@@ -181,8 +613,8 @@ const PropertyMarketplace = ({ signer, userAddress }) => {
         filtered = filtered.filter(p => p.auctionType === 'fixed');
         break;
       case 'ending-soon':
-        filtered = filtered.filter(p => 
-          p.timeLeft && (p.timeLeft - new Date()) < 86400000 // Less than 24 hours
+        filtered = filtered.filter(p =>
+          p.endTime && p.endTime - now > 0 && (p.endTime - now) < 86400000 // Less than 24 hours
         );
         break;
       default:
@@ -199,184 +631,204 @@ const PropertyMarketplace = ({ signer, userAddress }) => {
         break;
       case 'ending-soon':
         filtered.sort((a, b) => {
-          if (!a.timeLeft) return 1;
-          if (!b.timeLeft) return -1;
-          return a.timeLeft - b.timeLeft;
+          if (!a.endTime) return 1;
+          if (!b.endTime) return -1;
+          return a.endTime - b.endTime;
         });
         break;
       case 'most-bids':
         filtered.sort((a, b) => b.bidCount - a.bidCount);
         break;
       default:
-        filtered.sort((a, b) => parseInt(b.id) - parseInt(a.id));
+        filtered.sort((a, b) => parseInt(b.propertyId) - parseInt(a.propertyId));
         break;
     }
 
     return filtered;
   };
 
-  const PropertyCard = ({ property }) => {
-    const [bidAmount, setBidAmount] = useState('');
-    const propertyBids = bids[property.id] || [];
-    const isAuction = property.auctionType === 'auction';
-    const timeRemaining = property.timeLeft ? property.timeLeft - new Date() : null;
-    const isExpired = timeRemaining && timeRemaining <= 0;
-
-    const formatTimeRemaining = (ms) => {
-      if (ms <= 0) return 'Expired';
-      const days = Math.floor(ms / (1000 * 60 * 60 * 24));
-      const hours = Math.floor((ms % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-      const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
-      
-      if (days > 0) return `${days}d ${hours}h`;
-      if (hours > 0) return `${hours}h ${minutes}m`;
-      return `${minutes}m`;
-    };
+  if (loading) {
+    return <LoadingSpinner message="Loading marketplace..." />;
+  }
 
-    return (
-      <div className="card h-100">
-        <div className="card-header d-flex justify-content-between align-items-center">
+  const isSealedForm = [AUCTION_MODE.SEALED_FIRST_PRICE, AUCTION_MODE.SEALED_SECOND_PRICE]
+    .includes(Number(auctionForm.mode));
+  const isDutchForm = Number(auctionForm.mode) === AUCTION_MODE.DUTCH;
+
+  const filteredProperties = getFilteredProperties();
+
+  return (
+    <div className="container-fluid">
+      <div className="row mb-4">
+        <div className="col-12 d-flex justify-content-between align-items-center">
           <div>
-            <span className={`badge ${isAuction ? 'bg-warning' : 'bg-success'}`}>
-              {isAuction ? 'Auction' : 'Fixed Price'}
-            </span>
-            {property.verified && (
-              <span className="badge bg-primary ms-2">Verified</span>
-            )}
+            <h2>
+              <i className="bi bi-shop me-2"></i>
+              Property Marketplace
+            </h2>
+            <p className="text-muted">Buy properties through auctions or fixed prices</p>
           </div>
-          {isAuction && timeRemaining && (
-            <small className={`text-${isExpired ? 'danger' : 'muted'}`}>
-              {formatTimeRemaining(timeRemaining)}
-            </small>
-          )}
+          <button
+            className="btn btn-primary"
+            onClick={() => setShowAuctionForm(!showAuctionForm)}
+            disabled={auctionableProperties.length === 0}
+            title={auctionableProperties.length === 0 ? 'List a verified property for sale to auction it' : ''}
+          >
+            <i className="bi bi-hammer me-2"></i>
+            Create Auction
+          </button>
         </div>
-        
-        <div className="card-body">
-          <h6 className="card-title">{property.location}</h6>
-          <p className="card-text">
-            <small className="text-muted">
-              {property.propertyType} • {property.area} sq m
-            </small>
-          </p>
-          
-          <div className="mb-3">
-            <div className="d-flex justify-content-between">
-              <span>Current Price:</span>
-              <strong>{formatEther(property.currentPrice)}</strong>
-            </div>
-            {isAuction && (
-              <>
-                <div className="d-flex justify-content-between">
-                  <span>Starting Price:</span>
-                  <span>{formatEther(property.startingPrice)}</span>
+      </div>
+
+      {/* Seller auction creation */}
+      {showAuctionForm && (
+        <div className="card mb-4">
+          <div className="card-header">
+            <h5 className="mb-0">Auction a Property</h5>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handleCreateAuction}>
+              <div className="row">
+                <div className="col-md-4 mb-3">
+                  <label htmlFor="auctionProperty" className="form-label">Property *</label>
+                  <select
+                    id="auctionProperty"
+                    className="form-select"
+                    value={auctionForm.propertyId}
+                    onChange={(e) => setAuctionForm(prev => ({ ...prev, propertyId: e.target.value }))}
+                    required
+                  >
+                    <option value="">Select a property</option>
+                    {auctionableProperties.map(property => (
+                      <option key={property.id} value={property.id}>
+                        #{property.id} - {property.location}
+                      </option>
+                    ))}
+                  </select>
                 </div>
-                <div className="d-flex justify-content-between">
-                  <span>Highest Bid:</span>
-                  <span>{property.highestBid ? formatEther(property.highestBid) : 'No bids'}</span>
+                <div className="col-md-2 mb-3">
+                  <label htmlFor="startingPrice" className="form-label">Starting Price (ETH) *</label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    id="startingPrice"
+                    value={auctionForm.startingPrice}
+                    onChange={(e) => setAuctionForm(prev => ({ ...prev, startingPrice: e.target.value }))}
+                    step="0.01"
+                    min="0"
+                    required
+                  />
                 </div>
-                <div className="d-flex justify-content-between">
-                  <span>Total Bids:</span>
-                  <span>{property.bidCount}</span>
+                <div className="col-md-2 mb-3">
+                  <label htmlFor="reservePrice" className="form-label">
+                    {isDutchForm ? 'Floor Price (ETH) *' : 'Reserve Price (ETH) *'}
+                  </label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    id="reservePrice"
+                    value={auctionForm.reservePrice}
+                    onChange={(e) => setAuctionForm(prev => ({ ...prev, reservePrice: e.target.value }))}
+                    step="0.01"
+                    min="0"
+                    required
+                  />
                 </div>
-              </>
-            )}
-          </div>
-
-          {isAuction && !isExpired && (
-            <div className="mb-3">
-              <label htmlFor={`bid-${property.id}`} className="form-label">
-                Place Bid (ETH)
-              </label>
-              <div className="input-group">
-                <input
-                  type="number"
-                  className="form-control"
-                  id={`bid-${property.id}`}
-                  value={bidAmount}
-                  onChange={(e) => setBidAmount(e.target.value)}
-                  placeholder={`Min: ${property.highestBid ? 
-                    (parseFloat(property.highestBid) + 0.1).toFixed(1) : 
-                    property.startingPrice}`}
-                  step="0.1"
-                  disabled={bidding[property.id]}
-                />
-                <button
-                  className="btn btn-outline-primary"
-                  onClick={() => handlePlaceBid(property.id, bidAmount)}
-                  disabled={!bidAmount || bidding[property.id]}
-                >
-                  {bidding[property.id] ? (
-                    <span className="spinner-border spinner-border-sm"></span>
+                <div className="col-md-2 mb-3">
+                  <label htmlFor="durationHours" className="form-label">
+                    {isSealedForm ? 'Commit Phase (hours)' : 'Duration (hours)'}
+                  </label>
+                  <input
+                    type="number"
+                    className="form-control"
+                    id="durationHours"
+                    value={auctionForm.durationHours}
+                    onChange={(e) => setAuctionForm(prev => ({ ...prev, durationHours: e.target.value }))}
+                    min="1"
+                    max="720"
+                    required
+                  />
+                </div>
+                {isSealedForm ? (
+                  <div className="col-md-2 mb-3">
+                    <label htmlFor="revealHours" className="form-label">Reveal Phase (hours)</label>
+                    <input
+                      type="number"
+                      className="form-control"
+                      id="revealHours"
+                      value={auctionForm.revealHours}
+                      onChange={(e) => setAuctionForm(prev => ({ ...prev, revealHours: e.target.value }))}
+                      min="1"
+                      max="168"
+                      required
+                    />
+                  </div>
+                ) : !isDutchForm && (
+                  <div className="col-md-2 mb-3">
+                    <label htmlFor="bidIncrement" className="form-label">Bid Increment (ETH)</label>
+                    <input
+                      type="number"
+                      className="form-control"
+                      id="bidIncrement"
+                      value={auctionForm.bidIncrement}
+                      onChange={(e) => setAuctionForm(prev => ({ ...prev, bidIncrement: e.target.value }))}
+                      step="0.01"
+                      min="0.01"
+                      required
+                    />
+                  </div>
+                )}
+              </div>
+              <div className="row">
+                <div className="col-md-4 mb-3">
+                  <label htmlFor="auctionMode" className="form-label">Auction Type</label>
+                  <select
+                    id="auctionMode"
+                    className="form-select"
+                    value={auctionForm.mode}
+                    onChange={(e) => setAuctionForm(prev => ({ ...prev, mode: e.target.value }))}
+                  >
+                    {Object.entries(AUCTION_MODE_LABELS).map(([mode, label]) => (
+                      <option key={mode} value={mode}>{label}</option>
+                    ))}
+                  </select>
+                  {isSealedForm && (
+                    <small className="text-muted">
+                      Bidders commit hidden bids with a deposit, then reveal them once commits close.
+                      Unrevealed deposits are paid to you.
+                    </small>
+                  )}
+                  {isDutchForm && (
+                    <small className="text-muted">
+                      The price falls steadily from the starting price to the floor over the duration.
+                      The first buyer to accept it wins.
+                    </small>
+                  )}
+                </div>
+              </div>
+              <div className="d-flex gap-2">
+                <button type="submit" className="btn btn-primary" disabled={creatingAuction}>
+                  {creatingAuction ? (
+                    <>
+                      <span className="spinner-border spinner-border-sm me-2"></span>
+                      Creating...
+                    </>
                   ) : (
-                    'Bid'
+                    'Start Auction'
                   )}
                 </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => setShowAuctionForm(false)}
+                >
+                  Cancel
+                </button>
               </div>
-            </div>
-          )}
-
-          {!isAuction && (
-            <button
-              className="btn btn-success w-100"
-              onClick={() => handleBuyNow(property.id)}
-              disabled={bidding[property.id]}
-            >
-              {bidding[property.id] ? (
-                <>
-                  <span className="spinner-border spinner-border-sm me-2"></span>
-                  Processing...
-                </>
-              ) : (
-                <>
-                  <i className="bi bi-cart-plus me-2"></i>
-                  Buy Now
-                </>
-              )}
-            </button>
-          )}
-
-          <div className="mt-3">
-            <small className="text-muted">
-              Seller: {formatAddress(property.seller)}
-            </small>
+            </form>
           </div>
         </div>
-
-        {propertyBids.length > 0 && (
-          <div className="card-footer">
-            <h6>Recent Bids</h6>
-            <div style={{ maxHeight: '150px', overflowY: 'auto' }}>
-              {propertyBids.slice(0, 5).map((bid, index) => (
-                <div key={index} className="d-flex justify-content-between small">
-                  <span>{formatAddress(bid.bidder)}</span>
-                  <span>{formatEther(bid.amount)}</span>
-                  <span>{timeAgo(bid.timestamp)}</span>
-                </div>
-              ))}
-            </div>
-          </div>
-        )}
-      </div>
-    );
-  };
-
-  if (loading) {
-    return <LoadingSpinner message="Loading marketplace..." />;
-  }
-
-  const filteredProperties = getFilteredProperties();
-
-  return (
-    <div className="container-fluid">
-      <div className="row mb-4">
-        <div className="col-12">
-          <h2>
-            <i className="bi bi-shop me-2"></i>
-            Property Marketplace
-          </h2>
-          <p className="text-muted">Buy properties through auctions or fixed prices</p>
-        </div>
-      </div>
+      )}
 
       {/* Filters and Controls */}
       <div className="row mb-4">
@@ -395,7 +847,7 @@ const PropertyMarketplace = ({ signer, userAddress }) => {
               <option value="fixed">Fixed Price Only</option>
               <option value="ending-soon">Ending Soon</option>
             </select>
-            
+
             <label htmlFor="sortBy" className="form-label me-2 mb-0">Sort:</label>
             <select
               id="sortBy"
@@ -434,7 +886,19 @@ const PropertyMarketplace = ({ signer, userAddress }) => {
         <div className="row">
           {filteredProperties.map(property => (
             <div key={property.id} className="col-lg-4 col-md-6 mb-4">
-              <PropertyCard property={property} />
+              <MarketplaceCard
+                property={property}
+                userAddress={userAddress}
+                busy={!!bidding[property.id]}
+                onPlaceBid={handlePlaceBid}
+                onCommitBid={handleCommitBid}
+                onRevealBid={handleRevealBid}
+                onBuyDutch={handleBuyDutch}
+                onWithdrawBid={handleWithdrawBid}
+                onEndAuction={handleEndAuction}
+                onCancelAuction={handleCancelAuction}
+                onBuyNow={handleBuyNow}
+              />
             </div>
           ))}
         </div>
@@ -443,8 +907,8 @@ const PropertyMarketplace = ({ signer, userAddress }) => {
           <i className="bi bi-shop display-1 text-muted"></i>
           <h3 className="mt-3">No Properties Available</h3>
           <p className="text-muted">
-            {filterBy === 'all' 
-              ? 'No properties are currently listed in the marketplace.' 
+            {filterBy === 'all'
+              ? 'No properties are currently listed in the marketplace.'
               : `No properties match the selected filter: ${filterBy}`}
           </p>
         </div>
@@ -1,5 +1,15 @@
 import React, { useState, useEffect } from 'react';
-import { formatEther, formatAddress, timeAgo } from '../utils/helpers';
+import { formatEther, formatAddress, timeAgo, handleTransactionError } from '../utils/helpers';
+import { RENTAL_STATUS, RENTAL_STATUS_LABELS, SUCCESS_MESSAGES } from '../utils/constants';
+import {
+  getProperty,
+  getAllRentals,
+  createRental,
+  rentProperty,
+  payRent,
+  endLease,
+  terminateLease
+} from '../utils/blockchain';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
 
@@ -29,79 +39,35 @@ const PropertyRental = ({ signer, userAddress }) => {
   }, [signer, userAddress]);
 
   const loadRentalData = async () => {
+    if (!signer) {
+      setLoading(false);
+      return;
+    }
+
     try {
       setLoading(true);
       setError('');
-      
-      // Mock rental data
-      const mockRentals = [
-        {
-          id: '1',
-          propertyId: '1',
-          landlord: '0x1234567890123456789012345678901234567890',
-          tenant: null,
-          monthlyRent: '2.5',
-          securityDeposit: '5.0',
-          leaseDuration: 12,
-          availableFrom: new Date(Date.now() + 86400000 * 7),
-          leaseStart: null,
-          leaseEnd: null,
-          status: 'available',
-          description: 'Beautiful downtown apartment with city views',
-          amenities: ['WiFi', 'Parking', 'Gym', 'Pool'],
-          petPolicy: 'cats-allowed',
-          smokingPolicy: 'no-smoking',
-          location: 'Downtown Manhattan, NY',
-          propertyType: 'Residential',
-          area: 85,
-          images: ['ipfs://image1', 'ipfs://image2']
-        },
-        {
-          id: '2',
-          propertyId: '2',
-          landlord: userAddress,
-          tenant: '0x9876543210987654321098765432109876543210',
-          monthlyRent: '3.2',
-          securityDeposit: '6.4',
-          leaseDuration: 24,
-          availableFrom: new Date(Date.now() - 86400000 * 30),
-          leaseStart: new Date(Date.now() - 86400000 * 30),
-          leaseEnd: new Date(Date.now() + 86400000 * 700),
-          status: 'occupied',
-          description: 'Luxury condo with modern amenities',
-          amenities: ['WiFi', 'Parking', 'Concierge', 'Rooftop'],
-          petPolicy: 'no-pets',
-          smokingPolicy: 'no-smoking',
-          location: 'Beverly Hills, CA',
-          propertyType: 'Residential',
-          area: 120,
-          images: ['ipfs://image3']
-        },
-        {
-          id: '3',
-          propertyId: '3',
-          landlord: '0x5555666677778888999900001111222233334444',
-          tenant: userAddress,
-          monthlyRent: '1.8',
-          securityDeposit: '3.6',
-          leaseDuration: 6,
-          availableFrom: new Date(Date.now() - 86400000 * 60),
-          leaseStart: new Date(Date.now() - 86400000 * 60),
-          leaseEnd: new Date(Date.now() + 86400000 * 120),
-          status: 'occupied',
-          description: 'Cozy studio apartment near beach',
-          amenities: ['WiFi', 'Beach Access'],
-          petPolicy: 'pets-allowed',
-          smokingPolicy: 'smoking-allowed',
-          location: 'Miami Beach, FL',
-          propertyType: 'Residential',
-          area: 45,
-          images: ['ipfs://image4']
-        }
-      ];
-
-      setRentals(mockRentals);
-      setMyRentals(mockRentals.filter(r => r.landlord === userAddress || r.tenant === userAddress));
+
+      const onChainRentals = await getAllRentals(signer);
+
+      // Attach registry details for display
+      const rentalsWithProperty = await Promise.all(
+        onChainRentals
+          .filter(rental => rental.status !== RENTAL_STATUS.CANCELLED)
+          .map(async (rental) => {
+            const property = await getProperty(signer, rental.propertyId);
+            return {
+              ...rental,
+              location: property.location,
+              propertyType: property.propertyType,
+              area: property.area,
+              propertyOwner: property.owner
+            };
+          })
+      );
+
+      setRentals(rentalsWithProperty);
+      setMyRentals(rentalsWithProperty.filter(r => r.landlord === userAddress || r.tenant === userAddress));
       
     } catch (error) {
       console.error('Error loading rental data:', error);
@@ -122,33 +88,9 @@ const PropertyRental = ({ signer, userAddress }) => {
         throw new Error('Please fill in all required fields');
       }
 
-      // Simulate blockchain transaction
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
-      const rental = {
-        id: Date.now().toString(),
-        propertyId: newRental.propertyId,
-        landlord: userAddress,
-        tenant: null,
-        monthlyRent: newRental.monthlyRent,
-        securityDeposit: newRental.securityDeposit,
-        leaseDuration: parseInt(newRental.leaseDuration),
-        availableFrom: new Date(newRental.availableFrom),
-        leaseStart: null,
-        leaseEnd: null,
-        status: 'available',
-        description: newRental.description,
-        amenities: newRental.amenities,
-        petPolicy: newRental.petPolicy,
-        smokingPolicy: newRental.smokingPolicy,
-        location: 'Your Property Location',
-        propertyType: 'Residential',
-        area: 100,
-        images: []
-      };
-
-      setRentals(prev => [rental, ...prev]);
-      setMyRentals(prev => [rental, ...prev]);
+      await createRental(signer, newRental);
+      await loadRentalData();
+
       setShowCreateForm(false);
       setNewRental({
         propertyId: '',
@@ -162,11 +104,11 @@ const PropertyRental = ({ signer, userAddress }) => {
         smokingPolicy: 'no-smoking'
       });
 
-      alert('Rental listing created successfully!');
+      alert(SUCCESS_MESSAGES.RENTAL_CREATED);
       
     } catch (error) {
       console.error('Error creating rental:', error);
-      setError(error.message || 'Failed to create rental listing');
+      setError(handleTransactionError(error));
     } finally {
       setCreating(false);
     }
@@ -185,39 +127,50 @@ const PropertyRental = ({ signer, userAddress }) => {
 
       if (!confirmed) return;
 
-      // Simulate blockchain transaction
-      await new Promise(resolve => setTimeout(resolve, 2500));
-
-      // Update rental status
-      setRentals(prev => prev.map(r => 
-        r.id === rentalId 
-          ? { 
-              ...r, 
-              tenant: userAddress, 
-              status: 'occupied',
-              leaseStart: new Date(),
-              leaseEnd: new Date(Date.now() + r.leaseDuration * 30 * 24 * 60 * 60 * 1000)
-            }
-          : r
-      ));
-
-      setMyRentals(prev => prev.map(r => 
-        r.id === rentalId 
-          ? { 
-              ...r, 
-              tenant: userAddress, 
-              status: 'occupied',
-              leaseStart: new Date(),
-              leaseEnd: new Date(Date.now() + r.leaseDuration * 30 * 24 * 60 * 60 * 1000)
-            }
-          : r
-      ));
-
-      alert('Property rented successfully!');
+      await rentProperty(signer, rentalId);
+      await loadRentalData();
+
+      alert(SUCCESS_MESSAGES.PROPERTY_RENTED);
       
     } catch (error) {
       console.error('Error renting property:', error);
-      setError('Failed to rent property');
+      setError(handleTransactionError(error));
+    }
+  };
+
+  const handlePayRent = async (rentalId) => {
+    try {
+      setError('');
+      await payRent(signer, rentalId);
+      await loadRentalData();
+      alert(SUCCESS_MESSAGES.RENT_PAID);
+    } catch (error) {
+      console.error('Error paying rent:', error);
+      setError(handleTransactionError(error));
+    }
+  };
+
+  const handleEndLease = async (rentalId) => {
+    try {
+      setError('');
+      await endLease(signer, rentalId);
+      await loadRentalData();
+    } catch (error) {
+      console.error('Error ending lease:', error);
+      setError(handleTransactionError(error));
+    }
+  };
+
+  const handleTerminateLease = async (rentalId) => {
+    try {
+      if (!window.confirm('Terminate this lease for unpaid rent?')) return;
+
+      setError('');
+      await terminateLease(signer, rentalId);
+      await loadRentalData();
+    } catch (error) {
+      console.error('Error terminating lease:', error);
+      setError(handleTransactionError(error));
     }
   };
 
@@ -233,7 +186,16 @@ const PropertyRental = ({ signer, userAddress }) => {
   const RentalCard = ({ rental, showActions = true }) => {
     const isLandlord = rental.landlord === userAddress;
     const isTenant = rental.tenant === userAddress;
-    const canRent = !isLandlord && !isTenant && rental.status === 'available';
+    // A listing or lease lapses once the landlord transfers the property
+    const landlordOwnsProperty = rental.propertyOwner === rental.landlord;
+    const isNewOwner = !landlordOwnsProperty && rental.propertyOwner === userAddress;
+    const canRent = !isLandlord && !isTenant && landlordOwnsProperty && rental.status === RENTAL_STATUS.AVAILABLE;
+    const isLeased = rental.status === RENTAL_STATUS.LEASED;
+    const canPayRent = isTenant && isLeased && landlordOwnsProperty && rental.monthsPaid < rental.leaseDuration;
+    const canEndLease = (isLandlord || isTenant || isNewOwner) && isLeased &&
+      (rental.leaseEnd <= new Date() || !landlordOwnsProperty);
+    const canTerminate = isLandlord && isLeased && landlordOwnsProperty &&
+      rental.monthsPaid < rental.leaseDuration && rental.nextRentDue < new Date();
     const daysUntilAvailable = rental.availableFrom ? 
       Math.ceil((rental.availableFrom - new Date()) / (1000 * 60 * 60 * 24)) : 0;
 
@@ -242,10 +204,10 @@ const PropertyRental = ({ signer, userAddress }) => {
         <div className="card-header d-flex justify-content-between align-items-center">
           <div>
             <span className={`badge ${
-              rental.status === 'available' ? 'bg-success' : 
-              rental.status === 'occupied' ? 'bg-primary' : 'bg-secondary'
+              rental.status === RENTAL_STATUS.AVAILABLE ? 'bg-success' : 
+              rental.status === RENTAL_STATUS.LEASED ? 'bg-primary' : 'bg-secondary'
             }`}>
-              {rental.status.charAt(0).toUpperCase() + rental.status.slice(1)}
+              {RENTAL_STATUS_LABELS[rental.status]}
             </span>
             {isLandlord && <span className="badge bg-info ms-2">Your Property</span>}
             {isTenant && <span className="badge bg-warning ms-2">Your Rental</span>}
@@ -274,7 +236,7 @@ const PropertyRental = ({ signer, userAddress }) => {
               <span>Lease Duration:</span>
               <span>{rental.leaseDuration} months</span>
             </div>
-            {rental.status === 'available' && (
+            {rental.status === RENTAL_STATUS.AVAILABLE && (
               <div className="d-flex justify-content-between">
                 <span>Available From:</span>
                 <span>
@@ -285,6 +247,18 @@ const PropertyRental = ({ signer, userAddress }) => {
                 </span>
               </div>
             )}
+            {isLeased && rental.nextRentDue && (
+              <div className="d-flex justify-content-between">
+                <span>Rent Paid:</span>
+                <span>{rental.monthsPaid} of {rental.leaseDuration} months</span>
+              </div>
+            )}
+            {isLeased && rental.monthsPaid < rental.leaseDuration && (
+              <div className="d-flex justify-content-between">
+                <span>Next Rent Due:</span>
+                <span>{rental.nextRentDue.toLocaleDateString()}</span>
+              </div>
+            )}
             {rental.leaseEnd && (
               <div className="d-flex justify-content-between">
                 <span>Lease Ends:</span>
@@ -346,6 +320,34 @@ const PropertyRental = ({ signer, userAddress }) => {
               Available in {daysUntilAvailable} days
             </button>
           )}
+
+          {showActions && canPayRent && (
+            <button
+              className="btn btn-primary w-100 mb-2"
+              onClick={() => handlePayRent(rental.id)}
+            >
+              <i className="bi bi-cash-coin me-2"></i>
+              Pay Rent ({formatEther(rental.monthlyRent)})
+            </button>
+          )}
+
+          {showActions && canEndLease && (
+            <button
+              className="btn btn-outline-danger w-100"
+              onClick={() => handleEndLease(rental.id)}
+            >
+              End Lease
+            </button>
+          )}
+
+          {showActions && canTerminate && (
+            <button
+              className="btn btn-danger w-100 mt-2"
+              onClick={() => handleTerminateLease(rental.id)}
+            >
+              Terminate Lease (Rent Overdue)
+            </button>
+          )}
         </div>
       </div>
     );
@@ -355,8 +357,8 @@ const PropertyRental = ({ signer, userAddress }) => {
     return <LoadingSpinner message="Loading rental properties..." />;
   }
 
-  const availableRentals = rentals.filter(r => r.status === 'available');
-  const occupiedRentals = rentals.filter(r => r.status === 'occupied');
+  const availableRentals = rentals.filter(r => r.status === RENTAL_STATUS.AVAILABLE);
+  const occupiedRentals = rentals.filter(r => r.status === RENTAL_STATUS.LEASED);
 
   return (
     <div className="container-fluid">
@@ -625,7 +627,7 @@ const PropertyRental = ({ signer, userAddress }) => {
             {myRentals.length > 0 ? (
               myRentals.map(rental => (
                 <div key={rental.id} className="col-lg-4 col-md-6 mb-4">
-                  <RentalCard rental={rental} showActions={false} />
+                  <RentalCard rental={rental} />
                 </div>
               ))
             ) : (
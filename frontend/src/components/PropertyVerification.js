@@ -1,8 +1,107 @@
 import React, { useState, useEffect } from 'react';
-import { getProperty } from '../utils/blockchain';
+import { formatAddress, handleTransactionError } from '../utils/helpers';
+import {
+  APP_CONFIG,
+  IPFS_CONFIG,
+  ROLES,
+  SUCCESS_MESSAGES,
+  VERIFICATION_CHECKS,
+  VERIFICATION_CHECK_LABELS,
+  VERIFICATION_STATUS,
+  VERIFICATION_STATUS_LABELS
+} from '../utils/constants';
+import { uploadJSONToIPFS, createInspectionReport, createIPFSUrl } from '../utils/ipfs';
+import {
+  getProperty,
+  getVerificationHistory,
+  getVerificationRevocations,
+  submitInspectionReport,
+  revokeVerification,
+  hasContractRole
+} from '../utils/blockchain';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default expiry for a new inspection, as a date input value
+const defaultExpiry = () =>
+  new Date(Date.now() + APP_CONFIG.VERIFICATION_VALIDITY_DAYS * DAY_MS).toISOString().slice(0, 10);
+
+const VerificationHistory = ({ history, revocations = [] }) => (
+  <div className="card mt-4">
+    <div className="card-header">
+      <h6 className="mb-0">
+        <i className="bi bi-clock-history me-2"></i>
+        Verification History
+      </h6>
+    </div>
+    {revocations.length > 0 && (
+      <ul className="list-group list-group-flush">
+        {revocations.map((revocation, index) => (
+          <li key={index} className="list-group-item list-group-item-danger">
+            <strong>Revoked</strong> {revocation.revokedAt.toLocaleDateString()} by{' '}
+            <span title={revocation.verifier}>{formatAddress(revocation.verifier)}</span>
+            <div><small>{revocation.reason}</small></div>
+          </li>
+        ))}
+      </ul>
+    )}
+    {history.length === 0 ? (
+      <div className="card-body text-muted">No inspection reports have been recorded for this property.</div>
+    ) : (
+      <ul className="list-group list-group-flush">
+        {history.map(record => {
+          const passed = VERIFICATION_CHECKS.filter(check => record.complianceChecks[check]);
+          const expired = record.expiresAt < new Date();
+
+          return (
+            <li key={record.index} className="list-group-item">
+              <div className="d-flex justify-content-between align-items-start">
+                <div>
+                  <strong>{record.inspectorName}</strong>
+                  <small className="text-muted ms-2">License {record.inspectorLicense}</small>
+                  <div>
+                    <small className="text-muted">
+                      Recorded {record.submittedAt.toLocaleDateString()} by{' '}
+                      <span title={record.verifier}>{formatAddress(record.verifier)}</span>
+                    </small>
+                  </div>
+                </div>
+                <span className={`badge ${expired ? 'bg-secondary' : 'bg-success'}`}>
+                  {expired ? 'Expired' : 'Valid until'} {record.expiresAt.toLocaleDateString()}
+                </span>
+              </div>
+              <div className="mt-2">
+                {VERIFICATION_CHECKS.map(check => (
+                  <span
+                    key={check}
+                    className={`badge me-1 ${record.complianceChecks[check] ? 'bg-success' : 'bg-light text-muted border'}`}
+                  >
+                    {VERIFICATION_CHECK_LABELS[check]}
+                  </span>
+                ))}
+                <small className="text-muted ms-1">
+                  {passed.length}/{VERIFICATION_CHECKS.length} checks passed
+                </small>
+              </div>
+              <a
+                href={createIPFSUrl(record.reportHash)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="small"
+              >
+                <i className="bi bi-file-earmark-text me-1"></i>
+                Full inspection report
+              </a>
+            </li>
+          );
+        })}
+      </ul>
+    )}
+  </div>
+);
+
 const PropertyVerification = ({ 
   signer, 
   propertyId, 
@@ -10,6 +109,10 @@ const PropertyVerification = ({
   isVerifier = false 
 }) => {
   const [property, setProperty] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [revocations, setRevocations] = useState([]);
+  const [revocationReason, setRevocationReason] = useState('');
+  const [canVerify, setCanVerify] = useState(isVerifier);
   const [loading, setLoading] = useState(true);
   const [verifying, setVerifying] = useState(false);
   const [error, setError] = useState('');
@@ -18,6 +121,7 @@ const PropertyVerification = ({
     inspectorName: '',
     inspectorLicense: '',
     verificationNotes: '',
+    expiresAt: defaultExpiry(),
     documentsChecked: [],
     complianceChecks: {
       titleDeed: false,
@@ -39,8 +143,16 @@ const PropertyVerification = ({
     try {
       setLoading(true);
       setError('');
-      const propertyData = await getProperty(signer, propertyId);
+      const [propertyData, verificationHistory, verificationRevocations, verifierRole] = await Promise.all([
+        getProperty(signer, propertyId),
+        getVerificationHistory(signer, propertyId),
+        getVerificationRevocations(signer, propertyId),
+        hasContractRole(signer, 'propertyRegistry', ROLES.VERIFIER, await signer.getAddress())
+      ]);
       setProperty(propertyData);
+      setHistory(verificationHistory);
+      setRevocations(verificationRevocations);
+      setCanVerify(isVerifier || verifierRole);
     } catch (error) {
       console.error('Error loading property:', error);
       setError('Failed to load property data');
@@ -91,6 +203,11 @@ const PropertyVerification = ({
         throw new Error('Inspector license is required');
       }
 
+      const expiresAt = new Date(verificationData.expiresAt);
+      if (!verificationData.expiresAt || expiresAt <= new Date()) {
+        throw new Error('Verification expiry must be in the future');
+      }
+
       // Check if all compliance checks are completed
       const allChecksCompleted = Object.values(verificationData.complianceChecks)
         .every(check => check === true);
@@ -105,22 +222,51 @@ const PropertyVerification = ({
         }
       }
 
-      // In a real implementation, this would call the smart contract
-      // For demo purposes, we'll simulate the verification process
-      console.log('Verifying property with data:', verificationData);
-      
-      // Simulate blockchain transaction
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      // Pin the full report, then record its hash and the checklist on-chain
+      const reportHash = await uploadJSONToIPFS(
+        createInspectionReport(propertyId, verificationData),
+        IPFS_CONFIG.PINATA_API_KEY,
+        IPFS_CONFIG.PINATA_SECRET_KEY
+      );
+
+      await submitInspectionReport(signer, propertyId, {
+        reportHash,
+        complianceChecks: verificationData.complianceChecks,
+        inspectorName: verificationData.inspectorName.trim(),
+        inspectorLicense: verificationData.inspectorLicense.trim(),
+        expiresAt
+      });
+
+      await loadPropertyData();
 
       if (onVerificationComplete) {
-        onVerificationComplete(propertyId, verificationData);
+        onVerificationComplete(propertyId, { ...verificationData, reportHash });
       }
 
-      alert('Property verified successfully!');
+      alert(SUCCESS_MESSAGES.PROPERTY_VERIFIED);
       
     } catch (error) {
       console.error('Verification error:', error);
-      setError(error.message || 'Failed to verify property');
+      setError(handleTransactionError(error));
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleRevokeVerification = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Revoke this verification? The property will be taken off the market.')) return;
+
+    try {
+      setVerifying(true);
+      setError('');
+      await revokeVerification(signer, propertyId, revocationReason.trim());
+      setRevocationReason('');
+      await loadPropertyData();
+      alert(SUCCESS_MESSAGES.VERIFICATION_REVOKED);
+    } catch (error) {
+      console.error('Revocation error:', error);
+      setError(handleTransactionError(error));
     } finally {
       setVerifying(false);
     }
@@ -144,173 +290,191 @@ const PropertyVerification = ({
 
   if (property.verified) {
     return (
-      <div className="card">
-        <div className="card-body text-center">
-          <i className="bi bi-check-circle-fill text-success display-4"></i>
-          <h4 className="mt-3">Property Already Verified</h4>
-          <p className="text-muted">
-            This property has already been verified and approved.
-          </p>
+      <>
+        <div className="card">
+          <div className="card-body text-center">
+            <i className="bi bi-check-circle-fill text-success display-4"></i>
+            <h4 className="mt-3">Property Already Verified</h4>
+            <p className="text-muted">
+              This property has already been verified and approved
+              until {property.verificationExpiresAt.toLocaleDateString()}.
+            </p>
+            {canVerify && (
+              <form className="text-start mt-4" onSubmit={handleRevokeVerification}>
+                <label htmlFor="revocationReason" className="form-label">Revoke verification</label>
+                <div className="input-group">
+                  <input
+                    type="text"
+                    className="form-control"
+                    id="revocationReason"
+                    placeholder="Reason, e.g. forged title deed"
+                    value={revocationReason}
+                    onChange={(e) => setRevocationReason(e.target.value)}
+                    required
+                  />
+                  <button type="submit" className="btn btn-danger" disabled={verifying || !revocationReason.trim()}>
+                    {verifying ? 'Revoking...' : 'Revoke'}
+                  </button>
+                </div>
+              </form>
+            )}
+            {error && <ErrorMessage error={error} />}
+          </div>
         </div>
-      </div>
+        <VerificationHistory history={history} revocations={revocations} />
+      </>
     );
   }
 
-  if (!isVerifier) {
+  if (!canVerify) {
     return (
-      <div className="card">
-        <div className="card-body text-center">
-          <i className="bi bi-shield-exclamation text-warning display-4"></i>
-          <h4 className="mt-3">Verification Required</h4>
-          <p className="text-muted">
-            This property requires verification by an authorized verifier.
-          </p>
-          <div className="alert alert-info mt-3">
-            <strong>Note:</strong> Only authorized verifiers can verify properties.
-            Contact the system administrator to become a verifier.
+      <>
+        <div className="card">
+          <div className="card-body text-center">
+            <i className="bi bi-shield-exclamation text-warning display-4"></i>
+            <h4 className="mt-3">{VERIFICATION_STATUS_LABELS[property.verificationStatus]}</h4>
+            <p className="text-muted">
+              This property requires verification by an authorized verifier.
+              {property.reverificationRequested && ' The owner has requested a new inspection.'}
+            </p>
+            <div className="alert alert-info mt-3">
+              <strong>Note:</strong> Only authorized verifiers can verify properties.
+              Contact the system administrator to become a verifier.
+            </div>
           </div>
         </div>
-      </div>
+        <VerificationHistory history={history} revocations={revocations} />
+      </>
     );
   }
 
   return (
-    <div className="card">
-      <div className="card-header">
-        <h5 className="mb-0">
-          <i className="bi bi-shield-check me-2"></i>
-          Property Verification
-        </h5>
-      </div>
-      <div className="card-body">
-        {/* Property Information */}
-        <div className="row mb-4">
-          <div className="col-12">
-            <h6>Property Information</h6>
-            <div className="bg-light p-3 rounded">
-              <div className="row">
-                <div className="col-md-6">
-                  <strong>Location:</strong> {property.location}
-                </div>
-                <div className="col-md-6">
-                  <strong>Type:</strong> {property.propertyType}
-                </div>
-                <div className="col-md-6">
-                  <strong>Area:</strong> {property.area} sq meters
-                </div>
-                <div className="col-md-6">
-                  <strong>Price:</strong> {property.price} ETH
-                </div>
-                <div className="col-md-6">
-                  <strong>Owner:</strong> {property.owner}
-                </div>
-                <div className="col-md-6">
-                  <strong>Status:</strong> 
-                  <span className={`badge ms-2 ${property.verified ? 'bg-success' : 'bg-warning'}`}>
-                    {property.verified ? 'Verified' : 'Pending Verification'}
-                  </span>
+    <>
+      <div className="card">
+        <div className="card-header">
+          <h5 className="mb-0">
+            <i className="bi bi-shield-check me-2"></i>
+            Property Verification
+          </h5>
+        </div>
+        <div className="card-body">
+          {/* Property Information */}
+          <div className="row mb-4">
+            <div className="col-12">
+              <h6>Property Information</h6>
+              <div className="bg-light p-3 rounded">
+                <div className="row">
+                  <div className="col-md-6">
+                    <strong>Location:</strong> {property.location}
+                  </div>
+                  <div className="col-md-6">
+                    <strong>Type:</strong> {property.propertyType}
+                  </div>
+                  <div className="col-md-6">
+                    <strong>Area:</strong> {property.area} sq meters
+                  </div>
+                  <div className="col-md-6">
+                    <strong>Price:</strong> {property.price} ETH
+                  </div>
+                  <div className="col-md-6">
+                    <strong>Owner:</strong> {property.owner}
+                  </div>
+                  <div className="col-md-6">
+                    <strong>Status:</strong> 
+                    <span className={`badge ms-2 ${property.verified ? 'bg-success' : 'bg-warning'}`}>
+                      {property.verificationStatus === VERIFICATION_STATUS.UNVERIFIED
+                        ? 'Pending Verification'
+                        : VERIFICATION_STATUS_LABELS[property.verificationStatus]}
+                    </span>
+                    {property.reverificationRequested && (
+                      <small className="text-muted ms-2">Re-verification requested</small>
+                    )}
+                  </div>
                 </div>
               </div>
             </div>
           </div>
-        </div>
 
-        {/* Inspector Information */}
-        <div className="row mb-4">
-          <div className="col-12">
-            <h6>Inspector Information</h6>
-          </div>
-          <div className="col-md-6">
-            <div className="mb-3">
-              <label htmlFor="inspectorName" className="form-label">Inspector Name *</label>
-              <input
-                type="text"
-                className="form-control"
-                id="inspectorName"
-                name="inspectorName"
-                value={verificationData.inspectorName}
-                onChange={handleInputChange}
-                required
-              />
+          {/* Inspector Information */}
+          <div className="row mb-4">
+            <div className="col-12">
+              <h6>Inspector Information</h6>
             </div>
-          </div>
-          <div className="col-md-6">
-            <div className="mb-3">
-              <label htmlFor="inspectorLicense" className="form-label">License Number *</label>
-              <input
-                type="text"
-                className="form-control"
-                id="inspectorLicense"
-                name="inspectorLicense"
-                value={verificationData.inspectorLicense}
-                onChange={handleInputChange}
-                required
-              />
+            <div className="col-md-6">
+              <div className="mb-3">
+                <label htmlFor="inspectorName" className="form-label">Inspector Name *</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  id="inspectorName"
+                  name="inspectorName"
+                  value={verificationData.inspectorName}
+                  onChange={handleInputChange}
+                  required
+                />
+              </div>
             </div>
-          </div>
-          <div className="col-md-6">
-            <div className="mb-3">
-              <label htmlFor="inspectionDate" className="form-label">Inspection Date</label>
-              <input
-                type="date"
-                className="form-control"
-                id="inspectionDate"
-                name="inspectionDate"
-                value={verificationData.inspectionDate}
-                onChange={handleInputChange}
-              />
+            <div className="col-md-6">
+              <div className="mb-3">
+                <label htmlFor="inspectorLicense" className="form-label">License Number *</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  id="inspectorLicense"
+                  name="inspectorLicense"
+                  value={verificationData.inspectorLicense}
+                  onChange={handleInputChange}
+                  required
+                />
+              </div>
             </div>
-          </div>
-        </div>
-
-        {/* Compliance Checks */}
-        <div className="row mb-4">
-          <div className="col-12">
-            <h6>Compliance Checks</h6>
-            <div className="row">
-              {Object.entries(verificationData.complianceChecks).map(([key, checked]) => (
-                <div key={key} className="col-md-6 mb-2">
-                  <div className="form-check">
-                    <input
-                      className="form-check-input"
-                      type="checkbox"
-                      id={key}
-                      name={key}
-                      checked={checked}
-                      onChange={handleComplianceChange}
-                    />
-                    <label className="form-check-label" htmlFor={key}>
-                      {key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
-                    </label>
-                  </div>
-                </div>
-              ))}
+            <div className="col-md-6">
+              <div className="mb-3">
+                <label htmlFor="inspectionDate" className="form-label">Inspection Date</label>
+                <input
+                  type="date"
+                  className="form-control"
+                  id="inspectionDate"
+                  name="inspectionDate"
+                  value={verificationData.inspectionDate}
+                  onChange={handleInputChange}
+                />
+              </div>
+            </div>
+            <div className="col-md-6">
+              <div className="mb-3">
+                <label htmlFor="expiresAt" className="form-label">Valid Until *</label>
+                <input
+                  type="date"
+                  className="form-control"
+                  id="expiresAt"
+                  name="expiresAt"
+                  value={verificationData.expiresAt}
+                  onChange={handleInputChange}
+                  required
+                />
+              </div>
             </div>
           </div>
-        </div>
 
-        {/* Document Verification */}
-        {property.documents && property.documents.length > 0 && (
+          {/* Compliance Checks */}
           <div className="row mb-4">
             <div className="col-12">
-              <h6>Document Verification</h6>
-              <div className="list-group">
-                {property.documents.map((doc, index) => (
-                  <div key={index} className="list-group-item">
+              <h6>Compliance Checks</h6>
+              <div className="row">
+                {Object.entries(verificationData.complianceChecks).map(([key, checked]) => (
+                  <div key={key} className="col-md-6 mb-2">
                     <div className="form-check">
                       <input
                         className="form-check-input"
                         type="checkbox"
-                        id={`doc-${index}`}
-                        checked={verificationData.documentsChecked.includes(doc)}
-                        onChange={(e) => handleDocumentCheck(doc, e.target.checked)}
+                        id={key}
+                        name={key}
+                        checked={checked}
+                        onChange={handleComplianceChange}
                       />
-                      <label className="form-check-label" htmlFor={`doc-${index}`}>
-                        <strong>Document {index + 1}</strong>
-                        <br />
-                        <small className="text-muted">
-                          <code>{doc}</code>
-                        </small>
+                      <label className="form-check-label" htmlFor={key}>
+                        {VERIFICATION_CHECK_LABELS[key]}
                       </label>
                     </div>
                   </div>
@@ -318,62 +482,94 @@ const PropertyVerification = ({
               </div>
             </div>
           </div>
-        )}
-
-        {/* Verification Notes */}
-        <div className="row mb-4">
-          <div className="col-12">
-            <div className="mb-3">
-              <label htmlFor="verificationNotes" className="form-label">Verification Notes</label>
-              <textarea
-                className="form-control"
-                id="verificationNotes"
-                name="verificationNotes"
-                rows="4"
-                value={verificationData.verificationNotes}
-                onChange={handleInputChange}
-                placeholder="Add any additional notes about the verification process..."
-              />
+
+          {/* Document Verification */}
+          {property.documents && property.documents.length > 0 && (
+            <div className="row mb-4">
+              <div className="col-12">
+                <h6>Document Verification</h6>
+                <div className="list-group">
+                  {property.documents.map((doc, index) => (
+                    <div key={index} className="list-group-item">
+                      <div className="form-check">
+                        <input
+                          className="form-check-input"
+                          type="checkbox"
+                          id={`doc-${index}`}
+                          checked={verificationData.documentsChecked.includes(doc)}
+                          onChange={(e) => handleDocumentCheck(doc, e.target.checked)}
+                        />
+                        <label className="form-check-label" htmlFor={`doc-${index}`}>
+                          <strong>Document {index + 1}</strong>
+                          <br />
+                          <small className="text-muted">
+                            <code>{doc}</code>
+                          </small>
+                        </label>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Verification Notes */}
+          <div className="row mb-4">
+            <div className="col-12">
+              <div className="mb-3">
+                <label htmlFor="verificationNotes" className="form-label">Verification Notes</label>
+                <textarea
+                  className="form-control"
+                  id="verificationNotes"
+                  name="verificationNotes"
+                  rows="4"
+                  value={verificationData.verificationNotes}
+                  onChange={handleInputChange}
+                  placeholder="Add any additional notes about the verification process..."
+                />
+              </div>
             </div>
           </div>
-        </div>
 
-        {/* Error Display */}
-        {error && (
-          <ErrorMessage error={error} />
-        )}
-
-        {/* Action Buttons */}
-        <div className="row">
-          <div className="col-12">
-            <button
-              className="btn btn-success me-2"
-              onClick={handleVerifyProperty}
-              disabled={verifying}
-            >
-              {verifying ? (
-                <>
-                  <span className="spinner-border spinner-border-sm me-2" role="status"></span>
-                  Verifying...
-                </>
-              ) : (
-                <>
-                  <i className="bi bi-shield-check me-2"></i>
-                  Verify Property
-                </>
-              )}
-            </button>
-            <button
-              className="btn btn-outline-secondary"
-              onClick={() => window.history.back()}
-              disabled={verifying}
-            >
-              Cancel
-            </button>
+          {/* Error Display */}
+          {error && (
+            <ErrorMessage error={error} />
+          )}
+
+          {/* Action Buttons */}
+          <div className="row">
+            <div className="col-12">
+              <button
+                className="btn btn-success me-2"
+                onClick={handleVerifyProperty}
+                disabled={verifying}
+              >
+                {verifying ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                    Verifying...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-shield-check me-2"></i>
+                    Verify Property
+                  </>
+                )}
+              </button>
+              <button
+                className="btn btn-outline-secondary"
+                onClick={() => window.history.back()}
+                disabled={verifying}
+              >
+                Cancel
+              </button>
+            </div>
           </div>
         </div>
       </div>
-    </div>
+      <VerificationHistory history={history} revocations={revocations} />
+    </>
   );
 };
 
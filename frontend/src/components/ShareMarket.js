@@ -0,0 +1,270 @@
+import React, { useState, useEffect } from 'react';
+import { formatAddress, timeAgo, handleTransactionError } from '../utils/helpers';
+import { SUCCESS_MESSAGES } from '../utils/constants';
+import {
+  getProperty,
+  getFractionalProperties,
+  getShareListings,
+  listShares,
+  buyListedShares,
+  cancelShareListing
+} from '../utils/blockchain';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+const EMPTY_SELL_FORM = { shares: '', pricePerShare: '' };
+
+// Open orders and the sell form for one fractionalized property
+const ShareOrderBook = ({ property, userAddress, busy, onList, onBuy, onCancel }) => {
+  const [sellForm, setSellForm] = useState(EMPTY_SELL_FORM);
+  const [buyAmounts, setBuyAmounts] = useState({});
+
+  const openListings = property.listings
+    .filter(listing => listing.active)
+    .sort((a, b) => parseFloat(a.pricePerShare) - parseFloat(b.pricePerShare));
+
+  const handleSell = (e) => {
+    e.preventDefault();
+    onList(property, sellForm.shares, sellForm.pricePerShare)
+      .then(() => setSellForm(EMPTY_SELL_FORM))
+      .catch(() => {});
+  };
+
+  return (
+    <div className="card mb-4">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <div>
+          <h5 className="mb-0">
+            #{property.propertyId} - {property.location || 'Unknown location'}
+          </h5>
+          <small className="text-muted">
+            {property.sharesSold}/{property.totalShares} shares issued at {property.sharePrice} ETH
+          </small>
+        </div>
+        <span className="badge bg-primary">
+          {openListings.length} open order{openListings.length === 1 ? '' : 's'}
+        </span>
+      </div>
+      <div className="card-body">
+        {openListings.length === 0 ? (
+          <p className="text-muted mb-3">No shares are listed for this property.</p>
+        ) : (
+          <div className="table-responsive mb-3">
+            <table className="table table-sm align-middle">
+              <thead>
+                <tr>
+                  <th>Seller</th>
+                  <th>Shares</th>
+                  <th>Price / Share</th>
+                  <th>Listed</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {openListings.map(listing => {
+                  const isSeller = listing.seller.toLowerCase() === userAddress?.toLowerCase();
+                  const amount = buyAmounts[listing.id] || listing.shares;
+
+                  return (
+                    <tr key={listing.id}>
+                      <td>{isSeller ? 'You' : formatAddress(listing.seller)}</td>
+                      <td>{listing.shares}</td>
+                      <td>{listing.pricePerShare} ETH</td>
+                      <td>{timeAgo(listing.createdAt)}</td>
+                      <td className="text-end">
+                        {isSeller ? (
+                          <button
+                            className="btn btn-sm btn-outline-danger"
+                            onClick={() => onCancel(listing)}
+                            disabled={busy}
+                          >
+                            Cancel
+                          </button>
+                        ) : (
+                          <div className="input-group input-group-sm justify-content-end">
+                            <input
+                              type="number"
+                              className="form-control"
+                              style={{ maxWidth: '80px' }}
+                              value={amount}
+                              onChange={(e) => setBuyAmounts(prev => ({ ...prev, [listing.id]: e.target.value }))}
+                              min="1"
+                              max={listing.shares}
+                            />
+                            <button
+                              className="btn btn-success"
+                              onClick={() => onBuy(listing, amount)}
+                              disabled={busy || !userAddress}
+                            >
+                              Buy for {(parseFloat(listing.pricePerShare) * Number(amount)).toFixed(4)} ETH
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {property.myShares > 0 && (
+          <form className="row g-2 align-items-end" onSubmit={handleSell}>
+            <div className="col-md-3">
+              <label className="form-label small">Shares to sell (you hold {property.myShares})</label>
+              <input
+                type="number"
+                className="form-control form-control-sm"
+                value={sellForm.shares}
+                onChange={(e) => setSellForm(prev => ({ ...prev, shares: e.target.value }))}
+                min="1"
+                max={property.myShares}
+                required
+              />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label small">Price per share (ETH)</label>
+              <input
+                type="number"
+                className="form-control form-control-sm"
+                value={sellForm.pricePerShare}
+                onChange={(e) => setSellForm(prev => ({ ...prev, pricePerShare: e.target.value }))}
+                step="0.001"
+                min="0"
+                required
+              />
+            </div>
+            <div className="col-md-3">
+              <button type="submit" className="btn btn-sm btn-primary" disabled={busy}>
+                {busy ? 'Processing...' : 'List Shares'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const ShareMarket = ({ signer, userAddress }) => {
+  const [properties, setProperties] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState({});
+
+  useEffect(() => {
+    loadShareMarket();
+  }, [signer, userAddress]);
+
+  const loadShareMarket = async () => {
+    if (!signer) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+
+      const fractionalProperties = await getFractionalProperties(signer);
+      const withListings = await Promise.all(
+        fractionalProperties.map(async (property) => {
+          const [details, listings] = await Promise.all([
+            getProperty(signer, property.propertyId),
+            getShareListings(signer, property.propertyId)
+          ]);
+          return { ...property, location: details.location, listings };
+        })
+      );
+
+      setProperties(withListings);
+    } catch (error) {
+      console.error('Error loading share market:', error);
+      setError('Failed to load share market data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run a transaction for one property, then reload its orders
+  const runForProperty = async (propertyId, action, successMessage) => {
+    try {
+      setBusy(prev => ({ ...prev, [propertyId]: true }));
+      setError('');
+
+      await action();
+      await loadShareMarket();
+      alert(successMessage);
+    } catch (error) {
+      console.error('Share market transaction failed:', error);
+      setError(handleTransactionError(error));
+      throw error;
+    } finally {
+      setBusy(prev => ({ ...prev, [propertyId]: false }));
+    }
+  };
+
+  const handleList = (property, shares, pricePerShare) =>
+    runForProperty(
+      property.propertyId,
+      () => listShares(signer, property.propertyId, shares, pricePerShare),
+      SUCCESS_MESSAGES.SHARES_LISTED
+    );
+
+  const handleBuy = (listing, shares) =>
+    runForProperty(
+      listing.propertyId,
+      () => buyListedShares(signer, listing.id, shares),
+      SUCCESS_MESSAGES.SHARES_PURCHASED
+    ).catch(() => {});
+
+  const handleCancel = (listing) =>
+    runForProperty(
+      listing.propertyId,
+      () => cancelShareListing(signer, listing.id),
+      SUCCESS_MESSAGES.SHARE_LISTING_CANCELLED
+    ).catch(() => {});
+
+  if (loading) {
+    return <LoadingSpinner message="Loading share market..." />;
+  }
+
+  return (
+    <div className="container-fluid">
+      <div className="row mb-4">
+        <div className="col-12">
+          <h2>
+            <i className="bi bi-pie-chart me-2"></i>
+            Share Market
+          </h2>
+          <p className="text-muted">Trade shares of fractionalized properties with other investors</p>
+        </div>
+      </div>
+
+      {error && <ErrorMessage error={error} onRetry={loadShareMarket} />}
+
+      {properties.length === 0 ? (
+        <div className="text-center py-5">
+          <i className="bi bi-pie-chart display-1 text-muted"></i>
+          <h4 className="mt-3">No fractionalized properties</h4>
+          <p className="text-muted">Shares can be traded here once a property has been fractionalized.</p>
+        </div>
+      ) : (
+        properties.map(property => (
+          <ShareOrderBook
+            key={property.propertyId}
+            property={property}
+            userAddress={userAddress}
+            busy={!!busy[property.propertyId]}
+            onList={handleList}
+            onBuy={handleBuy}
+            onCancel={handleCancel}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default ShareMarket;
@@ -0,0 +1,129 @@
+/* global BigInt */
+// Mortgage amortization math, mirroring PropertyFinancing integer arithmetic.
+// All amounts are BigInt wei so schedules agree with the contract to the wei.
+
+export const RATE_PRECISION = 10n ** 18n;
+
+/**
+ * Convert an annual rate in basis points to a monthly rate scaled by RATE_PRECISION
+ * @param {bigint|number|string} annualRateBps - Annual rate (500 = 5%)
+ * @returns {bigint} Monthly rate
+ */
+export const monthlyRateFromBps = (annualRateBps) => {
+  return (BigInt(annualRateBps) * RATE_PRECISION) / 120000n;
+};
+
+/**
+ * Calculate the fixed monthly payment for a loan
+ * @param {bigint} principal - Loan amount in wei
+ * @param {bigint} monthlyRate - Monthly rate scaled by RATE_PRECISION
+ * @param {number|bigint} termMonths - Number of installments
+ * @returns {bigint} Monthly payment in wei
+ */
+export const calculateMonthlyPayment = (principal, monthlyRate, termMonths) => {
+  const months = BigInt(termMonths);
+  if (monthlyRate === 0n) {
+    return principal / months;
+  }
+
+  // (1 + r)^n by squaring, rounding down after every multiplication
+  let growth = RATE_PRECISION;
+  let base = RATE_PRECISION + monthlyRate;
+  for (let n = months; n > 0n; n >>= 1n) {
+    if (n & 1n) {
+      growth = (growth * base) / RATE_PRECISION;
+    }
+    base = (base * base) / RATE_PRECISION;
+  }
+
+  return (principal * monthlyRate * growth) / ((growth - RATE_PRECISION) * RATE_PRECISION);
+};
+
+/**
+ * Split the next installment into principal and interest
+ * @param {bigint} remainingBalance - Outstanding principal in wei
+ * @param {bigint} monthlyRate - Monthly rate scaled by RATE_PRECISION
+ * @param {bigint} monthlyPayment - Scheduled monthly payment in wei
+ * @param {number} remainingTerms - Installments left, including this one
+ * @returns {Object} Principal, interest and total payment in wei
+ */
+export const calculateInstallment = (remainingBalance, monthlyRate, monthlyPayment, remainingTerms) => {
+  const interest = (remainingBalance * monthlyRate) / RATE_PRECISION;
+  let principal = monthlyPayment > interest ? monthlyPayment - interest : 0n;
+
+  // The last installment, or one that would overshoot, clears the balance
+  if (remainingTerms <= 1 || principal > remainingBalance) {
+    principal = remainingBalance;
+  }
+
+  return { principal, interest, payment: principal + interest };
+};
+
+/**
+ * Calculate the amount needed to pay off a loan early
+ * @param {bigint} remainingBalance - Outstanding principal in wei
+ * @param {bigint|number|string} annualRateBps - Annual rate in basis points
+ * @param {number} missedPayments - Installments past due; interest is charged for at least one
+ * @param {bigint} lateFees - Late fees owed in wei
+ * @returns {Object} Principal, interest, late fees and total in wei
+ */
+export const calculatePayoffQuote = (remainingBalance, annualRateBps, missedPayments = 0, lateFees = 0n) => {
+  const periods = BigInt(Math.max(missedPayments, 1));
+  const interest = (remainingBalance * monthlyRateFromBps(annualRateBps) * periods) / RATE_PRECISION;
+
+  return {
+    principal: remainingBalance,
+    interest,
+    lateFees,
+    total: remainingBalance + interest + lateFees
+  };
+};
+
+/**
+ * Generate the full amortization schedule for a loan
+ * @param {Object} loan - Loan terms
+ * @param {bigint} loan.principal - Loan amount in wei
+ * @param {bigint|number|string} loan.interestRate - Annual rate in basis points
+ * @param {number} loan.termMonths - Number of installments
+ * @param {Object} loan.prepayments - Extra principal in wei keyed by the installment it follows
+ * @param {bigint} loan.monthlyPayment - Payment of an existing mortgage, to schedule what is left of it
+ * @returns {Object} Monthly payment, schedule rows and totals in wei
+ */
+export const generateAmortizationSchedule = ({ principal, interestRate, termMonths, prepayments = {}, monthlyPayment }) => {
+  const monthlyRate = monthlyRateFromBps(interestRate);
+  if (monthlyPayment === undefined) {
+    monthlyPayment = calculateMonthlyPayment(principal, monthlyRate, termMonths);
+  }
+
+  const rows = [];
+  let balance = principal;
+  let totalInterest = 0n;
+  let totalPaid = 0n;
+
+  for (let installment = 1; installment <= termMonths && balance > 0n; installment++) {
+    const due = calculateInstallment(balance, monthlyRate, monthlyPayment, termMonths - installment + 1);
+    balance -= due.principal;
+
+    // Extra principal lowers the balance but not the payment, shortening the loan.
+    // Like prepayPrincipal, it cannot clear the balance; that is a payoff.
+    let prepayment = BigInt(prepayments[installment] || 0);
+    if (prepayment >= balance) {
+      prepayment = 0n;
+    }
+    balance -= prepayment;
+
+    totalInterest += due.interest;
+    totalPaid += due.payment + prepayment;
+
+    rows.push({
+      installment,
+      payment: due.payment,
+      principal: due.principal,
+      interest: due.interest,
+      prepayment,
+      remainingBalance: balance
+    });
+  }
+
+  return { monthlyPayment, rows, totalInterest, totalPaid };
+};
@@ -0,0 +1,76 @@
+// Client for the event indexer API (blockchain-real-estate/indexer)
+
+import { API_ENDPOINTS } from './constants';
+
+/**
+ * Fetch JSON from the indexer
+ * @param {string} path - Endpoint path
+ * @param {Object} params - Query parameters; empty values are skipped
+ * @returns {Promise<Object>} Response body
+ */
+const request = async (path, params = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, value);
+    }
+  });
+
+  const queryString = query.toString();
+  const response = await fetch(`${API_ENDPOINTS.BASE_URL}${path}${queryString ? `?${queryString}` : ''}`);
+  const body = await response.json();
+
+  if (!response.ok) {
+    throw new Error(body.error || `Request failed: ${response.statusText}`);
+  }
+
+  return body;
+};
+
+/**
+ * Get a page of indexed properties
+ * @param {Object} filters - owner, forSale, verified, propertyType, minPrice, maxPrice, search, sort, page, pageSize
+ * @returns {Promise<{data: Array, pagination: Object}>} Properties and pagination info
+ */
+export const fetchProperties = (filters = {}) => request(API_ENDPOINTS.PROPERTIES, filters);
+
+/**
+ * Get a single indexed property with its event history
+ * @param {number|string} propertyId - Property ID
+ * @returns {Promise<Object>} Property
+ */
+export const fetchProperty = (propertyId) => request(`${API_ENDPOINTS.PROPERTIES}/${propertyId}`);
+
+/**
+ * Get a page of indexed transactions
+ * @param {Object} filters - propertyId, buyer, seller, address, status, page, pageSize
+ * @returns {Promise<{data: Array, pagination: Object}>} Transactions and pagination info
+ */
+export const fetchTransactions = (filters = {}) => request(API_ENDPOINTS.TRANSACTIONS, filters);
+
+/**
+ * Get a page of users seen in contract events
+ * @param {Object} params - page, pageSize
+ * @returns {Promise<{data: Array, pagination: Object}>} Users and pagination info
+ */
+export const fetchUsers = (params = {}) => request(API_ENDPOINTS.USERS, params);
+
+/**
+ * Get a user with their properties and transactions
+ * @param {string} address - Wallet address
+ * @returns {Promise<Object>} User
+ */
+export const fetchUser = (address) => request(`${API_ENDPOINTS.USERS}/${address}`);
+
+/**
+ * Get a page of raw contract events, e.g. BidPlaced or LoanFunded
+ * @param {Object} filters - contract, name, address, page, pageSize
+ * @returns {Promise<{data: Array, pagination: Object}>} Events and pagination info
+ */
+export const fetchEvents = (filters = {}) => request(API_ENDPOINTS.EVENTS, filters);
+
+/**
+ * Get how far the indexer has synced
+ * @returns {Promise<{lastBlock: number|null, events: number}>} Last indexed block and event count
+ */
+export const fetchStatus = () => request(API_ENDPOINTS.STATUS);
@@ -3,11 +3,42 @@ import Web3Modal from 'web3modal';
 import PropertyRegistryABI from '../contracts/PropertyRegistry.json';
 import PropertyTokenABI from '../contracts/PropertyToken.json';
 import PropertyTransactionsABI from '../contracts/PropertyTransactions.json';
+import PropertyRentalABI from '../contracts/PropertyRental.json';
+import PropertyAuctionABI from '../contracts/PropertyAuction.json';
+import FractionalOwnershipABI from '../contracts/FractionalOwnership.json';
+import PropertyShareTokenABI from '../contracts/PropertyShareToken.json';
+import PropertyFinancingABI from '../contracts/PropertyFinancing.json';
+import PropertyInsuranceABI from '../contracts/PropertyInsurance.json';
+import DocumentAccessABI from '../contracts/DocumentAccess.json';
+import {
+  API_ENDPOINTS,
+  CONTRACT_ADDRESSES,
+  CONTRACT_ROLES,
+  DEPLOYMENTS_PATH,
+  STORAGE_KEYS,
+  AUCTION_MODE,
+  VERIFICATION_CHECKS,
+  VERIFICATION_STATUS
+} from './constants';
+import { saveToStorage, loadFromStorage } from './helpers';
+import { fetchProperties, fetchStatus } from './api';
 
-// Contract addresses - these would be updated after deployment
-const PROPERTY_REGISTRY_ADDRESS = "0x0000000000000000000000000000000000000000";
-const PROPERTY_TOKEN_ADDRESS = "0x0000000000000000000000000000000000000000";
-const PROPERTY_TRANSACTIONS_ADDRESS = "0x0000000000000000000000000000000000000000";
+// Contracts returned by getContracts, keyed by their manifest name.
+// The bundled ABI and env address are only used when the manifest has no entry.
+const CONTRACTS = {
+  propertyRegistry: { name: 'PropertyRegistry', abi: PropertyRegistryABI.abi, address: CONTRACT_ADDRESSES.PROPERTY_REGISTRY },
+  propertyToken: { name: 'PropertyToken', abi: PropertyTokenABI.abi, address: CONTRACT_ADDRESSES.PROPERTY_TOKEN },
+  propertyTransactions: { name: 'PropertyTransactions', abi: PropertyTransactionsABI.abi, address: CONTRACT_ADDRESSES.PROPERTY_TRANSACTIONS },
+  propertyRental: { name: 'PropertyRental', abi: PropertyRentalABI.abi, address: CONTRACT_ADDRESSES.PROPERTY_RENTAL },
+  propertyAuction: { name: 'PropertyAuction', abi: PropertyAuctionABI.abi, address: CONTRACT_ADDRESSES.PROPERTY_AUCTION },
+  fractionalOwnership: { name: 'FractionalOwnership', abi: FractionalOwnershipABI.abi, address: CONTRACT_ADDRESSES.FRACTIONAL_OWNERSHIP },
+  propertyFinancing: { name: 'PropertyFinancing', abi: PropertyFinancingABI.abi, address: CONTRACT_ADDRESSES.PROPERTY_FINANCING },
+  propertyInsurance: { name: 'PropertyInsurance', abi: PropertyInsuranceABI.abi, address: CONTRACT_ADDRESSES.PROPERTY_INSURANCE },
+  documentAccess: { name: 'DocumentAccess', abi: DocumentAccessABI.abi, address: CONTRACT_ADDRESSES.DOCUMENT_ACCESS }
+};
+
+// Deployment manifests already fetched, keyed by chain ID
+const deploymentCache = {};
 
 // Initialize Web3Modal
 const providerOptions = {
@@ -71,32 +102,56 @@ export const connectWallet = async () => {
   }
 };
 
-// Get contract instances
+// Load the deployment manifest written by deploy-all.js for the connected chain
+export const getDeployment = async (provider) => {
+  const { chainId } = await provider.getNetwork();
+
+  if (!deploymentCache[chainId]) {
+    deploymentCache[chainId] = fetch(`${DEPLOYMENTS_PATH}/${chainId}.json`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`No contract deployment found for chain ${chainId}`);
+        }
+        return response.json();
+      })
+      .catch(error => {
+        // Allow a retry once the manifest has been deployed
+        delete deploymentCache[chainId];
+        throw error;
+      });
+  }
+
+  return deploymentCache[chainId];
+};
+
+// Get contract instances. Chains without a manifest can still be used through env addresses;
+// a contract deployed through neither throws when it is used, not when the others are.
 export const getContracts = async (signer) => {
   try {
-    const propertyRegistry = new ethers.Contract(
-      PROPERTY_REGISTRY_ADDRESS,
-      PropertyRegistryABI.abi,
-      signer
-    );
+    const { chainId } = await signer.provider.getNetwork();
+    const deployment = await getDeployment(signer.provider).catch(() => ({ contracts: {} }));
 
-    const propertyToken = new ethers.Contract(
-      PROPERTY_TOKEN_ADDRESS,
-      PropertyTokenABI.abi,
-      signer
-    );
+    const contracts = {};
+    for (const [key, contract] of Object.entries(CONTRACTS)) {
+      const deployed = deployment.contracts[contract.name];
+      if (!deployed && (!contract.address || contract.address === ethers.constants.AddressZero)) {
+        Object.defineProperty(contracts, key, {
+          enumerable: true,
+          get: () => {
+            throw new Error(`No ${contract.name} deployment for chain ${chainId}`);
+          }
+        });
+        continue;
+      }
 
-    const propertyTransactions = new ethers.Contract(
-      PROPERTY_TRANSACTIONS_ADDRESS,
-      PropertyTransactionsABI.abi,
-      signer
-    );
+      contracts[key] = new ethers.Contract(
+        deployed ? deployed.address : contract.address,
+        deployed ? deployed.abi : contract.abi,
+        signer
+      );
+    }
 
-    return {
-      propertyRegistry,
-      propertyToken,
-      propertyTransactions
-    };
+    return contracts;
   } catch (error) {
     console.error("Error getting contracts:", error);
     throw error;
@@ -114,7 +169,7 @@ export const registerProperty = async (signer, propertyData) => {
       propertyData.propertyType,
       propertyData.documents,
       ethers.utils.parseEther(propertyData.price.toString()),
-      propertyData.forSale
+      false // ignored; listed with listPropertyForSale once verified
     );
 
     const receipt = await tx.wait();
@@ -134,7 +189,10 @@ export const registerProperty = async (signer, propertyData) => {
 export const getProperty = async (signer, propertyId) => {
   try {
     const { propertyRegistry } = await getContracts(signer);
-    const property = await propertyRegistry.getProperty(propertyId);
+    const [property, verification] = await Promise.all([
+      propertyRegistry.getProperty(propertyId),
+      propertyRegistry.getVerificationStatus(propertyId)
+    ]);
 
     return {
       id: property.id.toString(),
@@ -145,7 +203,11 @@ export const getProperty = async (signer, propertyId) => {
       owner: property.owner,
       price: ethers.utils.formatEther(property.price),
       forSale: property.forSale,
-      verified: property.verified
+      // Only a verification that is neither expired nor revoked counts
+      verified: verification.status === VERIFICATION_STATUS.VALID,
+      verificationStatus: verification.status,
+      verificationExpiresAt: verification.expiresAt.isZero() ? null : new Date(verification.expiresAt.toNumber() * 1000),
+      reverificationRequested: verification.reverificationRequested
     };
   } catch (error) {
     console.error("Error getting property:", error);
@@ -153,9 +215,156 @@ export const getProperty = async (signer, propertyId) => {
   }
 };
 
+// Record an inspection report for a property, verifying it if it isn't already (verifier)
+export const submitInspectionReport = async (signer, propertyId, report) => {
+  try {
+    const { propertyRegistry } = await getContracts(signer);
+    const checklist = VERIFICATION_CHECKS.reduce(
+      (bitmap, check, bit) => (report.complianceChecks[check] ? bitmap | (1 << bit) : bitmap),
+      0
+    );
+
+    const tx = await propertyRegistry.submitInspectionReport(
+      propertyId,
+      report.reportHash,
+      checklist,
+      report.inspectorName,
+      report.inspectorLicense,
+      Math.floor(report.expiresAt.getTime() / 1000)
+    );
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error submitting inspection report:", error);
+    throw error;
+  }
+};
+
+// Inspection reports recorded for a property, newest first
+export const getVerificationHistory = async (signer, propertyId) => {
+  try {
+    const { propertyRegistry } = await getContracts(signer);
+    const history = await propertyRegistry.getVerificationHistory(propertyId);
+
+    return history
+      .map((record, index) => ({
+        index,
+        verifier: record.verifier,
+        reportHash: record.reportHash,
+        complianceChecks: Object.fromEntries(
+          VERIFICATION_CHECKS.map((check, bit) => [check, record.checklist.shr(bit).and(1).eq(1)])
+        ),
+        inspectorName: record.inspectorName,
+        inspectorLicense: record.inspectorLicense,
+        submittedAt: new Date(record.submittedAt.toNumber() * 1000),
+        expiresAt: new Date(record.expiresAt.toNumber() * 1000)
+      }))
+      .reverse();
+  } catch (error) {
+    console.error("Error getting verification history:", error);
+    throw error;
+  }
+};
+
+// Revoke a property's verification with the reason, e.g. when fraud is found (verifier)
+export const revokeVerification = async (signer, propertyId, reason) => {
+  try {
+    const { propertyRegistry } = await getContracts(signer);
+    const tx = await propertyRegistry.revokeVerification(propertyId, reason);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error revoking verification:", error);
+    throw error;
+  }
+};
+
+// Ask verifiers to inspect a property again (property owner)
+export const requestReverification = async (signer, propertyId) => {
+  try {
+    const { propertyRegistry } = await getContracts(signer);
+    const tx = await propertyRegistry.requestReverification(propertyId);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error requesting re-verification:", error);
+    throw error;
+  }
+};
+
+// Revocations of a property's verification, newest first
+export const getVerificationRevocations = async (signer, propertyId) => {
+  try {
+    const { propertyRegistry } = await getContracts(signer);
+    const events = await propertyRegistry.queryFilter(propertyRegistry.filters.VerificationRevoked(propertyId));
+
+    const revocations = await Promise.all(events.map(async event => ({
+      verifier: event.args.verifier,
+      reason: event.args.reason,
+      revokedAt: new Date((await event.getBlock()).timestamp * 1000)
+    })));
+    return revocations.reverse();
+  } catch (error) {
+    console.error("Error getting verification revocations:", error);
+    throw error;
+  }
+};
+
+// Same shape as getProperty, from an indexer row
+const fromIndexedProperty = (property) => {
+  let verificationStatus = VERIFICATION_STATUS.UNVERIFIED;
+  if (property.verified) {
+    verificationStatus = VERIFICATION_STATUS.VALID;
+  } else if (property.verificationRevoked) {
+    verificationStatus = VERIFICATION_STATUS.REVOKED;
+  } else if (property.verificationExpiresAt) {
+    verificationStatus = VERIFICATION_STATUS.EXPIRED;
+  }
+
+  return {
+    id: property.id.toString(),
+    location: property.location,
+    area: String(property.area),
+    propertyType: property.propertyType,
+    documents: property.documents,
+    owner: property.owner,
+    price: ethers.utils.formatEther(property.price),
+    forSale: property.forSale,
+    verified: property.verified,
+    verificationStatus,
+    verificationExpiresAt: property.verificationExpiresAt ? new Date(property.verificationExpiresAt * 1000) : null,
+    reverificationRequested: property.reverificationRequested
+  };
+};
+
+// Every indexed property matching the filters, oldest first. Returns null when the indexer is
+// unreachable or lagging, so callers can read the chain instead.
+const getIndexedProperties = async (signer, filters) => {
+  try {
+    const [status, head] = await Promise.all([fetchStatus(), signer.provider.getBlockNumber()]);
+    if (status.lastBlock === null || head - status.lastBlock > API_ENDPOINTS.MAX_INDEXER_LAG_BLOCKS) {
+      return null;
+    }
+
+    const properties = [];
+    for (let page = 1; ; page++) {
+      const { data, pagination } = await fetchProperties({ ...filters, sort: 'oldest', page, pageSize: 100 });
+      properties.push(...data.map(fromIndexedProperty));
+      if (page >= pagination.totalPages) {
+        return properties;
+      }
+    }
+  } catch (error) {
+    console.warn("Indexer unavailable, reading properties from the chain:", error);
+    return null;
+  }
+};
+
 // Get properties for sale
 export const getPropertiesForSale = async (signer) => {
   try {
+    const indexed = await getIndexedProperties(signer, { forSale: true });
+    if (indexed) {
+      return indexed;
+    }
+
     const { propertyRegistry } = await getContracts(signer);
     const propertyIds = await propertyRegistry.getPropertiesForSale();
 
@@ -173,8 +382,13 @@ export const getPropertiesForSale = async (signer) => {
 // Get properties owned by user
 export const getMyProperties = async (signer) => {
   try {
-    const { propertyRegistry } = await getContracts(signer);
     const address = await signer.getAddress();
+    const indexed = await getIndexedProperties(signer, { owner: address });
+    if (indexed) {
+      return indexed;
+    }
+
+    const { propertyRegistry } = await getContracts(signer);
     const propertyIds = await propertyRegistry.getPropertiesByOwner(address);
 
     const properties = await Promise.all(
@@ -207,6 +421,36 @@ export const tokenizeProperty = async (signer, propertyId, metadataURI) => {
   }
 };
 
+// Get a property's token, if it has been tokenized
+export const getPropertyToken = async (signer, propertyId) => {
+  try {
+    const { propertyToken } = await getContracts(signer);
+    if (!(await propertyToken.isPropertyTokenized(propertyId))) {
+      return { tokenized: false, tokenId: null, owner: null, metadataURI: null };
+    }
+
+    const tokenId = await propertyToken.getTokenIdByProperty(propertyId);
+    const [, owner, metadataURI] = await propertyToken.getTokenDetails(tokenId);
+
+    return { tokenized: true, tokenId: tokenId.toString(), owner, metadataURI };
+  } catch (error) {
+    console.error("Error getting property token:", error);
+    throw error;
+  }
+};
+
+// Point a token at new metadata (token owner)
+export const updateTokenMetadata = async (signer, tokenId, metadataURI) => {
+  try {
+    const { propertyToken } = await getContracts(signer);
+    const tx = await propertyToken.updateTokenMetadata(tokenId, metadataURI);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error updating token metadata:", error);
+    throw error;
+  }
+};
+
 // Create a transaction to buy a property
 export const createTransaction = async (signer, propertyId, price) => {
   try {
@@ -288,3 +532,1472 @@ export const getMyTransactionsAsSeller = async (signer) => {
     throw error;
   }
 };
+
+// Convert a unix timestamp (BigNumber) to a Date, or null when unset
+const toDate = (timestamp) => {
+  const seconds = timestamp.toNumber();
+  return seconds > 0 ? new Date(seconds * 1000) : null;
+};
+
+// List a property for rent
+export const createRental = async (signer, rentalData) => {
+  try {
+    const { propertyRental } = await getContracts(signer);
+
+    const availableFrom = rentalData.availableFrom
+      ? Math.floor(new Date(rentalData.availableFrom).getTime() / 1000)
+      : 0;
+
+    const tx = await propertyRental.createRental(
+      rentalData.propertyId,
+      ethers.utils.parseEther(rentalData.monthlyRent.toString()),
+      ethers.utils.parseEther(rentalData.securityDeposit.toString()),
+      rentalData.leaseDuration,
+      availableFrom,
+      rentalData.description,
+      rentalData.amenities,
+      rentalData.petPolicy,
+      rentalData.smokingPolicy
+    );
+
+    const receipt = await tx.wait();
+
+    // Find the RentalListed event
+    const event = receipt.events.find(event => event.event === 'RentalListed');
+    const rentalId = event.args.rentalId;
+
+    return rentalId;
+  } catch (error) {
+    console.error("Error creating rental:", error);
+    throw error;
+  }
+};
+
+// Get rental details
+export const getRental = async (signer, rentalId) => {
+  try {
+    const { propertyRental } = await getContracts(signer);
+    const rental = await propertyRental.getRental(rentalId);
+
+    return {
+      id: rental.id.toString(),
+      propertyId: rental.propertyId.toString(),
+      landlord: rental.landlord,
+      tenant: rental.tenant === ethers.constants.AddressZero ? null : rental.tenant,
+      monthlyRent: ethers.utils.formatEther(rental.monthlyRent),
+      securityDeposit: ethers.utils.formatEther(rental.securityDeposit),
+      leaseDuration: rental.leaseDurationMonths.toNumber(),
+      availableFrom: toDate(rental.availableFrom),
+      leaseStart: toDate(rental.leaseStart),
+      leaseEnd: toDate(rental.leaseEnd),
+      nextRentDue: toDate(rental.nextRentDue),
+      monthsPaid: rental.monthsPaid.toNumber(),
+      depositHeld: ethers.utils.formatEther(rental.depositHeld),
+      status: rental.status,
+      description: rental.description,
+      amenities: rental.amenities,
+      petPolicy: rental.petPolicy,
+      smokingPolicy: rental.smokingPolicy
+    };
+  } catch (error) {
+    console.error("Error getting rental:", error);
+    throw error;
+  }
+};
+
+// Get all rental listings
+export const getAllRentals = async (signer) => {
+  try {
+    const { propertyRental } = await getContracts(signer);
+    const nextRentalId = (await propertyRental.nextRentalId()).toNumber();
+
+    const rentalIds = [];
+    for (let id = 1; id < nextRentalId; id++) {
+      rentalIds.push(id);
+    }
+
+    const rentals = await Promise.all(
+      rentalIds.map(id => getRental(signer, id))
+    );
+
+    return rentals;
+  } catch (error) {
+    console.error("Error getting rentals:", error);
+    throw error;
+  }
+};
+
+// Rent a property (pays security deposit and first month's rent)
+export const rentProperty = async (signer, rentalId) => {
+  try {
+    const { propertyRental } = await getContracts(signer);
+    const rental = await propertyRental.getRental(rentalId);
+
+    const tx = await propertyRental.rentProperty(
+      rentalId,
+      { value: rental.securityDeposit.add(rental.monthlyRent) }
+    );
+
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error renting property:", error);
+    throw error;
+  }
+};
+
+// Pay the next month's rent
+export const payRent = async (signer, rentalId) => {
+  try {
+    const { propertyRental } = await getContracts(signer);
+    const rental = await propertyRental.getRental(rentalId);
+
+    const tx = await propertyRental.payRent(rentalId, { value: rental.monthlyRent });
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error paying rent:", error);
+    throw error;
+  }
+};
+
+// End a lease whose term has expired or whose landlord has transferred the property
+export const endLease = async (signer, rentalId) => {
+  try {
+    const { propertyRental } = await getContracts(signer);
+    const tx = await propertyRental.endLease(rentalId);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error ending lease:", error);
+    throw error;
+  }
+};
+
+// Terminate a lease whose rent is overdue (landlord)
+export const terminateLease = async (signer, rentalId) => {
+  try {
+    const { propertyRental } = await getContracts(signer);
+    const tx = await propertyRental.terminateLease(rentalId);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error terminating lease:", error);
+    throw error;
+  }
+};
+
+// Settle the security deposit (landlord)
+export const settleDeposit = async (signer, rentalId, deduction, reason) => {
+  try {
+    const { propertyRental } = await getContracts(signer);
+    const tx = await propertyRental.settleDeposit(
+      rentalId,
+      ethers.utils.parseEther(deduction.toString()),
+      reason
+    );
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error settling deposit:", error);
+    throw error;
+  }
+};
+
+// Reclaim an unsettled security deposit (tenant)
+export const claimDeposit = async (signer, rentalId) => {
+  try {
+    const { propertyRental } = await getContracts(signer);
+    const tx = await propertyRental.claimDeposit(rentalId);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error claiming deposit:", error);
+    throw error;
+  }
+};
+
+// Create an auction for a verified property listed for sale (seller).
+// Sealed-bid modes use durationHours for the commit phase and revealHours for the reveal phase;
+// Dutch auctions fall from startingPrice to reservePrice over durationHours.
+export const createAuction = async (signer, auctionData) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const mode = Number(auctionData.mode || AUCTION_MODE.ENGLISH);
+    const isSealed = mode === AUCTION_MODE.SEALED_FIRST_PRICE || mode === AUCTION_MODE.SEALED_SECOND_PRICE;
+    const args = [
+      auctionData.propertyId,
+      ethers.utils.parseEther(auctionData.startingPrice.toString()),
+      ethers.utils.parseEther(auctionData.reservePrice.toString()),
+      Math.floor(Number(auctionData.durationHours) * 3600),
+      ethers.utils.parseEther(auctionData.bidIncrement.toString())
+    ];
+
+    const tx = mode === AUCTION_MODE.ENGLISH
+      ? await propertyAuction['createAuction(uint256,uint256,uint256,uint256,uint256)'](...args)
+      : await propertyAuction['createAuction(uint256,uint256,uint256,uint256,uint256,uint8,uint256)'](
+        ...args,
+        mode,
+        isSealed ? Math.floor(Number(auctionData.revealHours) * 3600) : 0
+      );
+
+    const receipt = await tx.wait();
+
+    // Find the AuctionCreated event
+    const event = receipt.events.find(event => event.event === 'AuctionCreated');
+    return event.args.auctionId.toString();
+  } catch (error) {
+    console.error("Error creating auction:", error);
+    throw error;
+  }
+};
+
+// Get auction details
+export const getAuction = async (signer, auctionId) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const auction = await propertyAuction.getAuction(auctionId);
+    const dutch = auction.mode === AUCTION_MODE.DUTCH;
+
+    return {
+      id: auctionId.toString(),
+      propertyId: auction.propertyId.toString(),
+      seller: auction.seller,
+      startingPrice: ethers.utils.formatEther(auction.startingPrice),
+      // The contract hides the reserve until the auction ends or is cancelled, except for
+      // Dutch auctions whose floor drives the price ticker
+      reservePrice: auction.ended || auction.cancelled || dutch ? ethers.utils.formatEther(auction.reservePrice) : null,
+      currentBid: ethers.utils.formatEther(auction.currentBid),
+      currentBidder: auction.currentBidder === ethers.constants.AddressZero ? null : auction.currentBidder,
+      startTime: toDate(auction.startTime),
+      endTime: toDate(auction.endTime),
+      bidIncrement: ethers.utils.formatEther(auction.bidIncrement),
+      ended: auction.ended,
+      cancelled: auction.cancelled,
+      totalBidders: auction.totalBidders.toNumber(),
+      mode: auction.mode,
+      sealed: auction.mode === AUCTION_MODE.SEALED_FIRST_PRICE || auction.mode === AUCTION_MODE.SEALED_SECOND_PRICE,
+      dutch,
+      revealEndTime: toDate(auction.revealEndTime),
+      // Seconds; fixed when the auction was created
+      softCloseWindow: auction.softCloseWindow.toNumber()
+    };
+  } catch (error) {
+    console.error("Error getting auction:", error);
+    throw error;
+  }
+};
+
+// Get all auctions
+export const getAllAuctions = async (signer) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const nextAuctionId = (await propertyAuction.nextAuctionId()).toNumber();
+
+    const auctions = await Promise.all(
+      Array.from({ length: nextAuctionId - 1 }, (_, i) => getAuction(signer, i + 1))
+    );
+
+    return auctions;
+  } catch (error) {
+    console.error("Error getting auctions:", error);
+    throw error;
+  }
+};
+
+// Get bid history for an auction, newest first. Sealed-bid auctions only show revealed bids.
+export const getAuctionBids = async (signer, auctionId) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const [placed, revealed] = await Promise.all([
+      propertyAuction.queryFilter(propertyAuction.filters.BidPlaced(auctionId)),
+      propertyAuction.queryFilter(propertyAuction.filters.BidRevealed(auctionId))
+    ]);
+
+    const revealedBids = await Promise.all(revealed.map(async event => ({
+      bidder: event.args.bidder,
+      amount: ethers.utils.formatEther(event.args.amount),
+      timestamp: new Date((await event.getBlock()).timestamp * 1000)
+    })));
+
+    return placed
+      .map(event => ({
+        bidder: event.args.bidder,
+        amount: ethers.utils.formatEther(event.args.amount),
+        timestamp: toDate(event.args.timestamp)
+      }))
+      .concat(revealedBids)
+      .reverse();
+  } catch (error) {
+    console.error("Error getting auction bids:", error);
+    throw error;
+  }
+};
+
+// Get the amount a user can withdraw from an auction (outbid or refunded bids)
+export const getUserBid = async (signer, auctionId, userAddress) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const amount = await propertyAuction.getUserBid(auctionId, userAddress);
+    return ethers.utils.formatEther(amount);
+  } catch (error) {
+    console.error("Error getting user bid:", error);
+    throw error;
+  }
+};
+
+// Place a bid on an auction
+export const placeBid = async (signer, auctionId, amount) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const tx = await propertyAuction.placeBid(auctionId, {
+      value: ethers.utils.parseEther(amount.toString())
+    });
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error placing bid:", error);
+    throw error;
+  }
+};
+
+// Withdraw an outbid or refunded bid
+export const withdrawBid = async (signer, auctionId) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const tx = await propertyAuction.withdrawBid(auctionId);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error withdrawing bid:", error);
+    throw error;
+  }
+};
+
+// Settle an auction after its end time (anyone)
+export const endAuction = async (signer, auctionId) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const tx = await propertyAuction.endAuction(auctionId);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error ending auction:", error);
+    throw error;
+  }
+};
+
+// Cancel an auction that has no bids (seller)
+export const cancelAuction = async (signer, auctionId) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const tx = await propertyAuction.cancelAuction(auctionId);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error cancelling auction:", error);
+    throw error;
+  }
+};
+
+// Get the current price of a Dutch auction
+export const getCurrentPrice = async (signer, auctionId) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const price = await propertyAuction.getCurrentPrice(auctionId);
+    return ethers.utils.formatEther(price);
+  } catch (error) {
+    console.error("Error getting current price:", error);
+    throw error;
+  }
+};
+
+// Buy a Dutch auction. The price only falls, so paying the latest quoted price always
+// covers it; any difference is refunded by the contract.
+export const buyAtCurrentPrice = async (signer, auctionId) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const price = await propertyAuction.getCurrentPrice(auctionId);
+    const tx = await propertyAuction.buyAtCurrentPrice(auctionId, { value: price });
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error buying at current price:", error);
+    throw error;
+  }
+};
+
+// Sealed bids are revealed from the amount and salt kept in this browser at commit time
+const sealedBidKey = (auctionAddress, auctionId, bidder) =>
+  `${auctionAddress}:${auctionId}:${bidder}`.toLowerCase();
+
+const loadSealedBidSecrets = () => loadFromStorage(STORAGE_KEYS.SEALED_BIDS) || {};
+
+// Commit a sealed bid; the deposit must cover the bid and may exceed it to hide its size
+export const commitBid = async (signer, auctionId, amount, deposit) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const bidder = await signer.getAddress();
+    const amountWei = ethers.utils.parseEther(amount.toString());
+    const key = sealedBidKey(propertyAuction.address, auctionId, bidder);
+
+    const sealedBid = await propertyAuction.getSealedBid(auctionId, bidder);
+    if (sealedBid.commitment !== ethers.constants.HashZero) {
+      throw new Error("A bid has already been committed for this auction");
+    }
+
+    // A saved secret without an on-chain commitment belongs to an earlier commit that may still
+    // be pending, so it is reused rather than replaced; only the same amount can be retried
+    const secrets = loadSealedBidSecrets();
+    let secret = secrets[key];
+    if (secret && !amountWei.eq(secret.amount)) {
+      throw new Error(
+        `A bid of ${ethers.utils.formatEther(secret.amount)} ETH for this auction is still unconfirmed`
+      );
+    }
+
+    // Save before sending so a bid can never be committed without its secret
+    if (!secret) {
+      secret = { amount: amountWei.toString(), salt: ethers.utils.hexlify(ethers.utils.randomBytes(32)) };
+      secrets[key] = secret;
+      saveToStorage(STORAGE_KEYS.SEALED_BIDS, secrets);
+    }
+
+    const commitment = ethers.utils.solidityKeccak256(
+      ['uint256', 'address', 'uint256', 'bytes32'],
+      [auctionId, bidder, amountWei, secret.salt]
+    );
+
+    let tx;
+    try {
+      tx = await propertyAuction.commitBid(auctionId, commitment, {
+        value: ethers.utils.parseEther(deposit.toString())
+      });
+    } catch (error) {
+      // Nothing was broadcast, so the secret can't be needed for a reveal
+      const current = loadSealedBidSecrets();
+      delete current[key];
+      saveToStorage(STORAGE_KEYS.SEALED_BIDS, current);
+      throw error;
+    }
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error committing bid:", error);
+    throw error;
+  }
+};
+
+// Reveal the connected wallet's sealed bid during the reveal phase
+export const revealBid = async (signer, auctionId) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const bidder = await signer.getAddress();
+    const secret = loadSealedBidSecrets()[sealedBidKey(propertyAuction.address, auctionId, bidder)];
+
+    if (!secret) {
+      throw new Error("No saved bid found for this auction in this browser");
+    }
+
+    const tx = await propertyAuction.revealBid(auctionId, secret.amount, secret.salt);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error revealing bid:", error);
+    throw error;
+  }
+};
+
+// Get a bidder's sealed bid, including the locally saved amount when available
+export const getSealedBid = async (signer, auctionId, userAddress) => {
+  try {
+    const { propertyAuction } = await getContracts(signer);
+    const sealedBid = await propertyAuction.getSealedBid(auctionId, userAddress);
+    const secret = loadSealedBidSecrets()[sealedBidKey(propertyAuction.address, auctionId, userAddress)];
+
+    return {
+      committed: sealedBid.commitment !== ethers.constants.HashZero,
+      deposit: ethers.utils.formatEther(sealedBid.deposit),
+      revealed: sealedBid.revealed,
+      amount: secret ? ethers.utils.formatEther(secret.amount) : null
+    };
+  } catch (error) {
+    console.error("Error getting sealed bid:", error);
+    throw error;
+  }
+};
+
+// Get every fractionalized property with its share token and the connected wallet's holding
+export const getFractionalProperties = async (signer) => {
+  try {
+    const { fractionalOwnership } = await getContracts(signer);
+    const userAddress = await signer.getAddress();
+    const events = await fractionalOwnership.queryFilter(fractionalOwnership.filters.PropertyFractionalized());
+
+    return await Promise.all(
+      events.map(async (event) => {
+        const propertyId = event.args.propertyId;
+        const [info, shareholder] = await Promise.all([
+          fractionalOwnership.getPropertyInfo(propertyId),
+          fractionalOwnership.getShareholderInfo(userAddress, propertyId)
+        ]);
+
+        return {
+          propertyId: propertyId.toString(),
+          tokenContract: info.tokenContract,
+          totalShares: info.totalShares.toNumber(),
+          sharePrice: ethers.utils.formatEther(info.sharePrice),
+          sharesSold: info.sharesSold.toNumber(),
+          originalOwner: info.originalOwner,
+          myShares: shareholder.shares.toNumber()
+        };
+      })
+    );
+  } catch (error) {
+    console.error("Error getting fractional properties:", error);
+    throw error;
+  }
+};
+
+// Get the share listings of a fractionalized property, including filled and cancelled ones
+export const getShareListings = async (signer, propertyId) => {
+  try {
+    const { fractionalOwnership } = await getContracts(signer);
+    const listingIds = await fractionalOwnership.getPropertyShareListings(propertyId);
+
+    return await Promise.all(
+      listingIds.map(async (listingId) => {
+        const listing = await fractionalOwnership.shareListings(listingId);
+        return {
+          id: listing.id.toString(),
+          propertyId: listing.propertyId.toString(),
+          seller: listing.seller,
+          shares: listing.shares.toNumber(),
+          pricePerShare: ethers.utils.formatEther(listing.pricePerShare),
+          active: listing.active,
+          createdAt: toDate(listing.createdAt)
+        };
+      })
+    );
+  } catch (error) {
+    console.error("Error getting share listings:", error);
+    throw error;
+  }
+};
+
+// List shares for sale at a fixed price per share. The shares are approved and then held
+// in escrow by the contract until they sell or the listing is cancelled.
+export const listShares = async (signer, propertyId, shares, pricePerShare) => {
+  try {
+    const { fractionalOwnership } = await getContracts(signer);
+    const info = await fractionalOwnership.getPropertyInfo(propertyId);
+    const shareToken = new ethers.Contract(info.tokenContract, PropertyShareTokenABI.abi, signer);
+
+    const approveTx = await shareToken.approve(fractionalOwnership.address, shares);
+    await approveTx.wait();
+
+    const tx = await fractionalOwnership.listShares(
+      propertyId,
+      shares,
+      ethers.utils.parseEther(pricePerShare.toString())
+    );
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error listing shares:", error);
+    throw error;
+  }
+};
+
+// Buy some or all of the shares in a listing
+export const buyListedShares = async (signer, listingId, shares) => {
+  try {
+    const { fractionalOwnership } = await getContracts(signer);
+    const listing = await fractionalOwnership.shareListings(listingId);
+    const tx = await fractionalOwnership.buyListedShares(listingId, shares, {
+      value: listing.pricePerShare.mul(shares)
+    });
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error buying listed shares:", error);
+    throw error;
+  }
+};
+
+// Cancel a share listing and take back the unsold shares (seller)
+export const cancelShareListing = async (signer, listingId) => {
+  try {
+    const { fractionalOwnership } = await getContracts(signer);
+    const tx = await fractionalOwnership.cancelShareListing(listingId);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error cancelling share listing:", error);
+    throw error;
+  }
+};
+
+// Get a lender's profile; isActive is false for addresses that never registered
+export const getLenderProfile = async (signer, lenderAddress) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const [profile, hasLenderRole] = await Promise.all([
+      propertyFinancing.lenderProfiles(lenderAddress),
+      propertyFinancing.hasRole(await propertyFinancing.LENDER_ROLE(), lenderAddress)
+    ]);
+
+    return {
+      lender: profile.lender,
+      name: profile.name,
+      availableFunds: ethers.utils.formatEther(profile.availableFunds),
+      minLoanAmount: ethers.utils.formatEther(profile.minLoanAmount),
+      maxLoanAmount: ethers.utils.formatEther(profile.maxLoanAmount),
+      minInterestRate: profile.minInterestRate.toNumber(),
+      maxLoanToValue: profile.maxLoanToValue.toNumber(),
+      isActive: profile.isActive,
+      totalLoansIssued: profile.totalLoansIssued.toNumber(),
+      totalDefaulted: profile.totalDefaulted.toNumber(),
+      hasLenderRole
+    };
+  } catch (error) {
+    console.error("Error getting lender profile:", error);
+    throw error;
+  }
+};
+
+// Register as a lender. Rates and loan-to-value are in basis points; the deposit funds the lending pool.
+export const registerLender = async (signer, lenderData) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const tx = await propertyFinancing.registerLender(
+      lenderData.name,
+      ethers.utils.parseEther(lenderData.minLoanAmount.toString()),
+      ethers.utils.parseEther(lenderData.maxLoanAmount.toString()),
+      lenderData.minInterestRate,
+      lenderData.maxLoanToValue,
+      lenderData.supportedRegions,
+      { value: ethers.utils.parseEther(lenderData.deposit.toString()) }
+    );
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error registering lender:", error);
+    throw error;
+  }
+};
+
+// Add funds to the connected lender's pool
+export const addLenderFunds = async (signer, amount) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const tx = await propertyFinancing.addLenderFunds({
+      value: ethers.utils.parseEther(amount.toString())
+    });
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error adding lender funds:", error);
+    throw error;
+  }
+};
+
+// Withdraw unlent funds from the connected lender's pool
+export const withdrawLenderFunds = async (signer, amount) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const tx = await propertyFinancing.withdrawLenderFunds(ethers.utils.parseEther(amount.toString()));
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error withdrawing lender funds:", error);
+    throw error;
+  }
+};
+
+// Apply for a loan against a verified property the connected wallet owns
+export const submitLoanApplication = async (signer, applicationData) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const tx = await propertyFinancing.submitLoanApplication(
+      applicationData.propertyId,
+      ethers.utils.parseEther(applicationData.loanAmount.toString()),
+      ethers.utils.parseEther(applicationData.downPayment.toString()),
+      applicationData.termMonths,
+      applicationData.creditScore,
+      applicationData.employmentInfo,
+      applicationData.incomeVerification
+    );
+
+    const receipt = await tx.wait();
+
+    // Find the LoanApplicationSubmitted event
+    const event = receipt.events.find(event => event.event === 'LoanApplicationSubmitted');
+    return event.args.loanId;
+  } catch (error) {
+    console.error("Error submitting loan application:", error);
+    throw error;
+  }
+};
+
+// Get loan application details
+export const getLoanApplication = async (signer, loanId) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const application = await propertyFinancing.getLoanApplication(loanId);
+
+    return {
+      id: application.id.toString(),
+      propertyId: application.propertyId.toString(),
+      borrower: application.borrower,
+      loanAmount: ethers.utils.formatEther(application.loanAmount),
+      downPayment: ethers.utils.formatEther(application.downPayment),
+      interestRate: application.interestRate.toNumber(),
+      termMonths: application.termMonths.toNumber(),
+      monthlyPayment: ethers.utils.formatEther(application.monthlyPayment),
+      status: application.status,
+      applicationDate: toDate(application.applicationDate),
+      approvalDate: toDate(application.approvalDate),
+      lender: application.lender === ethers.constants.AddressZero ? null : application.lender,
+      creditScore: application.creditScore,
+      employmentInfo: application.employmentInfo,
+      incomeVerification: application.incomeVerification
+    };
+  } catch (error) {
+    console.error("Error getting loan application:", error);
+    throw error;
+  }
+};
+
+// Get all loan applications, for lenders reviewing them
+export const getAllLoanApplications = async (signer) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const nextLoanId = (await propertyFinancing.nextLoanId()).toNumber();
+
+    const loanIds = [];
+    for (let id = 1; id < nextLoanId; id++) {
+      loanIds.push(id);
+    }
+
+    return await Promise.all(loanIds.map(id => getLoanApplication(signer, id)));
+  } catch (error) {
+    console.error("Error getting loan applications:", error);
+    throw error;
+  }
+};
+
+// Get the connected wallet's loan applications
+export const getMyLoanApplications = async (signer) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const address = await signer.getAddress();
+    const loanIds = await propertyFinancing.getBorrowerLoans(address);
+
+    return await Promise.all(loanIds.map(id => getLoanApplication(signer, id)));
+  } catch (error) {
+    console.error("Error getting my loan applications:", error);
+    throw error;
+  }
+};
+
+// Approve a pending application at an annual rate in basis points, funding it from the lender's pool
+export const approveLoan = async (signer, loanId, interestRate) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const tx = await propertyFinancing.approveLoan(loanId, interestRate);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error approving loan:", error);
+    throw error;
+  }
+};
+
+// Get mortgage details
+export const getMortgage = async (signer, mortgageId) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const mortgage = await propertyFinancing.getMortgage(mortgageId);
+
+    return {
+      id: mortgageId.toString(),
+      loanId: mortgage.loanId.toString(),
+      propertyId: mortgage.propertyId.toString(),
+      borrower: mortgage.borrower,
+      lender: mortgage.lender,
+      principalAmount: ethers.utils.formatEther(mortgage.principalAmount),
+      remainingBalance: ethers.utils.formatEther(mortgage.remainingBalance),
+      interestRate: mortgage.interestRate.toNumber(),
+      monthlyPayment: ethers.utils.formatEther(mortgage.monthlyPayment),
+      termMonths: mortgage.termMonths.toNumber(),
+      remainingTerms: mortgage.remainingTerms.toNumber(),
+      startDate: toDate(mortgage.startDate),
+      nextPaymentDue: toDate(mortgage.nextPaymentDue),
+      totalPaid: ethers.utils.formatEther(mortgage.totalPaid),
+      totalInterestPaid: ethers.utils.formatEther(mortgage.totalInterestPaid),
+      status: mortgage.status
+    };
+  } catch (error) {
+    console.error("Error getting mortgage:", error);
+    throw error;
+  }
+};
+
+// Get the mortgages where the connected wallet is the borrower or the lender
+export const getMyMortgages = async (signer) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const address = await signer.getAddress();
+    const nextMortgageId = (await propertyFinancing.nextMortgageId()).toNumber();
+
+    const mortgageIds = [];
+    for (let id = 1; id < nextMortgageId; id++) {
+      mortgageIds.push(id);
+    }
+
+    const mortgages = await Promise.all(mortgageIds.map(id => getMortgage(signer, id)));
+    return mortgages.filter(mortgage => mortgage.borrower === address || mortgage.lender === address);
+  } catch (error) {
+    console.error("Error getting my mortgages:", error);
+    throw error;
+  }
+};
+
+// Get the next installment of a mortgage, including any late fee it would carry now
+export const getNextInstallment = async (signer, mortgageId) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const installment = await propertyFinancing.getNextInstallment(mortgageId);
+
+    return {
+      principal: ethers.utils.formatEther(installment.principal),
+      interest: ethers.utils.formatEther(installment.interest),
+      lateFee: ethers.utils.formatEther(installment.lateFee),
+      amountDue: ethers.utils.formatEther(installment.amountDue)
+    };
+  } catch (error) {
+    console.error("Error getting next installment:", error);
+    throw error;
+  }
+};
+
+// Get the amount needed to pay off a mortgage now
+export const getPayoffQuote = async (signer, mortgageId) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const quote = await propertyFinancing.getPayoffQuote(mortgageId);
+
+    return {
+      principal: ethers.utils.formatEther(quote.principal),
+      interest: ethers.utils.formatEther(quote.interest),
+      lateFees: ethers.utils.formatEther(quote.lateFees),
+      total: ethers.utils.formatEther(quote.total)
+    };
+  } catch (error) {
+    console.error("Error getting payoff quote:", error);
+    throw error;
+  }
+};
+
+// Get the payments made on a mortgage, oldest first
+export const getMortgagePayments = async (signer, mortgageId) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const payments = await propertyFinancing.getPaymentHistory(mortgageId);
+
+    return payments.map(payment => ({
+      paymentDate: toDate(payment.paymentDate),
+      principalPaid: ethers.utils.formatEther(payment.principalPaid),
+      interestPaid: ethers.utils.formatEther(payment.interestPaid),
+      remainingBalance: ethers.utils.formatEther(payment.remainingBalance),
+      isLate: payment.isLate,
+      lateFee: ethers.utils.formatEther(payment.lateFee)
+    }));
+  } catch (error) {
+    console.error("Error getting mortgage payments:", error);
+    throw error;
+  }
+};
+
+// Pay the next installment plus any late fee
+export const makeMortgagePayment = async (signer, mortgageId) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const { amountDue } = await propertyFinancing.getNextInstallment(mortgageId);
+
+    const tx = await propertyFinancing.makePayment(mortgageId, { value: amountDue });
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error making mortgage payment:", error);
+    throw error;
+  }
+};
+
+// Pay down principal ahead of schedule
+export const prepayPrincipal = async (signer, mortgageId, amount) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const tx = await propertyFinancing.prepayPrincipal(mortgageId, {
+      value: ethers.utils.parseEther(amount.toString())
+    });
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error prepaying principal:", error);
+    throw error;
+  }
+};
+
+// Pay off a mortgage at the current quote
+export const payOffMortgage = async (signer, mortgageId) => {
+  try {
+    const { propertyFinancing } = await getContracts(signer);
+    const { total } = await propertyFinancing.getPayoffQuote(mortgageId);
+
+    const tx = await propertyFinancing.payOff(mortgageId, { value: total });
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error paying off mortgage:", error);
+    throw error;
+  }
+};
+
+// Quote the annual premium for insuring a property against the given risks
+export const getInsuranceQuote = async (signer, propertyId, coverageAmount, coveredRisks) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const premium = await propertyInsurance.calculatePremium(
+      propertyId,
+      ethers.utils.parseEther(coverageAmount.toString()),
+      coveredRisks
+    );
+    return ethers.utils.formatEther(premium);
+  } catch (error) {
+    console.error("Error getting insurance quote:", error);
+    throw error;
+  }
+};
+
+// Get the minimum deductible and the fee charged for filing a claim
+export const getInsuranceTerms = async (signer) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const [minDeductible, claimProcessingFee, assessorQuorum, quorumClaimThreshold] = await Promise.all([
+      propertyInsurance.minDeductible(),
+      propertyInsurance.claimProcessingFee(),
+      propertyInsurance.assessorQuorum(),
+      propertyInsurance.quorumClaimThreshold()
+    ]);
+
+    return {
+      minDeductible: ethers.utils.formatEther(minDeductible),
+      claimProcessingFee: ethers.utils.formatEther(claimProcessingFee),
+      assessorQuorum: assessorQuorum.toNumber(),
+      quorumClaimThreshold: ethers.utils.formatEther(quorumClaimThreshold)
+    };
+  } catch (error) {
+    console.error("Error getting insurance terms:", error);
+    throw error;
+  }
+};
+
+// Buy a one-year policy, paying the premium quoted by the contract
+export const createInsurancePolicy = async (signer, policyData) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const coverageAmount = ethers.utils.parseEther(policyData.coverageAmount.toString());
+    const premium = await propertyInsurance.calculatePremium(
+      policyData.propertyId,
+      coverageAmount,
+      policyData.coveredRisks
+    );
+
+    const tx = await propertyInsurance.createPolicy(
+      policyData.propertyId,
+      coverageAmount,
+      policyData.coveredRisks,
+      ethers.utils.parseEther(policyData.deductible.toString()),
+      policyData.autoRenewal,
+      { value: premium }
+    );
+
+    const receipt = await tx.wait();
+
+    // Find the PolicyCreated event
+    const event = receipt.events.find(event => event.event === 'PolicyCreated');
+    return event.args.policyId;
+  } catch (error) {
+    console.error("Error creating insurance policy:", error);
+    throw error;
+  }
+};
+
+// Get insurance policy details
+export const getInsurancePolicy = async (signer, policyId) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const policy = await propertyInsurance.getPolicy(policyId);
+
+    return {
+      id: policyId.toString(),
+      propertyId: policy.propertyId.toString(),
+      policyholder: policy.policyholder,
+      coverageAmount: ethers.utils.formatEther(policy.coverageAmount),
+      premium: ethers.utils.formatEther(policy.premium),
+      startDate: toDate(policy.startDate),
+      endDate: toDate(policy.endDate),
+      status: policy.status,
+      coveredRisks: policy.coveredRisks,
+      deductible: ethers.utils.formatEther(policy.deductible),
+      autoRenewal: policy.autoRenewal
+    };
+  } catch (error) {
+    console.error("Error getting insurance policy:", error);
+    throw error;
+  }
+};
+
+// Get the policies bought by the connected wallet
+export const getMyInsurancePolicies = async (signer) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const address = await signer.getAddress();
+    const events = await propertyInsurance.queryFilter(
+      propertyInsurance.filters.PolicyCreated(null, null, address)
+    );
+
+    return await Promise.all(events.map(event => getInsurancePolicy(signer, event.args.policyId)));
+  } catch (error) {
+    console.error("Error getting my insurance policies:", error);
+    throw error;
+  }
+};
+
+// Renew a policy for another year at the current premium
+export const renewInsurancePolicy = async (signer, policyId) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const policy = await propertyInsurance.getPolicy(policyId);
+    const premium = await propertyInsurance.calculatePremium(
+      policy.propertyId,
+      policy.coverageAmount,
+      policy.coveredRisks
+    );
+
+    const tx = await propertyInsurance.renewPolicy(policyId, { value: premium });
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error renewing insurance policy:", error);
+    throw error;
+  }
+};
+
+// Turn automatic renewal on or off for a policy (policyholder)
+export const setInsuranceAutoRenewal = async (signer, policyId, autoRenewal) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const tx = await propertyInsurance.setAutoRenewal(policyId, autoRenewal);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error updating auto-renewal:", error);
+    throw error;
+  }
+};
+
+// Prepaid balance that auto-renewing policies are renewed from
+export const getRenewalBalance = async (signer) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const balance = await propertyInsurance.renewalBalances(await signer.getAddress());
+    return ethers.utils.formatEther(balance);
+  } catch (error) {
+    console.error("Error getting renewal balance:", error);
+    throw error;
+  }
+};
+
+export const depositRenewalFunds = async (signer, amount) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const tx = await propertyInsurance.depositRenewalFunds({
+      value: ethers.utils.parseEther(amount.toString())
+    });
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error depositing renewal funds:", error);
+    throw error;
+  }
+};
+
+export const withdrawRenewalFunds = async (signer, amount) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const tx = await propertyInsurance.withdrawRenewalFunds(ethers.utils.parseEther(amount.toString()));
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error withdrawing renewal funds:", error);
+    throw error;
+  }
+};
+
+// Cancel a policy (policyholder)
+export const cancelInsurancePolicy = async (signer, policyId) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const tx = await propertyInsurance.cancelPolicy(policyId);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error cancelling insurance policy:", error);
+    throw error;
+  }
+};
+
+// File a claim against a policy, paying the processing fee. Evidence is a list of IPFS URIs.
+export const fileInsuranceClaim = async (signer, claimData) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const claimProcessingFee = await propertyInsurance.claimProcessingFee();
+
+    const tx = await propertyInsurance.fileClaim(
+      claimData.policyId,
+      ethers.utils.parseEther(claimData.claimAmount.toString()),
+      claimData.description,
+      claimData.riskType,
+      Math.floor(new Date(claimData.dateOfLoss).getTime() / 1000),
+      claimData.evidence,
+      { value: claimProcessingFee }
+    );
+
+    const receipt = await tx.wait();
+
+    // Find the ClaimFiled event
+    const event = receipt.events.find(event => event.event === 'ClaimFiled');
+    return event.args.claimId;
+  } catch (error) {
+    console.error("Error filing insurance claim:", error);
+    throw error;
+  }
+};
+
+// Get insurance claim details
+export const getInsuranceClaim = async (signer, claimId) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const [claim, quorum, disputed, reviewRound, paidAmount, assessments] = await Promise.all([
+      propertyInsurance.getClaim(claimId),
+      propertyInsurance.claimQuorums(claimId),
+      propertyInsurance.claimDisputed(claimId),
+      propertyInsurance.claimReviewRounds(claimId),
+      propertyInsurance.claimPayouts(claimId),
+      propertyInsurance.getClaimAssessments(claimId)
+    ]);
+
+    return {
+      id: claimId.toString(),
+      policyId: claim.policyId.toString(),
+      claimant: claim.claimant,
+      claimAmount: ethers.utils.formatEther(claim.claimAmount),
+      description: claim.description,
+      riskType: claim.riskType,
+      dateOfLoss: toDate(claim.dateOfLoss),
+      dateReported: toDate(claim.dateReported),
+      status: claim.status,
+      evidence: claim.evidence,
+      approvedAmount: ethers.utils.formatEther(claim.approvedAmount),
+      rejectionReason: claim.rejectionReason,
+      // Fixed when the claim was filed; 0 means a single assessor decides it
+      quorum: quorum.toNumber(),
+      requiresQuorum: quorum.gt(0),
+      disputed,
+      reviewRound: reviewRound.toNumber(),
+      paidAmount: ethers.utils.formatEther(paidAmount),
+      assessments: assessments.map(assessment => ({
+        assessor: assessment.assessor,
+        reportHash: assessment.reportHash,
+        proposedAmount: ethers.utils.formatEther(assessment.proposedAmount),
+        round: assessment.round.toNumber(),
+        submittedAt: toDate(assessment.submittedAt)
+      }))
+    };
+  } catch (error) {
+    console.error("Error getting insurance claim:", error);
+    throw error;
+  }
+};
+
+// Get all insurance claims, for assessors working through the queue
+export const getAllInsuranceClaims = async (signer) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const nextClaimId = (await propertyInsurance.nextClaimId()).toNumber();
+
+    const claimIds = [];
+    for (let id = 1; id < nextClaimId; id++) {
+      claimIds.push(id);
+    }
+
+    return await Promise.all(claimIds.map(id => getInsuranceClaim(signer, id)));
+  } catch (error) {
+    console.error("Error getting insurance claims:", error);
+    throw error;
+  }
+};
+
+// Get the claims filed by the connected wallet
+export const getMyInsuranceClaims = async (signer) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const address = await signer.getAddress();
+    const events = await propertyInsurance.queryFilter(
+      propertyInsurance.filters.ClaimFiled(null, null, address)
+    );
+
+    return await Promise.all(events.map(event => getInsuranceClaim(signer, event.args.claimId)));
+  } catch (error) {
+    console.error("Error getting my insurance claims:", error);
+    throw error;
+  }
+};
+
+// Whether an address holds the assessor role and so may process claims, and the admin role to pay them
+export const getInsuranceRole = async (signer, address) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const [isAdmin, isAssessor] = await Promise.all([
+      propertyInsurance.hasRole(await propertyInsurance.DEFAULT_ADMIN_ROLE(), address),
+      propertyInsurance.authorizedAssessors(address)
+    ]);
+
+    return { isAdmin, isAssessor };
+  } catch (error) {
+    console.error("Error getting insurance role:", error);
+    throw error;
+  }
+};
+
+// Move a claim to review, approve it for an amount or reject it with a reason (assessor)
+export const processInsuranceClaim = async (signer, claimId, status, approvedAmount = '0', rejectionReason = '') => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const tx = await propertyInsurance.processClaim(
+      claimId,
+      status,
+      ethers.utils.parseEther(approvedAmount.toString()),
+      rejectionReason
+    );
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error processing insurance claim:", error);
+    throw error;
+  }
+};
+
+// Record an assessor's report and proposed amount for a claim decided by quorum.
+// A proposed amount of 0 recommends rejection.
+export const submitClaimAssessment = async (signer, claimId, reportHash, proposedAmount) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const tx = await propertyInsurance.submitClaimAssessment(
+      claimId,
+      reportHash,
+      ethers.utils.parseEther(proposedAmount.toString())
+    );
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error submitting claim assessment:", error);
+    throw error;
+  }
+};
+
+// Send a quorum decision back for one more review round (claimant)
+export const disputeInsuranceClaim = async (signer, claimId, reason, evidence = []) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const tx = await propertyInsurance.disputeClaim(claimId, reason, evidence);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error disputing insurance claim:", error);
+    throw error;
+  }
+};
+
+// Pay out an approved claim, less the policy deductible (admin)
+export const payInsuranceClaim = async (signer, claimId) => {
+  try {
+    const { propertyInsurance } = await getContracts(signer);
+    const tx = await propertyInsurance.payClaim(claimId);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error paying insurance claim:", error);
+    throw error;
+  }
+};
+
+// List the current holders of every role each contract checks, and whether the caller can edit them.
+// Holders are collected from RoleGranted events and confirmed with hasRole, so revoked and
+// renounced accounts drop out.
+export const getRoleHolders = async (signer) => {
+  try {
+    const contracts = await getContracts(signer);
+    const userAddress = await signer.getAddress();
+
+    return await Promise.all(
+      Object.entries(CONTRACT_ROLES).map(async ([key, roleNames]) => {
+        const contract = contracts[key];
+        const adminRole = await contract.DEFAULT_ADMIN_ROLE();
+
+        const roles = await Promise.all(roleNames.map(async (name) => {
+          const roleId = await contract[name]();
+          const granted = await contract.queryFilter(contract.filters.RoleGranted(roleId));
+          const candidates = [...new Set(granted.map(event => event.args.account))];
+          const current = await Promise.all(candidates.map(account => contract.hasRole(roleId, account)));
+
+          return {
+            name,
+            roleId,
+            holders: candidates.filter((_, i) => current[i])
+          };
+        }));
+
+        return {
+          key,
+          name: CONTRACTS[key].name,
+          address: contract.address,
+          canEdit: await contract.hasRole(adminRole, userAddress),
+          roles
+        };
+      })
+    );
+  } catch (error) {
+    console.error("Error getting role holders:", error);
+    throw error;
+  }
+};
+
+// Check whether an account holds a role on one contract
+export const hasContractRole = async (signer, contractKey, roleName, account) => {
+  try {
+    const contract = (await getContracts(signer))[contractKey];
+    return await contract.hasRole(await contract[roleName](), account);
+  } catch (error) {
+    console.error("Error checking contract role:", error);
+    throw error;
+  }
+};
+
+// Grant a role on one contract (admin of that contract)
+export const grantContractRole = async (signer, contractKey, roleName, account) => {
+  try {
+    const contract = (await getContracts(signer))[contractKey];
+    const tx = await contract.grantRole(await contract[roleName](), account);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error granting contract role:", error);
+    throw error;
+  }
+};
+
+// Revoke a role on one contract (admin of that contract)
+export const revokeContractRole = async (signer, contractKey, roleName, account) => {
+  try {
+    const contract = (await getContracts(signer))[contractKey];
+    const tx = await contract.revokeRole(await contract[roleName](), account);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error revoking contract role:", error);
+    throw error;
+  }
+};
+
+// Document keys are derived from a wallet signature over a fixed message, so a wallet gets the
+// same key back in any browser without storing it. This relies on deterministic (RFC 6979)
+// signatures, which MetaMask and hardware wallets produce.
+const DOCUMENT_KEY_MESSAGE =
+  "Unlock your encrypted property documents.\n\nThis signature derives your document key. It does not send a transaction or cost gas.";
+
+// Derived document keys by wallet address, so the wallet is asked to sign once per session
+const documentKeyCache = {};
+
+// Get the connected wallet's document key (an ethers SigningKey used to unwrap content keys)
+export const getDocumentKey = async (signer) => {
+  try {
+    const address = await signer.getAddress();
+    if (!documentKeyCache[address]) {
+      const signature = await signer.signMessage(DOCUMENT_KEY_MESSAGE);
+      documentKeyCache[address] = new ethers.utils.SigningKey(ethers.utils.keccak256(signature));
+    }
+    return documentKeyCache[address];
+  } catch (error) {
+    console.error("Error deriving document key:", error);
+    throw error;
+  }
+};
+
+// Get the connected wallet's document key, registering its public key on first use
+export const registerDocumentKey = async (signer) => {
+  try {
+    const { documentAccess } = await getContracts(signer);
+    const documentKey = await getDocumentKey(signer);
+    const registered = await documentAccess.getEncryptionKey(await signer.getAddress());
+
+    if (registered === "0x") {
+      const tx = await documentAccess.registerEncryptionKey(documentKey.compressedPublicKey);
+      await tx.wait();
+    } else if (registered !== documentKey.compressedPublicKey) {
+      // Replacing the key would lock this wallet out of every document already shared with it
+      throw new Error("This wallet derived a different document key than the one it registered");
+    }
+
+    return documentKey;
+  } catch (error) {
+    console.error("Error registering document key:", error);
+    throw error;
+  }
+};
+
+// Get an account's registered document public key, or null if it has none
+export const getDocumentPublicKey = async (signer, account) => {
+  try {
+    const { documentAccess } = await getContracts(signer);
+    const publicKey = await documentAccess.getEncryptionKey(account);
+    return publicKey === "0x" ? null : publicKey;
+  } catch (error) {
+    console.error("Error getting document public key:", error);
+    throw error;
+  }
+};
+
+// Record an encrypted document and its first key envelope; the caller becomes its owner.
+// Documents are looked up by owner and hash, so the same hash from another account is a separate record.
+export const publishDocument = async (signer, documentHash, envelopeHash) => {
+  try {
+    const { documentAccess } = await getContracts(signer);
+    const tx = await documentAccess.publishDocument(documentHash, envelopeHash);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error publishing document:", error);
+    throw error;
+  }
+};
+
+// Get the current key envelope and readers of a document published by owner
+export const getDocumentAccess = async (signer, owner, documentHash) => {
+  try {
+    const { documentAccess } = await getContracts(signer);
+    const document = await documentAccess.getDocument(owner, documentHash);
+
+    return {
+      published: document.documentOwner !== ethers.constants.AddressZero,
+      owner: document.documentOwner,
+      envelopeHash: document.envelopeHash,
+      readers: document.readers
+    };
+  } catch (error) {
+    console.error("Error getting document access:", error);
+    throw error;
+  }
+};
+
+// Let another account read one of the signer's documents; the envelope must include the reader
+export const grantDocumentAccess = async (signer, documentHash, reader, envelopeHash) => {
+  try {
+    const { documentAccess } = await getContracts(signer);
+    const tx = await documentAccess.grantAccess(documentHash, reader, envelopeHash);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error granting document access:", error);
+    throw error;
+  }
+};
+
+// Remove a reader from one of the signer's documents; the envelope should come from re-encrypting it
+export const revokeDocumentAccess = async (signer, documentHash, reader, envelopeHash) => {
+  try {
+    const { documentAccess } = await getContracts(signer);
+    const tx = await documentAccess.revokeAccess(documentHash, reader, envelopeHash);
+    return await tx.wait();
+  } catch (error) {
+    console.error("Error revoking document access:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,102 @@
+// CIDv0 computation for files, matching what Kubo and Pinata return for a plain add
+// (UnixFS in dag-pb, 256 KiB chunks, balanced layout, no raw leaves).
+// Used to check that an IPFS node stored exactly the bytes we sent.
+
+import { ethers } from 'ethers';
+
+export const CHUNK_SIZE = 262144;
+
+// Links per dag-pb node before the balanced layout adds another level
+const MAX_LINKS = 174;
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+const varint = (value) => {
+  const bytes = [];
+  let n = value;
+  while (n >= 0x80) {
+    bytes.push((n % 0x80) | 0x80);
+    n = Math.floor(n / 0x80);
+  }
+  bytes.push(n);
+  return Uint8Array.from(bytes);
+};
+
+// Protobuf field helpers (wire type 0 = varint, 2 = length-delimited)
+const varintField = (field, value) => concat([varint(field << 3), varint(value)]);
+const bytesField = (field, bytes) => concat([varint((field << 3) | 2), varint(bytes.length), bytes]);
+
+// UnixFS Data message for a file node
+const unixfsFile = (data, fileSize, blockSizes = []) => concat([
+  varintField(1, 2), // Type = File
+  ...(data && data.length > 0 ? [bytesField(2, data)] : []),
+  varintField(3, fileSize),
+  ...blockSizes.map(size => varintField(4, size))
+]);
+
+// dag-pb PBNode, links first as the canonical encoding requires
+const dagPbNode = (unixfsData, links = []) => concat([
+  ...links.map(link => bytesField(2, concat([
+    bytesField(1, link.multihash),
+    bytesField(2, new Uint8Array(0)),
+    varintField(3, link.size)
+  ]))),
+  bytesField(1, unixfsData)
+]);
+
+const sha256Multihash = (block) => concat([
+  Uint8Array.from([0x12, 0x20]),
+  ethers.utils.arrayify(ethers.utils.sha256(block))
+]);
+
+// A built node: its multihash, the bytes of file content under it and the cumulative block size
+const leafNode = (chunk) => {
+  const block = dagPbNode(unixfsFile(chunk, chunk.length));
+  return { multihash: sha256Multihash(block), fileSize: chunk.length, size: block.length };
+};
+
+const parentNode = (children) => {
+  const fileSize = children.reduce((total, child) => total + child.fileSize, 0);
+  const block = dagPbNode(
+    unixfsFile(null, fileSize, children.map(child => child.fileSize)),
+    children
+  );
+  return {
+    multihash: sha256Multihash(block),
+    fileSize,
+    size: block.length + children.reduce((total, child) => total + child.size, 0)
+  };
+};
+
+/**
+ * Compute the CIDv0 IPFS would assign to some file content
+ * @param {Uint8Array|ArrayBuffer} content - File bytes
+ * @returns {string} CIDv0 (Qm...)
+ */
+export const computeCIDv0 = (content) => {
+  const bytes = content instanceof Uint8Array ? content : new Uint8Array(content);
+
+  let nodes = [];
+  for (let offset = 0; offset < bytes.length || nodes.length === 0; offset += CHUNK_SIZE) {
+    nodes.push(leafNode(bytes.subarray(offset, offset + CHUNK_SIZE)));
+  }
+
+  // A single chunk is the root itself; otherwise link chunks up level by level
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += MAX_LINKS) {
+      parents.push(parentNode(nodes.slice(i, i + MAX_LINKS)));
+    }
+    nodes = parents;
+  }
+
+  return ethers.utils.base58.encode(nodes[0].multihash);
+};
@@ -55,6 +55,173 @@ export const TRANSACTION_STATUS_LABELS = {
   [TRANSACTION_STATUS.CANCELLED]: "Cancelled"
 };
 
+// Rental statuses
+export const RENTAL_STATUS = {
+  AVAILABLE: 0,
+  LEASED: 1,
+  ENDED: 2,
+  CANCELLED: 3
+};
+
+export const RENTAL_STATUS_LABELS = {
+  [RENTAL_STATUS.AVAILABLE]: "Available",
+  [RENTAL_STATUS.LEASED]: "Occupied",
+  [RENTAL_STATUS.ENDED]: "Ended",
+  [RENTAL_STATUS.CANCELLED]: "Cancelled"
+};
+
+// Loan application statuses
+export const LOAN_STATUS = {
+  PENDING: 0,
+  UNDER_REVIEW: 1,
+  APPROVED: 2,
+  REJECTED: 3,
+  FUNDED: 4,
+  CANCELLED: 5
+};
+
+export const LOAN_STATUS_LABELS = {
+  [LOAN_STATUS.PENDING]: "Pending",
+  [LOAN_STATUS.UNDER_REVIEW]: "Under Review",
+  [LOAN_STATUS.APPROVED]: "Approved",
+  [LOAN_STATUS.REJECTED]: "Rejected",
+  [LOAN_STATUS.FUNDED]: "Funded",
+  [LOAN_STATUS.CANCELLED]: "Cancelled"
+};
+
+// Mortgage statuses
+export const MORTGAGE_STATUS = {
+  ACTIVE: 0,
+  PAID_OFF: 1,
+  DEFAULTED: 2,
+  IN_FORECLOSURE: 3,
+  REFINANCED: 4,
+  FORECLOSED: 5
+};
+
+export const MORTGAGE_STATUS_LABELS = {
+  [MORTGAGE_STATUS.ACTIVE]: "Active",
+  [MORTGAGE_STATUS.PAID_OFF]: "Paid Off",
+  [MORTGAGE_STATUS.DEFAULTED]: "Defaulted",
+  [MORTGAGE_STATUS.IN_FORECLOSURE]: "In Foreclosure",
+  [MORTGAGE_STATUS.REFINANCED]: "Refinanced",
+  [MORTGAGE_STATUS.FORECLOSED]: "Foreclosed"
+};
+
+// Insurance policy statuses
+export const POLICY_STATUS = {
+  ACTIVE: 0,
+  EXPIRED: 1,
+  CANCELLED: 2,
+  SUSPENDED: 3
+};
+
+export const POLICY_STATUS_LABELS = {
+  [POLICY_STATUS.ACTIVE]: "Active",
+  [POLICY_STATUS.EXPIRED]: "Expired",
+  [POLICY_STATUS.CANCELLED]: "Cancelled",
+  [POLICY_STATUS.SUSPENDED]: "Suspended"
+};
+
+// Insurance claim statuses
+export const CLAIM_STATUS = {
+  PENDING: 0,
+  UNDER_REVIEW: 1,
+  APPROVED: 2,
+  REJECTED: 3,
+  PAID: 4
+};
+
+export const CLAIM_STATUS_LABELS = {
+  [CLAIM_STATUS.PENDING]: "Pending",
+  [CLAIM_STATUS.UNDER_REVIEW]: "Under Review",
+  [CLAIM_STATUS.APPROVED]: "Approved",
+  [CLAIM_STATUS.REJECTED]: "Rejected",
+  [CLAIM_STATUS.PAID]: "Paid"
+};
+
+// Property verification statuses
+export const VERIFICATION_STATUS = {
+  UNVERIFIED: 0,
+  VALID: 1,
+  EXPIRED: 2,
+  REVOKED: 3
+};
+
+export const VERIFICATION_STATUS_LABELS = {
+  [VERIFICATION_STATUS.UNVERIFIED]: "Not Verified",
+  [VERIFICATION_STATUS.VALID]: "Verified",
+  [VERIFICATION_STATUS.EXPIRED]: "Verification Expired",
+  [VERIFICATION_STATUS.REVOKED]: "Verification Revoked"
+};
+
+// Compliance checks in an inspection report's checklist bitmap, in bit order
+export const VERIFICATION_CHECKS = [
+  "titleDeed",
+  "surveyReport",
+  "buildingPermits",
+  "taxClearance",
+  "environmentalClearance",
+  "utilityConnections"
+];
+
+export const VERIFICATION_CHECK_LABELS = {
+  titleDeed: "Title Deed",
+  surveyReport: "Survey Report",
+  buildingPermits: "Building Permits",
+  taxClearance: "Tax Clearance",
+  environmentalClearance: "Environmental Clearance",
+  utilityConnections: "Utility Connections"
+};
+
+// Risks with a premium multiplier in PropertyInsurance
+export const INSURANCE_RISKS = ["fire", "flood", "earthquake", "theft", "vandalism"];
+
+export const AUCTION_MODE = {
+  ENGLISH: 0,
+  SEALED_FIRST_PRICE: 1,
+  SEALED_SECOND_PRICE: 2,
+  DUTCH: 3
+};
+
+export const AUCTION_MODE_LABELS = {
+  [AUCTION_MODE.ENGLISH]: "Open Auction",
+  [AUCTION_MODE.SEALED_FIRST_PRICE]: "Sealed Bid (First Price)",
+  [AUCTION_MODE.SEALED_SECOND_PRICE]: "Sealed Bid (Second Price)",
+  [AUCTION_MODE.DUTCH]: "Dutch Auction"
+};
+
+// PlatformRoles roles, by the name of the contract constant holding the role ID
+export const ROLES = {
+  ADMIN: "DEFAULT_ADMIN_ROLE",
+  VERIFIER: "VERIFIER_ROLE",
+  ASSESSOR: "ASSESSOR_ROLE",
+  LENDER: "LENDER_ROLE",
+  FEE_MANAGER: "FEE_MANAGER_ROLE",
+  PAUSER: "PAUSER_ROLE",
+  TRANSFER_AGENT: "TRANSFER_AGENT_ROLE"
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: "Admin",
+  [ROLES.VERIFIER]: "Verifier",
+  [ROLES.ASSESSOR]: "Assessor",
+  [ROLES.LENDER]: "Lender",
+  [ROLES.FEE_MANAGER]: "Fee Manager",
+  [ROLES.PAUSER]: "Pauser",
+  [ROLES.TRANSFER_AGENT]: "Transfer Agent"
+};
+
+// Roles each contract actually checks, keyed like getContracts
+export const CONTRACT_ROLES = {
+  propertyRegistry: [ROLES.ADMIN, ROLES.VERIFIER, ROLES.TRANSFER_AGENT],
+  propertyTransactions: [ROLES.ADMIN],
+  propertyAuction: [ROLES.ADMIN, ROLES.FEE_MANAGER, ROLES.PAUSER],
+  fractionalOwnership: [ROLES.ADMIN, ROLES.FEE_MANAGER, ROLES.PAUSER],
+  propertyFinancing: [ROLES.ADMIN, ROLES.LENDER, ROLES.FEE_MANAGER, ROLES.PAUSER],
+  propertyInsurance: [ROLES.ADMIN, ROLES.ASSESSOR, ROLES.FEE_MANAGER, ROLES.PAUSER]
+};
+
 // Error messages
 export const ERROR_MESSAGES = {
   WALLET_NOT_CONNECTED: "Please connect your wallet first",
@@ -73,10 +240,50 @@ export const SUCCESS_MESSAGES = {
   WALLET_CONNECTED: "Wallet connected successfully",
   PROPERTY_REGISTERED: "Property registered successfully",
   PROPERTY_LISTED: "Property listed for sale successfully",
+  PROPERTY_VERIFIED: "Property verified successfully",
+  VERIFICATION_REVOKED: "Verification revoked",
+  REVERIFICATION_REQUESTED: "Re-verification requested",
   PROPERTY_UNLISTED: "Property unlisted successfully",
   PROPERTY_TOKENIZED: "Property tokenized successfully",
   TRANSACTION_CREATED: "Transaction created successfully",
-  TRANSACTION_COMPLETED: "Transaction completed successfully"
+  TRANSACTION_COMPLETED: "Transaction completed successfully",
+  RENTAL_CREATED: "Rental listing created successfully",
+  PROPERTY_RENTED: "Property rented successfully",
+  RENT_PAID: "Rent paid successfully",
+  AUCTION_CREATED: "Auction created successfully",
+  BID_PLACED: "Bid placed successfully",
+  BID_WITHDRAWN: "Bid withdrawn successfully",
+  AUCTION_ENDED: "Auction ended successfully",
+  BID_COMMITTED: "Sealed bid committed. Keep this browser's data until you reveal it",
+  BID_REVEALED: "Bid revealed successfully",
+  AUCTION_PURCHASED: "Property bought at the current auction price",
+  SHARES_LISTED: "Shares listed for sale successfully",
+  SHARES_PURCHASED: "Shares purchased successfully",
+  SHARE_LISTING_CANCELLED: "Share listing cancelled",
+  LENDER_REGISTERED: "Registered as a lender successfully",
+  LENDER_FUNDS_ADDED: "Funds added to your lending pool",
+  LENDER_FUNDS_WITHDRAWN: "Funds withdrawn from your lending pool",
+  LOAN_APPLIED: "Loan application submitted successfully",
+  LOAN_APPROVED: "Loan approved and funded successfully",
+  MORTGAGE_PAYMENT_MADE: "Mortgage payment made successfully",
+  PRINCIPAL_PREPAID: "Extra principal paid successfully",
+  MORTGAGE_PAID_OFF: "Mortgage paid off successfully",
+  POLICY_CREATED: "Insurance policy purchased successfully",
+  POLICY_RENEWED: "Insurance policy renewed successfully",
+  POLICY_CANCELLED: "Insurance policy cancelled",
+  AUTO_RENEWAL_UPDATED: "Auto-renewal updated",
+  RENEWAL_FUNDS_DEPOSITED: "Renewal funds deposited successfully",
+  RENEWAL_FUNDS_WITHDRAWN: "Renewal funds withdrawn successfully",
+  CLAIM_FILED: "Claim filed successfully",
+  CLAIM_UPDATED: "Claim updated successfully",
+  CLAIM_ASSESSED: "Assessment submitted successfully",
+  CLAIM_DISPUTED: "Claim sent back for review",
+  CLAIM_PAID: "Claim paid successfully",
+  ROLE_GRANTED: "Role granted successfully",
+  ROLE_REVOKED: "Role revoked successfully",
+  DOCUMENT_UPLOADED: "Document encrypted and uploaded successfully",
+  DOCUMENT_ACCESS_GRANTED: "Document access granted",
+  DOCUMENT_ACCESS_REVOKED: "Document access revoked and document re-encrypted"
 };
 
 // Application settings
@@ -87,23 +294,37 @@ export const APP_CONFIG = {
   MIN_PROPERTY_PRICE: 0.001, // ETH
   MAX_PROPERTY_PRICE: 10000, // ETH
   PAGINATION_SIZE: 10,
+  VERIFICATION_VALIDITY_DAYS: 365, // default inspection expiry
   REFRESH_INTERVAL: 30000 // 30 seconds
 };
 
 // IPFS configuration
 export const IPFS_CONFIG = {
-  GATEWAY: "https://ipfs.io/ipfs/",
-  API_URL: "https://api.pinata.cloud",
-  DEFAULT_TIMEOUT: 30000
+  // "pinata", or "kubo" for a Kubo-compatible HTTP API such as a local `ipfs daemon`
+  PROVIDER: process.env.REACT_APP_IPFS_PROVIDER || "pinata",
+  GATEWAY: process.env.REACT_APP_IPFS_GATEWAY || "https://ipfs.io/ipfs/",
+  API_URL: process.env.REACT_APP_IPFS_API_URL || "https://api.pinata.cloud",
+  DEFAULT_TIMEOUT: 30000,
+  PINATA_API_KEY: process.env.REACT_APP_PINATA_API_KEY || "",
+  PINATA_SECRET_KEY: process.env.REACT_APP_PINATA_SECRET_KEY || ""
 };
 
-// Contract addresses (to be updated after deployment)
+// Fallback addresses for contracts missing from the deployment manifest
 export const CONTRACT_ADDRESSES = {
   PROPERTY_REGISTRY: process.env.REACT_APP_PROPERTY_REGISTRY_ADDRESS || "0x0000000000000000000000000000000000000000",
   PROPERTY_TOKEN: process.env.REACT_APP_PROPERTY_TOKEN_ADDRESS || "0x0000000000000000000000000000000000000000",
-  PROPERTY_TRANSACTIONS: process.env.REACT_APP_PROPERTY_TRANSACTIONS_ADDRESS || "0x0000000000000000000000000000000000000000"
+  PROPERTY_TRANSACTIONS: process.env.REACT_APP_PROPERTY_TRANSACTIONS_ADDRESS || "0x0000000000000000000000000000000000000000",
+  PROPERTY_RENTAL: process.env.REACT_APP_PROPERTY_RENTAL_ADDRESS || "0x0000000000000000000000000000000000000000",
+  PROPERTY_AUCTION: process.env.REACT_APP_PROPERTY_AUCTION_ADDRESS || "0x0000000000000000000000000000000000000000",
+  FRACTIONAL_OWNERSHIP: process.env.REACT_APP_FRACTIONAL_OWNERSHIP_ADDRESS || "0x0000000000000000000000000000000000000000",
+  PROPERTY_FINANCING: process.env.REACT_APP_PROPERTY_FINANCING_ADDRESS || "0x0000000000000000000000000000000000000000",
+  PROPERTY_INSURANCE: process.env.REACT_APP_PROPERTY_INSURANCE_ADDRESS || "0x0000000000000000000000000000000000000000",
+  DOCUMENT_ACCESS: process.env.REACT_APP_DOCUMENT_ACCESS_ADDRESS || "0x0000000000000000000000000000000000000000"
 };
 
+// Where deploy-all.js publishes per-chain deployment manifests (<chainId>.json)
+export const DEPLOYMENTS_PATH = `${process.env.PUBLIC_URL || ''}/deployments`;
+
 // Gas limits for different operations
 export const GAS_LIMITS = {
   REGISTER_PROPERTY: 300000,
@@ -119,7 +340,8 @@ export const STORAGE_KEYS = {
   WALLET_ADDRESS: "wallet_address",
   NETWORK_ID: "network_id",
   USER_PREFERENCES: "user_preferences",
-  CACHED_PROPERTIES: "cached_properties"
+  CACHED_PROPERTIES: "cached_properties",
+  SEALED_BIDS: "sealed_bids"
 };
 
 // API endpoints (if using backend services)
@@ -128,5 +350,9 @@ export const API_ENDPOINTS = {
   PROPERTIES: "/api/properties",
   TRANSACTIONS: "/api/transactions",
   USERS: "/api/users",
-  UPLOAD: "/api/upload"
+  EVENTS: "/api/events",
+  STATUS: "/api/status",
+  UPLOAD: "/api/upload",
+  // List views read from the chain instead when the indexer is further behind than this
+  MAX_INDEXER_LAG_BLOCKS: 2
 };
@@ -28,6 +28,17 @@ export const formatEther = (amount, decimals = 4) => {
   return `${formatted} ETH`;
 };
 
+/**
+ * Add two ETH amounts without floating point rounding
+ * @param {string|number} a - Amount in ETH
+ * @param {string|number} b - Amount in ETH
+ * @returns {string} Sum in ETH
+ */
+export const addEther = (a, b) => {
+  const sum = ethers.utils.parseEther(a.toString()).add(ethers.utils.parseEther(b.toString()));
+  return ethers.utils.formatEther(sum);
+};
+
 /**
  * Format large numbers with commas
  * @param {number} num - Number to format
@@ -96,6 +107,42 @@ export const timeAgo = (timestamp) => {
   return `${Math.floor(diffInSeconds / 86400)} days ago`;
 };
 
+/**
+ * Format a countdown duration
+ * @param {number} ms - Milliseconds remaining
+ * @returns {string} Countdown string, e.g. "2d 4h" or "5m 12s"
+ */
+export const formatTimeRemaining = (ms) => {
+  if (ms <= 0) return 'Expired';
+  const days = Math.floor(ms / 86400000);
+  const hours = Math.floor((ms % 86400000) / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds}s`;
+};
+
+/**
+ * Price of a Dutch auction at a given time, matching PropertyAuction's linear schedule
+ * @param {object} auction - Auction from getAuction
+ * @param {number} timestamp - Time in milliseconds, defaults to now
+ * @returns {string} Price in ETH
+ */
+export const getDutchPrice = (auction, timestamp = Date.now()) => {
+  const startingPrice = ethers.utils.parseEther(auction.startingPrice);
+  const reservePrice = ethers.utils.parseEther(auction.reservePrice);
+  const start = Math.floor(auction.startTime.getTime() / 1000);
+  const end = Math.floor(auction.endTime.getTime() / 1000);
+  const now = Math.floor(timestamp / 1000);
+
+  if (now >= end) return ethers.utils.formatEther(reservePrice);
+  const elapsed = Math.max(now - start, 0);
+  const drop = startingPrice.sub(reservePrice).mul(elapsed).div(end - start);
+  return ethers.utils.formatEther(startingPrice.sub(drop));
+};
+
 /**
  * Validate property data
  * @param {object} propertyData - Property data to validate
@@ -1,15 +1,100 @@
-// IPFS integration utilities for document storage
+// IPFS integration utilities for document storage.
+// IPFS_CONFIG.PROVIDER selects Pinata or a Kubo-compatible HTTP API (e.g. a local `ipfs daemon`).
 
-import { IPFS_CONFIG, APP_CONFIG } from './constants';
+import { ethers } from 'ethers';
+import { IPFS_CONFIG, APP_CONFIG, VERIFICATION_STATUS, VERIFICATION_STATUS_LABELS } from './constants';
+import { computeCIDv0 } from './cid';
+
+const isKubo = () => IPFS_CONFIG.PROVIDER === 'kubo';
+
+const pinataHeaders = (apiKey, secretKey) => ({
+  'pinata_api_key': apiKey,
+  'pinata_secret_api_key': secretKey
+});
 
 /**
- * Upload file to IPFS using Pinata service
+ * POST a request body and parse the JSON response, reporting upload progress.
+ * fetch can't report upload progress, so this uses XMLHttpRequest.
+ * @param {string} url - Endpoint URL
+ * @param {FormData|string} body - Request body
+ * @param {object} headers - Request headers
+ * @param {Function} onProgress - Called with the percentage of the body sent (optional)
+ * @returns {Promise<object>} Parsed JSON response
+ */
+const postWithProgress = (url, body, headers = {}, onProgress) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', url);
+  xhr.timeout = IPFS_CONFIG.DEFAULT_TIMEOUT;
+  Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+  if (onProgress) {
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress(Math.round((event.loaded / event.total) * 100));
+      }
+    };
+  }
+
+  xhr.onload = () => {
+    if (xhr.status < 200 || xhr.status >= 300) {
+      reject(new Error(`Upload failed: ${xhr.statusText || xhr.status}`));
+      return;
+    }
+    try {
+      resolve(JSON.parse(xhr.responseText));
+    } catch {
+      reject(new Error('Upload failed: invalid response from IPFS API'));
+    }
+  };
+  xhr.onerror = () => reject(new Error(`Upload failed: could not reach ${url}`));
+  xhr.ontimeout = () => reject(new Error('Upload failed: request timed out'));
+
+  xhr.send(body);
+});
+
+/**
+ * Add content to a Kubo node and pin it
+ * @param {Blob} blob - Content to add
+ * @param {string} fileName - Name for the multipart field
+ * @param {Function} onProgress - Upload progress callback (optional)
+ * @returns {Promise<string>} IPFS hash
+ */
+const addToKubo = async (blob, fileName, onProgress) => {
+  const formData = new FormData();
+  formData.append('file', blob, fileName);
+
+  // CIDv0 so the hash can be checked with computeCIDv0
+  const result = await postWithProgress(
+    `${IPFS_CONFIG.API_URL}/api/v0/add?cid-version=0&pin=true`,
+    formData,
+    {},
+    onProgress
+  );
+  return result.Hash;
+};
+
+/**
+ * Check that an IPFS hash addresses exactly the given content
+ * @param {Blob} blob - Content that was uploaded
+ * @param {string} hash - Hash returned by the IPFS API
+ * @returns {Promise<void>} Rejects if the hash doesn't match
+ */
+export const verifyIPFSContent = async (blob, hash) => {
+  const expected = computeCIDv0(new Uint8Array(await blob.arrayBuffer()));
+  if (hash !== expected) {
+    throw new Error(`IPFS returned ${hash} but the content hashes to ${expected}`);
+  }
+};
+
+/**
+ * Upload file to IPFS through the configured provider and verify the returned hash
  * @param {File} file - File to upload
- * @param {string} apiKey - Pinata API key
- * @param {string} secretKey - Pinata secret key
+ * @param {string} apiKey - Pinata API key (unused for Kubo)
+ * @param {string} secretKey - Pinata secret key (unused for Kubo)
+ * @param {Function} onProgress - Called with the upload percentage (optional)
  * @returns {Promise<string>} IPFS hash
  */
-export const uploadToIPFS = async (file, apiKey, secretKey) => {
+export const uploadToIPFS = async (file, apiKey, secretKey, onProgress) => {
   try {
     // Validate file
     if (!file) {
@@ -20,41 +105,41 @@ export const uploadToIPFS = async (file, apiKey, secretKey) => {
       throw new Error(`File size exceeds maximum limit of ${APP_CONFIG.MAX_FILE_SIZE / (1024 * 1024)}MB`);
     }
 
-    const formData = new FormData();
-    formData.append('file', file);
+    let hash;
+    if (isKubo()) {
+      hash = await addToKubo(file, file.name, onProgress);
+    } else {
+      const formData = new FormData();
+      formData.append('file', file);
 
-    // Add metadata
-    const metadata = JSON.stringify({
-      name: file.name,
-      keyvalues: {
-        uploadedAt: new Date().toISOString(),
-        fileType: file.type,
-        fileSize: file.size
-      }
-    });
-    formData.append('pinataMetadata', metadata);
-
-    // Add options
-    const options = JSON.stringify({
-      cidVersion: 0
-    });
-    formData.append('pinataOptions', options);
+      // Add metadata
+      const metadata = JSON.stringify({
+        name: file.name,
+        keyvalues: {
+          uploadedAt: new Date().toISOString(),
+          fileType: file.type,
+          fileSize: file.size
+        }
+      });
+      formData.append('pinataMetadata', metadata);
 
-    const response = await fetch(`${IPFS_CONFIG.API_URL}/pinning/pinFileToIPFS`, {
-      method: 'POST',
-      headers: {
-        'pinata_api_key': apiKey,
-        'pinata_secret_api_key': secretKey
-      },
-      body: formData
-    });
+      // Add options
+      const options = JSON.stringify({
+        cidVersion: 0
+      });
+      formData.append('pinataOptions', options);
 
-    if (!response.ok) {
-      throw new Error(`Upload failed: ${response.statusText}`);
+      const result = await postWithProgress(
+        `${IPFS_CONFIG.API_URL}/pinning/pinFileToIPFS`,
+        formData,
+        pinataHeaders(apiKey, secretKey),
+        onProgress
+      );
+      hash = result.IpfsHash;
     }
 
-    const result = await response.json();
-    return result.IpfsHash;
+    await verifyIPFSContent(file, hash);
+    return hash;
   } catch (error) {
     console.error('IPFS upload error:', error);
     throw error;
@@ -64,18 +149,25 @@ export const uploadToIPFS = async (file, apiKey, secretKey) => {
 /**
  * Upload JSON metadata to IPFS
  * @param {object} metadata - Metadata object
- * @param {string} apiKey - Pinata API key
- * @param {string} secretKey - Pinata secret key
+ * @param {string} apiKey - Pinata API key (unused for Kubo)
+ * @param {string} secretKey - Pinata secret key (unused for Kubo)
  * @returns {Promise<string>} IPFS hash
  */
 export const uploadJSONToIPFS = async (metadata, apiKey, secretKey) => {
   try {
+    if (isKubo()) {
+      const blob = new Blob([JSON.stringify(metadata)], { type: 'application/json' });
+      const hash = await addToKubo(blob, `metadata-${Date.now()}.json`);
+      await verifyIPFSContent(blob, hash);
+      return hash;
+    }
+
+    // Pinata serializes pinataContent itself, so there are no local bytes to check the hash against
     const response = await fetch(`${IPFS_CONFIG.API_URL}/pinning/pinJSONToIPFS`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'pinata_api_key': apiKey,
-        'pinata_secret_api_key': secretKey
+        ...pinataHeaders(apiKey, secretKey)
       },
       body: JSON.stringify({
         pinataContent: metadata,
@@ -102,12 +194,22 @@ export const uploadJSONToIPFS = async (metadata, apiKey, secretKey) => {
 };
 
 /**
- * Get file from IPFS
- * @param {string} hash - IPFS hash
- * @returns {Promise<Response>} Fetch response
+ * Get file from IPFS, decrypting it when a key envelope is given
+ * @param {string} hash - IPFS hash (for encrypted files, the document hash recorded on-chain)
+ * @param {object} decryption - Current key envelope hash and the reader's document key (optional)
+ * @returns {Promise<Response>} Fetch response, or a response wrapping the decrypted file
  */
-export const getFromIPFS = async (hash) => {
+export const getFromIPFS = async (hash, { envelopeHash, documentKey } = {}) => {
   try {
+    if (envelopeHash) {
+      const envelope = await getJSONFromIPFS(envelopeHash);
+      if (envelope.documentHash !== hash) {
+        throw new Error('Key envelope belongs to a different document');
+      }
+      const plaintext = await decryptDocument(envelope, documentKey);
+      return new Response(new Blob([plaintext], { type: envelope.type }));
+    }
+
     const response = await fetch(`${IPFS_CONFIG.GATEWAY}${hash}`, {
       timeout: IPFS_CONFIG.DEFAULT_TIMEOUT
     });
@@ -201,12 +303,16 @@ export const extractIPFSHash = (url) => {
  */
 export const pinToIPFS = async (hash, apiKey, secretKey) => {
   try {
+    if (isKubo()) {
+      const response = await fetch(`${IPFS_CONFIG.API_URL}/api/v0/pin/add?arg=${hash}`, { method: 'POST' });
+      return response.ok;
+    }
+
     const response = await fetch(`${IPFS_CONFIG.API_URL}/pinning/pinByHash`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'pinata_api_key': apiKey,
-        'pinata_secret_api_key': secretKey
+        ...pinataHeaders(apiKey, secretKey)
       },
       body: JSON.stringify({
         hashToPin: hash,
@@ -235,12 +341,14 @@ export const pinToIPFS = async (hash, apiKey, secretKey) => {
  */
 export const unpinFromIPFS = async (hash, apiKey, secretKey) => {
   try {
+    if (isKubo()) {
+      const response = await fetch(`${IPFS_CONFIG.API_URL}/api/v0/pin/rm?arg=${hash}`, { method: 'POST' });
+      return response.ok;
+    }
+
     const response = await fetch(`${IPFS_CONFIG.API_URL}/pinning/unpin/${hash}`, {
       method: 'DELETE',
-      headers: {
-        'pinata_api_key': apiKey,
-        'pinata_secret_api_key': secretKey
-      }
+      headers: pinataHeaders(apiKey, secretKey)
     });
 
     return response.ok;
@@ -258,11 +366,19 @@ export const unpinFromIPFS = async (hash, apiKey, secretKey) => {
  */
 export const getPinnedFiles = async (apiKey, secretKey) => {
   try {
-    const response = await fetch(`${IPFS_CONFIG.API_URL}/data/pinList`, {
-      headers: {
-        'pinata_api_key': apiKey,
-        'pinata_secret_api_key': secretKey
+    if (isKubo()) {
+      const response = await fetch(`${IPFS_CONFIG.API_URL}/api/v0/pin/ls?type=recursive`, { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(`Failed to get pinned files: ${response.statusText}`);
       }
+
+      // Same row shape as Pinata's pinList
+      const result = await response.json();
+      return Object.keys(result.Keys || {}).map(hash => ({ ipfs_pin_hash: hash }));
+    }
+
+    const response = await fetch(`${IPFS_CONFIG.API_URL}/data/pinList`, {
+      headers: pinataHeaders(apiKey, secretKey)
     });
 
     if (!response.ok) {
@@ -277,43 +393,333 @@ export const getPinnedFiles = async (apiKey, secretKey) => {
   }
 };
 
+const escapeXML = (text) => String(text).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+}[char]));
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+/**
+ * Create the card image shown for a property token in wallets and marketplaces.
+ * Only uses data that never changes after registration, so its CID stays the same.
+ * @param {object} property - Property from getProperty
+ * @returns {string} SVG document
+ */
+export const createPropertyImage = (property) => `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="600" viewBox="0 0 600 600">
+  <rect width="600" height="600" fill="#0d6efd"/>
+  <text x="40" y="80" font-family="sans-serif" font-size="28" fill="#ffffff" opacity="0.8">Property #${escapeXML(property.id)}</text>
+  <text x="40" y="300" font-family="sans-serif" font-size="40" font-weight="bold" fill="#ffffff">${escapeXML(truncate(property.location, 24))}</text>
+  <text x="40" y="360" font-family="sans-serif" font-size="28" fill="#ffffff">${escapeXML(property.propertyType)} · ${escapeXML(property.area)} m²</text>
+</svg>
+`;
+
 /**
- * Create property metadata for IPFS storage
- * @param {object} propertyData - Property data
- * @param {Array} documentHashes - Array of document IPFS hashes
+ * Create ERC-721 metadata for a property token from its registry data.
+ * The output depends only on the registry data, so unchanged data gives identical JSON
+ * (and, on Kubo, the same CID) and stale token metadata can be detected by comparison.
+ * @param {object} property - Property from getProperty
  * @returns {object} Metadata object
  */
-export const createPropertyMetadata = (propertyData, documentHashes = []) => {
+export const createPropertyMetadata = (property) => {
+  const image = `ipfs://${computeCIDv0(ethers.utils.toUtf8Bytes(createPropertyImage(property)))}`;
+  const status = property.verificationStatus ?? (property.verified ? VERIFICATION_STATUS.VALID : VERIFICATION_STATUS.UNVERIFIED);
+
   return {
-    name: `Property at ${propertyData.location}`,
-    description: `${propertyData.propertyType} property with ${propertyData.area} sq meters`,
-    image: documentHashes.find(hash => hash.type === 'image') || '',
+    name: `Property #${property.id}: ${property.location}`,
+    description: `${property.propertyType} property at ${property.location} with ${property.area} sq meters, registered on-chain as property #${property.id}.`,
+    image,
     attributes: [
       {
         trait_type: 'Location',
-        value: propertyData.location
+        value: property.location
       },
       {
         trait_type: 'Area',
-        value: propertyData.area,
+        value: Number(property.area),
         display_type: 'number'
       },
       {
         trait_type: 'Property Type',
-        value: propertyData.propertyType
+        value: property.propertyType
       },
       {
-        trait_type: 'Price',
-        value: propertyData.price,
-        display_type: 'number'
+        trait_type: 'Verification Status',
+        value: VERIFICATION_STATUS_LABELS[status]
       },
-      {
-        trait_type: 'Verified',
-        value: propertyData.verified || false
-      }
-    ],
-    documents: documentHashes,
+      ...(property.verificationExpiresAt ? [{
+        trait_type: 'Verification Expires',
+        value: Math.floor(property.verificationExpiresAt.getTime() / 1000),
+        display_type: 'date'
+      }] : [])
+    ]
+  };
+};
+
+/**
+ * Pin a property's token image and metadata
+ * @param {object} property - Property from getProperty
+ * @param {string} apiKey - Pinata API key (unused for Kubo)
+ * @param {string} secretKey - Pinata secret key (unused for Kubo)
+ * @returns {Promise<string>} Metadata URI (ipfs://...) for tokenizeProperty or updateTokenMetadata
+ */
+export const uploadPropertyMetadata = async (property, apiKey, secretKey) => {
+  try {
+    // createPropertyMetadata points at the image by its computed CID; uploadToIPFS checks the node agrees
+    const image = new File([createPropertyImage(property)], `property-${property.id}.svg`, { type: 'image/svg+xml' });
+    await uploadToIPFS(image, apiKey, secretKey);
+
+    const hash = await uploadJSONToIPFS(createPropertyMetadata(property), apiKey, secretKey);
+    return `ipfs://${hash}`;
+  } catch (error) {
+    console.error('Error uploading property metadata:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a token's metadata still matches the registry
+ * @param {string} metadataURI - Token URI
+ * @param {object} property - Property from getProperty
+ * @returns {Promise<boolean>} False if the metadata is outdated or can't be fetched
+ */
+export const isPropertyMetadataCurrent = async (metadataURI, property) => {
+  const hash = extractIPFSHash(metadataURI || '');
+  if (!hash) {
+    return false;
+  }
+
+  try {
+    const metadata = await getJSONFromIPFS(hash);
+    return JSON.stringify(metadata) === JSON.stringify(createPropertyMetadata(property));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Create the inspection report a verifier pins before recording it on-chain
+ * @param {string} propertyId - ID of the inspected property
+ * @param {object} verificationData - Inspector, compliance checks, reviewed documents and notes
+ * @returns {object} Report object
+ */
+export const createInspectionReport = (propertyId, verificationData) => {
+  return {
+    propertyId,
+    inspector: {
+      name: verificationData.inspectorName,
+      license: verificationData.inspectorLicense
+    },
+    inspectionDate: verificationData.inspectionDate || null,
+    complianceChecks: verificationData.complianceChecks,
+    documentsReviewed: verificationData.documentsChecked,
+    notes: verificationData.verificationNotes,
     created_at: new Date().toISOString(),
     version: '1.0'
   };
 };
+
+
+// Client-side encryption for sensitive documents (deeds, IDs, inspection reports).
+// Each file gets its own AES-GCM content key, which is wrapped to every reader's document key:
+// ECDH on secp256k1 with a per-recipient ephemeral key, SHA-256 of the shared secret as the
+// wrapping key. The wrapped keys are pinned as a JSON key envelope; DocumentAccess records the
+// current envelope for each document hash.
+
+const AES_KEY_LENGTH = 32;
+const AES_IV_LENGTH = 12;
+
+const aesEncrypt = async (rawKey, data) => {
+  const iv = window.crypto.getRandomValues(new Uint8Array(AES_IV_LENGTH));
+  const key = await window.crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt']);
+  const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data);
+  return { iv, ciphertext: new Uint8Array(ciphertext) };
+};
+
+const aesDecrypt = async (rawKey, iv, data) => {
+  const key = await window.crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  try {
+    return new Uint8Array(await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data));
+  } catch {
+    // GCM authentication failed
+    throw new Error('Decryption failed: wrong key or the data was modified');
+  }
+};
+
+const wrappingKey = (privateKey, publicKey) =>
+  ethers.utils.arrayify(ethers.utils.sha256(privateKey.computeSharedSecret(publicKey)));
+
+/**
+ * Wrap a content key to one recipient
+ * @param {Uint8Array} contentKey - Raw AES key
+ * @param {string} publicKey - Recipient's compressed document public key
+ * @returns {Promise<object>} Envelope recipient entry
+ */
+const wrapContentKey = async (contentKey, publicKey) => {
+  // A fresh ephemeral key per recipient, so no two recipients share a wrapping key
+  const ephemeralKey = new ethers.utils.SigningKey(ethers.utils.randomBytes(32));
+  const { iv, ciphertext } = await aesEncrypt(wrappingKey(ephemeralKey, publicKey), contentKey);
+  return {
+    publicKey: ethers.utils.hexlify(publicKey),
+    ephemeralPublicKey: ephemeralKey.compressedPublicKey,
+    iv: ethers.utils.base64.encode(iv),
+    wrappedKey: ethers.utils.base64.encode(ciphertext)
+  };
+};
+
+/**
+ * Recover the content key from an envelope
+ * @param {object} envelope - Key envelope
+ * @param {SigningKey} documentKey - Reader's document key
+ * @returns {Promise<Uint8Array>} Raw AES key
+ */
+const unwrapContentKey = (envelope, documentKey) => {
+  if (!documentKey) {
+    throw new Error('A document key is required to decrypt this document');
+  }
+
+  const recipient = envelope.recipients.find(entry => entry.publicKey === documentKey.compressedPublicKey);
+  if (!recipient) {
+    throw new Error('This wallet has not been granted access to the document');
+  }
+
+  return aesDecrypt(
+    wrappingKey(documentKey, recipient.ephemeralPublicKey),
+    ethers.utils.base64.decode(recipient.iv),
+    ethers.utils.base64.decode(recipient.wrappedKey)
+  );
+};
+
+/**
+ * Encrypt content under a new content key, upload the ciphertext and pin its key envelope
+ * @param {Uint8Array} plaintext - File content
+ * @param {object} info - name, type, size and (for re-encryption) the original documentHash
+ * @param {Array<string>} publicKeys - Readers' document public keys
+ * @returns {Promise<{documentHash: string, envelopeHash: string}>} Document and envelope hashes
+ */
+const encryptAndUpload = async (plaintext, info, publicKeys, apiKey, secretKey, onProgress) => {
+  const contentKey = ethers.utils.randomBytes(AES_KEY_LENGTH);
+  const { iv, ciphertext } = await aesEncrypt(contentKey, plaintext);
+
+  // uploadToIPFS verifies the CID of the ciphertext, as for any other file
+  const contentHash = await uploadToIPFS(
+    new File([ciphertext], `${info.name}.enc`, { type: 'application/octet-stream' }),
+    apiKey,
+    secretKey,
+    onProgress
+  );
+
+  const envelope = {
+    version: '1.0',
+    algorithm: 'AES-GCM',
+    documentHash: info.documentHash || contentHash,
+    contentHash,
+    iv: ethers.utils.base64.encode(iv),
+    name: info.name,
+    type: info.type,
+    size: info.size,
+    recipients: await Promise.all(publicKeys.map(publicKey => wrapContentKey(contentKey, publicKey)))
+  };
+
+  const envelopeHash = await uploadJSONToIPFS(envelope, apiKey, secretKey);
+  return { documentHash: envelope.documentHash, envelopeHash };
+};
+
+/**
+ * Download and decrypt the current ciphertext of a document
+ * @param {object} envelope - Key envelope
+ * @param {SigningKey} documentKey - Reader's document key
+ * @returns {Promise<Uint8Array>} File content
+ */
+const decryptDocument = async (envelope, documentKey) => {
+  const contentKey = await unwrapContentKey(envelope, documentKey);
+  const response = await getFromIPFS(envelope.contentHash);
+  const ciphertext = new Uint8Array(await response.arrayBuffer());
+  return aesDecrypt(contentKey, ethers.utils.base64.decode(envelope.iv), ciphertext);
+};
+
+/**
+ * Encrypt a file in the browser and upload it with a key envelope for the given readers
+ * @param {File} file - File to upload
+ * @param {Array<string>} publicKeys - Document public keys of everyone who may read it, including the uploader
+ * @param {string} apiKey - Pinata API key (unused for Kubo)
+ * @param {string} secretKey - Pinata secret key (unused for Kubo)
+ * @param {Function} onProgress - Called with the upload percentage (optional)
+ * @returns {Promise<{documentHash: string, envelopeHash: string}>} Ciphertext hash to record on-chain and envelope hash
+ */
+export const uploadEncryptedToIPFS = async (file, publicKeys, apiKey, secretKey, onProgress) => {
+  try {
+    if (!file) {
+      throw new Error('No file provided');
+    }
+
+    if (publicKeys.length === 0) {
+      throw new Error('At least one reader is required');
+    }
+
+    const plaintext = new Uint8Array(await file.arrayBuffer());
+    return await encryptAndUpload(
+      plaintext,
+      { name: file.name, type: file.type, size: file.size },
+      publicKeys,
+      apiKey,
+      secretKey,
+      onProgress
+    );
+  } catch (error) {
+    console.error('IPFS encrypted upload error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Give another reader the content key of an encrypted document
+ * @param {string} envelopeHash - Current key envelope
+ * @param {SigningKey} documentKey - Document key of a current reader (normally the owner)
+ * @param {string} publicKey - New reader's document public key
+ * @param {string} apiKey - Pinata API key (unused for Kubo)
+ * @param {string} secretKey - Pinata secret key (unused for Kubo)
+ * @returns {Promise<string>} Hash of the new envelope
+ */
+export const addEnvelopeRecipient = async (envelopeHash, documentKey, publicKey, apiKey, secretKey) => {
+  try {
+    const envelope = await getJSONFromIPFS(envelopeHash);
+    const contentKey = await unwrapContentKey(envelope, documentKey);
+    const recipient = await wrapContentKey(contentKey, publicKey);
+
+    return await uploadJSONToIPFS({
+      ...envelope,
+      recipients: [...envelope.recipients.filter(entry => entry.publicKey !== recipient.publicKey), recipient]
+    }, apiKey, secretKey);
+  } catch (error) {
+    console.error('Error adding envelope recipient:', error);
+    throw error;
+  }
+};
+
+/**
+ * Re-encrypt a document under a new content key for a new set of readers.
+ * Used on revocation: a removed reader may have kept the old content key, so
+ * only a new ciphertext locks them out.
+ * @param {string} envelopeHash - Current key envelope
+ * @param {SigningKey} documentKey - Document key of a current reader (normally the owner)
+ * @param {Array<string>} publicKeys - Document public keys of the remaining readers
+ * @param {string} apiKey - Pinata API key (unused for Kubo)
+ * @param {string} secretKey - Pinata secret key (unused for Kubo)
+ * @returns {Promise<{envelopeHash: string, staleHashes: Array<string>}>} New envelope, and the old
+ *   ciphertext and envelope to unpin once the new envelope is recorded on-chain
+ */
+export const rotateEnvelope = async (envelopeHash, documentKey, publicKeys, apiKey, secretKey) => {
+  try {
+    const envelope = await getJSONFromIPFS(envelopeHash);
+    const plaintext = await decryptDocument(envelope, documentKey);
+    const rotated = await encryptAndUpload(plaintext, envelope, publicKeys, apiKey, secretKey);
+
+    return {
+      envelopeHash: rotated.envelopeHash,
+      staleHashes: [envelope.contentHash, envelopeHash]
+    };
+  } catch (error) {
+    console.error('Error rotating envelope:', error);
+    throw error;
+  }
+};
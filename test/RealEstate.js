@@ -32,11 +32,39 @@ describe("Blockchain Real Estate System", function () {
       await propertyToken.getAddress()
     );
 
+    // Allow the token and transactions contracts to transfer properties
+    await propertyRegistry.setPropertyTokenContract(await propertyToken.getAddress());
+    await propertyRegistry.setPropertyTransactionsContract(await propertyTransactions.getAddress());
+
     // Add verifier
     await propertyRegistry.addVerifier(verifier.address);
   });
 
   describe("Property Registry", function () {
+    it("Should delegate verification through the verifier role", async function () {
+      const VERIFIER_ROLE = await propertyRegistry.VERIFIER_ROLE();
+      expect(await propertyRegistry.hasRole(VERIFIER_ROLE, verifier.address)).to.equal(true);
+
+      await propertyRegistry.connect(seller).registerProperty(
+        "123 Main St, City, Country",
+        200,
+        "Residential",
+        ["ipfs://document1"],
+        ethers.parseEther("100"),
+        false
+      );
+
+      // Verifiers can't hand out the role themselves
+      await expect(propertyRegistry.connect(verifier).grantRole(VERIFIER_ROLE, buyer.address)).to.be.reverted;
+
+      await expect(propertyRegistry.revokeRole(VERIFIER_ROLE, verifier.address))
+        .to.emit(propertyRegistry, "RoleRevoked")
+        .withArgs(VERIFIER_ROLE, verifier.address, owner.address);
+      expect(await propertyRegistry.isVerifier(verifier.address)).to.equal(false);
+      await expect(propertyRegistry.connect(verifier).verifyProperty(1))
+        .to.be.revertedWith("Not an authorized verifier");
+    });
+
     it("Should register a new property", async function () {
       // Register a property as seller
       const tx = await propertyRegistry.connect(seller).registerProperty(
@@ -45,7 +73,7 @@ describe("Blockchain Real Estate System", function () {
         "Residential",
         ["ipfs://document1", "ipfs://document2"],
         ethers.parseEther("100"), // 100 ETH
-        true // for sale
+        false // listed once verified
       );
 
       const receipt = await tx.wait();
@@ -68,7 +96,7 @@ describe("Blockchain Real Estate System", function () {
       expect(property.area).to.equal(200);
       expect(property.propertyType).to.equal("Residential");
       expect(property.price).to.equal(ethers.parseEther("100"));
-      expect(property.forSale).to.equal(true);
+      expect(property.forSale).to.equal(false);
       expect(property.verified).to.equal(false);
     });
 
@@ -80,7 +108,7 @@ describe("Blockchain Real Estate System", function () {
         "Residential",
         ["ipfs://document1", "ipfs://document2"],
         ethers.parseEther("100"),
-        true
+        false
       );
       const receipt = await tx.wait();
       const event = receipt.logs.find(log => {
@@ -101,6 +129,144 @@ describe("Blockchain Real Estate System", function () {
       const property = await propertyRegistry.getProperty(propertyId);
       expect(property.verified).to.equal(true);
     });
+
+    it("Should record inspection reports in the verification history", async function () {
+      await propertyRegistry.connect(seller).registerProperty(
+        "123 Main St, City, Country",
+        200,
+        "Residential",
+        ["ipfs://document1"],
+        ethers.parseEther("100"),
+        false
+      );
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      const expiresAt = now + 365 * 24 * 60 * 60;
+
+      await expect(
+        propertyRegistry.connect(buyer).submitInspectionReport(1, "QmReport1", 0x3f, "Jane Doe", "LIC-1", expiresAt)
+      ).to.be.revertedWith("Not an authorized verifier");
+      await expect(
+        propertyRegistry.connect(verifier).submitInspectionReport(1, "", 0x3f, "Jane Doe", "LIC-1", expiresAt)
+      ).to.be.revertedWith("Report hash required");
+      await expect(
+        propertyRegistry.connect(verifier).submitInspectionReport(1, "QmReport1", 0x3f, "", "LIC-1", expiresAt)
+      ).to.be.revertedWith("Inspector identity required");
+      await expect(
+        propertyRegistry.connect(verifier).submitInspectionReport(1, "QmReport1", 0x3f, "Jane Doe", "LIC-1", now)
+      ).to.be.revertedWith("Expiry must be in the future");
+
+      await expect(
+        propertyRegistry.connect(verifier).submitInspectionReport(1, "QmReport1", 0x3f, "Jane Doe", "LIC-1", expiresAt)
+      )
+        .to.emit(propertyRegistry, "InspectionReportSubmitted")
+        .withArgs(1, verifier.address, 0, "QmReport1", 0x3f, expiresAt)
+        .and.to.emit(propertyRegistry, "PropertyVerified")
+        .withArgs(1, verifier.address);
+      expect((await propertyRegistry.getProperty(1)).verified).to.equal(true);
+
+      // A later re-inspection is added to the history without verifying again
+      await expect(
+        propertyRegistry.submitInspectionReport(1, "QmReport2", 0x1f, "John Roe", "LIC-2", expiresAt + 1)
+      ).to.not.emit(propertyRegistry, "PropertyVerified");
+
+      const history = await propertyRegistry.getVerificationHistory(1);
+      expect(history.length).to.equal(2);
+      expect(history[0].verifier).to.equal(verifier.address);
+      expect(history[0].reportHash).to.equal("QmReport1");
+      expect(history[0].checklist).to.equal(0x3f);
+      expect(history[0].inspectorName).to.equal("Jane Doe");
+      expect(history[0].inspectorLicense).to.equal("LIC-1");
+      expect(history[0].expiresAt).to.equal(expiresAt);
+      expect(history[1].verifier).to.equal(owner.address);
+      expect(history[1].checklist).to.equal(0x1f);
+    });
+
+    it("Should expire verifications and let owners request re-verification", async function () {
+      await propertyRegistry.connect(seller).registerProperty(
+        "123 Main St, City, Country",
+        200,
+        "Residential",
+        ["ipfs://document1"],
+        ethers.parseEther("100"),
+        false
+      );
+      await propertyRegistry.connect(verifier).verifyProperty(1);
+
+      let [status, expiresAt, requested] = await propertyRegistry.getVerificationStatus(1);
+      expect(status).to.equal(1); // Valid
+      expect(expiresAt).to.equal(
+        BigInt((await ethers.provider.getBlock("latest")).timestamp) + (await propertyRegistry.verificationValidityPeriod())
+      );
+      expect(requested).to.equal(false);
+      await expect(propertyRegistry.connect(verifier).verifyProperty(1))
+        .to.be.revertedWith("Property already verified");
+
+      await ethers.provider.send("evm_increaseTime", [366 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+
+      [status] = await propertyRegistry.getVerificationStatus(1);
+      expect(status).to.equal(2); // Expired
+      expect(await propertyRegistry.isVerificationValid(1)).to.equal(false);
+      await expect(propertyRegistry.connect(seller).listPropertyForSale(1, ethers.parseEther("100")))
+        .to.be.revertedWith("Property not verified");
+      await expect(propertyToken.connect(seller).tokenizeProperty(1, "ipfs://metadata"))
+        .to.be.revertedWith("Property not verified");
+
+      await expect(propertyRegistry.connect(buyer).requestReverification(1))
+        .to.be.revertedWith("Not the property owner");
+      await expect(propertyRegistry.connect(seller).requestReverification(1))
+        .to.emit(propertyRegistry, "ReverificationRequested")
+        .withArgs(1, seller.address);
+      await expect(propertyRegistry.connect(seller).requestReverification(1))
+        .to.be.revertedWith("Re-verification already requested");
+
+      await expect(propertyRegistry.connect(verifier).verifyProperty(1))
+        .to.emit(propertyRegistry, "PropertyVerified")
+        .withArgs(1, verifier.address);
+      [status, , requested] = await propertyRegistry.getVerificationStatus(1);
+      expect(status).to.equal(1);
+      expect(requested).to.equal(false);
+      await propertyRegistry.connect(seller).listPropertyForSale(1, ethers.parseEther("100"));
+    });
+
+    it("Should revoke verifications with a reason and take the property off the market", async function () {
+      await propertyRegistry.connect(seller).registerProperty(
+        "123 Main St, City, Country",
+        200,
+        "Residential",
+        ["ipfs://document1"],
+        ethers.parseEther("100"),
+        false
+      );
+      await propertyRegistry.connect(verifier).verifyProperty(1);
+      await propertyRegistry.connect(seller).listPropertyForSale(1, ethers.parseEther("100"));
+
+      await expect(propertyRegistry.connect(buyer).revokeVerification(1, "Forged title deed"))
+        .to.be.revertedWith("Not an authorized verifier");
+      await expect(propertyRegistry.connect(verifier).revokeVerification(1, ""))
+        .to.be.revertedWith("Reason required");
+
+      await expect(propertyRegistry.connect(verifier).revokeVerification(1, "Forged title deed"))
+        .to.emit(propertyRegistry, "VerificationRevoked")
+        .withArgs(1, verifier.address, "Forged title deed")
+        .and.to.emit(propertyRegistry, "PropertyUnlisted")
+        .withArgs(1);
+
+      const property = await propertyRegistry.getProperty(1);
+      expect(property.verified).to.equal(false);
+      expect(property.forSale).to.equal(false);
+      expect(await propertyRegistry.getPropertiesForSale()).to.deep.equal([]);
+      await expect(propertyTransactions.connect(buyer).createTransaction(1, { value: ethers.parseEther("100") }))
+        .to.be.revertedWith("Property not for sale");
+      const [status, expiresAt] = await propertyRegistry.getVerificationStatus(1);
+      expect(status).to.equal(3); // Revoked
+      expect(expiresAt).to.equal(0);
+
+      await expect(propertyRegistry.connect(verifier).revokeVerification(1, "Again"))
+        .to.be.revertedWith("Property not verified");
+      await expect(propertyToken.connect(seller).tokenizeProperty(1, "ipfs://metadata"))
+        .to.be.revertedWith("Property not verified");
+    });
   });
 
   describe("Property Token", function () {
@@ -112,7 +278,7 @@ describe("Blockchain Real Estate System", function () {
         "Residential",
         ["ipfs://document1", "ipfs://document2"],
         ethers.parseEther("100"),
-        true
+        false
       );
       const receipt = await tx.wait();
       const event = receipt.logs.find(log => {
@@ -126,8 +292,9 @@ describe("Blockchain Real Estate System", function () {
       const parsedEvent = propertyRegistry.interface.parseLog(event);
       propertyId = parsedEvent.args.propertyId;
 
-      // Verify the property
+      // Verify the property and list it
       await propertyRegistry.connect(verifier).verifyProperty(propertyId);
+      await propertyRegistry.connect(seller).listPropertyForSale(propertyId, ethers.parseEther("100"));
     });
 
     it("Should tokenize a property", async function () {
@@ -158,6 +325,53 @@ describe("Blockchain Real Estate System", function () {
       expect(tokenDetails[1]).to.equal(seller.address);
       expect(tokenDetails[2]).to.equal("ipfs://metadata");
     });
+
+    it("Should update registry ownership when the token is transferred", async function () {
+      const tx = await propertyToken.connect(seller).tokenizeProperty(propertyId, "ipfs://metadata");
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          const parsedLog = propertyToken.interface.parseLog(log);
+          return parsedLog.name === "PropertyTokenized";
+        } catch (e) {
+          return false;
+        }
+      });
+      tokenId = propertyToken.interface.parseLog(event).args.tokenId;
+
+      await propertyToken.connect(seller).transferFrom(seller.address, buyer.address, tokenId);
+
+      let property = await propertyRegistry.getProperty(propertyId);
+      expect(property.owner).to.equal(buyer.address);
+      expect(property.forSale).to.equal(false);
+      expect(await propertyRegistry.getPropertiesByOwner(buyer.address)).to.deep.equal([propertyId]);
+      expect(await propertyRegistry.getPropertiesByOwner(seller.address)).to.deep.equal([]);
+
+      // And back again with safeTransferFrom
+      await propertyToken.connect(buyer)["safeTransferFrom(address,address,uint256)"](
+        buyer.address,
+        seller.address,
+        tokenId
+      );
+
+      property = await propertyRegistry.getProperty(propertyId);
+      expect(property.owner).to.equal(seller.address);
+      expect(await propertyRegistry.getPropertiesByOwner(seller.address)).to.deep.equal([propertyId]);
+      expect(await propertyRegistry.getPropertiesByOwner(buyer.address)).to.deep.equal([]);
+    });
+
+    it("Should only let the registry move tokens directly", async function () {
+      await propertyToken.connect(seller).tokenizeProperty(propertyId, "ipfs://metadata");
+
+      let reverted = false;
+      try {
+        await propertyToken.connect(buyer).transferByRegistry(propertyId, buyer.address);
+      } catch (e) {
+        reverted = true;
+        expect(e.message).to.include("Caller is not the registry");
+      }
+      expect(reverted).to.equal(true);
+    });
   });
 
   describe("Property Transactions", function () {
@@ -169,7 +383,7 @@ describe("Blockchain Real Estate System", function () {
         "Residential",
         ["ipfs://document1", "ipfs://document2"],
         ethers.parseEther("100"),
-        true
+        false
       );
       const receipt = await tx.wait();
       const event = receipt.logs.find(log => {
@@ -183,8 +397,9 @@ describe("Blockchain Real Estate System", function () {
       const parsedEvent = propertyRegistry.interface.parseLog(event);
       propertyId = parsedEvent.args.propertyId;
 
-      // Verify the property
+      // Verify the property and list it
       await propertyRegistry.connect(verifier).verifyProperty(propertyId);
+      await propertyRegistry.connect(seller).listPropertyForSale(propertyId, ethers.parseEther("100"));
     });
 
     it("Should create a transaction", async function () {
@@ -242,5 +457,80 @@ describe("Blockchain Real Estate System", function () {
       const status = await propertyTransactions.getTransactionStatus(transactionId);
       expect(status).to.equal(1); // InspectionPassed
     });
+
+    it("Should transfer registry ownership on completion", async function () {
+      const tx = await propertyTransactions.connect(buyer).createTransaction(
+        propertyId,
+        { value: ethers.parseEther("100") }
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          const parsedLog = propertyTransactions.interface.parseLog(log);
+          return parsedLog.name === "TransactionCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      transactionId = propertyTransactions.interface.parseLog(event).args.transactionId;
+
+      await propertyTransactions.completeTransaction(transactionId);
+
+      const property = await propertyRegistry.getProperty(propertyId);
+      expect(property.owner).to.equal(buyer.address);
+      expect(property.forSale).to.equal(false);
+      expect(await propertyRegistry.getPropertiesByOwner(buyer.address)).to.deep.equal([propertyId]);
+      expect(await propertyRegistry.getPropertiesByOwner(seller.address)).to.deep.equal([]);
+      expect(await propertyRegistry.getPropertiesForSale()).to.deep.equal([]);
+
+      const transaction = await propertyTransactions.getTransaction(transactionId);
+      expect(transaction.completed).to.equal(true);
+    });
+
+    it("Should transfer the token and registry entry on completion", async function () {
+      // Tokenize the property
+      const tokenTx = await propertyToken.connect(seller).tokenizeProperty(propertyId, "ipfs://metadata");
+      const tokenReceipt = await tokenTx.wait();
+      const tokenEvent = tokenReceipt.logs.find(log => {
+        try {
+          const parsedLog = propertyToken.interface.parseLog(log);
+          return parsedLog.name === "PropertyTokenized";
+        } catch (e) {
+          return false;
+        }
+      });
+      tokenId = propertyToken.interface.parseLog(tokenEvent).args.tokenId;
+
+      const tx = await propertyTransactions.connect(buyer).createTransaction(
+        propertyId,
+        { value: ethers.parseEther("100") }
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          const parsedLog = propertyTransactions.interface.parseLog(log);
+          return parsedLog.name === "TransactionCreated";
+        } catch (e) {
+          return false;
+        }
+      });
+      transactionId = propertyTransactions.interface.parseLog(event).args.transactionId;
+
+      const sellerBalanceBefore = await ethers.provider.getBalance(seller.address);
+      await propertyTransactions.completeTransaction(transactionId);
+      const sellerBalanceAfter = await ethers.provider.getBalance(seller.address);
+
+      expect(await propertyToken.ownerOf(tokenId)).to.equal(buyer.address);
+      expect((await propertyRegistry.getProperty(propertyId)).owner).to.equal(buyer.address);
+      expect(await propertyRegistry.getPropertiesByOwner(buyer.address)).to.deep.equal([propertyId]);
+      expect(sellerBalanceAfter - sellerBalanceBefore).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should reject direct registry transfers from unauthorized callers", async function () {
+      await expect(
+        propertyRegistry.connect(buyer).transferProperty(propertyId, buyer.address)
+      ).to.be.revertedWith("Not authorized to transfer properties");
+      expect((await propertyRegistry.getProperty(propertyId)).owner).to.equal(seller.address);
+    });
   });
 });